@@ -0,0 +1,8 @@
+-- Migration to add vector annotations (arrows, circles, scale bars, text labels)
+-- to find images. Annotations are kept separately from the image data so they
+-- can be toggled in the app and are only burned into exported images.
+-- Each annotation is an object like
+--   {"type": "arrow", "x1": 0.2, "y1": 0.3, "x2": 0.5, "y2": 0.5, "color": "#ef4444"}
+-- with points relative to the image size (see src/lib/annotations.js).
+
+ALTER TABLE find_images ADD COLUMN IF NOT EXISTS annotations JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,47 @@
+-- Migration to keep derived and image bookkeeping columns out of the audit log.
+-- Run this after migration-add-audit-log.sql and the migrations that add these
+-- columns (spatial index, search, image hashes, find images, image derivatives,
+-- image rotation). Without it changing or rotating the cover image logs its
+-- storage paths, file name and hashes.
+
+-- Record inserts, deletes and field-level updates on photos.
+-- Image payloads, derived columns and bookkeeping columns are not logged.
+CREATE OR REPLACE FUNCTION record_photo_audit()
+RETURNS TRIGGER AS $$
+DECLARE
+  ignored_fields TEXT[] := ARRAY[
+    'id', 'image_data', 'thumbnail_data', 'user_id', 'created_at', 'updated_at',
+    -- Derived from other columns or kept in sync by triggers
+    'location', 'search_vector', 'checksum', 'phash',
+    -- Copied from the cover image in find_images
+    'storage_path', 'source_path', 'thumbnail_path', 'medium_path', 'rotation',
+    'filename', 'cover_image_id'
+  ];
+  old_row JSONB;
+  new_row JSONB;
+  field_name TEXT;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO photo_audit_log (photo_id, action, new_value, changed_by, changed_by_email)
+    VALUES (NEW.id, 'insert', to_jsonb(NEW) - ignored_fields, auth.uid(), auth.jwt() ->> 'email');
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    INSERT INTO photo_audit_log (photo_id, action, old_value, changed_by, changed_by_email)
+    VALUES (OLD.id, 'delete', to_jsonb(OLD) - ignored_fields, auth.uid(), auth.jwt() ->> 'email');
+    RETURN OLD;
+  END IF;
+
+  old_row := to_jsonb(OLD);
+  new_row := to_jsonb(NEW);
+  FOR field_name IN SELECT jsonb_object_keys(new_row) LOOP
+    IF NOT field_name = ANY(ignored_fields)
+       AND old_row -> field_name IS DISTINCT FROM new_row -> field_name THEN
+      INSERT INTO photo_audit_log (photo_id, action, field, old_value, new_value, changed_by, changed_by_email)
+      VALUES (NEW.id, 'update', field_name, old_row -> field_name, new_row -> field_name, auth.uid(), auth.jwt() ->> 'email');
+    END IF;
+  END LOOP;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,67 @@
+-- Migration to add an append-only audit log of every change to a find
+-- One row is written per changed field, with who changed it and when
+
+CREATE TABLE IF NOT EXISTS photo_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  -- No foreign key: the log is kept after a find is permanently deleted
+  photo_id BIGINT NOT NULL,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+  field VARCHAR(100), -- NULL for insert and delete
+  old_value JSONB,
+  new_value JSONB,
+  changed_by UUID REFERENCES auth.users(id),
+  changed_by_email VARCHAR(255),
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_photo_audit_log_photo_id ON photo_audit_log(photo_id, changed_at);
+
+-- Record inserts, deletes and field-level updates on photos.
+-- Image payloads and bookkeeping columns are not logged.
+CREATE OR REPLACE FUNCTION record_photo_audit()
+RETURNS TRIGGER AS $$
+DECLARE
+  ignored_fields TEXT[] := ARRAY['id', 'image_data', 'thumbnail_data', 'user_id', 'created_at', 'updated_at'];
+  old_row JSONB;
+  new_row JSONB;
+  field_name TEXT;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO photo_audit_log (photo_id, action, new_value, changed_by, changed_by_email)
+    VALUES (NEW.id, 'insert', to_jsonb(NEW) - ignored_fields, auth.uid(), auth.jwt() ->> 'email');
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    INSERT INTO photo_audit_log (photo_id, action, old_value, changed_by, changed_by_email)
+    VALUES (OLD.id, 'delete', to_jsonb(OLD) - ignored_fields, auth.uid(), auth.jwt() ->> 'email');
+    RETURN OLD;
+  END IF;
+
+  old_row := to_jsonb(OLD);
+  new_row := to_jsonb(NEW);
+  FOR field_name IN SELECT jsonb_object_keys(new_row) LOOP
+    IF NOT field_name = ANY(ignored_fields)
+       AND old_row -> field_name IS DISTINCT FROM new_row -> field_name THEN
+      INSERT INTO photo_audit_log (photo_id, action, field, old_value, new_value, changed_by, changed_by_email)
+      VALUES (NEW.id, 'update', field_name, old_row -> field_name, new_row -> field_name, auth.uid(), auth.jwt() ->> 'email');
+    END IF;
+  END LOOP;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS record_photos_audit ON photos;
+CREATE TRIGGER record_photos_audit
+  AFTER INSERT OR UPDATE OR DELETE ON photos
+  FOR EACH ROW
+  EXECUTE FUNCTION record_photo_audit();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE photo_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Policy for reading the log - all authenticated users can read
+-- (rows are written only by the SECURITY DEFINER trigger above; there are no
+-- update or delete policies, so the log is append-only for API users)
+CREATE POLICY "Allow authenticated users to read the audit log" ON photo_audit_log
+  FOR SELECT USING (auth.role() = 'authenticated');
@@ -0,0 +1,93 @@
+-- Migration to move the find type taxonomy into an admin-managed categories table
+-- Run this in your Supabase SQL editor after migration-add-admin-permissions.sql
+
+CREATE TABLE IF NOT EXISTS categories (
+  id BIGSERIAL PRIMARY KEY,
+  slug VARCHAR(100) NOT NULL UNIQUE, -- Value stored in photos.type
+  label VARCHAR(255) NOT NULL, -- Display name
+  color VARCHAR(20) NOT NULL DEFAULT '#9ca3af', -- Marker/badge color (hex)
+  icon VARCHAR(50), -- Optional emoji or short symbol shown in badges
+  parent_slug VARCHAR(100) REFERENCES categories(slug) ON UPDATE CASCADE ON DELETE SET NULL,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Seed the default taxonomy (previously hard-coded in formatTypeName)
+INSERT INTO categories (slug, label, color, sort_order) VALUES
+  ('target', 'Target', '#ef4444', 0),
+  ('coins', 'Coins', '#eab308', 10),
+  ('jewelry', 'Jewelry', '#ec4899', 20),
+  ('relics', 'Relics', '#a855f7', 30),
+  ('tools-and-hardware', 'Tools and Hardware', '#64748b', 40),
+  ('tokens-and-medallions', 'Tokens and Medallions', '#f97316', 50),
+  ('weapons-and-ammunition', 'Weapons and Ammunition', '#78716c', 60),
+  ('household-items', 'Household Items', '#14b8a6', 70),
+  ('military-items', 'Military Items', '#65a30d', 80),
+  ('industrial-scrap-junk', 'Industrial Scrap / Junk', '#57534e', 90),
+  ('religious-or-decorative-items', 'Religious or Decorative Items', '#6366f1', 100),
+  ('unknown', 'Unknown', '#9ca3af', 1000)
+ON CONFLICT (slug) DO NOTHING;
+
+-- Create categories for any other types already used by photos
+INSERT INTO categories (slug, label, sort_order)
+SELECT DISTINCT type, INITCAP(REPLACE(type, '-', ' ')), 500
+FROM photos
+WHERE type IS NOT NULL
+ON CONFLICT (slug) DO NOTHING;
+
+-- Link photos to categories; renaming a slug reassigns existing photos automatically
+ALTER TABLE photos DROP CONSTRAINT IF EXISTS photos_type_fkey;
+ALTER TABLE photos
+  ADD CONSTRAINT photos_type_fkey FOREIGN KEY (type)
+  REFERENCES categories(slug) ON UPDATE CASCADE ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_categories_sort_order ON categories(sort_order);
+CREATE INDEX IF NOT EXISTS idx_categories_parent_slug ON categories(parent_slug);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+
+-- Policy for reading categories - all authenticated users can read
+CREATE POLICY "Allow authenticated users to read categories" ON categories
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+-- Policy for managing categories - only admin users can insert, update and delete
+CREATE POLICY "Allow admin users to manage categories" ON categories
+  FOR ALL USING (
+    auth.role() = 'authenticated' AND 
+    (auth.jwt() -> 'app_metadata' ->> 'admin')::boolean = true
+  );
+
+-- Keep updated_at current (function defined in supabase-schema.sql)
+CREATE TRIGGER update_categories_updated_at 
+  BEFORE UPDATE ON categories 
+  FOR EACH ROW 
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Merge one category into another: reassigns photos and child categories,
+-- then removes the source category. Returns the number of photos moved.
+CREATE OR REPLACE FUNCTION merge_categories(source_slug TEXT, target_slug TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  moved_count INTEGER;
+BEGIN
+  IF source_slug = target_slug THEN
+    RAISE EXCEPTION 'Cannot merge a category into itself';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM categories WHERE slug = target_slug) THEN
+    RAISE EXCEPTION 'Target category % does not exist', target_slug;
+  END IF;
+
+  UPDATE photos SET type = target_slug WHERE type = source_slug;
+  GET DIAGNOSTICS moved_count = ROW_COUNT;
+
+  UPDATE categories SET parent_slug = target_slug
+  WHERE parent_slug = source_slug AND slug <> target_slug;
+
+  DELETE FROM categories WHERE slug = source_slug;
+
+  RETURN moved_count;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,81 @@
+-- Migration to keep the category tree free of cycles.
+-- Run this in your Supabase SQL editor after migration-add-categories.sql.
+-- A category whose parent chain leads back to itself disappears from every
+-- picker and filter, so such writes are rejected in the database, and
+-- merge_categories no longer creates one when merging into a descendant.
+
+-- Reject a category that would become its own ancestor
+CREATE OR REPLACE FUNCTION check_category_parent_cycle()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.parent_slug IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  -- Walk up from the new parent; on a rename the children still point at the old slug
+  IF NEW.parent_slug IN (NEW.slug, OLD.slug) OR EXISTS (
+    WITH RECURSIVE ancestors AS (
+      SELECT parent_slug FROM categories WHERE slug = NEW.parent_slug
+      UNION
+      SELECT c.parent_slug
+      FROM categories c
+      JOIN ancestors a ON c.slug = a.parent_slug
+    )
+    SELECT 1 FROM ancestors WHERE parent_slug IN (NEW.slug, OLD.slug)
+  ) THEN
+    RAISE EXCEPTION 'Category % cannot be its own ancestor', NEW.slug;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_category_parent_cycle ON categories;
+CREATE TRIGGER check_category_parent_cycle
+  BEFORE INSERT OR UPDATE OF slug, parent_slug ON categories
+  FOR EACH ROW
+  EXECUTE FUNCTION check_category_parent_cycle();
+
+-- Merge one category into another: reassigns photos and child categories,
+-- then removes the source category. Returns the number of photos moved.
+-- When the target is a descendant of the source, it first takes the source's
+-- place in the tree so the source's children can move under it.
+CREATE OR REPLACE FUNCTION merge_categories(source_slug TEXT, target_slug TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  moved_count INTEGER;
+BEGIN
+  IF source_slug = target_slug THEN
+    RAISE EXCEPTION 'Cannot merge a category into itself';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM categories WHERE slug = target_slug) THEN
+    RAISE EXCEPTION 'Target category % does not exist', target_slug;
+  END IF;
+
+  IF EXISTS (
+    WITH RECURSIVE descendants AS (
+      SELECT slug FROM categories WHERE parent_slug = source_slug
+      UNION
+      SELECT c.slug
+      FROM categories c
+      JOIN descendants d ON c.parent_slug = d.slug
+    )
+    SELECT 1 FROM descendants WHERE slug = target_slug
+  ) THEN
+    UPDATE categories
+    SET parent_slug = (SELECT parent_slug FROM categories WHERE slug = source_slug)
+    WHERE slug = target_slug;
+  END IF;
+
+  UPDATE photos SET type = target_slug WHERE type = source_slug;
+  GET DIAGNOSTICS moved_count = ROW_COUNT;
+
+  UPDATE categories SET parent_slug = target_slug
+  WHERE parent_slug = source_slug AND slug <> target_slug;
+
+  DELETE FROM categories WHERE slug = source_slug;
+
+  RETURN moved_count;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,22 @@
+-- Migration to refresh the search document of finds when their category is
+-- relabeled. Requires migration-add-search.sql, whose search_vector includes
+-- the category label but is otherwise only rebuilt when a find is edited.
+
+CREATE OR REPLACE FUNCTION refresh_photo_search_vector_for_category()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE photos SET search_vector = build_photo_search_vector(id, name, description, type)
+  WHERE type = NEW.slug;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS refresh_search_vector_on_category_label ON categories;
+CREATE TRIGGER refresh_search_vector_on_category_label
+  AFTER UPDATE OF label ON categories
+  FOR EACH ROW
+  WHEN (OLD.label IS DISTINCT FROM NEW.label)
+  EXECUTE FUNCTION refresh_photo_search_vector_for_category();
+
+-- Backfill finds of categories relabeled before this migration
+UPDATE photos SET search_vector = build_photo_search_vector(id, name, description, type);
@@ -0,0 +1,22 @@
+-- Migration to add structured dimensions of a find to photos table.
+-- Values are in millimeters and can be measured on a photo against a
+-- reference of known size (ruler segment or standard coin).
+
+-- Longest extent of an artifact
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS length_mm NUMERIC(7, 1);
+
+-- Extent across the length
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS width_mm NUMERIC(7, 1);
+
+-- Diameter of a coin, button or other round find
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS diameter_mm NUMERIC(7, 1);
+
+ALTER TABLE photos DROP CONSTRAINT IF EXISTS photos_dimensions_check;
+ALTER TABLE photos ADD CONSTRAINT photos_dimensions_check CHECK (
+  (length_mm IS NULL OR length_mm >= 0) AND
+  (width_mm IS NULL OR width_mm >= 0) AND
+  (diameter_mm IS NULL OR diameter_mm >= 0)
+);
+
+-- Index for querying finds by coin size
+CREATE INDEX IF NOT EXISTS idx_photos_diameter_mm ON photos(diameter_mm);
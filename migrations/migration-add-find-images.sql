@@ -0,0 +1,46 @@
+-- Migration to support multiple images per find
+-- Each photos row becomes a find record; its images live in find_images.
+-- The photos row keeps a copy of the cover image (image_data, thumbnail_data,
+-- storage_path) so list and map loading stay unchanged.
+
+CREATE TABLE IF NOT EXISTS find_images (
+  id BIGSERIAL PRIMARY KEY,
+  photo_id BIGINT NOT NULL REFERENCES photos(id) ON DELETE CASCADE,
+  storage_path VARCHAR(500), -- Path to the original image in Supabase Storage
+  image_data TEXT, -- Base64 encoded compressed image
+  thumbnail_data TEXT, -- Base64 encoded thumbnail
+  filename VARCHAR(255),
+  position INTEGER NOT NULL DEFAULT 0, -- Gallery order within the find
+  user_id UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_find_images_photo_id ON find_images(photo_id, position);
+
+-- Track which image is the cover of the find
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS cover_image_id BIGINT REFERENCES find_images(id) ON DELETE SET NULL;
+
+-- Backfill: every existing photo's image becomes the first (cover) image of its find
+INSERT INTO find_images (photo_id, storage_path, image_data, thumbnail_data, filename, position, user_id, created_at)
+SELECT p.id, p.storage_path, p.image_data, p.thumbnail_data, p.filename, 0, p.user_id, p.created_at
+FROM photos p
+WHERE NOT EXISTS (SELECT 1 FROM find_images fi WHERE fi.photo_id = p.id);
+
+UPDATE photos p
+SET cover_image_id = fi.id
+FROM find_images fi
+WHERE fi.photo_id = p.id AND fi.position = 0 AND p.cover_image_id IS NULL;
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE find_images ENABLE ROW LEVEL SECURITY;
+
+-- Policy for reading images - all authenticated users can read
+CREATE POLICY "Allow authenticated users to read find images" ON find_images
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+-- Policy for managing images - only admin users can insert, update and delete
+CREATE POLICY "Allow admin users to manage find images" ON find_images
+  FOR ALL USING (
+    auth.role() = 'authenticated' AND 
+    (auth.jwt() -> 'app_metadata' ->> 'admin')::boolean = true
+  );
@@ -0,0 +1,24 @@
+-- Migration to serve images from storage instead of base64 columns.
+-- Every original gets a thumb (400px) and a medium (1600px) copy under
+-- derivatives/<size>/<original path> in the original-images bucket; the app
+-- loads them through short-lived signed URLs so the bucket can be private.
+-- image_data and thumbnail_data stay as a fallback for rows without
+-- derivatives. Create derivatives for existing images with
+-- `npm run generate-image-derivatives`.
+
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS thumbnail_path VARCHAR(500);
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS medium_path VARCHAR(500);
+
+ALTER TABLE find_images ADD COLUMN IF NOT EXISTS thumbnail_path VARCHAR(500);
+ALTER TABLE find_images ADD COLUMN IF NOT EXISTS medium_path VARCHAR(500);
+
+COMMENT ON COLUMN photos.thumbnail_path IS 'Path to the thumbnail of the cover image in Supabase Storage';
+COMMENT ON COLUMN photos.medium_path IS 'Path to the medium-size cover image in Supabase Storage';
+COMMENT ON COLUMN find_images.thumbnail_path IS 'Path to the thumbnail in Supabase Storage';
+COMMENT ON COLUMN find_images.medium_path IS 'Path to the medium-size image in Supabase Storage';
+
+-- Signed URLs work on private buckets; public URLs stop working
+UPDATE storage.buckets SET public = false WHERE id = 'original-images';
+
+-- Stored files are never overwritten, so nobody may update them
+DROP POLICY IF EXISTS "Allow authenticated users to update files" ON storage.objects;
@@ -0,0 +1,14 @@
+-- Migration to support duplicate photo detection
+-- Every find image stores a SHA-256 checksum of its original file and a
+-- 64-bit difference hash (16 hex characters) of its pixels. Uploads compare
+-- against images of finds near the same coordinates; run
+-- scripts/backfill-image-hashes.js to hash images uploaded before this migration.
+
+ALTER TABLE find_images ADD COLUMN IF NOT EXISTS checksum VARCHAR(64);
+ALTER TABLE find_images ADD COLUMN IF NOT EXISTS phash VARCHAR(16);
+
+CREATE INDEX IF NOT EXISTS idx_find_images_checksum ON find_images(checksum);
+
+-- Nearby finds are looked up by a lat/lng bounding box
+CREATE INDEX IF NOT EXISTS idx_photos_lat_lng ON photos(lat, lng)
+  WHERE deleted_at IS NULL;
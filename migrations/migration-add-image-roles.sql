@@ -0,0 +1,11 @@
+-- Migration to add roles to find images, so conservation photos taken after
+-- cleaning can be paired with the photos taken when the find was dug up.
+-- Roles: in_situ (in the ground), as_found (just after recovery),
+-- cleaned (after cleaning/conservation), reverse (back side of the find).
+-- Images without a role are shown as before.
+
+ALTER TABLE find_images ADD COLUMN IF NOT EXISTS role VARCHAR(20);
+
+ALTER TABLE find_images DROP CONSTRAINT IF EXISTS find_images_role_check;
+ALTER TABLE find_images ADD CONSTRAINT find_images_role_check
+  CHECK (role IS NULL OR role IN ('in_situ', 'as_found', 'cleaned', 'reverse'));
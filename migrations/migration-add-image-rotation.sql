@@ -0,0 +1,61 @@
+-- Migration to rotate images without overwriting or re-encoding the upload.
+-- Requires migration-add-find-images.sql, migration-add-storage-path.sql and
+-- migration-add-trash-purge-job.sql.
+-- Rotating an image keeps the uploaded original untouched in source_path and
+-- renders the total rotation from it into a new file at storage_path, so
+-- repeated rotations lose no quality and no stored file is ever replaced.
+-- Rotating back to 0° points storage_path at the upload again.
+
+ALTER TABLE find_images ADD COLUMN IF NOT EXISTS source_path VARCHAR(500);
+ALTER TABLE find_images ADD COLUMN IF NOT EXISTS rotation SMALLINT NOT NULL DEFAULT 0
+  CHECK (rotation IN (0, 90, 180, 270));
+
+-- The photos row mirrors its cover image
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS source_path VARCHAR(500);
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS rotation SMALLINT NOT NULL DEFAULT 0
+  CHECK (rotation IN (0, 90, 180, 270));
+
+COMMENT ON COLUMN find_images.source_path IS 'Untouched upload of a rotated image in Supabase Storage (NULL = storage_path is the upload)';
+COMMENT ON COLUMN find_images.rotation IS 'Clockwise rotation in degrees of storage_path relative to source_path';
+COMMENT ON COLUMN photos.source_path IS 'Untouched upload of the rotated cover image in Supabase Storage';
+COMMENT ON COLUMN photos.rotation IS 'Clockwise rotation in degrees of the cover image relative to its upload';
+
+-- The trash purge (migration-add-trash-purge-job.sql) also returns the
+-- untouched uploads of rotated images and the unversioned derivatives of the
+-- original, so it removes the same files as deleting a find in the app
+CREATE OR REPLACE FUNCTION purge_expired_trash(retention_days INTEGER DEFAULT 30)
+RETURNS SETOF TEXT AS $$
+DECLARE
+  expired_ids BIGINT[];
+BEGIN
+  SELECT array_agg(id) INTO expired_ids
+  FROM photos
+  WHERE deleted_at < NOW() - make_interval(days => GREATEST(retention_days, 1));
+
+  IF expired_ids IS NULL THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT DISTINCT path::TEXT FROM (
+    SELECT unnest(ARRAY[
+      storage_path, source_path, thumbnail_path, medium_path,
+      'derivatives/thumb/' || storage_path, 'derivatives/medium/' || storage_path
+    ]) AS path
+    FROM photos WHERE id = ANY(expired_ids)
+    UNION ALL
+    SELECT unnest(ARRAY[
+      storage_path, source_path, thumbnail_path, medium_path,
+      'derivatives/thumb/' || storage_path, 'derivatives/medium/' || storage_path
+    ])
+    FROM find_images WHERE photo_id = ANY(expired_ids)
+    UNION ALL
+    SELECT storage_path FROM voice_memos WHERE photo_id = ANY(expired_ids)
+  ) paths
+  WHERE path IS NOT NULL;
+
+  DELETE FROM photos WHERE id = ANY(expired_ids);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION purge_expired_trash(INTEGER) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,6 @@
+-- Migration to support keyset (cursor) pagination of photos
+-- Pages are ordered by (created_at, id) newest first; this index serves both
+-- the ordering and the "after cursor" condition.
+
+CREATE INDEX IF NOT EXISTS idx_photos_created_at_id ON photos(created_at DESC, id DESC)
+  WHERE deleted_at IS NULL;
@@ -0,0 +1,8 @@
+-- Migration to record where a find's position came from
+-- location_source is 'exif' (GPS in the photo), 'map' (clicked map point) or
+-- 'device' (the device's location at capture). Finds saved before this
+-- migration keep NULL (unknown). altitude is meters above sea level from EXIF.
+
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS altitude DOUBLE PRECISION;
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS location_source VARCHAR(20)
+  CHECK (location_source IN ('exif', 'map', 'device'));
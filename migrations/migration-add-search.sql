@@ -0,0 +1,92 @@
+-- Migration to add full-text search over find names, descriptions, types and tags
+-- Requires migration-add-categories.sql and migration-add-tags.sql
+
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+-- Create a GIN index for full-text search
+CREATE INDEX IF NOT EXISTS idx_photos_search_vector ON photos USING GIN (search_vector);
+
+-- Build the search document of a find. Names rank highest, then tags and
+-- descriptions, then the type (slug and category label).
+-- The 'simple' configuration is used because names and descriptions mix languages.
+CREATE OR REPLACE FUNCTION build_photo_search_vector(
+  p_photo_id BIGINT,
+  p_name TEXT,
+  p_description TEXT,
+  p_type TEXT
+)
+RETURNS tsvector AS $$
+  SELECT
+    setweight(to_tsvector('simple', coalesce(p_name, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce((
+      SELECT string_agg(t.name, ' ')
+      FROM photo_tags pt JOIN tags t ON t.id = pt.tag_id
+      WHERE pt.photo_id = p_photo_id
+    ), '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(p_description, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(p_type, '') || ' ' || coalesce((
+      SELECT c.label FROM categories c WHERE c.slug = p_type
+    ), '')), 'C');
+$$ LANGUAGE sql STABLE;
+
+-- Keep the search document up to date when a find is edited
+CREATE OR REPLACE FUNCTION update_photo_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector := build_photo_search_vector(NEW.id, NEW.name, NEW.description, NEW.type);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_photos_search_vector ON photos;
+CREATE TRIGGER update_photos_search_vector
+  BEFORE INSERT OR UPDATE OF name, description, type ON photos
+  FOR EACH ROW
+  EXECUTE FUNCTION update_photo_search_vector();
+
+-- Refresh the search document when tags are added, removed or renamed
+CREATE OR REPLACE FUNCTION refresh_photo_search_vector_for_tags()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_TABLE_NAME = 'photo_tags' THEN
+    UPDATE photos SET search_vector = build_photo_search_vector(id, name, description, type)
+    WHERE id = COALESCE(NEW.photo_id, OLD.photo_id);
+  ELSE
+    UPDATE photos SET search_vector = build_photo_search_vector(id, name, description, type)
+    WHERE id IN (SELECT photo_id FROM photo_tags WHERE tag_id = NEW.id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS refresh_search_vector_on_photo_tags ON photo_tags;
+CREATE TRIGGER refresh_search_vector_on_photo_tags
+  AFTER INSERT OR DELETE ON photo_tags
+  FOR EACH ROW
+  EXECUTE FUNCTION refresh_photo_search_vector_for_tags();
+
+DROP TRIGGER IF EXISTS refresh_search_vector_on_tag_rename ON tags;
+CREATE TRIGGER refresh_search_vector_on_tag_rename
+  AFTER UPDATE OF name ON tags
+  FOR EACH ROW
+  EXECUTE FUNCTION refresh_photo_search_vector_for_tags();
+
+-- Backfill existing finds
+UPDATE photos SET search_vector = build_photo_search_vector(id, name, description, type);
+
+-- Search finds (not in the trash), best matches first. Every word of the query
+-- must match, and words match as prefixes ("bro" finds "brooch").
+CREATE OR REPLACE FUNCTION search_photos(search_query TEXT, max_rows INTEGER DEFAULT 200)
+RETURNS SETOF photos AS $$
+  WITH query AS (
+    SELECT to_tsquery('simple', string_agg(quote_literal(lexeme) || ':*', ' & ')) AS q
+    FROM unnest(tsvector_to_array(to_tsvector('simple', search_query))) AS lexeme
+  )
+  SELECT p.*
+  FROM photos p, query
+  WHERE query.q IS NOT NULL
+    AND p.search_vector @@ query.q
+    AND p.deleted_at IS NULL
+  ORDER BY ts_rank(p.search_vector, query.q) DESC, p.created_at DESC
+  LIMIT max_rows;
+$$ LANGUAGE sql STABLE;
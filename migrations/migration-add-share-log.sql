@@ -0,0 +1,32 @@
+-- Migration to log exported (shared) images: which find and image, who it was
+-- shared with, how the location was handled and the watermark used.
+-- Exported files never contain the exact location (see src/lib/imageExport.js).
+
+CREATE TABLE IF NOT EXISTS image_shares (
+  id BIGSERIAL PRIMARY KEY,
+  photo_id BIGINT NOT NULL REFERENCES photos(id) ON DELETE CASCADE,
+  image_id BIGINT REFERENCES find_images(id) ON DELETE SET NULL, -- NULL when the find's cover image was exported
+  shared_with VARCHAR(255) NOT NULL,
+  location_precision VARCHAR(20) NOT NULL
+    CHECK (location_precision IN ('removed', 'approximate')),
+  watermark VARCHAR(255),
+  user_id UUID REFERENCES auth.users(id),
+  shared_by_email VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_image_shares_photo_id ON image_shares(photo_id, created_at);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE image_shares ENABLE ROW LEVEL SECURITY;
+
+-- Policy for reading the share log - all authenticated users can read
+CREATE POLICY "Allow authenticated users to read image shares" ON image_shares
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+-- Policy for logging shares - authenticated users log their own exports
+CREATE POLICY "Allow authenticated users to log their image shares" ON image_shares
+  FOR INSERT WITH CHECK (
+    auth.role() = 'authenticated' AND
+    user_id = auth.uid()
+  );
@@ -0,0 +1,23 @@
+-- Migration to add structured detector signal and dig metadata to photos table
+
+-- Target ID / VDI reading shown by the detector
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS target_id INTEGER;
+
+-- Audio tone of the signal (e.g. low, mid, high)
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS tone VARCHAR(50);
+
+-- Depth of the find in centimeters
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS depth_cm NUMERIC(6, 1);
+
+-- Detector setup used for the find
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS detector_model VARCHAR(100);
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS detector_program VARCHAR(100);
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS coil VARCHAR(100);
+
+ALTER TABLE photos DROP CONSTRAINT IF EXISTS photos_depth_cm_check;
+ALTER TABLE photos ADD CONSTRAINT photos_depth_cm_check CHECK (depth_cm IS NULL OR depth_cm >= 0);
+
+-- Create indexes for querying and charting by signal
+CREATE INDEX IF NOT EXISTS idx_photos_target_id ON photos(target_id);
+CREATE INDEX IF NOT EXISTS idx_photos_depth_cm ON photos(depth_cm);
+CREATE INDEX IF NOT EXISTS idx_photos_detector_model ON photos(detector_model);
@@ -0,0 +1,29 @@
+-- Migration to add a PostGIS location column and a bounding box query for the map
+-- The map only loads the finds inside the visible area.
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+-- Point geometry kept in sync with lat/lng automatically
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS location geometry(Point, 4326)
+  GENERATED ALWAYS AS (ST_SetSRID(ST_MakePoint(lng, lat), 4326)) STORED;
+
+-- Create a spatial index for bounding box queries
+CREATE INDEX IF NOT EXISTS idx_photos_location ON photos USING GIST (location);
+
+-- Photos (not in the trash) inside a bounding box, newest first.
+-- Returns photos rows so the API can select columns and embed tags.
+CREATE OR REPLACE FUNCTION photos_in_bounds(
+  min_lng DOUBLE PRECISION,
+  min_lat DOUBLE PRECISION,
+  max_lng DOUBLE PRECISION,
+  max_lat DOUBLE PRECISION,
+  max_rows INTEGER DEFAULT 1000
+)
+RETURNS SETOF photos AS $$
+  SELECT *
+  FROM photos
+  WHERE location && ST_MakeEnvelope(min_lng, min_lat, max_lng, max_lat, 4326)
+    AND deleted_at IS NULL
+  ORDER BY created_at DESC
+  LIMIT max_rows;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,57 @@
+-- Migration to add a find lifecycle status (target -> dug -> identified -> archived)
+-- with a recorded history of every status transition
+
+-- Add status column; existing finds start as targets
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'target';
+
+ALTER TABLE photos DROP CONSTRAINT IF EXISTS photos_status_check;
+ALTER TABLE photos ADD CONSTRAINT photos_status_check
+  CHECK (status IN ('target', 'dug', 'identified', 'archived'));
+
+-- Create an index on status for faster filtering
+CREATE INDEX IF NOT EXISTS idx_photos_status ON photos(status);
+
+-- Status transition history
+CREATE TABLE IF NOT EXISTS photo_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  photo_id BIGINT NOT NULL REFERENCES photos(id) ON DELETE CASCADE,
+  from_status VARCHAR(20), -- NULL for the initial status of a new find
+  to_status VARCHAR(20) NOT NULL,
+  changed_by UUID REFERENCES auth.users(id),
+  changed_by_email VARCHAR(255),
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_photo_status_history_photo_id ON photo_status_history(photo_id, changed_at);
+
+-- Record status transitions automatically, including who made them
+CREATE OR REPLACE FUNCTION record_photo_status_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO photo_status_history (photo_id, from_status, to_status, changed_by, changed_by_email)
+    VALUES (
+      NEW.id,
+      CASE WHEN TG_OP = 'UPDATE' THEN OLD.status ELSE NULL END,
+      NEW.status,
+      auth.uid(),
+      auth.jwt() ->> 'email'
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS record_photos_status_change ON photos;
+CREATE TRIGGER record_photos_status_change
+  AFTER INSERT OR UPDATE OF status ON photos
+  FOR EACH ROW
+  EXECUTE FUNCTION record_photo_status_change();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE photo_status_history ENABLE ROW LEVEL SECURITY;
+
+-- Policy for reading history - all authenticated users can read
+-- (rows are written only by the SECURITY DEFINER trigger above)
+CREATE POLICY "Allow authenticated users to read status history" ON photo_status_history
+  FOR SELECT USING (auth.role() = 'authenticated');
@@ -0,0 +1,44 @@
+-- Migration to add free-form tags to finds (many-to-many)
+
+CREATE TABLE IF NOT EXISTS tags (
+  id BIGSERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Tag names are unique regardless of case ("Field 7" and "field 7" are the same tag)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_name_lower ON tags(LOWER(name));
+
+CREATE TABLE IF NOT EXISTS photo_tags (
+  photo_id BIGINT NOT NULL REFERENCES photos(id) ON DELETE CASCADE,
+  tag_id BIGINT NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (photo_id, tag_id)
+);
+
+-- Create an index on tag_id for filtering photos by tag
+CREATE INDEX IF NOT EXISTS idx_photo_tags_tag_id ON photo_tags(tag_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE photo_tags ENABLE ROW LEVEL SECURITY;
+
+-- Policies for reading - all authenticated users can read
+CREATE POLICY "Allow authenticated users to read tags" ON tags
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Allow authenticated users to read photo tags" ON photo_tags
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+-- Policies for managing - only admin users can insert, update and delete
+CREATE POLICY "Allow admin users to manage tags" ON tags
+  FOR ALL USING (
+    auth.role() = 'authenticated' AND 
+    (auth.jwt() -> 'app_metadata' ->> 'admin')::boolean = true
+  );
+
+CREATE POLICY "Allow admin users to manage photo tags" ON photo_tags
+  FOR ALL USING (
+    auth.role() = 'authenticated' AND 
+    (auth.jwt() -> 'app_metadata' ->> 'admin')::boolean = true
+  );
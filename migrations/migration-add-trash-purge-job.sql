@@ -0,0 +1,68 @@
+-- Migration to purge the trash on a schedule instead of from the browser.
+-- Requires migration-add-trash.sql, migration-add-voice-memos.sql and
+-- migration-add-image-derivatives.sql, the pg_cron and pg_net extensions
+-- (Database > Extensions) and the purge-expired-trash Edge Function:
+--   supabase functions deploy purge-expired-trash
+-- Store the project URL and service role key in Vault before running it:
+--   SELECT vault.create_secret('https://<project-ref>.supabase.co', 'project_url');
+--   SELECT vault.create_secret('<service-role-key>', 'service_role_key');
+-- The function reads the retention period from its TRASH_RETENTION_DAYS
+-- secret (default 30); keep it in sync with VITE_TRASH_RETENTION_DAYS:
+--   supabase secrets set TRASH_RETENTION_DAYS=30
+
+-- Permanently delete photos that have been in the trash longer than
+-- retention_days (at least one day). Their gallery images, voice memos, tags, history and share
+-- log are removed by ON DELETE CASCADE. Returns the storage paths of the
+-- deleted images (with their derivatives) and voice memos, which the Edge
+-- Function removes through the Storage API.
+CREATE OR REPLACE FUNCTION purge_expired_trash(retention_days INTEGER DEFAULT 30)
+RETURNS SETOF TEXT AS $$
+DECLARE
+  expired_ids BIGINT[];
+BEGIN
+  SELECT array_agg(id) INTO expired_ids
+  FROM photos
+  WHERE deleted_at < NOW() - make_interval(days => GREATEST(retention_days, 1));
+
+  IF expired_ids IS NULL THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT DISTINCT path::TEXT FROM (
+    SELECT unnest(ARRAY[storage_path, thumbnail_path, medium_path]) AS path
+    FROM photos WHERE id = ANY(expired_ids)
+    UNION ALL
+    SELECT unnest(ARRAY[storage_path, thumbnail_path, medium_path])
+    FROM find_images WHERE photo_id = ANY(expired_ids)
+    UNION ALL
+    SELECT storage_path FROM voice_memos WHERE photo_id = ANY(expired_ids)
+  ) paths
+  WHERE path IS NOT NULL;
+
+  DELETE FROM photos WHERE id = ANY(expired_ids);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the Edge Function (service role) may purge
+REVOKE EXECUTE ON FUNCTION purge_expired_trash(INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Run the purge every night at 03:00 UTC
+SELECT cron.unschedule('purge-expired-trash')
+WHERE EXISTS (SELECT 1 FROM cron.job WHERE jobname = 'purge-expired-trash');
+
+SELECT cron.schedule(
+  'purge-expired-trash',
+  '0 3 * * *',
+  $$
+  SELECT net.http_post(
+    url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+      || '/functions/v1/purge-expired-trash',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+    ),
+    body := '{}'::jsonb
+  );
+  $$
+);
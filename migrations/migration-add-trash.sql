@@ -0,0 +1,15 @@
+-- Migration to add soft delete (trash) to photos
+-- Deleted photos keep their row and stored images until they are purged.
+-- The app purges photos that have been in the trash longer than
+-- VITE_TRASH_RETENTION_DAYS (default 30) when an admin signs in.
+
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES auth.users(id);
+
+-- Create an index for listing the trash and finding expired photos
+CREATE INDEX IF NOT EXISTS idx_photos_deleted_at ON photos(deleted_at)
+  WHERE deleted_at IS NOT NULL;
+
+-- Add comments to document the columns
+COMMENT ON COLUMN photos.deleted_at IS 'When the photo was moved to the trash (NULL = not deleted)';
+COMMENT ON COLUMN photos.deleted_by IS 'User who moved the photo to the trash';
@@ -0,0 +1,30 @@
+-- Migration to add voice memos recorded in the field to finds.
+-- The audio is stored in the original-images bucket next to the find's
+-- images; rows are removed with the find (ON DELETE CASCADE) and the app
+-- deletes the stored audio when a find is purged from the trash.
+
+CREATE TABLE IF NOT EXISTS voice_memos (
+  id BIGSERIAL PRIMARY KEY,
+  photo_id BIGINT NOT NULL REFERENCES photos(id) ON DELETE CASCADE,
+  storage_path VARCHAR(500) NOT NULL, -- Path to the audio in Supabase Storage
+  mime_type VARCHAR(100), -- Recorded format, e.g. audio/webm or audio/mp4
+  duration_seconds NUMERIC(7, 1),
+  user_id UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_memos_photo_id ON voice_memos(photo_id, created_at);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE voice_memos ENABLE ROW LEVEL SECURITY;
+
+-- Policy for reading memos - all authenticated users can read
+CREATE POLICY "Allow authenticated users to read voice memos" ON voice_memos
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+-- Policy for managing memos - only admin users can insert, update and delete
+CREATE POLICY "Allow admin users to manage voice memos" ON voice_memos
+  FOR ALL USING (
+    auth.role() = 'authenticated' AND
+    (auth.jwt() -> 'app_metadata' ->> 'admin')::boolean = true
+  );
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill Image Hashes Script
+ *
+ * Computes the checksum and perceptual hash used for duplicate detection for
+ * find images uploaded before migration-add-image-hashes.sql. Hashes are taken
+ * from the original image in storage, falling back to the compressed image in
+ * the database for images that were never moved to storage.
+ *
+ * Usage:
+ *   npm run backfill-image-hashes
+ *   node scripts/backfill-image-hashes.js --dry-run
+ *   node scripts/backfill-image-hashes.js --force --limit=100
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import sharp from "sharp";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import dotenv from "dotenv";
+import {
+  buildDifferenceHash,
+  reduceToDHashGrid,
+} from "../src/lib/imageHash.js";
+
+// Get the directory of the current script
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from .env file
+dotenv.config({ path: join(__dirname, ".env") });
+
+// Get Supabase configuration from environment variables
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseKey =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY;
+
+// Validate required environment variables
+if (!supabaseUrl || !supabaseKey) {
+  console.error("❌ Missing required environment variables!");
+  console.error("Please create a .env file with the following variables:");
+  console.error("VITE_SUPABASE_URL=your-supabase-url");
+  console.error("VITE_SUPABASE_ANON_KEY=your-anon-key");
+  console.error(
+    "SUPABASE_SERVICE_ROLE_KEY=your-service-role-key (recommended)"
+  );
+  process.exit(1);
+}
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Storage bucket name for original images
+const STORAGE_BUCKET = "original-images";
+
+const FETCH_BATCH_SIZE = 20;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const force = args.includes("--force");
+const limitArg = args.find((arg) => arg.startsWith("--limit="));
+const limit = limitArg ? parseInt(limitArg.split("=")[1]) : null;
+
+/**
+ * Load the original image bytes of a find image
+ */
+async function loadImageBuffer(image) {
+  if (image.storage_path) {
+    const { data, error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .download(image.storage_path);
+
+    if (!error) {
+      return Buffer.from(await data.arrayBuffer());
+    }
+    console.warn(
+      `    ⚠️ Could not download ${image.storage_path}: ${error.message}`
+    );
+  }
+
+  if (image.image_data) {
+    const base64Data = image.image_data.replace(
+      /^data:image\/[a-z]+;base64,/,
+      ""
+    );
+    return Buffer.from(base64Data, "base64");
+  }
+
+  throw new Error("No image data available");
+}
+
+/**
+ * Compute the SHA-256 checksum and difference hash of an image
+ */
+async function computeHashes(buffer) {
+  const checksum = createHash("sha256").update(buffer).digest("hex");
+
+  // Browsers apply EXIF orientation when decoding, so rotate before sampling
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const grayscale = reduceToDHashGrid(
+    data,
+    info.width,
+    info.height,
+    info.channels
+  );
+
+  return { checksum, phash: buildDifferenceHash(grayscale) };
+}
+
+/**
+ * Fetch the next batch of find images after the given id
+ */
+async function getImagesBatch(afterId, batchSize) {
+  let query = supabase
+    .from("find_images")
+    .select("id, photo_id, storage_path, image_data")
+    .gt("id", afterId)
+    .order("id", { ascending: true })
+    .limit(batchSize);
+
+  if (!force) {
+    query = query.or("checksum.is.null,phash.is.null");
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Main function to backfill image hashes
+ */
+async function backfillImageHashes() {
+  console.log("🚀 Starting image hash backfill...\n");
+
+  if (dryRun) {
+    console.log("🔍 DRY RUN MODE - No changes will be made\n");
+  }
+
+  const results = { processed: 0, successful: 0, failed: 0, errors: [] };
+  let lastId = 0;
+
+  while (!limit || results.processed < limit) {
+    const batchSize = limit
+      ? Math.min(FETCH_BATCH_SIZE, limit - results.processed)
+      : FETCH_BATCH_SIZE;
+    const images = await getImagesBatch(lastId, batchSize);
+
+    if (images.length === 0) {
+      break;
+    }
+
+    for (const image of images) {
+      lastId = image.id;
+      results.processed++;
+
+      try {
+        console.log(
+          `  📸 Hashing image ${image.id} (find ${image.photo_id})...`
+        );
+        const buffer = await loadImageBuffer(image);
+        const hashes = await computeHashes(buffer);
+
+        if (dryRun) {
+          console.log(
+            `    🔍 [DRY RUN] Would set checksum ${hashes.checksum.slice(0, 12)}… and phash ${hashes.phash}`
+          );
+          results.successful++;
+          continue;
+        }
+
+        const { error } = await supabase
+          .from("find_images")
+          .update(hashes)
+          .eq("id", image.id);
+
+        if (error) {
+          throw new Error(`Update error: ${error.message}`);
+        }
+
+        results.successful++;
+        console.log(`    ✅ phash ${hashes.phash}`);
+      } catch (error) {
+        results.failed++;
+        results.errors.push(`Image ${image.id}: ${error.message}`);
+        console.error(`    ❌ Error hashing image ${image.id}:`, error.message);
+      }
+    }
+  }
+
+  console.log("\n📊 Image Hash Backfill Complete!");
+  console.log("================================");
+  console.log(`📸 Total images processed: ${results.processed}`);
+  console.log(`✅ Successfully hashed: ${results.successful}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.errors.length > 0) {
+    console.log("\n❌ Errors encountered:");
+    results.errors.forEach((error) => console.log(`  - ${error}`));
+  }
+}
+
+// Handle command line arguments
+if (args.includes("--help") || args.includes("-h")) {
+  console.log(`
+Backfill Image Hashes Script
+
+Usage:
+  npm run backfill-image-hashes
+  node scripts/backfill-image-hashes.js [options]
+
+Options:
+  --help, -h    Show this help message
+  --force       Rehash images that already have hashes
+  --limit=N     Limit processing to N images
+  --dry-run     Show what would be done without making changes
+
+Environment Variables:
+  VITE_SUPABASE_URL          Your Supabase project URL
+  VITE_SUPABASE_ANON_KEY     Your Supabase anonymous key
+  SUPABASE_SERVICE_ROLE_KEY  Service role key (bypasses RLS) - recommended
+`);
+  process.exit(0);
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  backfillImageHashes()
+    .then(() => {
+      console.log("\n🏁 Script completed");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Script failed:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+
+/**
+ * Fix Image Orientation Script
+ *
+ * Finds originals in storage that still carry an EXIF orientation (uploaded
+ * before orientation was applied at capture) and bakes the orientation into
+ * the pixels. The upright original is written to a new path (the upload is
+ * kept untouched as source_path) and the compressed image, thumbnail,
+ * checksum and perceptual hash are regenerated from it, so the list, the map
+ * and the original all show the photo the same way up.
+ *
+ * Images without an original in storage have no EXIF data left to go by; use
+ * the Rotate button in the photo details to fix those.
+ *
+ * Usage:
+ *   npm run fix-image-orientation
+ *   node scripts/fix-image-orientation.js --dry-run
+ *   node scripts/fix-image-orientation.js --id=123,456 --limit=100
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import sharp from "sharp";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import dotenv from "dotenv";
+import {
+  IMAGE_CACHE_CONTROL,
+  createPathVersion,
+  getRotatedPath,
+} from "../src/lib/imageDerivatives.js";
+import {
+  buildDifferenceHash,
+  reduceToDHashGrid,
+} from "../src/lib/imageHash.js";
+
+// Get the directory of the current script
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from .env file
+dotenv.config({ path: join(__dirname, ".env") });
+
+// Get Supabase configuration from environment variables
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseKey =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY;
+
+// Validate required environment variables
+if (!supabaseUrl || !supabaseKey) {
+  console.error("❌ Missing required environment variables!");
+  console.error("Please create a .env file with the following variables:");
+  console.error("VITE_SUPABASE_URL=your-supabase-url");
+  console.error("VITE_SUPABASE_ANON_KEY=your-anon-key");
+  console.error(
+    "SUPABASE_SERVICE_ROLE_KEY=your-service-role-key (recommended)"
+  );
+  process.exit(1);
+}
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Storage bucket name for original images
+const STORAGE_BUCKET = "original-images";
+
+// Image sizes stored in the database (must match compressImage and
+// createThumbnail in src/photoService.js)
+const COMPRESSED_CONFIG = { maxWidth: 800, maxHeight: 600, quality: 80 };
+const THUMBNAIL_CONFIG = { maxWidth: 800, maxHeight: 800, quality: 85 };
+
+// JPEG quality of the re-encoded original
+const ORIGINAL_QUALITY = 92;
+
+const FETCH_BATCH_SIZE = 20;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const idArg = args.find((arg) => arg.startsWith("--id="));
+const limitArg = args.find((arg) => arg.startsWith("--limit="));
+const limit = limitArg ? parseInt(limitArg.split("=")[1]) : null;
+
+// Parse find image IDs
+const imageIds = idArg
+  ? idArg
+      .split("=")[1]
+      .split(",")
+      .map((id) => parseInt(id.trim()))
+      .filter((id) => !isNaN(id))
+  : [];
+
+/**
+ * Resize an image to fit inside the given box and encode it as a data URL
+ */
+async function toJpegDataURL(buffer, { maxWidth, maxHeight, quality }) {
+  const resized = await sharp(buffer)
+    .resize(maxWidth, maxHeight, { fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality })
+    .toBuffer();
+  return `data:image/jpeg;base64,${resized.toString("base64")}`;
+}
+
+/**
+ * Difference hash of an image, computed like src/lib/imageHash.js
+ */
+async function computePerceptualHash(buffer) {
+  const { data, info } = await sharp(buffer)
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return buildDifferenceHash(
+    reduceToDHashGrid(data, info.width, info.height, info.channels)
+  );
+}
+
+/**
+ * Fetch the next batch of find images with an original after the given id
+ */
+async function getImagesBatch(afterId, batchSize) {
+  let query = supabase
+    .from("find_images")
+    .select("id, photo_id, storage_path")
+    .not("storage_path", "is", null)
+    .gt("id", afterId)
+    .order("id", { ascending: true })
+    .limit(batchSize);
+
+  if (imageIds.length > 0) {
+    query = query.in("id", imageIds);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Apply the EXIF orientation of one find image. Returns false when the
+ * original is already upright.
+ */
+async function fixImage(image) {
+  const { data, error } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .download(image.storage_path);
+
+  if (error) {
+    throw new Error(`Download error: ${error.message}`);
+  }
+
+  const buffer = Buffer.from(await data.arrayBuffer());
+  const { orientation } = await sharp(buffer).metadata();
+  if (!orientation || orientation === 1) {
+    return false;
+  }
+
+  console.log(`    🔄 EXIF orientation ${orientation}`);
+  if (dryRun) {
+    console.log("    🔍 [DRY RUN] Would rotate original and regenerate images");
+    return true;
+  }
+
+  // rotate() without an angle applies the EXIF orientation and drops the tag
+  const original = await sharp(buffer)
+    .rotate()
+    .jpeg({ quality: ORIGINAL_QUALITY })
+    .toBuffer();
+  const compressedImage = await toJpegDataURL(original, COMPRESSED_CONFIG);
+  const thumbnail = await toJpegDataURL(
+    Buffer.from(compressedImage.split(",")[1], "base64"),
+    THUMBNAIL_CONFIG
+  );
+
+  // Stored files are never overwritten: the upright copy gets a new path
+  const storagePath = getRotatedPath(image.storage_path, createPathVersion());
+  const { error: uploadError } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .upload(storagePath, original, {
+      contentType: "image/jpeg",
+      cacheControl: IMAGE_CACHE_CONTROL,
+      upsert: false,
+    });
+
+  if (uploadError) {
+    throw new Error(`Upload error: ${uploadError.message}`);
+  }
+
+  const imageColumns = {
+    image_data: compressedImage,
+    thumbnail_data: thumbnail,
+    storage_path: storagePath,
+    source_path: image.storage_path,
+  };
+
+  const { error: imageError } = await supabase
+    .from("find_images")
+    .update({
+      ...imageColumns,
+      checksum: createHash("sha256").update(original).digest("hex"),
+      phash: await computePerceptualHash(original),
+    })
+    .eq("id", image.id);
+
+  if (imageError) {
+    throw new Error(`Update error: ${imageError.message}`);
+  }
+
+  // The find's own image columns mirror its cover image
+  const { error: photoError } = await supabase
+    .from("photos")
+    .update(imageColumns)
+    .eq("id", image.photo_id)
+    .eq("cover_image_id", image.id);
+
+  if (photoError) {
+    throw new Error(`Cover update error: ${photoError.message}`);
+  }
+
+  return true;
+}
+
+/**
+ * Main function to fix image orientation
+ */
+async function fixImageOrientation() {
+  console.log("🚀 Starting image orientation fix...\n");
+
+  if (dryRun) {
+    console.log("🔍 DRY RUN MODE - No changes will be made\n");
+  }
+
+  const results = {
+    processed: 0,
+    fixed: 0,
+    upright: 0,
+    failed: 0,
+    errors: [],
+  };
+  let lastId = 0;
+
+  while (!limit || results.processed < limit) {
+    const batchSize = limit
+      ? Math.min(FETCH_BATCH_SIZE, limit - results.processed)
+      : FETCH_BATCH_SIZE;
+    const images = await getImagesBatch(lastId, batchSize);
+
+    if (images.length === 0) {
+      break;
+    }
+
+    for (const image of images) {
+      lastId = image.id;
+      results.processed++;
+
+      try {
+        console.log(
+          `  📸 Checking image ${image.id} (find ${image.photo_id})...`
+        );
+        if (await fixImage(image)) {
+          results.fixed++;
+          console.log("    ✅ Orientation fixed");
+        } else {
+          results.upright++;
+        }
+      } catch (error) {
+        results.failed++;
+        results.errors.push(`Image ${image.id}: ${error.message}`);
+        console.error(`    ❌ Error fixing image ${image.id}:`, error.message);
+      }
+    }
+  }
+
+  console.log("\n📊 Image Orientation Fix Complete!");
+  console.log("==================================");
+  console.log(`📸 Total images checked: ${results.processed}`);
+  console.log(`✅ ${dryRun ? "Would fix" : "Fixed"}: ${results.fixed}`);
+  console.log(`⏭️  Already upright: ${results.upright}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.errors.length > 0) {
+    console.log("\n❌ Errors encountered:");
+    results.errors.forEach((error) => console.log(`  - ${error}`));
+  }
+}
+
+// Handle command line arguments
+if (args.includes("--help") || args.includes("-h")) {
+  console.log(`
+Fix Image Orientation Script
+
+Usage:
+  npm run fix-image-orientation
+  node scripts/fix-image-orientation.js [options]
+
+Options:
+  --help, -h    Show this help message
+  --id=ID,ID    Only check the given find image IDs
+  --limit=N     Limit processing to N images
+  --dry-run     Show what would be done without making changes
+
+Environment Variables:
+  VITE_SUPABASE_URL          Your Supabase project URL
+  VITE_SUPABASE_ANON_KEY     Your Supabase anonymous key
+  SUPABASE_SERVICE_ROLE_KEY  Service role key (bypasses RLS) - recommended
+`);
+  process.exit(0);
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  fixImageOrientation()
+    .then(() => {
+      console.log("\n🏁 Script completed");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Script failed:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+/**
+ * Generate Image Derivatives Script
+ *
+ * Creates the thumb and medium copies of original images stored before
+ * migration-add-image-derivatives.sql, uploads them next to the originals and
+ * saves their paths on find_images and photos rows. Derivatives get versioned
+ * paths, so files left behind by an interrupted run are never overwritten. Images that were never
+ * moved to storage keep using the base64 columns.
+ *
+ * Usage:
+ *   npm run generate-image-derivatives
+ *   node scripts/generate-image-derivatives.js --dry-run
+ *   node scripts/generate-image-derivatives.js --limit=100
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import sharp from "sharp";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import dotenv from "dotenv";
+import {
+  IMAGE_DERIVATIVES,
+  IMAGE_CACHE_CONTROL,
+  createPathVersion,
+  getDerivativePath,
+} from "../src/lib/imageDerivatives.js";
+
+// Get the directory of the current script
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from .env file
+dotenv.config({ path: join(__dirname, ".env") });
+
+// Get Supabase configuration from environment variables
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseKey =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_ANON_KEY;
+
+// Validate required environment variables
+if (!supabaseUrl || !supabaseKey) {
+  console.error("❌ Missing required environment variables!");
+  console.error("Please create a .env file with the following variables:");
+  console.error("VITE_SUPABASE_URL=your-supabase-url");
+  console.error("VITE_SUPABASE_ANON_KEY=your-anon-key");
+  console.error(
+    "SUPABASE_SERVICE_ROLE_KEY=your-service-role-key (recommended)"
+  );
+  process.exit(1);
+}
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Storage bucket name for original images
+const STORAGE_BUCKET = "original-images";
+
+// Tables whose rows point at original images (photos copy their cover image)
+const IMAGE_TABLES = ["find_images", "photos"];
+
+const FETCH_BATCH_SIZE = 20;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const limitArg = args.find((arg) => arg.startsWith("--limit="));
+const limit = limitArg ? parseInt(limitArg.split("=")[1]) : null;
+
+/**
+ * Download an original image from storage
+ */
+async function downloadOriginal(storagePath) {
+  const { data, error } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .download(storagePath);
+
+  if (error) {
+    throw new Error(`Download error: ${error.message}`);
+  }
+  return Buffer.from(await data.arrayBuffer());
+}
+
+/**
+ * Create and upload the derivatives of an original image, returning their paths
+ */
+async function createDerivatives(storagePath, buffer) {
+  const paths = {};
+  const version = createPathVersion();
+
+  for (const [size, { maxSize, quality }] of Object.entries(
+    IMAGE_DERIVATIVES
+  )) {
+    const path = getDerivativePath(storagePath, size, version);
+
+    // Browsers apply EXIF orientation when decoding, so rotate before resizing
+    const resized = await sharp(buffer)
+      .rotate()
+      .resize(maxSize, maxSize, { fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: Math.round(quality * 100) })
+      .toBuffer();
+
+    if (dryRun) {
+      console.log(
+        `    🔍 [DRY RUN] Would upload ${path} (${Math.round(resized.length / 1024)} KB)`
+      );
+    } else {
+      const { error } = await supabase.storage
+        .from(STORAGE_BUCKET)
+        .upload(path, resized, {
+          contentType: "image/jpeg",
+          cacheControl: IMAGE_CACHE_CONTROL,
+          upsert: false,
+        });
+
+      if (error) {
+        throw new Error(`Upload error for ${path}: ${error.message}`);
+      }
+    }
+    paths[size] = path;
+  }
+
+  return { thumbnail_path: paths.thumb, medium_path: paths.medium };
+}
+
+/**
+ * Save derivative paths on every row pointing at the original image
+ */
+async function saveDerivativePaths(storagePath, derivativePaths) {
+  for (const table of IMAGE_TABLES) {
+    const { error } = await supabase
+      .from(table)
+      .update(derivativePaths)
+      .eq("storage_path", storagePath);
+
+    if (error) {
+      throw new Error(`Update error on ${table}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Fetch the next batch of rows without derivatives after the given id
+ */
+async function getRowsBatch(table, afterId, batchSize) {
+  const { data, error } = await supabase
+    .from(table)
+    .select("id, storage_path")
+    .not("storage_path", "is", null)
+    .is("thumbnail_path", null)
+    .gt("id", afterId)
+    .order("id", { ascending: true })
+    .limit(batchSize);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Main function to generate image derivatives
+ */
+async function generateImageDerivatives() {
+  console.log("🚀 Starting image derivative generation...\n");
+
+  if (dryRun) {
+    console.log("🔍 DRY RUN MODE - No changes will be made\n");
+  }
+
+  const results = { processed: 0, successful: 0, failed: 0, errors: [] };
+  // Originals handled in this run (a cover appears in both tables)
+  const handledPaths = new Set();
+
+  for (const table of IMAGE_TABLES) {
+    let lastId = 0;
+
+    while (!limit || results.processed < limit) {
+      const batchSize = limit
+        ? Math.min(FETCH_BATCH_SIZE, limit - results.processed)
+        : FETCH_BATCH_SIZE;
+      const rows = await getRowsBatch(table, lastId, batchSize);
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      for (const row of rows) {
+        lastId = row.id;
+        if (handledPaths.has(row.storage_path)) continue;
+        handledPaths.add(row.storage_path);
+        results.processed++;
+
+        try {
+          console.log(`  📸 ${row.storage_path} (${table} ${row.id})...`);
+          const buffer = await downloadOriginal(row.storage_path);
+          const derivativePaths = await createDerivatives(
+            row.storage_path,
+            buffer
+          );
+
+          if (!dryRun) {
+            await saveDerivativePaths(row.storage_path, derivativePaths);
+            console.log("    ✅ Derivatives saved");
+          }
+          results.successful++;
+        } catch (error) {
+          results.failed++;
+          results.errors.push(`${row.storage_path}: ${error.message}`);
+          console.error(
+            `    ❌ Error processing ${row.storage_path}:`,
+            error.message
+          );
+        }
+      }
+    }
+  }
+
+  console.log("\n📊 Image Derivative Generation Complete!");
+  console.log("========================================");
+  console.log(`📸 Total originals processed: ${results.processed}`);
+  console.log(`✅ Successfully processed: ${results.successful}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.errors.length > 0) {
+    console.log("\n❌ Errors encountered:");
+    results.errors.forEach((error) => console.log(`  - ${error}`));
+  }
+}
+
+// Handle command line arguments
+if (args.includes("--help") || args.includes("-h")) {
+  console.log(`
+Generate Image Derivatives Script
+
+Usage:
+  npm run generate-image-derivatives
+  node scripts/generate-image-derivatives.js [options]
+
+Options:
+  --help, -h    Show this help message
+  --limit=N     Limit processing to N original images
+  --dry-run     Show what would be done without making changes
+
+Environment Variables:
+  VITE_SUPABASE_URL          Your Supabase project URL
+  VITE_SUPABASE_ANON_KEY     Your Supabase anonymous key
+  SUPABASE_SERVICE_ROLE_KEY  Service role key (bypasses RLS) - recommended
+`);
+  process.exit(0);
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  generateImageDerivatives()
+    .then(() => {
+      console.log("\n🏁 Script completed");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Script failed:", error);
+      process.exit(1);
+    });
+}
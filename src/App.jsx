@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from "react";
 import { AuthProvider } from "./contexts/AuthContext";
 import { PhotosProvider } from "./contexts/PhotosContext";
+import { CategoriesProvider } from "./contexts/CategoriesContext";
 import AuthGuard from "./components/AuthGuard";
 import MapComponent from "./MapComponent";
 import ListView from "./components/ListView";
 import Header from "./components/Header";
+import CategoryEditor from "./components/CategoryEditor";
+import TrashView from "./components/TrashView";
 import "./App.css";
 
 function App() {
@@ -14,7 +17,7 @@ function App() {
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search);
     const view = urlParams.get("view");
-    if (view && (view === "map" || view === "list")) {
+    if (view && ["map", "list", "categories", "trash"].includes(view)) {
       setCurrentView(view);
     }
   }, []);
@@ -30,19 +33,26 @@ function App() {
 
   return (
     <AuthProvider>
-      <PhotosProvider>
-        <AuthGuard>
-          <div className="App h-full flex flex-col">
-            <Header currentView={currentView} onViewChange={handleViewChange} />
-            <div className="flex-1 overflow-hidden min-h-0">
-              {currentView === "map" && <MapComponent />}
-              {currentView === "list" && (
-                <ListView onViewChange={handleViewChange} />
-              )}
+      <CategoriesProvider>
+        <PhotosProvider>
+          <AuthGuard>
+            <div className="App h-full flex flex-col">
+              <Header
+                currentView={currentView}
+                onViewChange={handleViewChange}
+              />
+              <div className="flex-1 overflow-hidden min-h-0">
+                {currentView === "map" && <MapComponent />}
+                {currentView === "list" && (
+                  <ListView onViewChange={handleViewChange} />
+                )}
+                {currentView === "categories" && <CategoryEditor />}
+                {currentView === "trash" && <TrashView />}
+              </div>
             </div>
-          </div>
-        </AuthGuard>
-      </PhotosProvider>
+          </AuthGuard>
+        </PhotosProvider>
+      </CategoriesProvider>
     </AuthProvider>
   );
 }
@@ -10,19 +10,40 @@ import {
 } from "react-leaflet";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
-import imageCompression from "browser-image-compression";
+import { FiUpload } from "react-icons/fi";
 import {
   savePhotoToDatabase,
   loadAllPhotosFromDatabase,
-  loadPhotosWithThumbnails,
+  loadPhotosInBounds,
   deletePhotoFromDatabase,
+  updatePhotoDetails,
+  uploadFindImage,
 } from "./photoService";
-import { cn } from "./lib/utils";
+import {
+  cn,
+  matchesStatusFilter,
+  matchesTagFilter,
+  getDistanceMeters,
+} from "./lib/utils";
+import { prepareImageFile, UnsupportedImageError } from "./lib/imageFiles";
+import { UploadCancelledError } from "./lib/resumableUpload";
+import { readExifMetadata } from "./lib/exif";
+import { getMissingTiles, getTilesBounds } from "./lib/mapTiles";
 import PhotoModal from "./PhotoModal";
 import PhotoHoverPreview from "./PhotoHoverPreview";
 import ToastNotification from "./ToastNotification";
 import LocationError from "./LocationError";
+import TypeFilter from "./components/TypeFilter";
+import StatusFilter from "./components/StatusFilter";
+import TagFilter from "./components/TagFilter";
+import SignalQuickForm from "./components/SignalQuickForm";
+import DuplicatePhotoDialog from "./components/DuplicatePhotoDialog";
+import LocationChoiceDialog from "./components/LocationChoiceDialog";
+import BulkUploadPanel from "./components/BulkUploadPanel";
 import { useAuth } from "./hooks/useAuth";
+import { useCategories } from "./hooks/useCategories";
+import { useTagFilter } from "./hooks/useTagFilter";
+import { useBulkUpload, BULK_ITEM_DRAG_TYPE } from "./hooks/useBulkUpload";
 
 // Fix for default markers in react-leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -45,27 +66,50 @@ const locationDot = () => {
   });
 };
 
-// Create blue dot icon - mobile-friendly with Tailwind responsive classes
-const itemDot = () => {
+// Distance in meters between a photo's EXIF GPS position and the clicked map
+// point above which the user is asked which position to use
+const EXIF_LOCATION_TOLERANCE_METERS =
+  Number(import.meta.env.VITE_EXIF_LOCATION_TOLERANCE_METERS) || 50;
+
+// Marker styles per find status: undug targets are solid, dug finds are rings,
+// identified finds have a white center and archived finds are faded
+const STATUS_MARKER_STYLES = {
+  target: (color) => `background-color: ${color}`,
+  dug: (color) => `background-color: white; border: 3px solid ${color}`,
+  identified: (color) =>
+    `background-color: ${color}; box-shadow: inset 0 0 0 3px white`,
+  archived: (color) => `background-color: ${color}; opacity: 0.4`,
+};
+
+// Create find dot icon colored by find type and styled by status - mobile-friendly with Tailwind responsive classes
+const itemDot = (color, status) => {
+  const markerStyle = (
+    STATUS_MARKER_STYLES[status] || STATUS_MARKER_STYLES.target
+  )(color);
   return L.divIcon({
     className: "bg-transparent border-none",
-    html: '<div class="w-6 h-6 sm:w-4 sm:h-4 bg-red-500 border-1 sm:border-1 border-white rounded-full shadow-lg cursor-pointer hover:scale-110 active:scale-95 transition-transform duration-150 touch-manipulation select-none flex items-center justify-center"></div>',
+    html: `<div class="w-6 h-6 sm:w-4 sm:h-4 border-1 sm:border-1 border-white rounded-full shadow-lg cursor-pointer hover:scale-110 active:scale-95 transition-transform duration-150 touch-manipulation select-none flex items-center justify-center" style="${markerStyle}"></div>`,
     iconSize: [32, 32],
     iconAnchor: [16, 16],
   });
 };
 
-// Create loading dot icon with spinning animation
-const loadingDot = () => {
+// Create loading dot icon with spinning animation, labelled with the upload
+// progress (or "Offline" while the upload waits for the connection)
+const loadingDot = (progress = null, waiting = false) => {
+  const dotClass = waiting ? "bg-slate-500" : "bg-orange-500 animate-spin";
+  const label = waiting ? "Offline" : progress != null ? `${progress}%` : "";
+  const labelHtml = label
+    ? `<div class="absolute top-full left-1/2 -translate-x-1/2 mt-0.5 px-1 rounded text-[10px] font-semibold leading-4 text-white whitespace-nowrap ${waiting ? "bg-slate-500" : "bg-orange-500"}">${label}</div>`
+    : "";
   return L.divIcon({
     className: "bg-transparent border-none",
-    html: '<div class="w-6 h-6 sm:w-4 sm:h-4 bg-orange-500 border-1 sm:border-1 border-white rounded-full shadow-lg animate-spin touch-manipulation select-none flex items-center justify-center"><div class="w-2 h-2 bg-white rounded-full"></div></div>',
+    html: `<div class="relative w-6 h-6 sm:w-4 sm:h-4"><div class="w-full h-full ${dotClass} border-1 sm:border-1 border-white rounded-full shadow-lg touch-manipulation select-none flex items-center justify-center"><div class="w-2 h-2 bg-white rounded-full"></div></div>${labelHtml}</div>`,
     iconSize: [32, 32],
     iconAnchor: [16, 16],
   });
 };
 
-
 // Component to handle map initialization
 function MapInit() {
   const map = useMap();
@@ -107,22 +151,76 @@ function MapClickHandler({ onMapClick }) {
   return null;
 }
 
-// Component to handle map move events and update URL
-function MapMoveHandler({ onMapMove }) {
-  useMapEvents({
-    moveend: onMapMove,
+// Component to handle map move events, update URL and load visible photos
+function MapMoveHandler({ onMapMove, onBoundsChange }) {
+  const map = useMapEvents({
+    moveend: (e) => {
+      onMapMove(e);
+      onBoundsChange(map);
+    },
   });
+
+  // Load the photos of the initial view
+  useEffect(() => {
+    onBoundsChange(map);
+  }, [map, onBoundsChange]);
+
+  return null;
+}
+
+// Component to accept drops on the map: files dragged from the import list are
+// placed at the drop point, and image files dropped from the desktop are
+// added to the import (placed at the drop point unless they have EXIF GPS)
+function MapDropTarget({ onDropItem, onDropFiles }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const container = map.getContainer();
+
+    const handleDragOver = (e) => {
+      const types = Array.from(e.dataTransfer.types);
+      if (types.includes(BULK_ITEM_DRAG_TYPE) || types.includes("Files")) {
+        e.preventDefault();
+      }
+    };
+
+    const handleDrop = (e) => {
+      const { lat, lng } = map.mouseEventToLatLng(e);
+      const itemId = e.dataTransfer.getData(BULK_ITEM_DRAG_TYPE);
+      if (itemId) {
+        e.preventDefault();
+        onDropItem(Number(itemId), lat, lng);
+      } else if (e.dataTransfer.files.length > 0) {
+        e.preventDefault();
+        onDropFiles(Array.from(e.dataTransfer.files), { lat, lng });
+      }
+    };
+
+    container.addEventListener("dragover", handleDragOver);
+    container.addEventListener("drop", handleDrop);
+    return () => {
+      container.removeEventListener("dragover", handleDragOver);
+      container.removeEventListener("drop", handleDrop);
+    };
+  }, [map, onDropItem, onDropFiles]);
+
   return null;
 }
 
 // Simple marker component with reliable event handling for both desktop and mobile
-function SimpleMarker({ photo, onMouseEnter, onMouseLeave, onPhotoClick }) {
+function SimpleMarker({
+  photo,
+  color,
+  onMouseEnter,
+  onMouseLeave,
+  onPhotoClick,
+}) {
   const map = useMap();
 
   useEffect(() => {
     // Create marker with simple icon
     const marker = L.marker([photo.lat, photo.lng], {
-      icon: itemDot(),
+      icon: itemDot(color, photo.status),
     });
 
     // Desktop hover events
@@ -176,6 +274,8 @@ function SimpleMarker({ photo, onMouseEnter, onMouseLeave, onPhotoClick }) {
     photo.id,
     photo.lat,
     photo.lng,
+    color,
+    photo.status,
     map,
     onMouseEnter,
     onMouseLeave,
@@ -202,10 +302,21 @@ const MapComponent = () => {
   const [loadingPhotos, setLoadingPhotos] = useState([]);
   const [mapCenter, setMapCenter] = useState(null); // Map view center (can be from URL)
   const [mapZoom, setMapZoom] = useState(15);
+  const [typeFilter, setTypeFilter] = useState("all");
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [tagFilter, setTagFilter] = useTagFilter();
+  const [signalPhoto, setSignalPhoto] = useState(null); // Photo awaiting quick signal entry
+  const [pendingDuplicate, setPendingDuplicate] = useState(null); // Captured photo that matches an existing find
+  const [pendingLocationChoice, setPendingLocationChoice] = useState(null); // Captured photo whose EXIF position disagrees with the map point
   const fileInputRef = useRef(null);
+  const bulkInputRef = useRef(null);
+  const loadedTilesRef = useRef(new Set()); // Map tiles whose photos are loaded or loading
+  const truncatedTilesRef = useRef(new Set()); // Loaded tiles with more photos than one request returns
+  const loadedAllPhotosRef = useRef(false); // Set when falling back to loading every photo
 
   // Authentication
   const { user, isAdmin } = useAuth();
+  const { getTypeColor, matchesTypeFilter } = useCategories();
 
   // URL synchronization functions
   const updateURL = (lat, lng, zoom) => {
@@ -292,43 +403,65 @@ const MapComponent = () => {
     }
   }, []);
 
-  // Load photos from database on component mount
-  useEffect(() => {
-    const loadPhotos = async () => {
-      setIsLoadingPhotos(true);
-      try {
-        // Try loading with thumbnails first for better performance
-        const result = await loadPhotosWithThumbnails(100, 0);
-        if (result.success) {
-          setCapturedPhotos(result.data);
+  // Load photos for the visible map area, skipping tiles that are already loaded
+  const handleBoundsChange = useCallback(async (map) => {
+    if (loadedAllPhotosRef.current) return;
+
+    const bounds = map.getBounds();
+    const zoom = map.getZoom();
+    const tiles = getMissingTiles(
+      {
+        west: bounds.getWest(),
+        south: bounds.getSouth(),
+        east: bounds.getEast(),
+        north: bounds.getNorth(),
+      },
+      zoom,
+      loadedTilesRef.current,
+      truncatedTilesRef.current
+    );
+    if (tiles.length === 0) return;
+
+    // Mark tiles as loading so overlapping moves don't request them again
+    tiles.forEach((tile) => loadedTilesRef.current.add(tile.key));
+
+    setIsLoadingPhotos(true);
+    try {
+      const result = await loadPhotosInBounds(getTilesBounds(tiles), zoom);
+      if (result.success) {
+        setCapturedPhotos((prev) => {
+          const photosById = new Map(prev.map((photo) => [photo.id, photo]));
+          result.data.forEach((photo) => photosById.set(photo.id, photo));
+          return Array.from(photosById.values());
+        });
+        // Too many photos for one request: keep these tiles at this zoom and
+        // load their smaller tiles when zoomed in
+        if (result.truncated) {
+          tiles.forEach((tile) => truncatedTilesRef.current.add(tile.key));
+        }
+      } else {
+        console.error(
+          "Failed to load photos in bounds, trying full load:",
+          result.error
+        );
+        // Fallback to full load if the spatial query is not available
+        loadedAllPhotosRef.current = true;
+        const fallbackResult = await loadAllPhotosFromDatabase();
+        if (fallbackResult.success) {
+          setCapturedPhotos(fallbackResult.data);
           console.log(
-            `Successfully loaded ${result.data.length} photos with thumbnails`
+            `Successfully loaded ${fallbackResult.data.length} photos (full load)`
           );
         } else {
-          console.error(
-            "Failed to load photos with thumbnails, trying full load:",
-            result.error
-          );
-          // Fallback to full load if thumbnail loading fails
-          const fallbackResult = await loadAllPhotosFromDatabase();
-          if (fallbackResult.success) {
-            setCapturedPhotos(fallbackResult.data);
-            console.log(
-              `Successfully loaded ${fallbackResult.data.length} photos (full load)`
-            );
-          } else {
-            console.error("Failed to load photos:", fallbackResult.error);
-            // You could show a toast notification here
-          }
+          console.error("Failed to load photos:", fallbackResult.error);
         }
-      } catch (error) {
-        console.error("Unexpected error loading photos:", error);
-      } finally {
-        setIsLoadingPhotos(false);
       }
-    };
-
-    loadPhotos();
+    } catch (error) {
+      console.error("Unexpected error loading photos:", error);
+      tiles.forEach((tile) => loadedTilesRef.current.delete(tile.key));
+    } finally {
+      setIsLoadingPhotos(false);
+    }
   }, []);
 
   // Handle map clicks to capture photos (only fires when not clicking on markers)
@@ -343,8 +476,14 @@ const MapComponent = () => {
       return;
     }
 
+    // Place the bulk import file waiting for a location
+    if (bulkUpload.placingId) {
+      bulkUpload.placeItem(bulkUpload.placingId, lat, lng);
+      return;
+    }
+
     // Store click coordinates and open camera
-    setClickCoordinates({ lat, lng });
+    setClickCoordinates({ lat, lng, source: "map" });
     if (fileInputRef.current) {
       fileInputRef.current.click();
     }
@@ -364,90 +503,176 @@ const MapComponent = () => {
     setMapZoom(zoom);
   };
 
+  // Name a newly saved find "Target {database_id}" and show it on the map
+  const addSavedPhoto = async (data) => {
+    const savedPhoto = {
+      ...data,
+      name: `Target ${data.id}`,
+    };
+
+    // Update name in database
+    await updatePhotoDetails(data.id, `Target ${data.id}`, null, user);
+
+    setCapturedPhotos((prev) => [...prev, savedPhoto]);
+    return savedPhoto;
+  };
+
+  const bulkUpload = useBulkUpload({ user, onPhotoSaved: addSavedPhoto });
+
+  // Open the file picker for a bulk import
+  const handleImportClick = () => {
+    if (bulkInputRef.current) {
+      bulkInputRef.current.click();
+    }
+  };
+
+  const handleBulkFilesSelected = (event) => {
+    bulkUpload.addFiles(Array.from(event.target.files));
+    event.target.value = "";
+  };
+
+  // Show a loading marker with upload progress; returns the upload options
+  // (progress callback and cancel signal) for the photo service
+  const startLoadingPhoto = (id, lat, lng) => {
+    const controller = new AbortController();
+    setLoadingPhotos((prev) => [
+      ...prev,
+      {
+        id,
+        lat,
+        lng,
+        isLoading: true,
+        progress: 0,
+        waiting: false,
+        controller,
+      },
+    ]);
+
+    const onProgress = ({ percent, waiting }) => {
+      setLoadingPhotos((prev) =>
+        prev.map((loading) =>
+          loading.id === id
+            ? {
+                ...loading,
+                waiting,
+                progress: waiting ? loading.progress : percent,
+              }
+            : loading
+        )
+      );
+    };
+
+    return { onProgress, signal: controller.signal };
+  };
+
+  // Save a captured photo as a new find, showing a loading marker meanwhile
+  const saveCapturedPhoto = async (photoData, options) => {
+    const uploadOptions = startLoadingPhoto(
+      photoData.id,
+      photoData.lat,
+      photoData.lng
+    );
+
+    // Save directly to database
+    const result = await savePhotoToDatabase(photoData, user, {
+      ...options,
+      ...uploadOptions,
+    });
+
+    // Remove loading indicator
+    setLoadingPhotos((prev) =>
+      prev.filter((photo) => photo.id !== photoData.id)
+    );
+
+    if (result.duplicates) {
+      // Let the user decide what to do with a likely duplicate
+      setPendingDuplicate({ photoData, duplicates: result.duplicates });
+    } else if (result.success) {
+      const savedPhoto = await addSavedPhoto(result.data);
+      console.log("Photo saved to database successfully");
+      setToastMessage("Photo saved successfully!");
+      setToastOpen(true);
+
+      // Ask for the detector signal while it's still fresh
+      setSignalPhoto(savedPhoto);
+    } else if (result.error instanceof UploadCancelledError) {
+      setToastMessage("Upload cancelled");
+      setToastOpen(true);
+    } else {
+      console.error("Failed to save photo to database:", result.error);
+      setToastMessage("Failed to save photo");
+      setToastOpen(true);
+    }
+  };
+
   // Handle photo capture with compression
   const handlePhotoCapture = async (event) => {
     const file = event.target.files[0];
     if (file) {
       const tempId = Date.now();
-      const coordinates = {
-        lat: clickCoordinates?.lat || userLocation[0],
-        lng: clickCoordinates?.lng || userLocation[1],
+      const fallbackLocation = clickCoordinates || {
+        lat: userLocation[0],
+        lng: userLocation[1],
+        source: "device",
       };
 
       try {
+        // Read EXIF before compression, which drops it
+        const exif = await readExifMetadata(file);
+        const exifLocation =
+          exif?.lat != null
+            ? { lat: exif.lat, lng: exif.lng, source: "exif" }
+            : null;
+
         // Compress the image before processing
-        const options = {
-          maxSizeMB: 2, // Maximum file size in MB
-          maxWidthOrHeight: 1920, // Maximum width or height in pixels
-          useWebWorker: true, // Use web worker for better performance
-          quality: 0.8, // Quality from 0 to 1 (0.8 = 80% quality)
+        const { imageData, filename } = await prepareImageFile(file);
+
+        // The photo's own GPS position and capture time are the defaults
+        const location = exifLocation || fallbackLocation;
+        const photoData = {
+          id: tempId,
+          lat: location.lat,
+          lng: location.lng,
+          altitude: exifLocation ? exif.altitude : null,
+          locationSource: location.source,
+          imageData,
+          image_data: imageData,
+          timestamp: exif?.takenAt || new Date().toISOString(),
+          filename,
+          type: "target",
+          name: null, // Will be set after save with database id
         };
 
-        console.log(
-          `Original file size: ${(file.size / 1024 / 1024).toFixed(2)} MB`
-        );
-        const compressedFile = await imageCompression(file, options);
-        console.log(
-          `Compressed file size: ${(compressedFile.size / 1024 / 1024).toFixed(
-            2
-          )} MB`
-        );
-
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-          const photoData = {
-            id: tempId,
-            lat: coordinates.lat,
-            lng: coordinates.lng,
-            imageData: e.target.result,
-            image_data: e.target.result,
-            timestamp: new Date().toISOString(),
-            filename: compressedFile.name || file.name,
-            type: "target",
-            name: null, // Will be set after save with database id
-          };
-
-          // Add loading indicator
-          const loadingPhoto = {
-            id: tempId,
-            lat: coordinates.lat,
-            lng: coordinates.lng,
-            isLoading: true,
-          };
-          setLoadingPhotos((prev) => [...prev, loadingPhoto]);
-
-          // Save directly to database
-          const result = await savePhotoToDatabase(photoData, user);
-
-          // Remove loading indicator
-          setLoadingPhotos((prev) => prev.filter((photo) => photo.id !== tempId));
-
-          if (result.success) {
-            // Set name as "Target {database_id}"
-            const savedPhoto = {
-              ...result.data,
-              imageData: result.data.image_data,
-              name: `Target ${result.data.id}`,
-            };
-
-            // Update name in database
-            const { updatePhotoDetails } = await import("./photoService");
-            await updatePhotoDetails(result.data.id, `Target ${result.data.id}`, null, user);
-
-            setCapturedPhotos((prev) => [...prev, savedPhoto]);
-            console.log("Photo saved to database successfully");
-            setToastMessage("Photo saved successfully!");
-            setToastOpen(true);
-          } else {
-            console.error("Failed to save photo to database:", result.error);
-            setToastMessage("Failed to save photo");
-            setToastOpen(true);
-          }
-        };
-        reader.readAsDataURL(compressedFile);
+        const distance = exifLocation
+          ? getDistanceMeters(
+              exifLocation.lat,
+              exifLocation.lng,
+              fallbackLocation.lat,
+              fallbackLocation.lng
+            )
+          : 0;
+
+        if (
+          fallbackLocation.source === "map" &&
+          distance > EXIF_LOCATION_TOLERANCE_METERS
+        ) {
+          // Let the user pick between the photo's position and the clicked point
+          setPendingLocationChoice({
+            photoData,
+            exifLocation,
+            mapLocation: fallbackLocation,
+            distance,
+          });
+        } else {
+          await saveCapturedPhoto(photoData);
+        }
       } catch (error) {
         console.error("Error compressing image:", error);
-        setToastMessage("Error compressing image");
+        setToastMessage(
+          error instanceof UnsupportedImageError
+            ? error.message
+            : "Error compressing image"
+        );
         setToastOpen(true);
       }
     }
@@ -456,6 +681,72 @@ const MapComponent = () => {
     event.target.value = "";
   };
 
+  // Save a captured photo at the location picked in the location dialog
+  const handleLocationChoice = async (location) => {
+    const { photoData } = pendingLocationChoice;
+    setPendingLocationChoice(null);
+    try {
+      await saveCapturedPhoto({
+        ...photoData,
+        lat: location.lat,
+        lng: location.lng,
+        altitude: location.source === "exif" ? photoData.altitude : null,
+        locationSource: location.source,
+      });
+    } catch (error) {
+      console.error("Error saving photo:", error);
+      setToastMessage("Failed to save photo");
+      setToastOpen(true);
+    }
+  };
+
+  // Add a duplicate capture to the existing find as another gallery image
+  const handleLinkDuplicate = async (photo) => {
+    const { photoData } = pendingDuplicate;
+    setPendingDuplicate(null);
+
+    const uploadOptions = startLoadingPhoto(photoData.id, photo.lat, photo.lng);
+
+    try {
+      const result = await uploadFindImage(
+        photo.id,
+        photoData.imageData,
+        photoData.filename,
+        user,
+        uploadOptions
+      );
+      if (result.success) {
+        setToastMessage(`Photo added to ${photo.name || `Find ${photo.id}`}`);
+      } else if (result.error instanceof UploadCancelledError) {
+        setToastMessage("Upload cancelled");
+      } else {
+        console.error("Failed to add image to find:", result.error);
+        setToastMessage("Failed to add photo to find");
+      }
+    } catch (error) {
+      console.error("Error adding image to find:", error);
+      setToastMessage("Failed to add photo to find");
+    } finally {
+      setLoadingPhotos((prev) =>
+        prev.filter((loading) => loading.id !== photoData.id)
+      );
+      setToastOpen(true);
+    }
+  };
+
+  // Save a duplicate capture as a new find after all
+  const handleUploadDuplicateAnyway = async () => {
+    const { photoData } = pendingDuplicate;
+    setPendingDuplicate(null);
+    try {
+      await saveCapturedPhoto(photoData, { allowDuplicates: true });
+    } catch (error) {
+      console.error("Error saving photo:", error);
+      setToastMessage("Failed to save photo");
+      setToastOpen(true);
+    }
+  };
+
   // Handle photo deletion
   const handleDeletePhoto = async (photoId) => {
     try {
@@ -465,7 +756,7 @@ const MapComponent = () => {
           prev.filter((photo) => photo.id !== photoId)
         );
         console.log("Photo deleted successfully");
-        setToastMessage("Photo deleted successfully!");
+        setToastMessage("Photo moved to trash");
         setToastOpen(true);
       } else {
         console.error("Failed to delete photo:", result.error);
@@ -477,6 +768,17 @@ const MapComponent = () => {
     }
   };
 
+  // Handle photo update from the modal (only changed fields are passed)
+  const handleUpdatePhoto = (updatedPhoto) => {
+    setCapturedPhotos((prev) =>
+      prev.map((photo) =>
+        photo.id === updatedPhoto.id ? { ...photo, ...updatedPhoto } : photo
+      )
+    );
+    setToastMessage("Photo updated successfully!");
+    setToastOpen(true);
+  };
+
   // Handle mouse hover events with useCallback to prevent re-renders
   const handleMouseEnter = useCallback((photo, event) => {
     setHoveredPhoto(photo);
@@ -508,7 +810,6 @@ const MapComponent = () => {
     setSelectedPhoto(null);
   };
 
-
   if (isLoading) {
     return (
       <div
@@ -529,7 +830,7 @@ const MapComponent = () => {
 
   return (
     <div
-      className="w-full h-full m-0 p-0 touch-manipulation select-none"
+      className="relative w-full h-full m-0 p-0 touch-manipulation select-none"
       style={{ width: "100%", height: "100%", margin: 0, padding: 0 }}
       onMouseMove={handleMouseMove}
       onMouseLeave={handleMouseLeave}
@@ -538,11 +839,21 @@ const MapComponent = () => {
       <input
         ref={fileInputRef}
         type="file"
-        accept="image/*"
+        accept="image/*,.heic,.heif"
         style={{ display: "none" }}
         onChange={handlePhotoCapture}
       />
 
+      {/* Hidden file input for bulk imports */}
+      <input
+        ref={bulkInputRef}
+        type="file"
+        accept="image/*,.heic,.heif"
+        multiple
+        style={{ display: "none" }}
+        onChange={handleBulkFilesSelected}
+      />
+
       {/* Photo Hover Preview */}
       <PhotoHoverPreview
         hoveredPhoto={hoveredPhoto}
@@ -556,11 +867,75 @@ const MapComponent = () => {
         setShowModal={setShowModal}
         selectedPhoto={selectedPhoto}
         onDeletePhoto={handleDeletePhoto}
+        onUpdatePhoto={handleUpdatePhoto}
         isAdmin={isAdmin}
         user={user}
       />
 
+      {/* Quick signal entry after capture */}
+      <SignalQuickForm
+        photo={signalPhoto}
+        user={user}
+        onClose={() => setSignalPhoto(null)}
+        onSaved={handleUpdatePhoto}
+      />
+
+      {/* Location choice when the photo's GPS disagrees with the map point */}
+      {pendingLocationChoice && (
+        <LocationChoiceDialog
+          exifLocation={pendingLocationChoice.exifLocation}
+          mapLocation={pendingLocationChoice.mapLocation}
+          distance={pendingLocationChoice.distance}
+          onChoose={handleLocationChoice}
+          onCancel={() => setPendingLocationChoice(null)}
+        />
+      )}
+
+      {/* Duplicate warning after capture */}
+      {pendingDuplicate && (
+        <DuplicatePhotoDialog
+          key={pendingDuplicate.photoData.id}
+          duplicates={pendingDuplicate.duplicates}
+          onLink={handleLinkDuplicate}
+          onUploadAnyway={handleUploadDuplicateAnyway}
+          onCancel={() => setPendingDuplicate(null)}
+        />
+      )}
+
       <LocationError locationError={locationError} />
+
+      {/* Status and type filter overlay */}
+      <div className="absolute top-3 right-3 z-[1000] flex flex-col sm:flex-row items-end gap-2">
+        <TagFilter
+          value={tagFilter}
+          onChange={setTagFilter}
+          className="justify-end [&_select]:shadow-lg"
+        />
+        <StatusFilter
+          value={statusFilter}
+          onChange={setStatusFilter}
+          className="shadow-lg"
+        />
+        <TypeFilter
+          value={typeFilter}
+          onChange={setTypeFilter}
+          className="shadow-lg"
+        />
+        {isAdmin && (
+          <button
+            onClick={handleImportClick}
+            className="flex items-center gap-2 px-3 py-2 text-sm bg-white border border-slate-300 rounded-md text-slate-700 hover:bg-slate-50 min-h-[36px] shadow-lg touch-manipulation"
+            title="Import several photos at once"
+          >
+            <FiUpload className="w-4 h-4" />
+            Import
+          </button>
+        )}
+      </div>
+
+      {/* Bulk import list */}
+      <BulkUploadPanel bulkUpload={bulkUpload} onAddFiles={handleImportClick} />
+
       <MapContainer
         center={mapCenter || userLocation}
         zoom={mapZoom}
@@ -581,7 +956,16 @@ const MapComponent = () => {
           showLocation={showLocation}
         />
         <MapClickHandler onMapClick={handleMapClick} />
-        <MapMoveHandler onMapMove={handleMapMove} />
+        {isAdmin && (
+          <MapDropTarget
+            onDropItem={bulkUpload.placeItem}
+            onDropFiles={bulkUpload.addFiles}
+          />
+        )}
+        <MapMoveHandler
+          onMapMove={handleMapMove}
+          onBoundsChange={handleBoundsChange}
+        />
 
         {/* Esri Satellite Imagery */}
         <TileLayer
@@ -604,7 +988,11 @@ const MapComponent = () => {
                   setToastOpen(true);
                   return;
                 }
-                setClickCoordinates({ lat: userLocation[0], lng: userLocation[1] });
+                setClickCoordinates({
+                  lat: userLocation[0],
+                  lng: userLocation[1],
+                  source: "device",
+                });
                 if (fileInputRef.current) {
                   fileInputRef.current.click();
                 }
@@ -614,33 +1002,62 @@ const MapComponent = () => {
         )}
 
         {/* Captured photos markers with simple event handling */}
-        {capturedPhotos.map((photo) => (
-          <SimpleMarker
-            key={photo.id}
-            photo={photo}
-            onMouseEnter={handleMouseEnter}
-            onMouseLeave={handleMouseLeave}
-            onPhotoClick={handlePhotoClick}
-          />
-        ))}
+        {capturedPhotos
+          .filter((photo) => matchesTypeFilter(photo, typeFilter))
+          .filter((photo) => matchesStatusFilter(photo, statusFilter))
+          .filter((photo) => matchesTagFilter(photo, tagFilter))
+          .map((photo) => (
+            <SimpleMarker
+              key={photo.id}
+              photo={photo}
+              color={getTypeColor(photo.type)}
+              onMouseEnter={handleMouseEnter}
+              onMouseLeave={handleMouseLeave}
+              onPhotoClick={handlePhotoClick}
+            />
+          ))}
 
         {/* Loading photos markers */}
         {loadingPhotos.map((loadingPhoto) => (
           <Marker
             key={`loading-${loadingPhoto.id}`}
             position={[loadingPhoto.lat, loadingPhoto.lng]}
-            icon={loadingDot()}
+            icon={loadingDot(loadingPhoto.progress, loadingPhoto.waiting)}
           >
             <Popup>
               <div>
-                <strong>Uploading...</strong>
+                <strong>
+                  {loadingPhoto.waiting
+                    ? "Waiting for connection..."
+                    : "Uploading..."}
+                </strong>
                 <br />
-                Syncing to database
+                {loadingPhoto.waiting
+                  ? "The upload resumes when you are back online"
+                  : `${loadingPhoto.progress}% uploaded`}
+                <br />
+                <button
+                  onClick={() => loadingPhoto.controller.abort()}
+                  className="mt-2 text-sm font-medium text-red-600 hover:underline"
+                >
+                  Cancel upload
+                </button>
               </div>
             </Popup>
           </Marker>
         ))}
 
+        {/* Bulk import files being uploaded */}
+        {bulkUpload.items
+          .filter((item) => item.status === "uploading")
+          .map((item) => (
+            <Marker
+              key={`bulk-${item.id}`}
+              position={[item.location.lat, item.location.lng]}
+              icon={loadingDot(item.progress, item.waiting)}
+            />
+          ))}
+
         {/* Example of how to add custom tile layer (commented out for now) */}
         {/* 
         <TileLayer
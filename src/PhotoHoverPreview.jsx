@@ -1,9 +1,32 @@
-import React from "react";
+import React, { useState, useEffect } from "react";
 import { cn } from "./lib/utils";
+import { getPhotoImageUrl } from "./photoService";
+import TypeBadge from "./components/TypeBadge";
 
 const PhotoHoverPreview = ({ hoveredPhoto, mousePosition, onHoverChange }) => {
+  // Thumbnail loaded from storage for photos without image data: { photoId, url }
+  const [thumbnail, setThumbnail] = useState(null);
+
+  useEffect(() => {
+    if (!hoveredPhoto || hoveredPhoto.imageData) return;
+
+    let cancelled = false;
+    getPhotoImageUrl(hoveredPhoto, "thumb").then((result) => {
+      if (!cancelled && result.success) {
+        setThumbnail({ photoId: hoveredPhoto.id, url: result.data });
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [hoveredPhoto]);
+
   if (!hoveredPhoto) return null;
 
+  const imageSrc =
+    hoveredPhoto.imageData ||
+    (thumbnail?.photoId === hoveredPhoto.id ? thumbnail.url : null);
+
   // Calculate position at bottom right of cursor
   const offsetX = 15; // pixels to the right of cursor
   const offsetY = 15; // pixels below cursor
@@ -45,15 +68,18 @@ const PhotoHoverPreview = ({ hoveredPhoto, mousePosition, onHoverChange }) => {
       )}
       style={previewStyle}
     >
-      <img
-        src={hoveredPhoto.image_data || hoveredPhoto.imageData}
-        alt="Preview"
-        className="w-full h-auto shadow-md"
-      />
+      {imageSrc ? (
+        <img src={imageSrc} alt="Preview" className="w-full h-auto shadow-md" />
+      ) : (
+        <div className="w-full h-40 bg-slate-700 animate-pulse" />
+      )}
       <div className="my-2 text-center">
         <div className="text-xs font-medium text-gray-200">
           {hoveredPhoto.name || `Target ${hoveredPhoto.id}`}
         </div>
+        <div className="mt-1">
+          <TypeBadge type={hoveredPhoto.type} />
+        </div>
       </div>
     </div>
   );
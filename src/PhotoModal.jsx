@@ -1,70 +1,65 @@
 import React, { useState, useEffect } from "react";
 import {
-  getFullImageData,
-  getOriginalImageData,
   updatePhotoDetails,
+  updatePhotoType,
+  updatePhotoSignal,
+  updatePhotoDimensions,
 } from "./photoService";
+import TypeBadge from "./components/TypeBadge";
+import FindGallery from "./components/FindGallery";
+import FindStatusPanel from "./components/FindStatusPanel";
+import SignalFields from "./components/SignalFields";
+import DimensionFields from "./components/DimensionFields";
+import MeasureTool from "./components/MeasureTool";
+import VoiceMemoList from "./components/VoiceMemoList";
+import TagInput from "./components/TagInput";
+import PhotoHistoryPanel from "./components/PhotoHistoryPanel";
+import { useCategories } from "./hooks/useCategories";
+import {
+  cn,
+  normalizeSignal,
+  SIGNAL_FIELDS,
+  normalizeDimensions,
+  DIMENSION_FIELDS,
+  formatLocationSource,
+} from "./lib/utils";
 
 const PhotoModal = ({
   showModal,
   setShowModal,
   selectedPhoto,
   onDeletePhoto,
+  onUpdatePhoto,
   isAdmin = false,
   user = null,
 }) => {
-  const [originalImageData, setOriginalImageData] = useState(null);
-  const [isLoadingOriginal, setIsLoadingOriginal] = useState(false);
   const [photoName, setPhotoName] = useState("");
   const [photoDescription, setPhotoDescription] = useState("");
+  const [photoType, setPhotoType] = useState("target");
+  const [signal, setSignal] = useState({});
+  const [dimensions, setDimensions] = useState({});
+  const [measureImage, setMeasureImage] = useState(null); // { src, annotations } being measured
   const [isSaving, setIsSaving] = useState(false);
-  const [showFullscreen, setShowFullscreen] = useState(false);
+  const [activeTab, setActiveTab] = useState("details");
+  const [revertedFields, setRevertedFields] = useState({}); // Fields reverted from the History tab
+  const { sortedCategories } = useCategories();
+
+  // Selected photo including fields reverted while the modal is open
+  const currentPhoto = selectedPhoto
+    ? { ...selectedPhoto, ...revertedFields }
+    : null;
 
-  // Load original image data when modal opens
+  // Reset editable fields when modal opens
   useEffect(() => {
     if (showModal && selectedPhoto && selectedPhoto.id) {
-      // Reset image states when a new photo is selected
-      setOriginalImageData(null);
-      setIsLoadingOriginal(true);
-
+      setActiveTab("details");
+      setRevertedFields({});
       setPhotoName(selectedPhoto.name || "");
       setPhotoDescription(selectedPhoto.description || "");
-
-      // Always load the original image
-      getOriginalImageData(selectedPhoto.id)
-        .then((result) => {
-          if (result.success) {
-            setOriginalImageData(result.data);
-          } else {
-            console.error("Failed to load original image:", result.error);
-            // Fallback to compressed image if original fails
-            getFullImageData(selectedPhoto.id)
-              .then((fallbackResult) => {
-                if (fallbackResult.success) {
-                  setOriginalImageData(fallbackResult.data);
-                }
-              })
-              .catch((error) => {
-                console.error("Error loading fallback image:", error);
-              });
-          }
-        })
-        .catch((error) => {
-          console.error("Error loading original image:", error);
-          // Fallback to compressed image if original fails
-          getFullImageData(selectedPhoto.id)
-            .then((fallbackResult) => {
-              if (fallbackResult.success) {
-                setOriginalImageData(fallbackResult.data);
-              }
-            })
-            .catch((fallbackError) => {
-              console.error("Error loading fallback image:", fallbackError);
-            });
-        })
-        .finally(() => {
-          setIsLoadingOriginal(false);
-        });
+      setPhotoType(selectedPhoto.type || "unknown");
+      setSignal(normalizeSignal(selectedPhoto));
+      setDimensions(normalizeDimensions(selectedPhoto));
+      setMeasureImage(null);
     }
   }, [showModal, selectedPhoto]);
 
@@ -75,15 +70,32 @@ const PhotoModal = ({
     }
   };
 
+  // Apply a field reverted in the History tab to the form and the parent view
+  const handleFieldRevert = (field, value) => {
+    if (field === "name") setPhotoName(value || "");
+    if (field === "description") setPhotoDescription(value || "");
+    if (field === "type") setPhotoType(value || "unknown");
+    if (SIGNAL_FIELDS.includes(field)) {
+      setSignal((prev) => ({ ...prev, [field]: value }));
+    }
+    if (DIMENSION_FIELDS.some((dimension) => dimension.field === field)) {
+      setDimensions((prev) => ({ ...prev, [field]: value }));
+    }
+    setRevertedFields((prev) => ({ ...prev, [field]: value }));
+    if (onUpdatePhoto) onUpdatePhoto({ id: selectedPhoto.id, [field]: value });
+  };
+
   const handleSave = async () => {
     if (!selectedPhoto || !user) return;
 
     setIsSaving(true);
     try {
+      const updates = {};
+
       // Update photo name and description if changed
       if (
-        photoName !== selectedPhoto.name ||
-        photoDescription !== selectedPhoto.description
+        photoName !== (currentPhoto.name || "") ||
+        photoDescription !== (currentPhoto.description || "")
       ) {
         const detailsResult = await updatePhotoDetails(
           selectedPhoto.id,
@@ -91,18 +103,79 @@ const PhotoModal = ({
           photoDescription,
           user
         );
-        if (detailsResult.success) {
-          selectedPhoto.name = photoName;
-          selectedPhoto.description = photoDescription;
-          console.log("Photo details updated successfully");
-          setShowModal(false);
-        } else {
+        if (!detailsResult.success) {
           console.error("Failed to update photo details:", detailsResult.error);
+          return;
         }
-      } else {
-        // No changes, just close the modal
-        setShowModal(false);
+        updates.name = photoName;
+        updates.description = photoDescription;
+        console.log("Photo details updated successfully");
+      }
+
+      // Update photo type if changed
+      if (photoType !== (currentPhoto.type || "unknown")) {
+        const typeResult = await updatePhotoType(
+          selectedPhoto.id,
+          photoType,
+          user
+        );
+        if (!typeResult.success) {
+          console.error("Failed to update photo type:", typeResult.error);
+          return;
+        }
+        updates.type = photoType;
+        console.log("Photo type updated successfully");
+      }
+
+      // Update detector signal if any field changed
+      const originalSignal = normalizeSignal(currentPhoto);
+      const newSignal = normalizeSignal(signal);
+      if (
+        SIGNAL_FIELDS.some(
+          (field) => originalSignal[field] !== newSignal[field]
+        )
+      ) {
+        const signalResult = await updatePhotoSignal(
+          selectedPhoto.id,
+          newSignal,
+          user
+        );
+        if (!signalResult.success) {
+          console.error("Failed to update photo signal:", signalResult.error);
+          return;
+        }
+        Object.assign(updates, newSignal);
+        console.log("Photo signal updated successfully");
+      }
+
+      // Update dimensions if any field changed
+      const originalDimensions = normalizeDimensions(currentPhoto);
+      const newDimensions = normalizeDimensions(dimensions);
+      if (
+        DIMENSION_FIELDS.some(
+          ({ field }) => originalDimensions[field] !== newDimensions[field]
+        )
+      ) {
+        const dimensionsResult = await updatePhotoDimensions(
+          selectedPhoto.id,
+          newDimensions,
+          user
+        );
+        if (!dimensionsResult.success) {
+          console.error(
+            "Failed to update photo dimensions:",
+            dimensionsResult.error
+          );
+          return;
+        }
+        Object.assign(updates, newDimensions);
+        console.log("Photo dimensions updated successfully");
+      }
+
+      if (Object.keys(updates).length > 0 && onUpdatePhoto) {
+        onUpdatePhoto({ id: selectedPhoto.id, ...updates });
       }
+      setShowModal(false);
     } catch (error) {
       console.error("Error updating photo:", error);
     } finally {
@@ -152,124 +225,263 @@ const PhotoModal = ({
             <div className="space-y-4 sm:space-y-6">
               {/* Image and Details Row */}
               <div className="flex flex-col lg:flex-row gap-4 sm:gap-6 h-full">
-                {/* Image - Left - Takes more space */}
-                <div className="flex flex-col flex-1 min-h-0">
-                  {/* Image Display - Takes remaining space */}
-                  <div
-                    className="flex-1 max-h-[500px] flex items-center justify-center rounded-lg overflow-hidden p-2 sm:p-3 bg-gray-800 cursor-pointer hover:bg-gray-750 transition-colors"
-                    onClick={() => setShowFullscreen(true)}
-                    title="Click to view full screen"
-                  >
-                    {isLoadingOriginal ? (
-                      <div className="flex items-center justify-center h-full">
-                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
-                        <span className="ml-2 text-gray-400">
-                          Loading original image...
-                        </span>
-                      </div>
-                    ) : (
-                      <img
-                        src={
-                          originalImageData ||
-                          selectedPhoto.image_data ||
-                          selectedPhoto.imageData
-                        }
-                        alt="Selected photo"
-                        className="max-w-full max-h-full object-contain"
-                        onError={(e) => {
-                          e.target.style.display = "none";
-                        }}
-                      />
-                    )}
-                  </div>
-                </div>
+                {/* Image gallery - Left - Takes more space */}
+                <FindGallery
+                  photo={selectedPhoto}
+                  isAdmin={isAdmin}
+                  user={user}
+                  onPhotoChange={(changes) =>
+                    onUpdatePhoto &&
+                    onUpdatePhoto({ id: selectedPhoto.id, ...changes })
+                  }
+                  onMeasure={isAdmin ? setMeasureImage : undefined}
+                />
 
                 {/* Details - Right */}
                 <div className="w-full lg:w-80 space-y-6 sm:space-y-10 flex-shrink-0">
-                  {/* Location */}
-                  <div className="space-y-3">
-                    <h3 className="text-xs font-semibold text-gray-300 uppercase tracking-wider">
-                      Location
-                    </h3>
-                    <div className="space-y-1">
-                      <div className="flex justify-between items-center rounded-md">
-                        <span className="text-sm text-gray-400">Latitude</span>
-                        <span className="text-sm font-mono text-white">
-                          {selectedPhoto?.lat?.toFixed(6)}
-                        </span>
+                  {/* Tabs */}
+                  <div className="flex border-b border-gray-700">
+                    {[
+                      { value: "details", label: "Details" },
+                      { value: "history", label: "History" },
+                    ].map((tab) => (
+                      <button
+                        key={tab.value}
+                        onClick={() => setActiveTab(tab.value)}
+                        className={cn(
+                          "px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors min-h-[44px] touch-manipulation",
+                          activeTab === tab.value
+                            ? "border-blue-500 text-white"
+                            : "border-transparent text-gray-400 hover:text-gray-200"
+                        )}
+                      >
+                        {tab.label}
+                      </button>
+                    ))}
+                  </div>
+
+                  {activeTab === "history" ? (
+                    <PhotoHistoryPanel
+                      photo={currentPhoto}
+                      isAdmin={isAdmin}
+                      user={user}
+                      onRevert={handleFieldRevert}
+                    />
+                  ) : (
+                    <>
+                      {/* Status */}
+                      <FindStatusPanel
+                        photo={currentPhoto}
+                        isAdmin={isAdmin}
+                        user={user}
+                        onStatusChange={(status) => {
+                          setRevertedFields((prev) => ({ ...prev, status }));
+                          if (onUpdatePhoto) {
+                            onUpdatePhoto({ id: selectedPhoto.id, status });
+                          }
+                        }}
+                      />
+
+                      {/* Location */}
+                      <div className="space-y-3">
+                        <h3 className="text-xs font-semibold text-gray-300 uppercase tracking-wider">
+                          Location
+                        </h3>
+                        <div className="space-y-1">
+                          <div className="flex justify-between items-center rounded-md">
+                            <span className="text-sm text-gray-400">
+                              Latitude
+                            </span>
+                            <span className="text-sm font-mono text-white">
+                              {currentPhoto.lat?.toFixed(6)}
+                            </span>
+                          </div>
+                          <div className="flex justify-between items-center rounded-md">
+                            <span className="text-sm text-gray-400">
+                              Longitude
+                            </span>
+                            <span className="text-sm font-mono text-white">
+                              {currentPhoto.lng?.toFixed(6)}
+                            </span>
+                          </div>
+                          {currentPhoto.altitude != null && (
+                            <div className="flex justify-between items-center rounded-md">
+                              <span className="text-sm text-gray-400">
+                                Altitude
+                              </span>
+                              <span className="text-sm font-mono text-white">
+                                {Math.round(currentPhoto.altitude)} m
+                              </span>
+                            </div>
+                          )}
+                          {currentPhoto.location_source && (
+                            <div className="flex justify-between items-center rounded-md">
+                              <span className="text-sm text-gray-400">
+                                Source
+                              </span>
+                              <span className="text-sm text-white">
+                                {formatLocationSource(
+                                  currentPhoto.location_source
+                                )}
+                              </span>
+                            </div>
+                          )}
+                        </div>
                       </div>
-                      <div className="flex justify-between items-center rounded-md">
-                        <span className="text-sm text-gray-400">Longitude</span>
-                        <span className="text-sm font-mono text-white">
-                          {selectedPhoto?.lng?.toFixed(6)}
-                        </span>
+
+                      {/* Details */}
+                      <div className="space-y-3">
+                        <h3 className="text-xs font-semibold text-gray-300 uppercase tracking-wider">
+                          Details
+                        </h3>
+                        <div className="space-y-1">
+                          {/* Photo Name */}
+                          <div className="flex flex-col gap-1">
+                            <span className="text-sm text-gray-400">Name</span>
+                            {isAdmin ? (
+                              <input
+                                type="text"
+                                value={photoName}
+                                onChange={(e) => setPhotoName(e.target.value)}
+                                placeholder="Enter photo name..."
+                                className="px-3 py-2 text-sm bg-gray-800 border border-gray-600 rounded text-white placeholder-gray-500 min-h-[44px] touch-manipulation"
+                              />
+                            ) : (
+                              <span className="text-sm text-white">
+                                {selectedPhoto?.name || "No name"}
+                              </span>
+                            )}
+                          </div>
+
+                          {/* Photo Type */}
+                          <div className="flex flex-col gap-1">
+                            <span className="text-sm text-gray-400">Type</span>
+                            {isAdmin ? (
+                              <select
+                                value={photoType}
+                                onChange={(e) => setPhotoType(e.target.value)}
+                                className="px-3 py-2 text-sm bg-gray-800 border border-gray-600 rounded text-white min-h-[44px] touch-manipulation"
+                              >
+                                {sortedCategories.map((category) => (
+                                  <option
+                                    key={category.value}
+                                    value={category.value}
+                                  >
+                                    {"\u00A0\u00A0".repeat(category.depth)}
+                                    {category.label}
+                                  </option>
+                                ))}
+                              </select>
+                            ) : (
+                              <div>
+                                <TypeBadge type={selectedPhoto?.type} />
+                              </div>
+                            )}
+                          </div>
+
+                          {/* Photo Description */}
+                          <div className="flex flex-col gap-1">
+                            <span className="text-sm text-gray-400">
+                              Description
+                            </span>
+                            {isAdmin ? (
+                              <textarea
+                                value={photoDescription}
+                                onChange={(e) =>
+                                  setPhotoDescription(e.target.value)
+                                }
+                                placeholder="Enter photo description..."
+                                rows={3}
+                                className="px-3 py-2 text-sm bg-gray-800 border border-gray-600 rounded text-white placeholder-gray-500 resize-none min-h-[44px] touch-manipulation"
+                              />
+                            ) : (
+                              <span className="text-sm text-white">
+                                {selectedPhoto?.description || "No description"}
+                              </span>
+                            )}
+                          </div>
+                          <div className="flex justify-between items-center rounded-md">
+                            <span className="text-sm text-gray-400">
+                              Filename
+                            </span>
+                            <span className="text-sm text-white truncate max-w-20">
+                              {selectedPhoto?.filename || "N/A"}
+                            </span>
+                          </div>
+                          <div className="flex justify-between items-center rounded-md">
+                            <span className="text-sm text-gray-400">
+                              Captured
+                            </span>
+                            <span className="text-sm text-white">
+                              {selectedPhoto?.timestamp
+                                ? new Date(
+                                    selectedPhoto.timestamp
+                                  ).toLocaleDateString()
+                                : "N/A"}
+                            </span>
+                          </div>
+                        </div>
                       </div>
-                    </div>
-                  </div>
 
-                  {/* Details */}
-                  <div className="space-y-3">
-                    <h3 className="text-xs font-semibold text-gray-300 uppercase tracking-wider">
-                      Details
-                    </h3>
-                    <div className="space-y-1">
-                      {/* Photo Name */}
-                      <div className="flex flex-col gap-1">
-                        <span className="text-sm text-gray-400">Name</span>
-                        {isAdmin ? (
-                          <input
-                            type="text"
-                            value={photoName}
-                            onChange={(e) => setPhotoName(e.target.value)}
-                            placeholder="Enter photo name..."
-                            className="px-3 py-2 text-sm bg-gray-800 border border-gray-600 rounded text-white placeholder-gray-500 min-h-[44px] touch-manipulation"
-                          />
-                        ) : (
-                          <span className="text-sm text-white">
-                            {selectedPhoto?.name || "No name"}
-                          </span>
-                        )}
+                      {/* Tags */}
+                      <div className="space-y-3">
+                        <h3 className="text-xs font-semibold text-gray-300 uppercase tracking-wider">
+                          Tags
+                        </h3>
+                        <TagInput
+                          photo={selectedPhoto}
+                          isAdmin={isAdmin}
+                          user={user}
+                          onTagsChange={(tags) =>
+                            onUpdatePhoto &&
+                            onUpdatePhoto({ id: selectedPhoto.id, tags })
+                          }
+                        />
                       </div>
 
-                      {/* Photo Description */}
-                      <div className="flex flex-col gap-1">
-                        <span className="text-sm text-gray-400">
-                          Description
-                        </span>
-                        {isAdmin ? (
-                          <textarea
-                            value={photoDescription}
-                            onChange={(e) =>
-                              setPhotoDescription(e.target.value)
-                            }
-                            placeholder="Enter photo description..."
-                            rows={3}
-                            className="px-3 py-2 text-sm bg-gray-800 border border-gray-600 rounded text-white placeholder-gray-500 resize-none min-h-[44px] touch-manipulation"
-                          />
-                        ) : (
-                          <span className="text-sm text-white">
-                            {selectedPhoto?.description || "No description"}
-                          </span>
-                        )}
+                      {/* Voice memos */}
+                      <div className="space-y-3">
+                        <h3 className="text-xs font-semibold text-gray-300 uppercase tracking-wider">
+                          Voice memos
+                        </h3>
+                        <VoiceMemoList
+                          photoId={selectedPhoto.id}
+                          isAdmin={isAdmin}
+                          user={user}
+                        />
                       </div>
-                      <div className="flex justify-between items-center rounded-md">
-                        <span className="text-sm text-gray-400">Filename</span>
-                        <span className="text-sm text-white truncate max-w-20">
-                          {selectedPhoto?.filename || "N/A"}
-                        </span>
+
+                      {/* Signal */}
+                      <div className="space-y-3">
+                        <h3 className="text-xs font-semibold text-gray-300 uppercase tracking-wider">
+                          Signal
+                        </h3>
+                        <SignalFields
+                          value={signal}
+                          onChange={setSignal}
+                          readOnly={!isAdmin}
+                        />
                       </div>
-                      <div className="flex justify-between items-center rounded-md">
-                        <span className="text-sm text-gray-400">Captured</span>
-                        <span className="text-sm text-white">
-                          {selectedPhoto?.timestamp
-                            ? new Date(
-                                selectedPhoto.timestamp
-                              ).toLocaleDateString()
-                            : "N/A"}
-                        </span>
+
+                      {/* Dimensions */}
+                      <div className="space-y-3">
+                        <h3 className="text-xs font-semibold text-gray-300 uppercase tracking-wider">
+                          Dimensions
+                        </h3>
+                        <DimensionFields
+                          value={dimensions}
+                          onChange={setDimensions}
+                          readOnly={!isAdmin}
+                        />
+                        {isAdmin && (
+                          <p className="text-xs text-gray-500">
+                            Use Measure in the gallery to measure the find on
+                            the photo against a ruler or coin.
+                          </p>
+                        )}
                       </div>
-                    </div>
-                  </div>
+                    </>
+                  )}
                 </div>
               </div>
             </div>
@@ -303,6 +515,18 @@ const PhotoModal = ({
           )}
         </div>
 
+        {measureImage && (
+          <MeasureTool
+            src={measureImage.src}
+            annotations={measureImage.annotations}
+            onApply={(measured) => {
+              setDimensions((prev) => ({ ...prev, ...measured }));
+              setMeasureImage(null);
+            }}
+            onClose={() => setMeasureImage(null)}
+          />
+        )}
+
         {/* Footer */}
         <div className="flex flex-col sm:flex-row justify-center gap-2 sm:gap-3 px-4 sm:px-6 py-3 sm:py-4 border-t border-gray-700 flex-shrink-0">
           <button
@@ -322,6 +546,7 @@ const PhotoModal = ({
               </button>
               <button
                 onClick={handleDelete}
+                title="Move to trash"
                 className="px-5 py-3 text-white bg-red-600 rounded-md hover:bg-red-700 transition-colors font-medium text-sm min-h-[44px] touch-manipulation"
               >
                 Delete
@@ -330,45 +555,6 @@ const PhotoModal = ({
           )}
         </div>
       </div>
-
-      {/* Full-screen Image Modal */}
-      {showFullscreen && (
-        <div className="fixed inset-0 z-[10001] flex items-center justify-center bg-black/90 backdrop-blur-sm">
-          <div className="relative w-full h-full flex items-center justify-center p-4">
-            {/* Close button */}
-            <button
-              className="absolute top-4 right-4 z-10 p-2 bg-black/50 hover:bg-black/70 rounded-full transition-colors"
-              onClick={() => setShowFullscreen(false)}
-            >
-              <svg
-                className="w-6 h-6 text-white"
-                fill="none"
-                stroke="currentColor"
-                viewBox="0 0 24 24"
-              >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  strokeWidth={2}
-                  d="M6 18L18 6M6 6l12 12"
-                />
-              </svg>
-            </button>
-
-            {/* Full-screen image */}
-            <img
-              src={
-                originalImageData ||
-                selectedPhoto?.image_data ||
-                selectedPhoto?.imageData
-              }
-              alt="Full screen photo"
-              className="max-w-full max-h-full object-contain"
-              onClick={() => setShowFullscreen(false)}
-            />
-          </div>
-        </div>
-      )}
     </div>
   );
 };
@@ -0,0 +1,80 @@
+import { createSupabaseBackend } from "../supabase";
+import { createLocalBackend } from "./localBackend";
+
+// Data backend selected by VITE_DATA_BACKEND:
+// - "supabase" (default): the Supabase project from VITE_SUPABASE_URL
+// - "local": demo data in the browser, persisted to IndexedDB
+// - "memory": demo data in memory, reset on every reload (for automated tests)
+const BACKEND_TYPE = import.meta.env.VITE_DATA_BACKEND || "supabase";
+
+const createBackend = () => {
+  switch (BACKEND_TYPE) {
+    case "supabase":
+      return createSupabaseBackend();
+    case "local":
+      return createLocalBackend({ persist: true });
+    case "memory":
+      return createLocalBackend({ persist: false });
+    default:
+      throw new Error(
+        `Unknown VITE_DATA_BACKEND "${BACKEND_TYPE}" (use supabase, local or memory)`
+      );
+  }
+};
+
+// Data backend used by all services: from(table), rpc(fn), storage and auth
+export const backend = createBackend();
+
+export const isLocalBackend = BACKEND_TYPE !== "supabase";
+
+// Authentication helper functions
+export const authHelpers = {
+  // Get current user
+  getCurrentUser: async () => {
+    const {
+      data: { user },
+      error,
+    } = await backend.auth.getUser();
+    if (error) throw error;
+    return user;
+  },
+
+  // Get current session
+  getCurrentSession: async () => {
+    const {
+      data: { session },
+      error,
+    } = await backend.auth.getSession();
+    if (error) throw error;
+    return session;
+  },
+
+  // Check if user is authenticated
+  isAuthenticated: async () => {
+    const {
+      data: { user },
+    } = await backend.auth.getUser();
+    return !!user;
+  },
+
+  // Sign in with email and password
+  signIn: async (email, password) => {
+    const { data, error } = await backend.auth.signInWithPassword({
+      email,
+      password,
+    });
+    if (error) throw error;
+    return data;
+  },
+
+  // Sign out
+  signOut: async () => {
+    const { error } = await backend.auth.signOut();
+    if (error) throw error;
+  },
+
+  // Listen to auth state changes
+  onAuthStateChange: (callback) => {
+    return backend.auth.onAuthStateChange(callback);
+  },
+};
@@ -0,0 +1,131 @@
+// Local backend: runs the whole app in the browser against demo data, without
+// a Supabase project. Implements the same interface as the Supabase client
+// (from, rpc, storage and auth) for the calls the services make.
+import { createLocalDatabase } from "./localDatabase";
+import { LocalQuery } from "./localQuery";
+
+const SIGNED_OUT_KEY = "localBackendSignedOut";
+
+// Demo user; local sign-in accepts any password and always grants admin
+const createLocalUser = (email) => ({
+  id: "local-user",
+  email,
+  user_metadata: { admin: true },
+  app_metadata: {},
+});
+
+const createLocalAuth = (db) => {
+  const listeners = new Set();
+  let user =
+    localStorage.getItem(SIGNED_OUT_KEY) === "true"
+      ? null
+      : createLocalUser("demo@localhost");
+  db.currentUser = user;
+
+  const getSession = () => (user ? { user, access_token: "local" } : null);
+
+  const notify = (event) => {
+    listeners.forEach((callback) => callback(event, getSession()));
+  };
+
+  return {
+    getSession: async () => ({ data: { session: getSession() }, error: null }),
+
+    getUser: async () => ({ data: { user }, error: null }),
+
+    signInWithPassword: async ({ email }) => {
+      user = createLocalUser(email || "demo@localhost");
+      db.currentUser = user;
+      localStorage.removeItem(SIGNED_OUT_KEY);
+      notify("SIGNED_IN");
+      return { data: { user, session: getSession() }, error: null };
+    },
+
+    signOut: async () => {
+      user = null;
+      db.currentUser = null;
+      localStorage.setItem(SIGNED_OUT_KEY, "true");
+      notify("SIGNED_OUT");
+      return { error: null };
+    },
+
+    onAuthStateChange: (callback) => {
+      listeners.add(callback);
+      return {
+        data: {
+          subscription: { unsubscribe: () => listeners.delete(callback) },
+        },
+      };
+    },
+  };
+};
+
+// Storage buckets backed by the local blob store
+const createLocalStorage = (db) => ({
+  from: (bucket) => ({
+    upload: async (path, blob, { upsert = false } = {}) => {
+      await db.ready;
+      const key = `${bucket}/${path}`;
+      if (!upsert && (await db.getBlob(key))) {
+        return {
+          data: null,
+          error: { message: "The resource already exists" },
+        };
+      }
+      await db.putBlob(key, blob);
+      return { data: { path }, error: null };
+    },
+
+    download: async (path) => {
+      await db.ready;
+      const blob = await db.getBlob(`${bucket}/${path}`);
+      return blob
+        ? { data: blob, error: null }
+        : { data: null, error: { message: "Object not found" } };
+    },
+
+    remove: async (paths) => {
+      await db.ready;
+      await Promise.all(
+        paths.map((path) => db.deleteBlob(`${bucket}/${path}`))
+      );
+      return { data: paths.map((name) => ({ name })), error: null };
+    },
+
+    // Object URLs stand in for signed URLs; they stay valid until reload
+    createSignedUrl: async (path) => {
+      await db.ready;
+      const blob = await db.getBlob(`${bucket}/${path}`);
+      return blob
+        ? { data: { signedUrl: URL.createObjectURL(blob) }, error: null }
+        : { data: null, error: { message: "Object not found" } };
+    },
+
+    createSignedUrls: async (paths) => {
+      await db.ready;
+      const data = await Promise.all(
+        paths.map(async (path) => {
+          const blob = await db.getBlob(`${bucket}/${path}`);
+          return blob
+            ? { path, signedUrl: URL.createObjectURL(blob), error: null }
+            : { path, signedUrl: null, error: "Object not found" };
+        })
+      );
+      return { data, error: null };
+    },
+  }),
+});
+
+// Create the local backend; persist = false keeps data in memory only
+export const createLocalBackend = ({ persist = true } = {}) => {
+  const db = createLocalDatabase({ persist });
+
+  return {
+    from: (table) => new LocalQuery(db, table),
+    rpc: (name, args) =>
+      // Functions returning photos rows can be selected and filtered like a table
+      new LocalQuery(db, "photos", { rpc: { name, args } }),
+    storage: createLocalStorage(db),
+    auth: createLocalAuth(db),
+  };
+};
@@ -0,0 +1,547 @@
+// In-browser database for the local backend: tables kept in memory and
+// optionally persisted to IndexedDB, with the constraints, cascades, triggers
+// and functions of the Supabase schema (see migrations/) that the app relies on.
+import { createSeedData } from "./localSeed";
+import { getSearchTerms } from "../lib/utils";
+
+const IDB_NAME = "metal-detecting-local";
+const IDB_VERSION = 1;
+const TABLES_STORE = "tables";
+const BLOBS_STORE = "blobs";
+
+const TABLE_NAMES = [
+  "photos",
+  "categories",
+  "find_images",
+  "tags",
+  "photo_tags",
+  "photo_status_history",
+  "photo_audit_log",
+  "image_shares",
+  "voice_memos",
+];
+
+// Tables without a generated id column
+const TABLES_WITHOUT_ID = ["photo_tags"];
+
+// Unique constraints per table (each returns the key a row must not share)
+const UNIQUE_KEYS = {
+  categories: [(row) => row.slug],
+  tags: [(row) => row.name?.toLowerCase()],
+  photo_tags: [(row) => `${row.photo_id}:${row.tag_id}`],
+};
+
+// Embedded resources that can be selected like "tags(id, name)"
+const RELATIONS = {
+  photos: {
+    tags: {
+      table: "tags",
+      through: "photo_tags",
+      localKey: "photo_id",
+      foreignKey: "tag_id",
+    },
+  },
+  tags: {
+    photo_tags: { table: "photo_tags", foreignKey: "tag_id" },
+  },
+};
+
+// Photo columns not recorded in the audit log (as in
+// migration-add-audit-ignored-fields.sql)
+const AUDIT_IGNORED_FIELDS = [
+  "id",
+  "image_data",
+  "thumbnail_data",
+  "user_id",
+  "created_at",
+  "updated_at",
+  "location",
+  "search_vector",
+  "checksum",
+  "phash",
+  "storage_path",
+  "source_path",
+  "thumbnail_path",
+  "medium_path",
+  "rotation",
+  "filename",
+  "cover_image_id",
+];
+
+const now = () => new Date().toISOString();
+
+const uniqueViolation = (table) => ({
+  code: "23505",
+  message: `duplicate key value violates unique constraint on "${table}"`,
+});
+
+// Promisify an IndexedDB request
+const idbRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openIndexedDB = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(TABLES_STORE);
+      request.result.createObjectStore(BLOBS_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Create the local database. With persist = false everything lives in memory
+// and is reset on reload; otherwise tables and blobs are stored in IndexedDB.
+export const createLocalDatabase = ({ persist = true } = {}) => {
+  const tables = {};
+  const memoryBlobs = new Map();
+  let idb = null;
+
+  const db = {
+    tables,
+    currentUser: null, // Set by the local auth, used for "changed_by" columns
+  };
+
+  // Save a table after a write (no-op in memory mode)
+  const saveTable = (table) => {
+    if (!idb) return;
+    const transaction = idb.transaction(TABLES_STORE, "readwrite");
+    transaction.objectStore(TABLES_STORE).put(tables[table], table);
+  };
+
+  const loadTables = async () => {
+    if (persist && typeof indexedDB !== "undefined") {
+      try {
+        idb = await openIndexedDB();
+        const store = idb
+          .transaction(TABLES_STORE, "readonly")
+          .objectStore(TABLES_STORE);
+        for (const table of TABLE_NAMES) {
+          const rows = await idbRequest(store.get(table));
+          if (rows) tables[table] = rows;
+        }
+      } catch (error) {
+        console.error("IndexedDB unavailable, using memory only:", error);
+        idb = null;
+      }
+    }
+
+    if (!tables.photos) {
+      const seed = createSeedData();
+      TABLE_NAMES.forEach((table) => {
+        tables[table] = seed[table] || [];
+        saveTable(table);
+      });
+      console.log("Local database seeded with demo data");
+    }
+
+    // Tables added after the database was first seeded start empty
+    TABLE_NAMES.forEach((table) => {
+      if (!tables[table]) tables[table] = [];
+    });
+  };
+
+  db.ready = loadTables();
+
+  const nextId = (table) =>
+    tables[table].reduce((max, row) => Math.max(max, row.id || 0), 0) + 1;
+
+  const findDuplicate = (table, row, ignoreRow = null) =>
+    (UNIQUE_KEYS[table] || []).some((getKey) =>
+      tables[table].some(
+        (other) => other !== ignoreRow && getKey(other) === getKey(row)
+      )
+    );
+
+  // --- Triggers ---
+
+  const recordStatusChange = (photoId, fromStatus, toStatus) => {
+    tables.photo_status_history.push({
+      id: nextId("photo_status_history"),
+      photo_id: photoId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      changed_by: db.currentUser?.id ?? null,
+      changed_by_email: db.currentUser?.email ?? null,
+      changed_at: now(),
+    });
+    saveTable("photo_status_history");
+  };
+
+  const withoutIgnoredFields = (row) =>
+    Object.fromEntries(
+      Object.entries(row).filter(
+        ([field]) => !AUDIT_IGNORED_FIELDS.includes(field)
+      )
+    );
+
+  const recordAudit = (photoId, action, changes = {}) => {
+    tables.photo_audit_log.push({
+      id: nextId("photo_audit_log"),
+      photo_id: photoId,
+      action,
+      field: changes.field ?? null,
+      old_value: changes.oldValue ?? null,
+      new_value: changes.newValue ?? null,
+      changed_by: db.currentUser?.id ?? null,
+      changed_by_email: db.currentUser?.email ?? null,
+      changed_at: now(),
+    });
+    saveTable("photo_audit_log");
+  };
+
+  const removeWhere = (table, predicate) => {
+    const removed = tables[table].filter(predicate);
+    if (removed.length > 0) {
+      tables[table] = tables[table].filter((row) => !predicate(row));
+      saveTable(table);
+    }
+    return removed;
+  };
+
+  const TRIGGERS = {
+    photos: {
+      afterInsert: (row) => {
+        recordStatusChange(row.id, null, row.status);
+        recordAudit(row.id, "insert", { newValue: withoutIgnoredFields(row) });
+      },
+      afterUpdate: (oldRow, newRow) => {
+        if (oldRow.status !== newRow.status) {
+          recordStatusChange(newRow.id, oldRow.status, newRow.status);
+        }
+        Object.keys(newRow).forEach((field) => {
+          if (
+            !AUDIT_IGNORED_FIELDS.includes(field) &&
+            JSON.stringify(oldRow[field] ?? null) !==
+              JSON.stringify(newRow[field] ?? null)
+          ) {
+            recordAudit(newRow.id, "update", {
+              field,
+              oldValue: oldRow[field] ?? null,
+              newValue: newRow[field] ?? null,
+            });
+          }
+        });
+      },
+      afterDelete: (row) => {
+        removeWhere("find_images", (image) => image.photo_id === row.id);
+        removeWhere("photo_tags", (link) => link.photo_id === row.id);
+        removeWhere(
+          "photo_status_history",
+          (entry) => entry.photo_id === row.id
+        );
+        removeWhere("image_shares", (share) => share.photo_id === row.id);
+        removeWhere("voice_memos", (memo) => memo.photo_id === row.id);
+        recordAudit(row.id, "delete", { oldValue: withoutIgnoredFields(row) });
+      },
+    },
+    categories: {
+      // check_category_parent_cycle: a category can't be its own ancestor
+      beforeWrite: (newRow, oldRow) => {
+        const ownSlugs = [newRow.slug, oldRow?.slug];
+        const seen = new Set();
+        let parent = newRow.parent_slug;
+        while (parent && !seen.has(parent)) {
+          if (ownSlugs.includes(parent)) {
+            return {
+              code: "P0001",
+              message: `Category ${newRow.slug} cannot be its own ancestor`,
+            };
+          }
+          seen.add(parent);
+          parent =
+            tables.categories.find((category) => category.slug === parent)
+              ?.parent_slug ?? null;
+        }
+        return null;
+      },
+      // photos.type references categories.slug ON UPDATE CASCADE
+      afterUpdate: (oldRow, newRow) => {
+        if (oldRow.slug === newRow.slug) return;
+        tables.photos.forEach((photo) => {
+          if (photo.type === oldRow.slug) photo.type = newRow.slug;
+        });
+        tables.categories.forEach((category) => {
+          if (category.parent_slug === oldRow.slug) {
+            category.parent_slug = newRow.slug;
+          }
+        });
+        saveTable("photos");
+      },
+      beforeDelete: (row) =>
+        tables.photos.some((photo) => photo.type === row.slug)
+          ? {
+              code: "23503",
+              message: `category "${row.slug}" is still used by photos`,
+            }
+          : null,
+      afterDelete: (row) => {
+        tables.categories.forEach((category) => {
+          if (category.parent_slug === row.slug) category.parent_slug = null;
+        });
+      },
+    },
+    find_images: {
+      // image_shares.image_id references find_images ON DELETE SET NULL
+      afterDelete: (row) => {
+        tables.image_shares.forEach((share) => {
+          if (share.image_id === row.id) share.image_id = null;
+        });
+        saveTable("image_shares");
+      },
+    },
+    tags: {
+      afterDelete: (row) => {
+        removeWhere("photo_tags", (link) => link.tag_id === row.id);
+      },
+    },
+  };
+
+  // --- Row operations used by LocalQuery ---
+
+  db.insertRows = (table, rows) => {
+    const inserted = [];
+    for (const values of rows) {
+      const row = { created_at: now(), ...values };
+      if (!TABLES_WITHOUT_ID.includes(table) && row.id === undefined) {
+        row.id = nextId(table);
+      }
+      if (findDuplicate(table, row)) return { error: uniqueViolation(table) };
+      const error = TRIGGERS[table]?.beforeWrite?.(row, null);
+      if (error) return { error };
+      tables[table].push(row);
+      inserted.push(row);
+      TRIGGERS[table]?.afterInsert?.(row);
+    }
+    saveTable(table);
+    return { data: inserted };
+  };
+
+  db.upsertRows = (table, rows, conflictColumns, ignoreDuplicates) => {
+    const affected = [];
+    for (const values of rows) {
+      const existing = tables[table].find((row) =>
+        conflictColumns.every((column) => row[column] === values[column])
+      );
+      if (!existing) {
+        const result = db.insertRows(table, [values]);
+        if (result.error) return result;
+        affected.push(...result.data);
+      } else if (!ignoreDuplicates) {
+        const error = TRIGGERS[table]?.beforeWrite?.(
+          { ...existing, ...values },
+          existing
+        );
+        if (error) return { error };
+        const oldRow = { ...existing };
+        Object.assign(existing, values);
+        TRIGGERS[table]?.afterUpdate?.(oldRow, existing);
+        affected.push(existing);
+      }
+    }
+    saveTable(table);
+    return { data: affected };
+  };
+
+  db.updateRows = (table, predicate, values) => {
+    const updated = [];
+    for (const row of tables[table].filter(predicate)) {
+      const newRow = { ...row, ...values };
+      if (findDuplicate(table, newRow, row)) {
+        return { error: uniqueViolation(table) };
+      }
+      const error = TRIGGERS[table]?.beforeWrite?.(newRow, row);
+      if (error) return { error };
+      const oldRow = { ...row };
+      Object.assign(row, values);
+      TRIGGERS[table]?.afterUpdate?.(oldRow, row);
+      updated.push(row);
+    }
+    saveTable(table);
+    return { data: updated };
+  };
+
+  db.deleteRows = (table, predicate) => {
+    const rows = tables[table].filter(predicate);
+    for (const row of rows) {
+      const error = TRIGGERS[table]?.beforeDelete?.(row);
+      if (error) return { error };
+    }
+    removeWhere(table, predicate);
+    rows.forEach((row) => TRIGGERS[table]?.afterDelete?.(row));
+    saveTable(table);
+    return { data: rows };
+  };
+
+  // Copy the selected columns and embedded resources of a row
+  db.projectRow = (table, row, columns) => {
+    const result = {};
+    for (const item of columns) {
+      if (item.column === "*") {
+        Object.assign(result, row);
+      } else if (item.column) {
+        result[item.column] = row[item.column] ?? null;
+      } else {
+        const relation = RELATIONS[table]?.[item.relation];
+        if (!relation) {
+          throw new Error(`Unknown relation ${table}.${item.relation}`);
+        }
+        let related;
+        if (relation.through) {
+          const ids = tables[relation.through]
+            .filter((link) => link[relation.localKey] === row.id)
+            .map((link) => link[relation.foreignKey]);
+          related = tables[relation.table].filter((r) => ids.includes(r.id));
+        } else {
+          related = tables[relation.table].filter(
+            (r) => r[relation.foreignKey] === row.id
+          );
+        }
+        result[item.relation] =
+          item.columns.length === 1 && item.columns[0].column === "count"
+            ? [{ count: related.length }]
+            : related.map((r) =>
+                db.projectRow(relation.table, r, item.columns)
+              );
+      }
+    }
+    return result;
+  };
+
+  // --- Database functions (see migrations/) ---
+
+  const FUNCTIONS = {
+    merge_categories: ({ source_slug, target_slug }) => {
+      if (source_slug === target_slug) {
+        return { error: { message: "Cannot merge a category into itself" } };
+      }
+      if (!tables.categories.some((c) => c.slug === target_slug)) {
+        return {
+          error: { message: `Target category ${target_slug} does not exist` },
+        };
+      }
+      // A descendant target first takes the source's place in the tree
+      const parentOf = (slug) =>
+        tables.categories.find((c) => c.slug === slug)?.parent_slug ?? null;
+      const seen = new Set();
+      let ancestor = parentOf(target_slug);
+      while (ancestor && ancestor !== source_slug && !seen.has(ancestor)) {
+        seen.add(ancestor);
+        ancestor = parentOf(ancestor);
+      }
+      if (ancestor === source_slug) {
+        db.updateRows("categories", (c) => c.slug === target_slug, {
+          parent_slug: parentOf(source_slug),
+        });
+      }
+      const moved = db.updateRows(
+        "photos",
+        (photo) => photo.type === source_slug,
+        { type: target_slug }
+      ).data.length;
+      db.updateRows(
+        "categories",
+        (c) => c.parent_slug === source_slug && c.slug !== target_slug,
+        { parent_slug: target_slug }
+      );
+      db.deleteRows("categories", (c) => c.slug === source_slug);
+      return { data: moved };
+    },
+
+    photos_in_bounds: ({ min_lng, min_lat, max_lng, max_lat, max_rows }) => ({
+      data: tables.photos
+        .filter(
+          (photo) =>
+            !photo.deleted_at &&
+            photo.lng >= min_lng &&
+            photo.lng <= max_lng &&
+            photo.lat >= min_lat &&
+            photo.lat <= max_lat
+        )
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, max_rows ?? 1000),
+    }),
+
+    // Every query word must prefix-match a word of the find; name matches rank first
+    search_photos: ({ search_query, max_rows }) => {
+      const terms = getSearchTerms(search_query);
+      const wordsOf = (text) => getSearchTerms(text || "");
+      const matchesAny = (words, term) =>
+        words.some((word) => word.startsWith(term));
+
+      const results = tables.photos
+        .filter((photo) => !photo.deleted_at)
+        .map((photo) => {
+          const tagNames = tables.photo_tags
+            .filter((link) => link.photo_id === photo.id)
+            .map((link) => tables.tags.find((t) => t.id === link.tag_id)?.name);
+          const category = tables.categories.find((c) => c.slug === photo.type);
+          const nameWords = wordsOf(photo.name);
+          const allWords = [
+            ...nameWords,
+            ...wordsOf(photo.description),
+            ...wordsOf(tagNames.join(" ")),
+            ...wordsOf(`${photo.type || ""} ${category?.label || ""}`),
+          ];
+          return {
+            photo,
+            matches: terms.every((term) => matchesAny(allWords, term)),
+            rank: terms.filter((term) => matchesAny(nameWords, term)).length,
+          };
+        })
+        .filter((result) => terms.length > 0 && result.matches)
+        .sort(
+          (a, b) =>
+            b.rank - a.rank ||
+            b.photo.created_at.localeCompare(a.photo.created_at)
+        );
+
+      return {
+        data: results.slice(0, max_rows ?? 200).map((result) => result.photo),
+      };
+    },
+  };
+
+  db.callFunction = (name, args = {}) => {
+    const fn = FUNCTIONS[name];
+    if (!fn) return { error: { message: `Unknown function: ${name}` } };
+    return fn(args);
+  };
+
+  // --- Blob storage ---
+
+  db.putBlob = async (key, blob) => {
+    if (!idb) {
+      memoryBlobs.set(key, blob);
+      return;
+    }
+    const store = idb
+      .transaction(BLOBS_STORE, "readwrite")
+      .objectStore(BLOBS_STORE);
+    await idbRequest(store.put(blob, key));
+  };
+
+  db.getBlob = async (key) => {
+    if (!idb) return memoryBlobs.get(key) ?? null;
+    const store = idb
+      .transaction(BLOBS_STORE, "readonly")
+      .objectStore(BLOBS_STORE);
+    return (await idbRequest(store.get(key))) ?? null;
+  };
+
+  db.deleteBlob = async (key) => {
+    if (!idb) {
+      memoryBlobs.delete(key);
+      return;
+    }
+    const store = idb
+      .transaction(BLOBS_STORE, "readwrite")
+      .objectStore(BLOBS_STORE);
+    await idbRequest(store.delete(key));
+  };
+
+  return db;
+};
@@ -0,0 +1,339 @@
+// Query builder for the local backend. It implements the subset of the
+// Supabase (PostgREST) query API used by the services, over in-memory tables.
+
+// Split an expression on top-level commas (ignores commas inside parentheses
+// and double quotes)
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let inQuotes = false;
+  let current = "";
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (!inQuotes && char === "(") depth++;
+    if (!inQuotes && char === ")") depth--;
+    if (!inQuotes && depth === 0 && char === ",") {
+      parts.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+};
+
+// Parse a column list like "id, name, tags(id, name), photo_tags(count)"
+const parseColumns = (columns = "*") =>
+  splitTopLevel(columns).map((item) => {
+    const match = item.match(/^(\w+)\(([\s\S]*)\)$/);
+    if (match) {
+      return { relation: match[1], columns: parseColumns(match[2]) };
+    }
+    return { column: item };
+  });
+
+// Compare two column values the way Postgres orders them (numbers, ISO dates
+// and strings); nulls sort after everything else
+const compareValues = (a, b) => {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing)
+    return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+  if (typeof a === "number") b = Number(b);
+  if (typeof b === "number") a = Number(a);
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Convert a SQL LIKE pattern to a regular expression
+const likeToRegExp = (pattern, flags) => {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\" && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    } else if (char === "%") {
+      source += ".*";
+    } else if (char === "_") {
+      source += ".";
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, flags);
+};
+
+// Build a row predicate for a single filter operator
+const createFilter = (column, operator, value) => {
+  switch (operator) {
+    case "eq":
+      return (row) => compareValues(row[column], value) === 0;
+    case "neq":
+      return (row) => compareValues(row[column], value) !== 0;
+    case "lt":
+      return (row) =>
+        row[column] != null && compareValues(row[column], value) < 0;
+    case "lte":
+      return (row) =>
+        row[column] != null && compareValues(row[column], value) <= 0;
+    case "gt":
+      return (row) =>
+        row[column] != null && compareValues(row[column], value) > 0;
+    case "gte":
+      return (row) =>
+        row[column] != null && compareValues(row[column], value) >= 0;
+    case "in":
+      return (row) => value.some((v) => compareValues(row[column], v) === 0);
+    case "is":
+      return (row) =>
+        value === null || value === "null"
+          ? row[column] === null || row[column] === undefined
+          : row[column] === (value === true || value === "true");
+    case "like":
+      return (row) => likeToRegExp(value).test(String(row[column] ?? ""));
+    case "ilike":
+      return (row) => likeToRegExp(value, "i").test(String(row[column] ?? ""));
+    default:
+      throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+};
+
+// Parse a PostgREST logic expression, e.g. `a.lt."x",and(a.eq."x",id.lt.5)`
+const parseLogicExpression = (expression, combinator = "or") => {
+  const filters = splitTopLevel(expression).map((part) => {
+    const nested = part.match(/^(and|or)\(([\s\S]*)\)$/);
+    if (nested) return parseLogicExpression(nested[2], nested[1]);
+
+    const [, column, operator, rawValue] = part.match(/^(\w+)\.(\w+)\.(.*)$/);
+    const value = rawValue.replace(/^"(.*)"$/, "$1");
+    return createFilter(column, operator, value);
+  });
+  return combinator === "and"
+    ? (row) => filters.every((filter) => filter(row))
+    : (row) => filters.some((filter) => filter(row));
+};
+
+const notFoundError = (count) => ({
+  code: "PGRST116",
+  message: `JSON object requested, multiple (or no) rows returned (${count} rows)`,
+});
+
+export class LocalQuery {
+  constructor(db, table, { rpc = null } = {}) {
+    this.db = db;
+    this.table = table;
+    this.rpc = rpc; // { name, args } when querying the result of a function
+    this.operation = rpc ? "rpc" : "select";
+    this.columns = null;
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = 0;
+    this.rangeTo = null;
+    this.resultMode = "many";
+  }
+
+  select(columns = "*") {
+    this.columns = parseColumns(columns);
+    if (this.operation !== "select" && this.operation !== "rpc") {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = "insert";
+    this.values = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, { onConflict = "id", ignoreDuplicates = false } = {}) {
+    this.operation = "upsert";
+    this.values = Array.isArray(rows) ? rows : [rows];
+    this.conflictColumns = onConflict.split(",").map((c) => c.trim());
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.operation = "update";
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = "delete";
+    return this;
+  }
+
+  eq(column, value) {
+    return this.filter(column, "eq", value);
+  }
+
+  neq(column, value) {
+    return this.filter(column, "neq", value);
+  }
+
+  lt(column, value) {
+    return this.filter(column, "lt", value);
+  }
+
+  lte(column, value) {
+    return this.filter(column, "lte", value);
+  }
+
+  gt(column, value) {
+    return this.filter(column, "gt", value);
+  }
+
+  gte(column, value) {
+    return this.filter(column, "gte", value);
+  }
+
+  in(column, values) {
+    return this.filter(column, "in", values);
+  }
+
+  is(column, value) {
+    return this.filter(column, "is", value);
+  }
+
+  like(column, pattern) {
+    return this.filter(column, "like", pattern);
+  }
+
+  ilike(column, pattern) {
+    return this.filter(column, "ilike", pattern);
+  }
+
+  not(column, operator, value) {
+    const filter = createFilter(column, operator, value);
+    this.filters.push((row) => !filter(row));
+    return this;
+  }
+
+  or(expression) {
+    this.filters.push(parseLogicExpression(expression));
+    return this;
+  }
+
+  filter(column, operator, value) {
+    this.filters.push(createFilter(column, operator, value));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.rangeTo = this.rangeFrom + count - 1;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.resultMode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.resultMode = "maybeSingle";
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.execute().then(onFulfilled, onRejected);
+  }
+
+  async execute() {
+    await this.db.ready;
+    try {
+      const result = this.run();
+      if (result.error) return { data: null, error: result.error };
+      return this.shape(result.data);
+    } catch (error) {
+      return { data: null, error: { message: error.message } };
+    }
+  }
+
+  matches(row) {
+    return this.filters.every((filter) => filter(row));
+  }
+
+  run() {
+    switch (this.operation) {
+      case "rpc": {
+        const result = this.db.callFunction(this.rpc.name, this.rpc.args);
+        if (result.error || !Array.isArray(result.data)) return result;
+        return { data: this.selectRows(result.data) };
+      }
+      case "select":
+        return { data: this.selectRows(this.db.tables[this.table]) };
+      case "insert":
+        return this.db.insertRows(this.table, this.values);
+      case "upsert":
+        return this.db.upsertRows(
+          this.table,
+          this.values,
+          this.conflictColumns,
+          this.ignoreDuplicates
+        );
+      case "update":
+        return this.db.updateRows(
+          this.table,
+          (row) => this.matches(row),
+          this.values
+        );
+      case "delete":
+        return this.db.deleteRows(this.table, (row) => this.matches(row));
+      default:
+        throw new Error(`Unsupported operation: ${this.operation}`);
+    }
+  }
+
+  // Filter, order and page rows (projection happens in shape)
+  selectRows(rows) {
+    const selected = rows.filter((row) => this.matches(row));
+    if (this.orders.length > 0) {
+      selected.sort((a, b) => {
+        for (const { column, ascending } of this.orders) {
+          const result = compareValues(a[column], b[column]);
+          if (result !== 0) return ascending ? result : -result;
+        }
+        return 0;
+      });
+    }
+    const end = this.rangeTo === null ? undefined : this.rangeTo + 1;
+    return selected.slice(this.rangeFrom, end);
+  }
+
+  shape(rows) {
+    if (!Array.isArray(rows)) return { data: rows, error: null };
+
+    const isWrite = !["select", "rpc"].includes(this.operation);
+    if (isWrite && !this.returning) return { data: null, error: null };
+
+    const data = rows.map((row) =>
+      this.db.projectRow(this.table, row, this.columns || parseColumns("*"))
+    );
+
+    if (this.resultMode === "single") {
+      return data.length === 1
+        ? { data: data[0], error: null }
+        : { data: null, error: notFoundError(data.length) };
+    }
+    if (this.resultMode === "maybeSingle") {
+      return data.length <= 1
+        ? { data: data[0] ?? null, error: null }
+        : { data: null, error: notFoundError(data.length) };
+    }
+    return { data, error: null };
+  }
+}
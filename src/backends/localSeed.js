@@ -0,0 +1,164 @@
+// Demo data for the local backend, used the first time it starts
+import { FIND_TYPES } from "../lib/utils";
+
+// Placeholder find image as an SVG data URL
+const createDemoImage = (label, color, size) => {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 100 100">
+  <rect width="100" height="100" fill="#5b4636"/>
+  <circle cx="50" cy="45" r="22" fill="${color}" stroke="#1f2937" stroke-width="2"/>
+  <text x="50" y="88" font-family="sans-serif" font-size="9" fill="#f9fafb" text-anchor="middle">${label}</text>
+</svg>`;
+  return `data:image/svg+xml;base64,${btoa(svg)}`;
+};
+
+const DEMO_FINDS = [
+  {
+    name: "Silver penny",
+    description:
+      "Worn hammered silver coin from the ploughed field by the road.",
+    type: "coins",
+    status: "identified",
+    offset: [0.0012, -0.0021],
+    signal: { target_id: 82, tone: "high", depth_cm: 12 },
+    tags: ["silver", "field 7"],
+  },
+  {
+    name: "Bronze brooch",
+    description: "Ring brooch with a broken pin, found near the old farm.",
+    type: "jewelry",
+    status: "dug",
+    offset: [-0.0008, 0.0015],
+    signal: { target_id: 45, tone: "mid", depth_cm: 18 },
+    tags: ["bronze"],
+  },
+  {
+    name: "Musket ball",
+    description: "Lead ball, slightly flattened.",
+    type: "weapons-and-ammunition",
+    status: "archived",
+    offset: [0.0021, 0.0009],
+    signal: { target_id: 60, tone: "mid", depth_cm: 9 },
+    tags: ["lead", "field 7"],
+  },
+  {
+    name: "Buckle fragment",
+    description: "Half of a cast buckle frame.",
+    type: "relics",
+    status: "dug",
+    offset: [-0.0017, -0.0006],
+    signal: { target_id: 38, tone: "iffy", depth_cm: 15 },
+    tags: ["bronze"],
+  },
+  {
+    name: "",
+    description: "Strong repeatable signal, dig next visit.",
+    type: "target",
+    status: "target",
+    offset: [0.0003, 0.0027],
+    signal: { target_id: 71, tone: "high" },
+    tags: [],
+  },
+];
+
+const DEMO_CENTER = [58.5953, 25.0136]; // Matches the map's default location
+const DEMO_DETECTOR = {
+  detector_model: "Demo Detector",
+  detector_program: "Park 1",
+  coil: '11" DD',
+};
+
+export const createSeedData = () => {
+  const categories = FIND_TYPES.map((findType, index) => ({
+    id: index + 1,
+    slug: findType.value,
+    label: findType.label,
+    color: findType.color,
+    icon: null,
+    parent_slug: null,
+    sort_order: findType.value === "unknown" ? 1000 : index * 10,
+    created_at: new Date().toISOString(),
+  }));
+
+  const tagNames = [...new Set(DEMO_FINDS.flatMap((find) => find.tags))];
+  const tags = tagNames.map((name, index) => ({
+    id: index + 1,
+    name,
+    created_at: new Date().toISOString(),
+  }));
+
+  const photos = [];
+  const findImages = [];
+  const photoTags = [];
+
+  DEMO_FINDS.forEach((find, index) => {
+    const id = index + 1;
+    const createdAt = new Date(
+      Date.now() - (index + 1) * 86400000
+    ).toISOString();
+    const color = FIND_TYPES.find((t) => t.value === find.type)?.color;
+    const imageData = createDemoImage(find.name || "Target", color, 800);
+    const thumbnail = createDemoImage(find.name || "Target", color, 200);
+
+    photos.push({
+      id,
+      lat: DEMO_CENTER[0] + find.offset[0],
+      lng: DEMO_CENTER[1] + find.offset[1],
+      altitude: null,
+      location_source: "map",
+      image_data: imageData,
+      thumbnail_data: thumbnail,
+      storage_path: null,
+      timestamp: createdAt,
+      filename: `demo-${id}.jpg`,
+      type: find.type,
+      status: find.status,
+      name: find.name || null,
+      description: find.description,
+      target_id: find.signal.target_id ?? null,
+      tone: find.signal.tone ?? null,
+      depth_cm: find.signal.depth_cm ?? null,
+      ...DEMO_DETECTOR,
+      cover_image_id: id,
+      deleted_at: null,
+      user_id: "local-user",
+      created_at: createdAt,
+    });
+
+    findImages.push({
+      id,
+      photo_id: id,
+      storage_path: null,
+      image_data: imageData,
+      thumbnail_data: thumbnail,
+      filename: `demo-${id}.jpg`,
+      position: 0,
+      created_at: createdAt,
+    });
+
+    find.tags.forEach((name) => {
+      photoTags.push({
+        photo_id: id,
+        tag_id: tags.find((tag) => tag.name === name).id,
+        created_at: createdAt,
+      });
+    });
+  });
+
+  return {
+    photos,
+    categories,
+    find_images: findImages,
+    tags,
+    photo_tags: photoTags,
+    photo_status_history: photos.map((photo) => ({
+      id: photo.id,
+      photo_id: photo.id,
+      from_status: null,
+      to_status: photo.status,
+      changed_by: "local-user",
+      changed_by_email: "demo@localhost",
+      changed_at: photo.created_at,
+    })),
+    photo_audit_log: [],
+  };
+};
@@ -0,0 +1,161 @@
+import { backend } from "./backends";
+import { requireAdmin } from "./lib/utils";
+
+// Convert a categories row into the find type shape used by the UI
+const toFindType = (category) => ({
+  id: category.id,
+  value: category.slug,
+  label: category.label,
+  color: category.color,
+  icon: category.icon,
+  parent: category.parent_slug,
+  sortOrder: category.sort_order,
+});
+
+// Convert find type fields from the editor into a categories row
+const toCategoryRow = (findType) => {
+  const row = {};
+  if (findType.value !== undefined) row.slug = findType.value;
+  if (findType.label !== undefined) row.label = findType.label;
+  if (findType.color !== undefined) row.color = findType.color;
+  if (findType.icon !== undefined) row.icon = findType.icon || null;
+  if (findType.parent !== undefined) row.parent_slug = findType.parent || null;
+  if (findType.sortOrder !== undefined) row.sort_order = findType.sortOrder;
+  return row;
+};
+
+// Turn a label into a category slug (e.g. "Belt Buckles" -> "belt-buckles")
+export const slugifyCategory = (label) => {
+  return label
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+};
+
+// Load all categories ordered for display
+export const loadCategories = async () => {
+  try {
+    const { data, error } = await backend
+      .from("categories")
+      .select("id, slug, label, color, icon, parent_slug, sort_order")
+      .order("sort_order", { ascending: true })
+      .order("label", { ascending: true });
+
+    if (error) {
+      console.error("Error loading categories:", error);
+      return { success: false, error };
+    }
+
+    console.log(`Categories loaded (${data.length} categories)`);
+    return { success: true, data: data.map(toFindType) };
+  } catch (error) {
+    console.error("Error loading categories:", error);
+    return { success: false, error };
+  }
+};
+
+// Create a new category
+export const createCategory = async (findType, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const row = toCategoryRow({
+      ...findType,
+      value: findType.value || slugifyCategory(findType.label),
+    });
+
+    const { data, error } = await backend
+      .from("categories")
+      .insert([row])
+      .select();
+
+    if (error) {
+      console.error("Error creating category:", error);
+      return { success: false, error };
+    }
+
+    console.log("Category created in database:", data);
+    return { success: true, data: toFindType(data[0]) };
+  } catch (error) {
+    console.error("Error creating category:", error);
+    return { success: false, error };
+  }
+};
+
+// Update a category. Changing the slug renames it and reassigns existing
+// photos through the ON UPDATE CASCADE foreign key on photos.type.
+export const updateCategory = async (slug, changes, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { data, error } = await backend
+      .from("categories")
+      .update(toCategoryRow(changes))
+      .eq("slug", slug)
+      .select();
+
+    if (error) {
+      console.error("Error updating category:", error);
+      return { success: false, error };
+    }
+
+    console.log("Category updated in database:", data);
+    return { success: true, data: toFindType(data[0]) };
+  } catch (error) {
+    console.error("Error updating category:", error);
+    return { success: false, error };
+  }
+};
+
+// Merge a category into another one, moving all of its photos
+export const mergeCategories = async (sourceSlug, targetSlug, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { data, error } = await backend.rpc("merge_categories", {
+      source_slug: sourceSlug,
+      target_slug: targetSlug,
+    });
+
+    if (error) {
+      console.error("Error merging categories:", error);
+      return { success: false, error };
+    }
+
+    console.log(
+      `Category ${sourceSlug} merged into ${targetSlug} (${data} photos moved)`
+    );
+    return { success: true, data: { movedCount: data } };
+  } catch (error) {
+    console.error("Error merging categories:", error);
+    return { success: false, error };
+  }
+};
+
+// Delete a category. Fails while photos still use it - merge it instead.
+export const deleteCategory = async (slug, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { error } = await backend
+      .from("categories")
+      .delete()
+      .eq("slug", slug);
+
+    if (error) {
+      console.error("Error deleting category:", error);
+      return { success: false, error };
+    }
+
+    console.log("Category deleted from database");
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting category:", error);
+    return { success: false, error };
+  }
+};
@@ -0,0 +1,159 @@
+import React, { useState } from "react";
+import {
+  getAnnotationMetrics,
+  toImagePoints,
+  getArrowHead,
+  getScaleTicks,
+  getScaleLabelPosition,
+  getCircleRadius,
+} from "../lib/annotations";
+import { cn } from "../lib/utils";
+
+// Text with a dark outline so labels stay readable on any background
+const AnnotationText = ({ text, x, y, color, fontSize, strokeWidth }) => (
+  <text
+    x={x}
+    y={y}
+    fill={color}
+    stroke="rgba(0, 0, 0, 0.8)"
+    strokeWidth={strokeWidth}
+    paintOrder="stroke"
+    textAnchor="middle"
+    dominantBaseline="middle"
+    fontSize={fontSize}
+    fontWeight="600"
+    fontFamily="sans-serif"
+  >
+    {text}
+  </text>
+);
+
+// One annotation in image pixel coordinates (see lib/annotations.js)
+const AnnotationShape = ({ annotation, width, height }) => {
+  const { strokeWidth, fontSize } = getAnnotationMetrics(width, height);
+  const points = toImagePoints(annotation, width, height);
+  const stroke = {
+    stroke: annotation.color,
+    strokeWidth,
+    strokeLinecap: "round",
+    fill: "none",
+  };
+
+  switch (annotation.type) {
+    case "arrow":
+      return (
+        <g {...stroke}>
+          <line x1={points.x1} y1={points.y1} x2={points.x2} y2={points.y2} />
+          {getArrowHead(points, strokeWidth * 5).map(([x, y], index) => (
+            <line key={index} x1={points.x2} y1={points.y2} x2={x} y2={y} />
+          ))}
+        </g>
+      );
+    case "circle":
+      return (
+        <circle
+          cx={points.x1}
+          cy={points.y1}
+          r={getCircleRadius(points)}
+          {...stroke}
+        />
+      );
+    case "scale": {
+      const [labelX, labelY] = getScaleLabelPosition(points, fontSize * 0.8);
+      return (
+        <g>
+          <g {...stroke}>
+            <line x1={points.x1} y1={points.y1} x2={points.x2} y2={points.y2} />
+            {getScaleTicks(points, strokeWidth * 3).map(
+              ([xa, ya, xb, yb], index) => (
+                <line key={index} x1={xa} y1={ya} x2={xb} y2={yb} />
+              )
+            )}
+          </g>
+          {annotation.text && (
+            <AnnotationText
+              text={annotation.text}
+              x={labelX}
+              y={labelY}
+              color={annotation.color}
+              fontSize={fontSize}
+              strokeWidth={strokeWidth}
+            />
+          )}
+        </g>
+      );
+    }
+    case "text":
+      return (
+        <AnnotationText
+          text={annotation.text}
+          x={points.x1}
+          y={points.y1}
+          color={annotation.color}
+          fontSize={fontSize}
+          strokeWidth={strokeWidth}
+        />
+      );
+    default:
+      return null;
+  }
+};
+
+// Image with its vector annotations drawn on an SVG layer of the same size.
+// svgProps (e.g. pointer handlers for drawing) make the layer interactive;
+// onSizeChange receives the natural image size once it is loaded.
+const AnnotatedImage = ({
+  src,
+  alt,
+  annotations = [],
+  showAnnotations = true,
+  imgClassName,
+  svgProps,
+  onClick,
+  onError,
+  onSizeChange,
+}) => {
+  const [size, setSize] = useState(null);
+
+  return (
+    <div className="relative inline-block max-w-full" onClick={onClick}>
+      <img
+        src={src}
+        alt={alt}
+        className={cn("block max-w-full object-contain", imgClassName)}
+        onLoad={(e) => {
+          const naturalSize = {
+            width: e.currentTarget.naturalWidth,
+            height: e.currentTarget.naturalHeight,
+          };
+          setSize(naturalSize);
+          if (onSizeChange) onSizeChange(naturalSize);
+        }}
+        onError={onError}
+        draggable={false}
+      />
+      {size && showAnnotations && (annotations.length > 0 || svgProps) && (
+        <svg
+          viewBox={`0 0 ${size.width} ${size.height}`}
+          preserveAspectRatio="none"
+          className={cn(
+            "absolute inset-0 w-full h-full",
+            !svgProps && "pointer-events-none"
+          )}
+          {...svgProps}
+        >
+          {annotations.map((annotation, index) => (
+            <AnnotationShape
+              key={index}
+              annotation={annotation}
+              width={size.width}
+              height={size.height}
+            />
+          ))}
+        </svg>
+      )}
+    </div>
+  );
+};
+
+export default AnnotatedImage;
@@ -0,0 +1,186 @@
+import React, { useState } from "react";
+import { FiCheck, FiCornerUpLeft, FiTrash2, FiX } from "react-icons/fi";
+import AnnotatedImage from "./AnnotatedImage";
+import {
+  ANNOTATION_TOOLS,
+  ANNOTATION_COLORS,
+  getPointerPosition,
+} from "../lib/annotations";
+import { cn } from "../lib/utils";
+
+// Shortest drag (relative to the image) that counts as a shape, not a tap
+const MIN_DRAG_DISTANCE = 0.01;
+
+const toolbarButtonClass =
+  "flex items-center gap-1.5 px-3 py-2 text-sm rounded-md border transition-colors min-h-[44px] touch-manipulation disabled:opacity-50 disabled:cursor-not-allowed";
+
+// Full-screen editor for drawing arrows, circles, scale bars and text labels
+// on a find image. Drag to draw a shape; tap to place a text label.
+const AnnotationEditor = ({
+  src,
+  annotations: initialAnnotations,
+  onSave,
+  onClose,
+}) => {
+  const [annotations, setAnnotations] = useState(initialAnnotations);
+  const [tool, setTool] = useState("arrow");
+  const [color, setColor] = useState(ANNOTATION_COLORS[0]);
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // The SVG layer covers the image exactly, so pointer positions are relative
+  // to the image
+  const handlePointerDown = (e) => {
+    const { x, y } = getPointerPosition(e);
+    if (tool === "text") {
+      const text = window.prompt("Label text");
+      if (text?.trim()) {
+        setAnnotations((prev) => [
+          ...prev,
+          { type: "text", x1: x, y1: y, text: text.trim(), color },
+        ]);
+      }
+      return;
+    }
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDraft({ type: tool, x1: x, y1: y, x2: x, y2: y, color });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draft) return;
+    const { x, y } = getPointerPosition(e);
+    setDraft((prev) => ({ ...prev, x2: x, y2: y }));
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    const shape = draft;
+    setDraft(null);
+
+    if (
+      Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) < MIN_DRAG_DISTANCE
+    ) {
+      return;
+    }
+    if (shape.type === "scale") {
+      const text = window.prompt("Length of the scale bar", "1 cm");
+      if (text === null) return;
+      shape.text = text.trim();
+    }
+    setAnnotations((prev) => [...prev, shape]);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(annotations);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[10001] flex flex-col bg-black/90 backdrop-blur-sm">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-2 p-3 bg-gray-900 border-b border-gray-700">
+        {ANNOTATION_TOOLS.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => setTool(option.value)}
+            className={cn(
+              toolbarButtonClass,
+              tool === option.value
+                ? "text-white bg-blue-600 border-blue-600"
+                : "text-gray-300 bg-gray-800 border-gray-600 hover:bg-gray-700"
+            )}
+          >
+            {option.label}
+          </button>
+        ))}
+
+        <div className="flex items-center gap-1 px-2">
+          {ANNOTATION_COLORS.map((option) => (
+            <button
+              key={option}
+              onClick={() => setColor(option)}
+              className={cn(
+                "w-8 h-8 rounded-full border-2 touch-manipulation",
+                color === option ? "border-blue-400" : "border-gray-600"
+              )}
+              style={{ backgroundColor: option }}
+              title={`Color ${option}`}
+            />
+          ))}
+        </div>
+
+        <button
+          onClick={() => setAnnotations((prev) => prev.slice(0, -1))}
+          disabled={annotations.length === 0}
+          className={cn(
+            toolbarButtonClass,
+            "text-gray-300 bg-gray-800 border-gray-600 hover:bg-gray-700"
+          )}
+          title="Undo"
+        >
+          <FiCornerUpLeft className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => setAnnotations([])}
+          disabled={annotations.length === 0}
+          className={cn(
+            toolbarButtonClass,
+            "text-red-400 bg-gray-800 border-gray-600 hover:bg-gray-700"
+          )}
+          title="Remove all annotations"
+        >
+          <FiTrash2 className="w-4 h-4" />
+        </button>
+
+        <div className="flex items-center gap-2 ml-auto">
+          <button
+            onClick={onClose}
+            disabled={isSaving}
+            className={cn(
+              toolbarButtonClass,
+              "text-gray-300 bg-gray-800 border-gray-600 hover:bg-gray-700"
+            )}
+          >
+            <FiX className="w-4 h-4" />
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className={cn(
+              toolbarButtonClass,
+              "text-white bg-blue-600 border-blue-600 hover:bg-blue-700"
+            )}
+          >
+            <FiCheck className="w-4 h-4" />
+            {isSaving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </div>
+
+      {/* Drawing area */}
+      <div className="flex-1 min-h-0 flex items-center justify-center p-4">
+        <AnnotatedImage
+          src={src}
+          alt="Image to annotate"
+          annotations={draft ? [...annotations, draft] : annotations}
+          imgClassName="max-h-[calc(100vh-10rem)]"
+          svgProps={{
+            className:
+              "absolute inset-0 w-full h-full cursor-crosshair touch-none",
+            onPointerDown: handlePointerDown,
+            onPointerMove: handlePointerMove,
+            onPointerUp: handlePointerUp,
+            onPointerCancel: () => setDraft(null),
+          }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default AnnotationEditor;
@@ -0,0 +1,281 @@
+import React from "react";
+import {
+  FiAlertTriangle,
+  FiCheck,
+  FiCrosshair,
+  FiLoader,
+  FiPlus,
+  FiRefreshCw,
+  FiUpload,
+  FiX,
+} from "react-icons/fi";
+import { cn } from "../lib/utils";
+import { BULK_STATUSES, BULK_ITEM_DRAG_TYPE } from "../hooks/useBulkUpload";
+
+const STATUS_CLASSES = {
+  reading: "text-slate-500",
+  "needs-location": "text-amber-600",
+  ready: "text-blue-600",
+  uploading: "text-blue-600",
+  saved: "text-green-600",
+  duplicate: "text-amber-600",
+  failed: "text-red-600",
+};
+
+const STATUS_ICONS = {
+  uploading: <FiLoader className="w-3 h-3 animate-spin" />,
+  saved: <FiCheck className="w-3 h-3" />,
+  duplicate: <FiAlertTriangle className="w-3 h-3" />,
+  failed: <FiAlertTriangle className="w-3 h-3" />,
+};
+
+const actionClass =
+  "flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-md border transition-colors min-h-[32px] touch-manipulation disabled:opacity-50 disabled:cursor-not-allowed";
+
+// Floating panel listing the files of a bulk import, with placement, progress,
+// retry and a summary. The map stays usable so files can be dropped on it.
+const BulkUploadPanel = ({ bulkUpload, onAddFiles }) => {
+  const {
+    items,
+    counts,
+    isUploading,
+    placingId,
+    setPlacingId,
+    removeItem,
+    clear,
+    uploadAll,
+    retryFailed,
+    retryItem,
+    cancelItem,
+    uploadDuplicateAnyway,
+  } = bulkUpload;
+
+  if (items.length === 0) return null;
+
+  const placingItem = items.find((item) => item.id === placingId);
+  const doneCount =
+    (counts.saved || 0) + (counts.duplicate || 0) + (counts.failed || 0);
+  const hasResults = doneCount > 0 && !isUploading;
+
+  return (
+    <div className="absolute bottom-3 left-3 right-3 sm:right-auto sm:w-96 z-[1000] flex flex-col max-h-[60vh] bg-white border border-slate-200 rounded-lg shadow-lg">
+      {/* Header */}
+      <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200">
+        <div>
+          <h2 className="text-sm font-semibold text-slate-800">
+            Import photos
+          </h2>
+          <p className="text-xs text-slate-500">
+            {counts.saved || 0} of {items.length} saved
+          </p>
+        </div>
+        <button
+          onClick={clear}
+          disabled={isUploading}
+          className="p-2 text-slate-500 hover:text-slate-700 hover:bg-slate-100 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed touch-manipulation"
+          title="Close import"
+        >
+          <FiX className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Overall progress */}
+      <div className="h-1 bg-slate-100">
+        <div
+          className="h-1 bg-blue-500 transition-all"
+          style={{ width: `${(doneCount / items.length) * 100}%` }}
+        />
+      </div>
+
+      {placingItem && (
+        <div className="flex items-center justify-between gap-2 px-4 py-2 text-xs text-blue-700 bg-blue-50 border-b border-blue-100">
+          <span className="truncate">
+            Tap the map to place {placingItem.filename}
+          </span>
+          <button
+            onClick={() => setPlacingId(null)}
+            className="font-medium hover:underline"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {/* File list */}
+      <ul className="flex-1 overflow-y-auto divide-y divide-slate-100">
+        {items.map((item) => {
+          const canPlace =
+            !isUploading && ["needs-location", "ready"].includes(item.status);
+          return (
+            <li
+              key={item.id}
+              draggable={canPlace}
+              onDragStart={(e) => {
+                e.dataTransfer.setData(BULK_ITEM_DRAG_TYPE, String(item.id));
+                e.dataTransfer.effectAllowed = "move";
+              }}
+              className={cn(
+                "flex items-center gap-3 px-4 py-2",
+                canPlace && "cursor-grab",
+                item.id === placingId && "bg-blue-50"
+              )}
+            >
+              <img
+                src={item.previewUrl}
+                alt={item.filename}
+                onError={(e) => (e.currentTarget.style.visibility = "hidden")}
+                className="w-10 h-10 object-cover rounded flex-shrink-0 bg-slate-100"
+              />
+              <div className="flex-1 min-w-0">
+                <div className="text-sm text-slate-800 truncate">
+                  {item.filename}
+                </div>
+                <div
+                  className={cn(
+                    "flex items-center gap-1 text-xs",
+                    STATUS_CLASSES[item.status]
+                  )}
+                >
+                  {STATUS_ICONS[item.status]}
+                  <span className="truncate">
+                    {item.status === "saved" && item.photo
+                      ? `Saved as ${item.photo.name || `Find ${item.photo.id}`}`
+                      : item.status === "uploading"
+                        ? item.waiting
+                          ? "Waiting for connection…"
+                          : `${BULK_STATUSES.uploading} ${item.progress}%`
+                        : item.error || BULK_STATUSES[item.status]}
+                    {item.status === "ready" &&
+                      item.location?.source === "exif" &&
+                      " · photo GPS"}
+                  </span>
+                </div>
+              </div>
+              <div className="flex items-center gap-1 flex-shrink-0">
+                {canPlace && (
+                  <button
+                    onClick={() =>
+                      setPlacingId(item.id === placingId ? null : item.id)
+                    }
+                    className={cn(
+                      actionClass,
+                      "text-blue-600 bg-blue-50 hover:bg-blue-100 border-blue-200"
+                    )}
+                    title="Place on map"
+                  >
+                    <FiCrosshair className="w-3 h-3" />
+                    {item.status === "needs-location" ? "Place" : "Move"}
+                  </button>
+                )}
+                {item.status === "failed" && (
+                  <button
+                    onClick={() => retryItem(item.id)}
+                    disabled={isUploading}
+                    className={cn(
+                      actionClass,
+                      "text-blue-600 bg-blue-50 hover:bg-blue-100 border-blue-200"
+                    )}
+                  >
+                    <FiRefreshCw className="w-3 h-3" />
+                    Retry
+                  </button>
+                )}
+                {item.status === "duplicate" && (
+                  <button
+                    onClick={() => uploadDuplicateAnyway(item.id)}
+                    disabled={isUploading}
+                    className={cn(
+                      actionClass,
+                      "text-amber-700 bg-amber-50 hover:bg-amber-100 border-amber-200"
+                    )}
+                  >
+                    <FiUpload className="w-3 h-3" />
+                    Upload anyway
+                  </button>
+                )}
+                {item.status === "uploading" && (
+                  <button
+                    onClick={() => cancelItem(item.id)}
+                    className="p-1 text-slate-400 hover:text-red-600 rounded touch-manipulation"
+                    title="Cancel upload"
+                  >
+                    <FiX className="w-4 h-4" />
+                  </button>
+                )}
+                {!["uploading", "saved"].includes(item.status) && (
+                  <button
+                    onClick={() => removeItem(item.id)}
+                    disabled={isUploading}
+                    className="p-1 text-slate-400 hover:text-slate-600 rounded disabled:opacity-50 touch-manipulation"
+                    title="Remove from import"
+                  >
+                    <FiX className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {/* Summary and actions */}
+      <div className="px-4 py-3 border-t border-slate-200 space-y-2">
+        {hasResults && (
+          <p className="text-xs text-slate-600">
+            {counts.saved || 0} saved
+            {counts.duplicate
+              ? ` · ${counts.duplicate} possible duplicates`
+              : ""}
+            {counts.failed ? ` · ${counts.failed} failed` : ""}
+            {counts["needs-location"]
+              ? ` · ${counts["needs-location"]} need a location`
+              : ""}
+          </p>
+        )}
+        <div className="flex items-center gap-2">
+          <button
+            onClick={onAddFiles}
+            disabled={isUploading}
+            className={cn(
+              actionClass,
+              "px-3 text-slate-600 bg-white hover:bg-slate-50 border-slate-300"
+            )}
+          >
+            <FiPlus className="w-3 h-3" />
+            Add files
+          </button>
+          {counts.failed > 0 && (
+            <button
+              onClick={retryFailed}
+              disabled={isUploading}
+              className={cn(
+                actionClass,
+                "px-3 text-red-600 bg-red-50 hover:bg-red-100 border-red-200"
+              )}
+            >
+              <FiRefreshCw className="w-3 h-3" />
+              Retry failed ({counts.failed})
+            </button>
+          )}
+          <button
+            onClick={uploadAll}
+            disabled={isUploading || !counts.ready}
+            className={cn(
+              actionClass,
+              "ml-auto px-3 text-white bg-blue-600 hover:bg-blue-700 border-blue-600"
+            )}
+          >
+            {isUploading ? (
+              <FiLoader className="w-3 h-3 animate-spin" />
+            ) : (
+              <FiUpload className="w-3 h-3" />
+            )}
+            {isUploading ? "Uploading…" : `Upload ${counts.ready || 0}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkUploadPanel;
@@ -0,0 +1,443 @@
+import React, { useState, useEffect } from "react";
+import { FiPlus, FiSave, FiTrash2, FiGitMerge } from "react-icons/fi";
+import { useAuth } from "../hooks/useAuth";
+import { useCategories } from "../hooks/useCategories";
+import {
+  createCategory,
+  updateCategory,
+  mergeCategories,
+  deleteCategory,
+  slugifyCategory,
+} from "../categoryService";
+import ToastNotification from "../ToastNotification";
+import TypeBadge from "./TypeBadge";
+import TagManager from "./TagManager";
+
+const EMPTY_CATEGORY = {
+  label: "",
+  value: "",
+  color: "#9ca3af",
+  icon: "",
+  parent: "",
+  sortOrder: 0,
+};
+
+const inputClassName =
+  "px-2 py-1.5 text-sm bg-white border border-slate-300 rounded text-slate-700 min-h-[36px] touch-manipulation";
+
+// Collect a category and all of its subcategories (used to prevent parent cycles)
+const getDescendants = (slug, categories) => {
+  const descendants = new Set([slug]);
+  let added = true;
+  while (added) {
+    added = false;
+    categories.forEach((c) => {
+      if (c.parent && descendants.has(c.parent) && !descendants.has(c.value)) {
+        descendants.add(c.value);
+        added = true;
+      }
+    });
+  }
+  return descendants;
+};
+
+// Admin screen for managing the find category taxonomy and tags
+const CategoryEditor = () => {
+  const { user, isAdmin } = useAuth();
+  const { categories, sortedCategories, refreshCategories } = useCategories();
+  const [drafts, setDrafts] = useState({});
+  const [mergeTargets, setMergeTargets] = useState({});
+  const [newCategory, setNewCategory] = useState(EMPTY_CATEGORY);
+  const [isSaving, setIsSaving] = useState(false);
+  const [toastOpen, setToastOpen] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+
+  // Reset drafts whenever categories are reloaded
+  useEffect(() => {
+    const initialDrafts = {};
+    categories.forEach((c) => {
+      initialDrafts[c.value] = {
+        ...c,
+        icon: c.icon || "",
+        parent: c.parent || "",
+      };
+    });
+    setDrafts(initialDrafts);
+  }, [categories]);
+
+  const showToast = (message) => {
+    setToastMessage(message);
+    setToastOpen(true);
+  };
+
+  const updateDraft = (slug, field, value) => {
+    setDrafts((prev) => ({
+      ...prev,
+      [slug]: { ...prev[slug], [field]: value },
+    }));
+  };
+
+  // Run a category operation, then reload the taxonomy
+  const runOperation = async (operation, successMessage, failureMessage) => {
+    setIsSaving(true);
+    try {
+      const result = await operation();
+      if (result.success) {
+        await refreshCategories();
+        showToast(successMessage(result));
+        return true;
+      }
+      console.error(failureMessage, result.error);
+      showToast(
+        `${failureMessage}: ${result.error?.message || "Unknown error"}`
+      );
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newCategory.label.trim()) return;
+
+    const created = await runOperation(
+      () =>
+        createCategory(
+          {
+            ...newCategory,
+            label: newCategory.label.trim(),
+            value:
+              newCategory.value.trim() || slugifyCategory(newCategory.label),
+            sortOrder: Number(newCategory.sortOrder) || 0,
+          },
+          user
+        ),
+      () => "Category created",
+      "Failed to create category"
+    );
+    if (created) setNewCategory(EMPTY_CATEGORY);
+  };
+
+  const handleSave = (slug) => {
+    const draft = drafts[slug];
+    runOperation(
+      () =>
+        updateCategory(
+          slug,
+          {
+            value: draft.value.trim() || slug,
+            label: draft.label.trim(),
+            color: draft.color,
+            icon: draft.icon,
+            parent: draft.parent,
+            sortOrder: Number(draft.sortOrder) || 0,
+          },
+          user
+        ),
+      () =>
+        draft.value !== slug
+          ? `Category renamed to ${draft.value}; photos reassigned`
+          : "Category saved",
+      "Failed to save category"
+    );
+  };
+
+  const handleMerge = (slug) => {
+    const target = mergeTargets[slug];
+    if (!target) return;
+    if (
+      !window.confirm(
+        `Merge "${drafts[slug].label}" into "${drafts[target].label}"? All photos will be moved and "${drafts[slug].label}" will be removed.`
+      )
+    ) {
+      return;
+    }
+
+    runOperation(
+      () => mergeCategories(slug, target, user),
+      (result) => `Merged category, ${result.data.movedCount} photos moved`,
+      "Failed to merge categories"
+    );
+  };
+
+  const handleDelete = (slug) => {
+    if (!window.confirm(`Delete category "${drafts[slug].label}"?`)) return;
+
+    runOperation(
+      () => deleteCategory(slug, user),
+      () => "Category deleted",
+      "Failed to delete category (merge it if photos still use it)"
+    );
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="h-full flex items-center justify-center text-slate-500 text-sm">
+        Admin permission required to manage categories
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-full bg-slate-50 flex flex-col">
+      {/* Header */}
+      <div className="bg-white border-b border-slate-200 p-4 flex-shrink-0">
+        <h2 className="text-lg font-semibold text-slate-800">
+          Categories ({categories.length})
+        </h2>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-2">
+        {/* New category */}
+        <form
+          onSubmit={handleCreate}
+          className="bg-white rounded border border-slate-200 p-3 flex flex-wrap items-end gap-2"
+        >
+          <label className="flex flex-col gap-1 text-xs text-slate-500">
+            Label
+            <input
+              type="text"
+              value={newCategory.label}
+              onChange={(e) =>
+                setNewCategory((prev) => ({ ...prev, label: e.target.value }))
+              }
+              placeholder="e.g. Buckles"
+              className={inputClassName}
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-xs text-slate-500">
+            Slug
+            <input
+              type="text"
+              value={newCategory.value}
+              onChange={(e) =>
+                setNewCategory((prev) => ({ ...prev, value: e.target.value }))
+              }
+              placeholder={slugifyCategory(newCategory.label) || "auto"}
+              className={`${inputClassName} font-mono`}
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-xs text-slate-500">
+            Color
+            <input
+              type="color"
+              value={newCategory.color}
+              onChange={(e) =>
+                setNewCategory((prev) => ({ ...prev, color: e.target.value }))
+              }
+              className="h-9 w-12 border border-slate-300 rounded"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-xs text-slate-500">
+            Icon
+            <input
+              type="text"
+              value={newCategory.icon}
+              onChange={(e) =>
+                setNewCategory((prev) => ({ ...prev, icon: e.target.value }))
+              }
+              maxLength={4}
+              className={`${inputClassName} w-16`}
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-xs text-slate-500">
+            Parent
+            <select
+              value={newCategory.parent}
+              onChange={(e) =>
+                setNewCategory((prev) => ({ ...prev, parent: e.target.value }))
+              }
+              className={inputClassName}
+            >
+              <option value="">None</option>
+              {sortedCategories.map((c) => (
+                <option key={c.value} value={c.value}>
+                  {"  ".repeat(c.depth)}
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-xs text-slate-500">
+            Order
+            <input
+              type="number"
+              value={newCategory.sortOrder}
+              onChange={(e) =>
+                setNewCategory((prev) => ({
+                  ...prev,
+                  sortOrder: e.target.value,
+                }))
+              }
+              className={`${inputClassName} w-20`}
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={isSaving || !newCategory.label.trim()}
+            className="flex items-center gap-2 px-3 py-2 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 rounded-md transition-colors duration-200 min-h-[36px]"
+          >
+            <FiPlus size={14} />
+            Add
+          </button>
+        </form>
+
+        {/* Existing categories */}
+        {sortedCategories.map((category) => {
+          const draft = drafts[category.value];
+          if (!draft) return null;
+          const excludedParents = getDescendants(category.value, categories);
+
+          return (
+            <div
+              key={category.value}
+              className="bg-white rounded border border-slate-200 p-3 flex flex-wrap items-end gap-2"
+              style={{ marginLeft: `${category.depth * 1.5}rem` }}
+            >
+              <div className="w-full mb-1">
+                <TypeBadge type={category.value} />
+              </div>
+              <label className="flex flex-col gap-1 text-xs text-slate-500">
+                Label
+                <input
+                  type="text"
+                  value={draft.label}
+                  onChange={(e) =>
+                    updateDraft(category.value, "label", e.target.value)
+                  }
+                  className={inputClassName}
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-xs text-slate-500">
+                Slug
+                <input
+                  type="text"
+                  value={draft.value}
+                  onChange={(e) =>
+                    updateDraft(category.value, "value", e.target.value)
+                  }
+                  className={`${inputClassName} font-mono`}
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-xs text-slate-500">
+                Color
+                <input
+                  type="color"
+                  value={draft.color}
+                  onChange={(e) =>
+                    updateDraft(category.value, "color", e.target.value)
+                  }
+                  className="h-9 w-12 border border-slate-300 rounded"
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-xs text-slate-500">
+                Icon
+                <input
+                  type="text"
+                  value={draft.icon}
+                  onChange={(e) =>
+                    updateDraft(category.value, "icon", e.target.value)
+                  }
+                  maxLength={4}
+                  className={`${inputClassName} w-16`}
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-xs text-slate-500">
+                Parent
+                <select
+                  value={draft.parent}
+                  onChange={(e) =>
+                    updateDraft(category.value, "parent", e.target.value)
+                  }
+                  className={inputClassName}
+                >
+                  <option value="">None</option>
+                  {sortedCategories
+                    .filter((c) => !excludedParents.has(c.value))
+                    .map((c) => (
+                      <option key={c.value} value={c.value}>
+                        {"  ".repeat(c.depth)}
+                        {c.label}
+                      </option>
+                    ))}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1 text-xs text-slate-500">
+                Order
+                <input
+                  type="number"
+                  value={draft.sortOrder}
+                  onChange={(e) =>
+                    updateDraft(category.value, "sortOrder", e.target.value)
+                  }
+                  className={`${inputClassName} w-20`}
+                />
+              </label>
+              <button
+                onClick={() => handleSave(category.value)}
+                disabled={isSaving}
+                className="flex items-center gap-2 px-3 py-2 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 border border-blue-200 rounded-md transition-colors duration-200 min-h-[36px]"
+              >
+                <FiSave size={14} />
+                Save
+              </button>
+
+              {/* Merge into another category */}
+              <div className="flex items-end gap-2">
+                <select
+                  value={mergeTargets[category.value] || ""}
+                  onChange={(e) =>
+                    setMergeTargets((prev) => ({
+                      ...prev,
+                      [category.value]: e.target.value,
+                    }))
+                  }
+                  className={inputClassName}
+                >
+                  <option value="">Merge into...</option>
+                  {sortedCategories
+                    .filter((c) => c.value !== category.value)
+                    .map((c) => (
+                      <option key={c.value} value={c.value}>
+                        {c.label}
+                      </option>
+                    ))}
+                </select>
+                <button
+                  onClick={() => handleMerge(category.value)}
+                  disabled={isSaving || !mergeTargets[category.value]}
+                  className="flex items-center gap-2 px-3 py-2 text-xs font-medium text-amber-700 bg-amber-50 hover:bg-amber-100 border border-amber-200 rounded-md transition-colors duration-200 disabled:opacity-50 min-h-[36px]"
+                >
+                  <FiGitMerge size={14} />
+                  Merge
+                </button>
+              </div>
+
+              <button
+                onClick={() => handleDelete(category.value)}
+                disabled={isSaving}
+                className="flex items-center gap-2 px-3 py-2 text-xs font-medium text-red-600 bg-red-50 hover:bg-red-100 border border-red-200 rounded-md transition-colors duration-200 min-h-[36px]"
+                title="Delete category"
+              >
+                <FiTrash2 size={14} />
+              </button>
+            </div>
+          );
+        })}
+
+        {/* Tags */}
+        <TagManager onMessage={showToast} />
+      </div>
+
+      {/* Toast notifications */}
+      <ToastNotification
+        toastOpen={toastOpen}
+        setToastOpen={setToastOpen}
+        toastMessage={toastMessage}
+      />
+    </div>
+  );
+};
+
+export default CategoryEditor;
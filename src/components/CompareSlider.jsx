@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import { getPointerPosition } from "../lib/annotations";
+import { cn } from "../lib/utils";
+
+// Keyboard step of the divider in percent
+const KEYBOARD_STEP = 5;
+
+// Before/after comparison: the before image is shown left of a divider that
+// can be dragged (or moved with the arrow keys) across the after image.
+const CompareSlider = ({
+  beforeSrc,
+  afterSrc,
+  beforeLabel,
+  afterLabel,
+  imgClassName,
+}) => {
+  const [position, setPosition] = useState(50);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const moveTo = (e) => setPosition(getPointerPosition(e).x * 100);
+
+  // Dragging must not open the full-screen view or swipe the gallery
+  const stopPropagation = (e) => e.stopPropagation();
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowLeft") {
+      setPosition((value) => Math.max(0, value - KEYBOARD_STEP));
+    } else if (e.key === "ArrowRight") {
+      setPosition((value) => Math.min(100, value + KEYBOARD_STEP));
+    } else {
+      return;
+    }
+    // Keep the gallery from switching images
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  return (
+    <div
+      role="slider"
+      tabIndex={0}
+      aria-label="Before and after comparison"
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={Math.round(position)}
+      className="relative inline-block max-w-full select-none cursor-ew-resize touch-none"
+      onPointerDown={(e) => {
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        setIsDragging(true);
+        moveTo(e);
+      }}
+      onPointerMove={(e) => {
+        e.stopPropagation();
+        if (isDragging) moveTo(e);
+      }}
+      onPointerUp={(e) => {
+        e.stopPropagation();
+        setIsDragging(false);
+      }}
+      onPointerCancel={() => setIsDragging(false)}
+      onKeyDown={handleKeyDown}
+      onClick={stopPropagation}
+      onTouchStart={stopPropagation}
+      onTouchMove={stopPropagation}
+      onTouchEnd={stopPropagation}
+    >
+      <img
+        src={afterSrc}
+        alt={afterLabel || "After"}
+        className={cn("block max-w-full object-contain", imgClassName)}
+        draggable={false}
+      />
+      <img
+        src={beforeSrc}
+        alt={beforeLabel || "Before"}
+        className="absolute inset-0 w-full h-full object-contain"
+        style={{ clipPath: `inset(0 ${100 - position}% 0 0)` }}
+        draggable={false}
+      />
+
+      {/* Divider */}
+      <div
+        className="absolute inset-y-0 w-0.5 -ml-px bg-white shadow pointer-events-none"
+        style={{ left: `${position}%` }}
+      >
+        <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 w-8 h-8 flex items-center justify-center rounded-full bg-white text-gray-900 text-xs font-bold shadow">
+          ⇆
+        </div>
+      </div>
+
+      <span className="absolute top-2 left-2 px-2 py-0.5 bg-black/60 rounded text-xs text-white pointer-events-none">
+        {beforeLabel || "Before"}
+      </span>
+      <span className="absolute top-2 right-2 px-2 py-0.5 bg-black/60 rounded text-xs text-white pointer-events-none">
+        {afterLabel || "After"}
+      </span>
+    </div>
+  );
+};
+
+export default CompareSlider;
@@ -0,0 +1,53 @@
+import React from "react";
+import { DIMENSION_FIELDS } from "../lib/utils";
+
+const inputClassName =
+  "w-full px-3 py-2 text-sm bg-gray-800 border border-gray-600 rounded text-white placeholder-gray-500 min-h-[44px] touch-manipulation";
+
+// Length, width and diameter of a find in millimeters
+const DimensionFields = ({ value, onChange, readOnly = false }) => {
+  const isEmpty = (fieldValue) =>
+    fieldValue === null || fieldValue === undefined || fieldValue === "";
+
+  if (readOnly) {
+    return (
+      <div className="space-y-1">
+        {DIMENSION_FIELDS.map(({ field, label }) => (
+          <div
+            key={field}
+            className="flex justify-between items-center rounded-md"
+          >
+            <span className="text-sm text-gray-400">{label}</span>
+            <span className="text-sm text-white">
+              {isEmpty(value[field]) ? "—" : `${Number(value[field])} mm`}
+            </span>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-3 gap-2">
+      {DIMENSION_FIELDS.map(({ field, label }) => (
+        <label
+          key={field}
+          className="flex flex-col gap-1 text-sm text-gray-400"
+        >
+          {label} (mm)
+          <input
+            type="number"
+            inputMode="decimal"
+            min="0"
+            step="0.1"
+            value={value[field] ?? ""}
+            onChange={(e) => onChange({ ...value, [field]: e.target.value })}
+            className={inputClassName}
+          />
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default DimensionFields;
@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { FiCopy, FiLink, FiUpload, FiX } from "react-icons/fi";
+
+// Warning shown when a captured photo looks like one already saved nearby.
+// The photo can be added to an existing find, saved as a new find, or dropped.
+const DuplicatePhotoDialog = ({
+  duplicates,
+  onLink,
+  onUploadAnyway,
+  onCancel,
+}) => {
+  const [selectedPhotoId, setSelectedPhotoId] = useState(
+    duplicates?.[0]?.photo.id ?? null
+  );
+
+  if (!duplicates || duplicates.length === 0) return null;
+
+  const selectedPhoto =
+    duplicates.find((match) => match.photo.id === selectedPhotoId)?.photo ||
+    duplicates[0].photo;
+
+  return (
+    <div className="fixed inset-0 z-[9999] flex items-end sm:items-center justify-center p-2 sm:p-4">
+      <div
+        className="fixed inset-0 bg-gray-900/60 backdrop-blur-sm"
+        onClick={onCancel}
+      />
+      <div className="relative z-[10000] w-full max-w-md bg-gray-900 rounded-xl shadow-2xl border border-gray-700">
+        <div className="flex items-center gap-2 px-6 py-4 border-b border-gray-700">
+          <FiCopy className="w-5 h-5 text-amber-400" />
+          <h2 className="text-lg font-semibold text-white">
+            Possible duplicate
+          </h2>
+        </div>
+        <div className="px-4 sm:px-6 py-4 space-y-3">
+          <p className="text-sm text-gray-300">
+            {duplicates.length === 1
+              ? "A very similar photo was already saved close to this spot."
+              : `${duplicates.length} very similar photos were already saved close to this spot.`}
+          </p>
+          <div className="space-y-2 max-h-64 overflow-y-auto">
+            {duplicates.map(({ photo, exact }) => (
+              <button
+                key={photo.id}
+                onClick={() => setSelectedPhotoId(photo.id)}
+                className={`w-full flex items-center gap-3 p-2 rounded-lg border text-left transition-colors touch-manipulation ${
+                  photo.id === selectedPhoto.id
+                    ? "border-blue-500 bg-blue-900/30"
+                    : "border-gray-700 bg-gray-800 hover:bg-gray-700"
+                }`}
+              >
+                {photo.thumbnailUrl ? (
+                  <img
+                    src={photo.thumbnailUrl}
+                    alt={photo.name || `Find ${photo.id}`}
+                    className="w-14 h-14 object-cover rounded-md flex-shrink-0"
+                  />
+                ) : (
+                  <div className="w-14 h-14 rounded-md bg-gray-700 flex-shrink-0" />
+                )}
+                <div className="min-w-0">
+                  <div className="text-sm font-medium text-white truncate">
+                    {photo.name || `Find ${photo.id}`}
+                  </div>
+                  <div className="text-xs text-gray-400">
+                    {exact ? "Identical file" : "Near-identical image"} ·{" "}
+                    {Math.round(photo.distance)} m away
+                  </div>
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="flex flex-col gap-2 px-4 sm:px-6 py-3 border-t border-gray-700">
+          <button
+            onClick={() => onLink(selectedPhoto)}
+            className="flex items-center justify-center gap-2 px-5 py-3 text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors font-medium text-sm min-h-[44px] touch-manipulation"
+          >
+            <FiLink className="w-4 h-4" />
+            Link as additional image
+          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={onCancel}
+              className="flex-1 flex items-center justify-center gap-2 px-5 py-3 text-gray-300 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 transition-colors font-medium text-sm min-h-[44px] touch-manipulation"
+            >
+              <FiX className="w-4 h-4" />
+              Cancel
+            </button>
+            <button
+              onClick={onUploadAnyway}
+              className="flex-1 flex items-center justify-center gap-2 px-5 py-3 text-gray-300 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 transition-colors font-medium text-sm min-h-[44px] touch-manipulation"
+            >
+              <FiUpload className="w-4 h-4" />
+              Upload anyway
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicatePhotoDialog;
@@ -0,0 +1,789 @@
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import {
+  FiChevronLeft,
+  FiChevronRight,
+  FiStar,
+  FiTrash2,
+  FiPlus,
+  FiArrowLeft,
+  FiArrowRight,
+  FiRotateCw,
+  FiShare2,
+  FiEdit3,
+  FiMaximize2,
+  FiEye,
+  FiEyeOff,
+  FiColumns,
+} from "react-icons/fi";
+import {
+  loadFindImages,
+  getFindImageData,
+  getFullImageData,
+  uploadFindImage,
+  setFindImageCover,
+  reorderFindImages,
+  deleteFindImage,
+  rotateFindImage,
+  updateFindImageAnnotations,
+  updateFindImageRole,
+} from "../photoService";
+import { prepareImageFile, UnsupportedImageError } from "../lib/imageFiles";
+import {
+  cn,
+  IMAGE_ROLES,
+  formatImageRole,
+  getBeforeAfterPair,
+} from "../lib/utils";
+import ShareImageDialog from "./ShareImageDialog";
+import AnnotatedImage from "./AnnotatedImage";
+import AnnotationEditor from "./AnnotationEditor";
+import CompareSlider from "./CompareSlider";
+
+// Cache key prefix for finds without find_images rows (legacy single-image finds)
+const LEGACY_IMAGE_KEY = "legacy";
+
+// Minimum horizontal swipe distance in pixels to change image
+const SWIPE_THRESHOLD = 50;
+
+// Swipeable image gallery with thumbnails for all images of a find.
+// onMeasure receives the displayed image ({ src, annotations }) to measure.
+const FindGallery = ({
+  photo,
+  isAdmin = false,
+  user = null,
+  onPhotoChange,
+  onMeasure,
+}) => {
+  const [images, setImages] = useState([]);
+  const [galleryLoaded, setGalleryLoaded] = useState(false);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [imageData, setImageData] = useState({});
+  const [loadingKeys, setLoadingKeys] = useState([]);
+  const [isBusy, setIsBusy] = useState(false);
+  const [statusMessage, setStatusMessage] = useState("");
+  const [showFullscreen, setShowFullscreen] = useState(false);
+  const [showShareDialog, setShowShareDialog] = useState(false);
+  const [showAnnotations, setShowAnnotations] = useState(true);
+  const [showAnnotationEditor, setShowAnnotationEditor] = useState(false);
+  const [showComparison, setShowComparison] = useState(false);
+  const fileInputRef = useRef(null);
+  const uploadRoleRef = useRef(null); // Role given to the images being added
+  const touchStartX = useRef(null);
+  const pendingKeys = useRef(new Set());
+
+  const currentImage = images[currentIndex] || null;
+  const currentAnnotations = currentImage?.annotations || [];
+  const currentKey = currentImage
+    ? `image-${currentImage.id}`
+    : `${LEGACY_IMAGE_KEY}-${photo.id}`;
+  const beforeAfterPair = useMemo(() => getBeforeAfterPair(images), [images]);
+  const isComparing = showComparison && beforeAfterPair !== null;
+
+  // Load the gallery when a different find is shown
+  useEffect(() => {
+    setImages([]);
+    setGalleryLoaded(false);
+    setCurrentIndex(0);
+    setImageData({});
+    setStatusMessage("");
+    setShowComparison(false);
+
+    loadFindImages(photo.id)
+      .then((result) => {
+        if (result.success) {
+          setImages(result.data);
+        } else {
+          console.error("Failed to load find images:", result.error);
+        }
+      })
+      .finally(() => setGalleryLoaded(true));
+  }, [photo.id]);
+
+  // Load the full images shown: the current gallery position, or both images
+  // of the before/after comparison
+  useEffect(() => {
+    if (!galleryLoaded) return;
+
+    const shownImages = isComparing
+      ? [beforeAfterPair.before, beforeAfterPair.after]
+      : [currentImage];
+
+    shownImages.forEach((image) => {
+      const key = image ? `image-${image.id}` : currentKey;
+      if (imageData[key] || pendingKeys.current.has(key)) return;
+
+      pendingKeys.current.add(key);
+      setLoadingKeys((prev) => [...prev, key]);
+
+      // Legacy finds without gallery images show the find's own image
+      const loadImage = image
+        ? getFindImageData(image.id, "medium")
+        : getFullImageData(photo.id);
+
+      loadImage
+        .then((result) => {
+          if (result.success) {
+            setImageData((prev) => ({ ...prev, [key]: result.data }));
+          }
+        })
+        .catch((error) => {
+          console.error("Error loading image:", error);
+        })
+        .finally(() => {
+          pendingKeys.current.delete(key);
+          setLoadingKeys((prev) => prev.filter((k) => k !== key));
+        });
+    });
+  }, [
+    galleryLoaded,
+    currentKey,
+    currentImage,
+    isComparing,
+    beforeAfterPair,
+    photo.id,
+    imageData,
+  ]);
+
+  const isLoadingImage = loadingKeys.includes(currentKey);
+  const displayedImage =
+    imageData[currentKey] ||
+    currentImage?.thumbnailUrl ||
+    photo.image_data ||
+    photo.imageData;
+
+  // Full image of a gallery image, or its thumbnail while it loads
+  const getImageSource = (image) =>
+    imageData[`image-${image.id}`] || image.thumbnailUrl;
+
+  const showPrevious = () => {
+    setCurrentIndex((index) => (index > 0 ? index - 1 : images.length - 1));
+  };
+
+  const showNext = () => {
+    setCurrentIndex((index) => (index < images.length - 1 ? index + 1 : 0));
+  };
+
+  // Swipe handling for touch devices
+  const handleTouchStart = (e) => {
+    touchStartX.current = e.touches[0].clientX;
+  };
+
+  const handleTouchEnd = (e) => {
+    if (touchStartX.current === null || images.length < 2) return;
+    const deltaX = e.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+
+    if (deltaX > SWIPE_THRESHOLD) {
+      showPrevious();
+    } else if (deltaX < -SWIPE_THRESHOLD) {
+      showNext();
+    }
+  };
+
+  // Keyboard navigation while the gallery is shown
+  useEffect(() => {
+    if (images.length < 2) return;
+
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA") {
+        return;
+      }
+      if (e.key === "ArrowLeft") {
+        setCurrentIndex((index) => (index > 0 ? index - 1 : images.length - 1));
+      } else if (e.key === "ArrowRight") {
+        setCurrentIndex((index) => (index < images.length - 1 ? index + 1 : 0));
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [images.length]);
+
+  // Notify the parent that the find's cover (and so its thumbnail) changed
+  const notifyCoverChange = (coverImage) => {
+    if (onPhotoChange && coverImage) {
+      onPhotoChange({
+        cover_image_id: coverImage.id,
+        storage_path: coverImage.storage_path,
+        source_path: coverImage.source_path,
+        thumbnail_path: coverImage.thumbnail_path,
+        medium_path: coverImage.medium_path,
+        imageData: coverImage.thumbnailUrl,
+      });
+    }
+  };
+
+  // Open the file picker; the picked images get the given role
+  const pickImages = (role = null) => {
+    uploadRoleRef.current = role;
+    fileInputRef.current?.click();
+  };
+
+  const handleAddImages = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = "";
+    if (files.length === 0) return;
+    const role = uploadRoleRef.current;
+
+    setIsBusy(true);
+    let uploadedCount = 0;
+    let unsupportedMessage = null;
+    try {
+      for (const file of files) {
+        setStatusMessage(
+          `Uploading image ${uploadedCount + 1} of ${files.length}...`
+        );
+        let prepared;
+        try {
+          prepared = await prepareImageFile(file);
+        } catch (error) {
+          // Skip files that can't be decoded and keep uploading the rest
+          if (!(error instanceof UnsupportedImageError)) throw error;
+          unsupportedMessage = error.message;
+          continue;
+        }
+        const { imageData: preparedImage, filename } = prepared;
+        const result = await uploadFindImage(
+          photo.id,
+          preparedImage,
+          filename,
+          user,
+          { role }
+        );
+
+        if (result.success) {
+          uploadedCount++;
+          setImages((prev) => [...prev, result.data]);
+          if (result.data.isCover) notifyCoverChange(result.data);
+        } else {
+          console.error("Failed to upload find image:", result.error);
+        }
+      }
+      const summary =
+        uploadedCount === files.length
+          ? `Added ${uploadedCount} image${uploadedCount === 1 ? "" : "s"}`
+          : `Added ${uploadedCount} of ${files.length} images`;
+      setStatusMessage(
+        unsupportedMessage ? `${summary}. ${unsupportedMessage}` : summary
+      );
+    } catch (error) {
+      console.error("Error adding images:", error);
+      setStatusMessage("Error adding images");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSetCover = async () => {
+    if (!currentImage || currentImage.isCover) return;
+
+    setIsBusy(true);
+    const result = await setFindImageCover(photo.id, currentImage.id, user);
+    setIsBusy(false);
+
+    if (result.success) {
+      setImages((prev) =>
+        prev.map((image) => ({
+          ...image,
+          isCover: image.id === currentImage.id,
+        }))
+      );
+      notifyCoverChange(currentImage);
+      setStatusMessage("Cover image updated");
+    } else {
+      console.error("Failed to set cover image:", result.error);
+      setStatusMessage("Failed to set cover image");
+    }
+  };
+
+  // Rotate the current image 90° clockwise (the original, full image and thumbnail)
+  const handleRotate = async () => {
+    const key = currentKey;
+    setIsBusy(true);
+    setStatusMessage("Rotating image...");
+    const result = await rotateFindImage(photo.id, currentImage?.id, user);
+    setIsBusy(false);
+
+    if (result.success) {
+      const { image_data: rotatedImage, thumbnailUrl: thumbnail } = result.data;
+      setImageData((prev) => ({ ...prev, [key]: rotatedImage }));
+      if (currentImage) {
+        setImages((prev) =>
+          prev.map((image) =>
+            image.id === currentImage.id
+              ? {
+                  ...image,
+                  ...result.data.paths,
+                  thumbnailUrl: thumbnail,
+                  annotations: result.data.annotations,
+                }
+              : image
+          )
+        );
+      }
+      if (result.data.isCover && onPhotoChange) {
+        onPhotoChange({ ...result.data.paths, imageData: thumbnail });
+      }
+      setStatusMessage("Image rotated");
+    } else {
+      console.error("Failed to rotate image:", result.error);
+      setStatusMessage("Failed to rotate image");
+    }
+  };
+
+  const handleSaveAnnotations = async (annotations) => {
+    const result = await updateFindImageAnnotations(
+      currentImage.id,
+      annotations,
+      user
+    );
+
+    if (result.success) {
+      setImages((prev) =>
+        prev.map((image) =>
+          image.id === currentImage.id ? { ...image, annotations } : image
+        )
+      );
+      setShowAnnotations(true);
+      setShowAnnotationEditor(false);
+      setStatusMessage("Annotations saved");
+    } else {
+      console.error("Failed to save annotations:", result.error);
+      setStatusMessage("Failed to save annotations");
+    }
+  };
+
+  const handleRoleChange = async (role) => {
+    const imageId = currentImage.id;
+    setIsBusy(true);
+    const result = await updateFindImageRole(imageId, role, user);
+    setIsBusy(false);
+
+    if (result.success) {
+      setImages((prev) =>
+        prev.map((image) => (image.id === imageId ? { ...image, role } : image))
+      );
+    } else {
+      console.error("Failed to update image role:", result.error);
+      setStatusMessage("Failed to update image role");
+    }
+  };
+
+  const handleMove = async (direction) => {
+    const targetIndex = currentIndex + direction;
+    if (targetIndex < 0 || targetIndex >= images.length) return;
+
+    const reordered = [...images];
+    [reordered[currentIndex], reordered[targetIndex]] = [
+      reordered[targetIndex],
+      reordered[currentIndex],
+    ];
+
+    const previousImages = images;
+    setImages(reordered);
+    setCurrentIndex(targetIndex);
+
+    const result = await reorderFindImages(
+      photo.id,
+      reordered.map((image) => image.id),
+      user
+    );
+    if (!result.success) {
+      console.error("Failed to reorder images:", result.error);
+      setImages(previousImages);
+      setCurrentIndex(currentIndex);
+      setStatusMessage("Failed to reorder images");
+    }
+  };
+
+  const handleDeleteImage = async () => {
+    if (!currentImage) return;
+    if (!window.confirm("Delete this image from the find?")) return;
+
+    setIsBusy(true);
+    const result = await deleteFindImage(currentImage.id, user);
+    setIsBusy(false);
+
+    if (result.success) {
+      const remaining = images
+        .filter((image) => image.id !== currentImage.id)
+        .map((image) =>
+          result.data.newCoverImageId
+            ? { ...image, isCover: image.id === result.data.newCoverImageId }
+            : image
+        );
+      setImages(remaining);
+      setCurrentIndex((index) => Math.min(index, remaining.length - 1));
+      if (result.data.newCoverImageId) {
+        notifyCoverChange(
+          remaining.find((image) => image.id === result.data.newCoverImageId)
+        );
+      }
+      setStatusMessage("Image deleted");
+    } else {
+      console.error("Failed to delete image:", result.error);
+      setStatusMessage(result.error?.message || "Failed to delete image");
+    }
+  };
+
+  return (
+    <div className="flex flex-col flex-1 min-h-0 gap-2">
+      {/* Main image - swipe or use arrows to browse */}
+      <div
+        className="relative flex-1 max-h-[500px] flex items-center justify-center rounded-lg overflow-hidden p-2 sm:p-3 bg-gray-800 cursor-pointer hover:bg-gray-750 transition-colors"
+        onClick={() => setShowFullscreen(true)}
+        onTouchStart={isComparing ? undefined : handleTouchStart}
+        onTouchEnd={isComparing ? undefined : handleTouchEnd}
+        title="Click to view full screen"
+      >
+        {isComparing ? (
+          <CompareSlider
+            beforeSrc={getImageSource(beforeAfterPair.before)}
+            afterSrc={getImageSource(beforeAfterPair.after)}
+            beforeLabel={formatImageRole(beforeAfterPair.before.role)}
+            afterLabel={formatImageRole(beforeAfterPair.after.role)}
+            imgClassName="max-h-[476px]"
+          />
+        ) : isLoadingImage && !displayedImage ? (
+          <div className="flex items-center justify-center h-full">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+            <span className="ml-2 text-gray-400">Loading image...</span>
+          </div>
+        ) : (
+          <AnnotatedImage
+            src={displayedImage}
+            alt="Selected photo"
+            annotations={currentAnnotations}
+            showAnnotations={showAnnotations}
+            imgClassName="max-h-[476px]"
+            onError={(e) => {
+              e.target.style.display = "none";
+            }}
+          />
+        )}
+
+        {isLoadingImage && displayedImage && (
+          <div className="absolute top-3 right-3 animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+        )}
+
+        {images.length > 1 && !isComparing && (
+          <>
+            <button
+              className="absolute left-2 top-1/2 -translate-y-1/2 p-2 bg-black/50 hover:bg-black/70 rounded-full text-white transition-colors"
+              onClick={(e) => {
+                e.stopPropagation();
+                showPrevious();
+              }}
+              title="Previous image"
+            >
+              <FiChevronLeft size={20} />
+            </button>
+            <button
+              className="absolute right-2 top-1/2 -translate-y-1/2 p-2 bg-black/50 hover:bg-black/70 rounded-full text-white transition-colors"
+              onClick={(e) => {
+                e.stopPropagation();
+                showNext();
+              }}
+              title="Next image"
+            >
+              <FiChevronRight size={20} />
+            </button>
+            <div className="absolute bottom-2 left-1/2 -translate-x-1/2 px-2 py-0.5 bg-black/50 rounded text-xs text-white">
+              {currentIndex + 1} / {images.length}
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Thumbnails */}
+      {(images.length > 1 || isAdmin) && (
+        <div className="flex items-center gap-2 overflow-x-auto pb-1">
+          {images.map((image, index) => (
+            <button
+              key={image.id}
+              onClick={() => setCurrentIndex(index)}
+              className={cn(
+                "relative w-16 h-16 flex-shrink-0 rounded overflow-hidden border-2 transition-colors",
+                index === currentIndex
+                  ? "border-blue-500"
+                  : "border-transparent hover:border-gray-500"
+              )}
+              title={image.filename || `Image ${index + 1}`}
+            >
+              <img
+                src={image.thumbnailUrl}
+                alt={`Image ${index + 1}`}
+                className="w-full h-full object-cover"
+              />
+              {image.isCover && (
+                <span className="absolute top-0.5 right-0.5 p-0.5 bg-black/60 rounded text-yellow-400">
+                  <FiStar size={10} fill="currentColor" />
+                </span>
+              )}
+              {image.role && (
+                <span className="absolute bottom-0 inset-x-0 px-0.5 bg-black/60 text-[10px] leading-4 text-white truncate">
+                  {formatImageRole(image.role)}
+                </span>
+              )}
+            </button>
+          ))}
+
+          {isAdmin && (
+            <>
+              <button
+                onClick={() => pickImages()}
+                disabled={isBusy}
+                className="w-16 h-16 flex-shrink-0 flex items-center justify-center rounded border-2 border-dashed border-gray-600 text-gray-400 hover:text-white hover:border-gray-400 disabled:opacity-50 transition-colors"
+                title="Add images"
+              >
+                <FiPlus size={20} />
+              </button>
+              {images.length > 0 && (
+                <button
+                  onClick={() => pickImages("cleaned")}
+                  disabled={isBusy}
+                  className="w-16 h-16 flex-shrink-0 flex flex-col items-center justify-center rounded border-2 border-dashed border-gray-600 text-gray-400 hover:text-white hover:border-gray-400 disabled:opacity-50 transition-colors"
+                  title="Add images taken after cleaning"
+                >
+                  <FiPlus size={16} />
+                  <span className="text-[10px] leading-3">Cleaned</span>
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Image controls (editing is admin-only) */}
+      {galleryLoaded && (
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={() => setShowShareDialog(true)}
+            disabled={isBusy}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-xs text-gray-300 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 disabled:opacity-50 transition-colors"
+            title="Export without location"
+          >
+            <FiShare2 size={12} />
+            Export
+          </button>
+          {beforeAfterPair && (
+            <button
+              onClick={() => setShowComparison((show) => !show)}
+              className={cn(
+                "flex items-center gap-1.5 px-3 py-1.5 text-xs border rounded-md disabled:opacity-50 transition-colors",
+                isComparing
+                  ? "text-white bg-blue-600 border-blue-600 hover:bg-blue-700"
+                  : "text-gray-300 bg-gray-800 border-gray-600 hover:bg-gray-700"
+              )}
+              title="Compare the find before and after cleaning"
+            >
+              <FiColumns size={12} />
+              Before / after
+            </button>
+          )}
+          {currentAnnotations.length > 0 && !isComparing && (
+            <button
+              onClick={() => setShowAnnotations((show) => !show)}
+              className="flex items-center gap-1.5 px-3 py-1.5 text-xs text-gray-300 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 disabled:opacity-50 transition-colors"
+            >
+              {showAnnotations ? <FiEyeOff size={12} /> : <FiEye size={12} />}
+              {showAnnotations ? "Hide annotations" : "Show annotations"}
+            </button>
+          )}
+          {isAdmin && currentImage && (
+            <button
+              onClick={() => setShowAnnotationEditor(true)}
+              disabled={isBusy || !displayedImage}
+              className="flex items-center gap-1.5 px-3 py-1.5 text-xs text-gray-300 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 disabled:opacity-50 transition-colors"
+              title="Draw arrows, circles, scale bars and labels"
+            >
+              <FiEdit3 size={12} />
+              Annotate
+            </button>
+          )}
+          {onMeasure && (
+            <button
+              onClick={() =>
+                onMeasure({
+                  src: displayedImage,
+                  annotations: currentAnnotations,
+                })
+              }
+              disabled={!displayedImage}
+              className="flex items-center gap-1.5 px-3 py-1.5 text-xs text-gray-300 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 disabled:opacity-50 transition-colors"
+              title="Measure the find against a ruler or coin"
+            >
+              <FiMaximize2 size={12} />
+              Measure
+            </button>
+          )}
+          {isAdmin && (
+            <button
+              onClick={handleRotate}
+              disabled={isBusy}
+              className="flex items-center gap-1.5 px-3 py-1.5 text-xs text-gray-300 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 disabled:opacity-50 transition-colors"
+              title="Rotate 90° clockwise"
+            >
+              <FiRotateCw size={12} />
+              Rotate
+            </button>
+          )}
+          {isAdmin && currentImage && (
+            <>
+              <select
+                value={currentImage.role || ""}
+                onChange={(e) => handleRoleChange(e.target.value || null)}
+                disabled={isBusy}
+                className="px-2 py-1.5 text-xs text-gray-300 bg-gray-800 border border-gray-600 rounded-md disabled:opacity-50"
+                title="Image role"
+              >
+                <option value="">No role</option>
+                {IMAGE_ROLES.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={handleSetCover}
+                disabled={isBusy || currentImage.isCover}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-xs text-gray-300 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 disabled:opacity-50 transition-colors"
+              >
+                <FiStar size={12} />
+                {currentImage.isCover ? "Cover" : "Set as cover"}
+              </button>
+              <button
+                onClick={() => handleMove(-1)}
+                disabled={isBusy || currentIndex === 0}
+                className="p-1.5 text-gray-300 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 disabled:opacity-50 transition-colors"
+                title="Move left"
+              >
+                <FiArrowLeft size={14} />
+              </button>
+              <button
+                onClick={() => handleMove(1)}
+                disabled={isBusy || currentIndex === images.length - 1}
+                className="p-1.5 text-gray-300 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 disabled:opacity-50 transition-colors"
+                title="Move right"
+              >
+                <FiArrowRight size={14} />
+              </button>
+              <button
+                onClick={handleDeleteImage}
+                disabled={isBusy || images.length < 2}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-xs text-red-400 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 disabled:opacity-50 transition-colors"
+                title="Delete image"
+              >
+                <FiTrash2 size={12} />
+                Delete image
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {statusMessage && (
+        <p className="text-xs text-gray-400">{statusMessage}</p>
+      )}
+
+      {/* Hidden file input for adding images */}
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*,.heic,.heif"
+        multiple
+        style={{ display: "none" }}
+        onChange={handleAddImages}
+      />
+
+      {showAnnotationEditor && currentImage && (
+        <AnnotationEditor
+          src={displayedImage}
+          annotations={currentAnnotations}
+          onSave={handleSaveAnnotations}
+          onClose={() => setShowAnnotationEditor(false)}
+        />
+      )}
+
+      {showShareDialog && (
+        <ShareImageDialog
+          items={[{ photo, imageId: currentImage?.id, position: currentIndex }]}
+          user={user}
+          onClose={() => setShowShareDialog(false)}
+        />
+      )}
+
+      {/* Full-screen Image Modal */}
+      {showFullscreen && (
+        <div
+          className="fixed inset-0 z-[10001] flex items-center justify-center bg-black/90 backdrop-blur-sm"
+          onTouchStart={isComparing ? undefined : handleTouchStart}
+          onTouchEnd={isComparing ? undefined : handleTouchEnd}
+        >
+          <div className="relative w-full h-full flex items-center justify-center p-4">
+            {/* Close button */}
+            <button
+              className="absolute top-4 right-4 z-10 p-2 bg-black/50 hover:bg-black/70 rounded-full transition-colors"
+              onClick={() => setShowFullscreen(false)}
+            >
+              <svg
+                className="w-6 h-6 text-white"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M6 18L18 6M6 6l12 12"
+                />
+              </svg>
+            </button>
+
+            {images.length > 1 && !isComparing && (
+              <>
+                <button
+                  className="absolute left-4 top-1/2 -translate-y-1/2 z-10 p-3 bg-black/50 hover:bg-black/70 rounded-full text-white transition-colors"
+                  onClick={showPrevious}
+                  title="Previous image"
+                >
+                  <FiChevronLeft size={24} />
+                </button>
+                <button
+                  className="absolute right-4 top-1/2 -translate-y-1/2 z-10 p-3 bg-black/50 hover:bg-black/70 rounded-full text-white transition-colors"
+                  onClick={showNext}
+                  title="Next image"
+                >
+                  <FiChevronRight size={24} />
+                </button>
+              </>
+            )}
+
+            {/* Full-screen image */}
+            {isComparing ? (
+              <CompareSlider
+                beforeSrc={getImageSource(beforeAfterPair.before)}
+                afterSrc={getImageSource(beforeAfterPair.after)}
+                beforeLabel={formatImageRole(beforeAfterPair.before.role)}
+                afterLabel={formatImageRole(beforeAfterPair.after.role)}
+                imgClassName="max-h-[calc(100vh-2rem)]"
+              />
+            ) : (
+              <AnnotatedImage
+                src={displayedImage}
+                alt="Full screen photo"
+                annotations={currentAnnotations}
+                showAnnotations={showAnnotations}
+                imgClassName="max-h-[calc(100vh-2rem)]"
+                onClick={() => setShowFullscreen(false)}
+              />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FindGallery;
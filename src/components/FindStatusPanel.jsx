@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from "react";
+import { updatePhotoStatus, loadPhotoStatusHistory } from "../photoService";
+import { cn, FIND_STATUSES, formatStatusName } from "../lib/utils";
+import StatusBadge from "./StatusBadge";
+
+// Format a history timestamp for display
+const formatHistoryDate = (timestamp) => {
+  return new Date(timestamp).toLocaleString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+// Lifecycle status controls and transition history for a find
+const FindStatusPanel = ({
+  photo,
+  isAdmin = false,
+  user = null,
+  onStatusChange,
+}) => {
+  const [status, setStatus] = useState(photo.status || "target");
+  const [history, setHistory] = useState([]);
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  // Load status and history when a different find is shown
+  useEffect(() => {
+    setStatus(photo.status || "target");
+    setHistory([]);
+
+    loadPhotoStatusHistory(photo.id).then((result) => {
+      if (result.success) {
+        setHistory(result.data);
+      } else {
+        console.error("Failed to load status history:", result.error);
+      }
+    });
+  }, [photo.id, photo.status]);
+
+  const handleStatusChange = async (newStatus) => {
+    if (newStatus === status) return;
+
+    setIsUpdating(true);
+    try {
+      const result = await updatePhotoStatus(photo.id, newStatus, user);
+      if (result.success) {
+        setStatus(newStatus);
+        if (onStatusChange) onStatusChange(newStatus);
+
+        const historyResult = await loadPhotoStatusHistory(photo.id);
+        if (historyResult.success) {
+          setHistory(historyResult.data);
+        }
+      } else {
+        console.error("Failed to update photo status:", result.error);
+      }
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <h3 className="text-xs font-semibold text-gray-300 uppercase tracking-wider">
+        Status
+      </h3>
+
+      {isAdmin ? (
+        <div className="grid grid-cols-2 gap-1">
+          {FIND_STATUSES.map((findStatus) => (
+            <button
+              key={findStatus.value}
+              onClick={() => handleStatusChange(findStatus.value)}
+              disabled={isUpdating}
+              className={cn(
+                "px-3 py-2 text-sm rounded border transition-colors min-h-[44px] touch-manipulation disabled:cursor-not-allowed",
+                findStatus.value === status
+                  ? "text-white border-transparent"
+                  : "text-gray-300 bg-gray-800 border-gray-600 hover:bg-gray-700"
+              )}
+              style={
+                findStatus.value === status
+                  ? { backgroundColor: findStatus.color }
+                  : undefined
+              }
+            >
+              {findStatus.label}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <div>
+          <StatusBadge status={status} />
+        </div>
+      )}
+
+      {/* Transition history */}
+      {history.length > 0 && (
+        <ul className="space-y-1 max-h-32 overflow-y-auto">
+          {history.map((entry) => (
+            <li key={entry.id} className="text-xs text-gray-400">
+              <span className="text-gray-200">
+                {entry.from_status
+                  ? `${formatStatusName(entry.from_status)} → ${formatStatusName(
+                      entry.to_status
+                    )}`
+                  : formatStatusName(entry.to_status)}
+              </span>
+              <span className="block">
+                {formatHistoryDate(entry.changed_at)}
+                {entry.changed_by_email ? ` · ${entry.changed_by_email}` : ""}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default FindStatusPanel;
@@ -1,9 +1,10 @@
 import React from "react";
 import { useAuth } from "../hooks/useAuth";
 import { FiLogOut } from "react-icons/fi";
+import ImageCacheButton from "./ImageCacheButton";
 
 const Header = ({ currentView, onViewChange }) => {
-  const { signOut, user } = useAuth();
+  const { signOut, user, isAdmin } = useAuth();
 
   const handleSignOut = async () => {
     try {
@@ -45,6 +46,30 @@ const Header = ({ currentView, onViewChange }) => {
           >
             Map
           </button>
+          {isAdmin && (
+            <button
+              onClick={() => onViewChange("categories")}
+              className={`px-4 py-2 text-sm font-medium border-b-2 transition-colors duration-200 ${
+                currentView === "categories"
+                  ? "border-slate-300 text-slate-100"
+                  : "border-transparent text-slate-400 hover:text-slate-200 hover:border-slate-500"
+              }`}
+            >
+              Categories
+            </button>
+          )}
+          {isAdmin && (
+            <button
+              onClick={() => onViewChange("trash")}
+              className={`px-4 py-2 text-sm font-medium border-b-2 transition-colors duration-200 ${
+                currentView === "trash"
+                  ? "border-slate-300 text-slate-100"
+                  : "border-transparent text-slate-400 hover:text-slate-200 hover:border-slate-500"
+              }`}
+            >
+              Trash
+            </button>
+          )}
         </nav>
 
         {/* Right side - User info and logout */}
@@ -53,6 +78,7 @@ const Header = ({ currentView, onViewChange }) => {
             <div className="font-medium">{user?.email}</div>
             <div className="text-xs text-slate-400">Logged in</div>
           </div>
+          <ImageCacheButton />
           <button
             onClick={handleSignOut}
             className="p-2 text-slate-400 hover:text-slate-200 hover:bg-slate-700 rounded transition-colors duration-200 relative z-10"
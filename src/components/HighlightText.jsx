@@ -0,0 +1,30 @@
+import React from "react";
+import { getSearchTerms } from "../lib/utils";
+
+// Escape a string for use inside a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Text with the words matching a search query highlighted (prefix matches,
+// like the database search)
+const HighlightText = ({ text, query }) => {
+  const terms = query ? getSearchTerms(query) : [];
+  if (!text || terms.length === 0) return text || null;
+
+  const pattern = new RegExp(
+    `((?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join("|")}))`,
+    "giu"
+  );
+
+  // Split keeps the captured matches at odd indexes
+  return text.split(pattern).map((part, index) =>
+    index % 2 === 1 ? (
+      <mark key={index} className="bg-yellow-200 text-inherit rounded-sm">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+};
+
+export default HighlightText;
@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+import { FiHardDrive } from "react-icons/fi";
+import { getImageCacheUsage, clearImageCache } from "../lib/imageCache";
+import { formatFileSize } from "../lib/utils";
+
+// Header button that shows how much the image cache on this device holds
+// (in its tooltip) and clears it
+const ImageCacheButton = () => {
+  const [usage, setUsage] = useState(null);
+
+  const refreshUsage = () => {
+    getImageCacheUsage()
+      .then(setUsage)
+      .catch((error) => console.warn("Could not read image cache:", error));
+  };
+
+  const handleClear = async () => {
+    if (
+      !window.confirm(
+        "Clear the images cached on this device? They are downloaded again when shown."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await clearImageCache();
+    } catch (error) {
+      console.error("Error clearing image cache:", error);
+    }
+    refreshUsage();
+  };
+
+  return (
+    <button
+      onClick={handleClear}
+      onMouseEnter={refreshUsage}
+      onFocus={refreshUsage}
+      className="p-2 text-slate-400 hover:text-slate-200 hover:bg-slate-700 rounded transition-colors duration-200"
+      title={
+        usage
+          ? `Clear image cache (${usage.count} images, ${formatFileSize(usage.bytes)})`
+          : "Clear image cache"
+      }
+      type="button"
+    >
+      <FiHardDrive size={16} />
+    </button>
+  );
+};
+
+export default ImageCacheButton;
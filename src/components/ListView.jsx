@@ -4,18 +4,41 @@ import {
   FiCalendar,
   FiHash,
   FiNavigation,
+  FiActivity,
+  FiSearch,
+  FiX,
+  FiShare2,
+  FiMaximize2,
 } from "react-icons/fi";
 import { useAuth } from "../hooks/useAuth";
 import {
   loadPhotosMetadataOnly,
-  loadPhotoThumbnail,
+  getPhotoImageUrl,
   deletePhotoFromDatabase,
+  searchPhotos,
 } from "../photoService";
+import { useCategories } from "../hooks/useCategories";
+import { useTagFilter } from "../hooks/useTagFilter";
+import { useSearchQuery } from "../hooks/useSearchQuery";
+import {
+  matchesStatusFilter,
+  matchesTagFilter,
+  formatSignalSummary,
+  formatDimensionsSummary,
+} from "../lib/utils";
 import PhotoModal from "../PhotoModal";
 import ToastNotification from "../ToastNotification";
+import TypeBadge from "./TypeBadge";
+import TypeFilter from "./TypeFilter";
+import StatusBadge from "./StatusBadge";
+import StatusFilter from "./StatusFilter";
+import TagChip from "./TagChip";
+import TagFilter from "./TagFilter";
+import HighlightText from "./HighlightText";
+import ShareImageDialog from "./ShareImageDialog";
 
 // Lazy thumbnail component that loads when visible
-const LazyThumbnail = ({ photoId, onLoad }) => {
+const LazyThumbnail = ({ photo, onLoad }) => {
   const [thumbnail, setThumbnail] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const ref = useRef(null);
@@ -25,10 +48,10 @@ const LazyThumbnail = ({ photoId, onLoad }) => {
       (entries) => {
         if (entries[0].isIntersecting && !thumbnail && !isLoading) {
           setIsLoading(true);
-          loadPhotoThumbnail(photoId).then((result) => {
+          getPhotoImageUrl(photo, "thumb").then((result) => {
             if (result.success) {
               setThumbnail(result.data);
-              if (onLoad) onLoad(photoId, result.data);
+              if (onLoad) onLoad(photo.id, result.data);
             }
             setIsLoading(false);
           });
@@ -42,7 +65,7 @@ const LazyThumbnail = ({ photoId, onLoad }) => {
     }
 
     return () => observer.disconnect();
-  }, [photoId, thumbnail, isLoading, onLoad]);
+  }, [photo, thumbnail, isLoading, onLoad]);
 
   return (
     <div ref={ref} className="w-full h-full">
@@ -73,8 +96,18 @@ const ListView = ({ onViewChange }) => {
   const [toastOpen, setToastOpen] = useState(false);
   const [toastMessage, setToastMessage] = useState("");
   const [thumbnailCache, setThumbnailCache] = useState({});
+  const [nextCursor, setNextCursor] = useState(null); // Cursor of the next page, null when all loaded
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [typeFilter, setTypeFilter] = useState("all");
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [tagFilter, setTagFilter] = useTagFilter();
+  const [searchQuery, setSearchQuery] = useSearchQuery();
+  const [searchResults, setSearchResults] = useState(null); // Ranked results, null when not searching
+  const [isSearching, setIsSearching] = useState(false);
+  const [showExportDialog, setShowExportDialog] = useState(false);
 
   const { user, isAdmin } = useAuth();
+  const { matchesTypeFilter } = useCategories();
 
   // Cache loaded thumbnails
   const handleThumbnailLoad = useCallback((photoId, thumbnailData) => {
@@ -87,10 +120,11 @@ const ListView = ({ onViewChange }) => {
       setIsLoading(true);
       try {
         console.log("Loading photos metadata for list view...");
-        const result = await loadPhotosMetadataOnly(100, 0);
+        const result = await loadPhotosMetadataOnly(100);
         console.log("Photos metadata loading result:", result);
         if (result.success) {
           setPhotos(result.data);
+          setNextCursor(result.nextCursor);
           console.log(`Loaded ${result.data.length} photos metadata for list view`);
         } else {
           console.error("Failed to load photos:", result.error);
@@ -109,13 +143,68 @@ const ListView = ({ onViewChange }) => {
     loadPhotos();
   }, []);
 
+  // Search the database as the query changes (debounced)
+  useEffect(() => {
+    if (!searchQuery.trim()) {
+      setSearchResults(null);
+      setIsSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+    setIsSearching(true);
+    const timer = setTimeout(async () => {
+      const result = await searchPhotos(searchQuery, {
+        status: statusFilter,
+        tags: tagFilter,
+      });
+      if (cancelled) return;
+      if (result.success) {
+        setSearchResults(result.data);
+      } else {
+        console.error("Failed to search photos:", result.error);
+        setToastMessage("Search failed");
+        setToastOpen(true);
+      }
+      setIsSearching(false);
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery, statusFilter, tagFilter]);
+
+  // Load the next page of photos
+  const handleLoadMore = async () => {
+    if (!nextCursor || isLoadingMore) return;
+
+    setIsLoadingMore(true);
+    try {
+      const result = await loadPhotosMetadataOnly(100, nextCursor);
+      if (result.success) {
+        setPhotos((prev) => [...prev, ...result.data]);
+        setNextCursor(result.nextCursor);
+      } else {
+        console.error("Failed to load more photos:", result.error);
+        setToastMessage("Failed to load more photos");
+        setToastOpen(true);
+      }
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
   // Handle photo deletion
   const handleDeletePhoto = async (photoId) => {
     try {
       const result = await deletePhotoFromDatabase(photoId, user);
       if (result.success) {
         setPhotos((prev) => prev.filter((photo) => photo.id !== photoId));
-        setToastMessage("Photo deleted successfully!");
+        setSearchResults(
+          (prev) => prev && prev.filter((photo) => photo.id !== photoId)
+        );
+        setToastMessage("Photo moved to trash");
         setToastOpen(true);
       } else {
         console.error("Failed to delete photo:", result.error);
@@ -129,6 +218,19 @@ const ListView = ({ onViewChange }) => {
     }
   };
 
+  // Handle photo update from the modal (only changed fields are passed)
+  const handleUpdatePhoto = (updatedPhoto) => {
+    const applyUpdate = (photo) =>
+      photo.id === updatedPhoto.id ? { ...photo, ...updatedPhoto } : photo;
+    setPhotos((prev) => prev.map(applyUpdate));
+    setSearchResults((prev) => prev && prev.map(applyUpdate));
+    if (updatedPhoto.imageData) {
+      handleThumbnailLoad(updatedPhoto.id, updatedPhoto.imageData);
+    }
+    setToastMessage("Photo updated successfully!");
+    setToastOpen(true);
+  };
+
   // Handle photo view
   const handleViewPhoto = (photo) => {
     setSelectedPhoto(photo);
@@ -151,10 +253,45 @@ const ListView = ({ onViewChange }) => {
     window.history.replaceState({}, "", url);
   };
 
-  // Sort photos by date (newest first)
-  const sortedAndFilteredPhotos = [...photos].sort((a, b) => {
-    return new Date(b.timestamp) - new Date(a.timestamp);
-  });
+  // Count photos per type for the filter dropdown
+  const typeCounts = photos.reduce((counts, photo) => {
+    const type = photo.type || "unknown";
+    counts[type] = (counts[type] || 0) + 1;
+    return counts;
+  }, {});
+
+  // Count photos per status for the filter dropdown
+  const statusCounts = photos.reduce((counts, photo) => {
+    const status = photo.status || "target";
+    counts[status] = (counts[status] || 0) + 1;
+    return counts;
+  }, {});
+
+  // Toggle a tag in the tag filter (clicking a tag chip on a row)
+  const handleTagClick = (tagName) => {
+    const isActive = tagFilter.some(
+      (name) => name.toLowerCase() === tagName.toLowerCase()
+    );
+    setTagFilter(
+      isActive
+        ? tagFilter.filter(
+            (name) => name.toLowerCase() !== tagName.toLowerCase()
+          )
+        : [...tagFilter, tagName]
+    );
+  };
+
+  // Filter by type, status and tags and sort photos by date (newest first).
+  // Search results keep their relevance order.
+  const filteredPhotos = (searchResults || photos)
+    .filter((photo) => matchesTypeFilter(photo, typeFilter))
+    .filter((photo) => matchesStatusFilter(photo, statusFilter))
+    .filter((photo) => matchesTagFilter(photo, tagFilter));
+  const sortedAndFilteredPhotos = searchResults
+    ? filteredPhotos
+    : filteredPhotos.sort((a, b) => {
+        return new Date(b.timestamp) - new Date(a.timestamp);
+      });
 
   // Format date
   const formatDate = (timestamp) => {
@@ -186,10 +323,57 @@ const ListView = ({ onViewChange }) => {
   return (
     <div className="h-full bg-slate-50 flex flex-col">
       {/* Header */}
-      <div className="bg-white border-b border-slate-200 p-4 flex-shrink-0">
+      <div className="bg-white border-b border-slate-200 p-4 flex-shrink-0 flex items-center justify-between gap-3">
         <h2 className="text-lg font-semibold text-slate-800">
           Targets ({sortedAndFilteredPhotos.length})
         </h2>
+        <div className="flex flex-wrap items-center justify-end gap-2">
+          {/* Search box */}
+          <div className="relative">
+            <FiSearch
+              size={14}
+              className={`absolute left-2.5 top-1/2 -translate-y-1/2 ${
+                isSearching ? "text-blue-500 animate-pulse" : "text-slate-400"
+              }`}
+            />
+            <input
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search finds..."
+              className="pl-8 pr-8 py-2 text-sm bg-white border border-slate-300 rounded-md text-slate-700 placeholder-slate-400 min-h-[36px] w-48 touch-manipulation [&::-webkit-search-cancel-button]:hidden"
+            />
+            {searchQuery && (
+              <button
+                onClick={() => setSearchQuery("")}
+                className="absolute right-2 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600"
+                title="Clear search"
+              >
+                <FiX size={14} />
+              </button>
+            )}
+          </div>
+          <TagFilter value={tagFilter} onChange={setTagFilter} />
+          <StatusFilter
+            value={statusFilter}
+            onChange={setStatusFilter}
+            counts={statusCounts}
+          />
+          <TypeFilter
+            value={typeFilter}
+            onChange={setTypeFilter}
+            counts={typeCounts}
+          />
+          <button
+            onClick={() => setShowExportDialog(true)}
+            disabled={sortedAndFilteredPhotos.length === 0}
+            className="flex items-center gap-1.5 px-3 py-2 text-sm text-slate-600 bg-white border border-slate-300 rounded-md hover:bg-slate-50 min-h-[36px] touch-manipulation disabled:opacity-50 disabled:cursor-not-allowed"
+            title="Export the listed finds without their location"
+          >
+            <FiShare2 size={14} />
+            Export
+          </button>
+        </div>
       </div>
 
       {/* Photos list */}
@@ -201,7 +385,13 @@ const ListView = ({ onViewChange }) => {
               No photos found
             </h3>
             <p className="text-xs text-slate-500">
-              No photos have been uploaded yet.
+              {searchResults
+                ? `No photos match "${searchQuery}".`
+                : typeFilter === "all" &&
+                    statusFilter === "all" &&
+                    tagFilter.length === 0
+                  ? "No photos have been uploaded yet."
+                  : "No photos match the selected filters."}
             </p>
           </div>
         ) : (
@@ -223,7 +413,7 @@ const ListView = ({ onViewChange }) => {
                       />
                     ) : (
                       <LazyThumbnail
-                        photoId={photo.id}
+                        photo={photo}
                         onLoad={handleThumbnailLoad}
                       />
                     )}
@@ -231,20 +421,28 @@ const ListView = ({ onViewChange }) => {
 
                   {/* Photo details */}
                   <div className="flex-1 min-w-0">
-                    {/* Photo name/title */}
-                    {photo.name && (
-                      <div className="mb-2">
+                    {/* Photo name/title and type */}
+                    <div className="mb-2 flex items-center gap-2 min-w-0">
+                      {photo.name && (
                         <h3 className="text-sm font-semibold text-slate-800 truncate">
-                          {photo.name}
+                          <HighlightText
+                            text={photo.name}
+                            query={searchQuery}
+                          />
                         </h3>
-                      </div>
-                    )}
+                      )}
+                      <StatusBadge status={photo.status} />
+                      <TypeBadge type={photo.type} />
+                    </div>
 
                     {/* Photo description */}
                     {photo.description && (
                       <div className="mb-2">
                         <p className="text-xs text-slate-600 line-clamp-2">
-                          {photo.description}
+                          <HighlightText
+                            text={photo.description}
+                            query={searchQuery}
+                          />
                         </p>
                       </div>
                     )}
@@ -269,6 +467,46 @@ const ListView = ({ onViewChange }) => {
                       </span>
                     </div>
 
+                    {formatSignalSummary(photo) && (
+                      <div className="flex items-center gap-2 mb-1">
+                        <FiActivity
+                          size={12}
+                          className="text-slate-400 flex-shrink-0"
+                        />
+                        <span className="text-xs text-slate-500 truncate">
+                          {formatSignalSummary(photo)}
+                        </span>
+                      </div>
+                    )}
+
+                    {formatDimensionsSummary(photo) && (
+                      <div className="flex items-center gap-2 mb-1">
+                        <FiMaximize2
+                          size={12}
+                          className="text-slate-400 flex-shrink-0"
+                        />
+                        <span className="text-xs text-slate-500 truncate">
+                          {formatDimensionsSummary(photo)}
+                        </span>
+                      </div>
+                    )}
+
+                    {photo.tags?.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mb-1">
+                        {photo.tags.map((tag) => (
+                          <TagChip
+                            key={tag.id}
+                            name={tag.name}
+                            active={tagFilter.some(
+                              (name) =>
+                                name.toLowerCase() === tag.name.toLowerCase()
+                            )}
+                            onClick={handleTagClick}
+                          />
+                        ))}
+                      </div>
+                    )}
+
                     <div className="flex items-center gap-2 mb-1">
                       <FiCalendar
                         size={12}
@@ -296,6 +534,18 @@ const ListView = ({ onViewChange }) => {
             ))}
           </div>
         )}
+
+        {nextCursor && !searchResults && (
+          <div className="flex justify-center py-3">
+            <button
+              onClick={handleLoadMore}
+              disabled={isLoadingMore}
+              className="px-4 py-2 text-sm font-medium text-slate-600 bg-white border border-slate-300 rounded-md hover:bg-slate-100 disabled:opacity-50 min-h-[36px] touch-manipulation"
+            >
+              {isLoadingMore ? "Loading..." : "Load more"}
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Photo Modal */}
@@ -304,10 +554,24 @@ const ListView = ({ onViewChange }) => {
         setShowModal={setShowModal}
         selectedPhoto={selectedPhoto}
         onDeletePhoto={handleDeletePhoto}
+        onUpdatePhoto={handleUpdatePhoto}
         isAdmin={isAdmin}
         user={user}
       />
 
+      {/* Export of the listed finds */}
+      {showExportDialog && (
+        <ShareImageDialog
+          items={sortedAndFilteredPhotos.map((photo) => ({
+            photo,
+            imageId: null,
+            position: 0,
+          }))}
+          user={user}
+          onClose={() => setShowExportDialog(false)}
+        />
+      )}
+
       {/* Toast notifications */}
       <ToastNotification
         toastOpen={toastOpen}
@@ -0,0 +1,72 @@
+import React from "react";
+import { FiCamera, FiMapPin, FiX } from "react-icons/fi";
+
+// Shown when the GPS position in a photo's EXIF data is far from the point
+// clicked on the map, so the user can pick which position the find gets
+const LocationChoiceDialog = ({
+  exifLocation,
+  mapLocation,
+  distance,
+  onChoose,
+  onCancel,
+}) => {
+  if (!exifLocation || !mapLocation) return null;
+
+  const formatLocation = ({ lat, lng }) =>
+    `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+
+  return (
+    <div className="fixed inset-0 z-[9999] flex items-end sm:items-center justify-center p-2 sm:p-4">
+      <div
+        className="fixed inset-0 bg-gray-900/60 backdrop-blur-sm"
+        onClick={onCancel}
+      />
+      <div className="relative z-[10000] w-full max-w-md bg-gray-900 rounded-xl shadow-2xl border border-gray-700">
+        <div className="px-6 py-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">Which location?</h2>
+        </div>
+        <div className="px-4 sm:px-6 py-4">
+          <p className="text-sm text-gray-300">
+            The photo was taken {Math.round(distance)} m from the point you
+            clicked on the map.
+          </p>
+        </div>
+        <div className="flex flex-col gap-2 px-4 sm:px-6 py-3 border-t border-gray-700">
+          <button
+            onClick={() => onChoose(exifLocation)}
+            className="flex items-center gap-3 px-5 py-3 text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors text-sm min-h-[44px] touch-manipulation text-left"
+          >
+            <FiCamera className="w-4 h-4 flex-shrink-0" />
+            <span>
+              <span className="block font-medium">Use photo GPS</span>
+              <span className="block text-xs font-mono text-blue-100">
+                {formatLocation(exifLocation)}
+              </span>
+            </span>
+          </button>
+          <button
+            onClick={() => onChoose(mapLocation)}
+            className="flex items-center gap-3 px-5 py-3 text-gray-300 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 transition-colors text-sm min-h-[44px] touch-manipulation text-left"
+          >
+            <FiMapPin className="w-4 h-4 flex-shrink-0" />
+            <span>
+              <span className="block font-medium">Use map point</span>
+              <span className="block text-xs font-mono text-gray-400">
+                {formatLocation(mapLocation)}
+              </span>
+            </span>
+          </button>
+          <button
+            onClick={onCancel}
+            className="flex items-center justify-center gap-2 px-5 py-3 text-gray-400 hover:text-gray-200 transition-colors font-medium text-sm min-h-[44px] touch-manipulation"
+          >
+            <FiX className="w-4 h-4" />
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LocationChoiceDialog;
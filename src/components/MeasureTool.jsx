@@ -0,0 +1,275 @@
+import React, { useState } from "react";
+import { FiCheck, FiRefreshCw, FiTrash2, FiX } from "react-icons/fi";
+import AnnotatedImage from "./AnnotatedImage";
+import { getPointerPosition } from "../lib/annotations";
+import {
+  REFERENCE_OBJECTS,
+  measureLength,
+  formatLength,
+  findScaleReference,
+} from "../lib/measurement";
+import { DIMENSION_FIELDS, cn } from "../lib/utils";
+
+// Shortest line (relative to the image) that counts as a measurement
+const MIN_LINE_LENGTH = 0.01;
+
+const REFERENCE_COLOR = "#facc15";
+const MEASUREMENT_COLOR = "#ef4444";
+
+const toolbarButtonClass =
+  "flex items-center gap-1.5 px-3 py-2 text-sm rounded-md border transition-colors min-h-[44px] touch-manipulation disabled:opacity-50 disabled:cursor-not-allowed";
+
+const inputClassName =
+  "px-3 py-2 text-sm bg-gray-800 border border-gray-600 rounded text-white placeholder-gray-500 min-h-[44px] touch-manipulation";
+
+// Full-screen tool for measuring a find on a photo. The first line is drawn
+// along a reference of known size (a scale bar annotation is used when the
+// image has one); every following line is measured against it. Measurements
+// assigned to a dimension field are passed to onApply in millimeters.
+const MeasureTool = ({ src, annotations = [], onApply, onClose }) => {
+  const [scaleReference] = useState(() => findScaleReference(annotations));
+  const [referenceType, setReferenceType] = useState("ruler");
+  const [rulerLength, setRulerLength] = useState(
+    scaleReference ? String(scaleReference.lengthMm) : "10"
+  );
+  const [referenceLine, setReferenceLine] = useState(
+    scaleReference?.line || null
+  );
+  const [measurements, setMeasurements] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [size, setSize] = useState(null);
+
+  const referenceLengthMm =
+    referenceType === "ruler"
+      ? Number(rulerLength) || null
+      : REFERENCE_OBJECTS.find((option) => option.value === referenceType)
+          .lengthMm;
+  const reference = referenceLine
+    ? { line: referenceLine, lengthMm: referenceLengthMm }
+    : null;
+  const getLength = (line) =>
+    reference && size ? measureLength(line, reference, size) : null;
+
+  const handlePointerDown = (e) => {
+    const { x, y } = getPointerPosition(e);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDraft({ x1: x, y1: y, x2: x, y2: y });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draft) return;
+    const { x, y } = getPointerPosition(e);
+    setDraft((prev) => ({ ...prev, x2: x, y2: y }));
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    const line = draft;
+    setDraft(null);
+
+    if (Math.hypot(line.x2 - line.x1, line.y2 - line.y1) < MIN_LINE_LENGTH) {
+      return;
+    }
+    if (!referenceLine) {
+      setReferenceLine(line);
+    } else {
+      setMeasurements((prev) => [...prev, { ...line, field: "" }]);
+    }
+  };
+
+  // Each dimension field can take only one measurement
+  const assignField = (index, field) => {
+    setMeasurements((prev) =>
+      prev.map((measurement, i) => {
+        if (i === index) return { ...measurement, field };
+        return field && measurement.field === field
+          ? { ...measurement, field: "" }
+          : measurement;
+      })
+    );
+  };
+
+  const handleApply = () => {
+    const dimensions = {};
+    measurements.forEach((measurement) => {
+      const lengthMm = getLength(measurement);
+      if (measurement.field && lengthMm) {
+        dimensions[measurement.field] = Math.round(lengthMm * 10) / 10;
+      }
+    });
+    onApply(dimensions);
+  };
+
+  const toScaleAnnotation = (line, color, text) => ({
+    type: "scale",
+    ...line,
+    color,
+    text,
+  });
+  const shownAnnotations = [
+    reference &&
+      toScaleAnnotation(
+        reference.line,
+        REFERENCE_COLOR,
+        reference.lengthMm ? formatLength(reference.lengthMm) : "?"
+      ),
+    ...measurements.map((measurement, index) => {
+      const lengthMm = getLength(measurement);
+      return toScaleAnnotation(
+        measurement,
+        MEASUREMENT_COLOR,
+        `#${index + 1}${lengthMm ? ` · ${formatLength(lengthMm)}` : ""}`
+      );
+    }),
+    draft &&
+      toScaleAnnotation(
+        draft,
+        referenceLine ? MEASUREMENT_COLOR : REFERENCE_COLOR,
+        ""
+      ),
+  ].filter(Boolean);
+
+  const canApply = measurements.some(
+    (measurement) => measurement.field && getLength(measurement)
+  );
+
+  return (
+    <div className="fixed inset-0 z-[10001] flex flex-col bg-black/90 backdrop-blur-sm">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-2 p-3 bg-gray-900 border-b border-gray-700">
+        <select
+          value={referenceType}
+          onChange={(e) => setReferenceType(e.target.value)}
+          className={inputClassName}
+          title="Reference of known size"
+        >
+          {REFERENCE_OBJECTS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.lengthMm
+                ? `${option.label} (${option.lengthMm} mm)`
+                : option.label}
+            </option>
+          ))}
+        </select>
+        {referenceType === "ruler" && (
+          <label className="flex items-center gap-2 text-sm text-gray-400">
+            <input
+              type="number"
+              inputMode="decimal"
+              min="0"
+              step="0.5"
+              value={rulerLength}
+              onChange={(e) => setRulerLength(e.target.value)}
+              className={cn(inputClassName, "w-24")}
+            />
+            mm
+          </label>
+        )}
+        <button
+          onClick={() => setReferenceLine(null)}
+          disabled={!referenceLine}
+          className={cn(
+            toolbarButtonClass,
+            "text-gray-300 bg-gray-800 border-gray-600 hover:bg-gray-700"
+          )}
+          title="Draw the reference again"
+        >
+          <FiRefreshCw className="w-4 h-4" />
+          Reference
+        </button>
+
+        <div className="flex items-center gap-2 ml-auto">
+          <button
+            onClick={onClose}
+            className={cn(
+              toolbarButtonClass,
+              "text-gray-300 bg-gray-800 border-gray-600 hover:bg-gray-700"
+            )}
+          >
+            <FiX className="w-4 h-4" />
+            Cancel
+          </button>
+          <button
+            onClick={handleApply}
+            disabled={!canApply}
+            className={cn(
+              toolbarButtonClass,
+              "text-white bg-blue-600 border-blue-600 hover:bg-blue-700"
+            )}
+          >
+            <FiCheck className="w-4 h-4" />
+            Apply
+          </button>
+        </div>
+      </div>
+
+      <p className="px-3 py-2 text-sm text-gray-300 bg-gray-900">
+        {referenceLine
+          ? "Drag across the find to measure it, then choose which dimension each line is."
+          : referenceType === "ruler"
+            ? "Drag along the ruler segment of the chosen length."
+            : "Drag across the reference coin from edge to edge."}
+      </p>
+
+      {/* Drawing area */}
+      <div className="flex-1 min-h-0 flex items-center justify-center p-4">
+        <AnnotatedImage
+          src={src}
+          alt="Image to measure"
+          annotations={shownAnnotations}
+          imgClassName="max-h-[calc(100vh-16rem)]"
+          onSizeChange={setSize}
+          svgProps={{
+            className:
+              "absolute inset-0 w-full h-full cursor-crosshair touch-none",
+            onPointerDown: handlePointerDown,
+            onPointerMove: handlePointerMove,
+            onPointerUp: handlePointerUp,
+            onPointerCancel: () => setDraft(null),
+          }}
+        />
+      </div>
+
+      {/* Measurements */}
+      {measurements.length > 0 && (
+        <ul className="max-h-40 overflow-y-auto px-3 py-2 space-y-2 bg-gray-900 border-t border-gray-700">
+          {measurements.map((measurement, index) => {
+            const lengthMm = getLength(measurement);
+            return (
+              <li key={index} className="flex items-center gap-2 text-sm">
+                <span className="w-32 text-white">
+                  #{index + 1} · {lengthMm ? formatLength(lengthMm) : "—"}
+                </span>
+                <select
+                  value={measurement.field}
+                  onChange={(e) => assignField(index, e.target.value)}
+                  className={inputClassName}
+                >
+                  <option value="">Not saved</option>
+                  {DIMENSION_FIELDS.map(({ field, label }) => (
+                    <option key={field} value={field}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() =>
+                    setMeasurements((prev) =>
+                      prev.filter((_, i) => i !== index)
+                    )
+                  }
+                  className="p-2 text-gray-400 hover:text-red-400 transition-colors min-h-[44px] touch-manipulation"
+                  title="Remove measurement"
+                >
+                  <FiTrash2 className="w-4 h-4" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MeasureTool;
@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { FiRotateCcw } from "react-icons/fi";
+import { loadPhotoAuditLog, revertPhotoField } from "../photoService";
+import { useCategories } from "../hooks/useCategories";
+import {
+  formatAuditFieldName,
+  formatAuditValue,
+  formatStatusName,
+  isRevertibleField,
+} from "../lib/utils";
+
+const ACTION_LABELS = {
+  insert: "Find created",
+  delete: "Find deleted",
+};
+
+// Format a history timestamp for display
+const formatHistoryDate = (timestamp) => {
+  return new Date(timestamp).toLocaleString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+// Field-level change history of a find, with revert for admins
+const PhotoHistoryPanel = ({
+  photo,
+  isAdmin = false,
+  user = null,
+  onRevert,
+}) => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revertingId, setRevertingId] = useState(null);
+  const { formatTypeName } = useCategories();
+
+  const refreshLog = useCallback(async (photoId) => {
+    const result = await loadPhotoAuditLog(photoId);
+    if (result.success) {
+      setEntries(result.data);
+    } else {
+      console.error("Failed to load change history:", result.error);
+    }
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    setIsLoading(true);
+    setEntries([]);
+    refreshLog(photo.id);
+  }, [photo.id, refreshLog]);
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined) return formatAuditValue(value);
+    if (field === "type") return formatTypeName(value);
+    if (field === "status") return formatStatusName(value);
+    if (field === "timestamp" || field === "deleted_at") {
+      return new Date(value).toLocaleString();
+    }
+    return formatAuditValue(value);
+  };
+
+  const handleRevert = async (entry) => {
+    setRevertingId(entry.id);
+    try {
+      const result = await revertPhotoField(
+        photo.id,
+        entry.field,
+        entry.old_value,
+        user
+      );
+      if (result.success) {
+        if (onRevert) onRevert(entry.field, entry.old_value);
+        await refreshLog(photo.id);
+      } else {
+        console.error("Failed to revert field:", result.error);
+      }
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-400">Loading history...</p>;
+  }
+
+  if (entries.length === 0) {
+    return <p className="text-sm text-gray-500">No changes recorded yet.</p>;
+  }
+
+  return (
+    <ul className="space-y-3">
+      {entries.map((entry) => {
+        const canRevert =
+          isAdmin &&
+          entry.action === "update" &&
+          isRevertibleField(entry.field) &&
+          JSON.stringify(photo[entry.field] ?? null) !==
+            JSON.stringify(entry.old_value);
+
+        return (
+          <li
+            key={entry.id}
+            className="text-xs text-gray-400 border-b border-gray-800 pb-2"
+          >
+            <div className="flex items-start justify-between gap-2">
+              <div className="min-w-0">
+                <span className="text-gray-200 font-medium">
+                  {ACTION_LABELS[entry.action] ||
+                    formatAuditFieldName(entry.field)}
+                </span>
+                {entry.action === "update" && (
+                  <span className="block break-words">
+                    <span className="line-through text-red-300/80">
+                      {formatValue(entry.field, entry.old_value)}
+                    </span>
+                    {" → "}
+                    <span className="text-green-300">
+                      {formatValue(entry.field, entry.new_value)}
+                    </span>
+                  </span>
+                )}
+              </div>
+              {canRevert && (
+                <button
+                  onClick={() => handleRevert(entry)}
+                  disabled={revertingId !== null}
+                  className="flex items-center gap-1 px-2 py-1 text-xs text-gray-300 bg-gray-800 border border-gray-600 rounded hover:bg-gray-700 disabled:opacity-50 flex-shrink-0 touch-manipulation"
+                  title={`Revert ${formatAuditFieldName(entry.field)} to the previous value`}
+                >
+                  <FiRotateCcw size={12} />
+                  Revert
+                </button>
+              )}
+            </div>
+            <span className="block">
+              {formatHistoryDate(entry.changed_at)}
+              {entry.changed_by_email ? ` · ${entry.changed_by_email}` : ""}
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default PhotoHistoryPanel;
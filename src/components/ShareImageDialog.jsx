@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from "react";
+import { FiDownload, FiX } from "react-icons/fi";
+import {
+  loadExportImageData,
+  recordImageShares,
+  loadImageShares,
+  loadImageAnnotations,
+} from "../photoService";
+import {
+  EXPORT_LOCATION_OPTIONS,
+  MAX_EXPORT_IMAGES,
+  coarsenLocation,
+  exportImage,
+  getExportFilename,
+  downloadBlob,
+} from "../lib/imageExport";
+import { createZip } from "../lib/zip";
+
+// localStorage key for the watermark used on the last export
+const LAST_WATERMARK_KEY = "lastExportWatermark";
+
+const inputClassName =
+  "w-full px-3 py-2 text-sm bg-gray-800 border border-gray-600 rounded text-white placeholder-gray-500 min-h-[44px] touch-manipulation";
+
+// Export find images without their exact location, optionally watermarked,
+// and log who they were shared with. items: [{ photo, imageId, position }];
+// one item downloads a JPEG, several download a ZIP.
+const ShareImageDialog = ({ items, user, onClose }) => {
+  const [sharedWith, setSharedWith] = useState("");
+  const [locationPrecision, setLocationPrecision] = useState("removed");
+  const [watermark, setWatermark] = useState(
+    () => localStorage.getItem(LAST_WATERMARK_KEY) || ""
+  );
+  const [includeAnnotations, setIncludeAnnotations] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [errorMessage, setErrorMessage] = useState("");
+  const [shares, setShares] = useState([]);
+
+  const singlePhotoId = items.length === 1 ? items[0].photo.id : null;
+  const tooMany = items.length > MAX_EXPORT_IMAGES;
+
+  // Share log of the find when exporting a single image
+  useEffect(() => {
+    if (!singlePhotoId) return;
+    loadImageShares(singlePhotoId).then((result) => {
+      if (result.success) setShares(result.data);
+    });
+  }, [singlePhotoId]);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setErrorMessage("");
+    try {
+      const exported = [];
+      for (const [index, item] of items.entries()) {
+        setProgress(index);
+        const result = await loadExportImageData(item.photo.id, item.imageId);
+        if (!result.success) {
+          console.error(`Failed to load image of find ${item.photo.id}`);
+          continue;
+        }
+        const annotationsResult = includeAnnotations
+          ? await loadImageAnnotations(item.photo.id, item.imageId)
+          : null;
+        const blob = await exportImage(result.data, {
+          location:
+            locationPrecision === "approximate"
+              ? coarsenLocation(item.photo.lat, item.photo.lng)
+              : null,
+          watermark,
+          annotations: annotationsResult?.success ? annotationsResult.data : [],
+        });
+        exported.push({
+          item,
+          blob,
+          name: getExportFilename(item.photo, item.position),
+        });
+      }
+
+      if (exported.length === 0) {
+        setErrorMessage("No images could be loaded for export");
+        return;
+      }
+
+      if (exported.length === 1) {
+        downloadBlob(exported[0].blob, exported[0].name);
+      } else {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadBlob(await createZip(exported), `finds-${date}.zip`);
+      }
+      localStorage.setItem(LAST_WATERMARK_KEY, watermark.trim());
+
+      const logResult = await recordImageShares(
+        exported.map(({ item }) => ({
+          photoId: item.photo.id,
+          imageId: item.imageId,
+          sharedWith,
+          locationPrecision,
+          watermark,
+        })),
+        user
+      );
+      if (!logResult.success) {
+        setErrorMessage("Images exported, but the share could not be logged");
+        return;
+      }
+      onClose();
+    } catch (error) {
+      console.error("Error exporting images:", error);
+      setErrorMessage("Error exporting images");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[10001] flex items-end sm:items-center justify-center p-2 sm:p-4">
+      <div
+        className="fixed inset-0 bg-gray-900/60 backdrop-blur-sm"
+        onClick={isExporting ? undefined : onClose}
+      />
+      <div className="relative z-[10002] w-full max-w-md max-h-[90vh] flex flex-col bg-gray-900 rounded-xl shadow-2xl border border-gray-700">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">
+            {items.length === 1
+              ? "Export image"
+              : `Export ${items.length} images`}
+          </h2>
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="p-2 text-gray-400 hover:text-gray-200 transition-colors disabled:opacity-50"
+            title="Close"
+          >
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 sm:px-6 py-4 space-y-4">
+          <p className="text-sm text-gray-300">
+            Exported images never contain the exact location of the find.
+          </p>
+
+          <label className="flex flex-col gap-1 text-sm text-gray-400">
+            Shared with
+            <input
+              type="text"
+              value={sharedWith}
+              onChange={(e) => setSharedWith(e.target.value)}
+              placeholder="e.g. Finds liaison officer, forum post"
+              className={inputClassName}
+            />
+          </label>
+
+          <fieldset className="flex flex-col gap-2 text-sm text-gray-300">
+            <legend className="mb-1 text-gray-400">Location</legend>
+            {EXPORT_LOCATION_OPTIONS.map((option) => (
+              <label key={option.value} className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="export-location"
+                  value={option.value}
+                  checked={locationPrecision === option.value}
+                  onChange={() => setLocationPrecision(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </fieldset>
+
+          <label className="flex flex-col gap-1 text-sm text-gray-400">
+            Watermark (optional)
+            <input
+              type="text"
+              value={watermark}
+              onChange={(e) => setWatermark(e.target.value)}
+              placeholder="e.g. © Your Name"
+              className={inputClassName}
+            />
+          </label>
+
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={includeAnnotations}
+              onChange={(e) => setIncludeAnnotations(e.target.checked)}
+            />
+            Include annotations (arrows, labels, scale bars)
+          </label>
+
+          {tooMany && (
+            <p className="text-sm text-amber-400">
+              Narrow the list down to {MAX_EXPORT_IMAGES} finds or fewer to
+              export them.
+            </p>
+          )}
+          {errorMessage && (
+            <p className="text-sm text-red-400">{errorMessage}</p>
+          )}
+
+          {shares.length > 0 && (
+            <div>
+              <h3 className="mb-2 text-sm font-medium text-gray-300">
+                Shared before
+              </h3>
+              <ul className="space-y-1 text-xs text-gray-400">
+                {shares.map((share) => (
+                  <li key={share.id}>
+                    {new Date(share.created_at).toLocaleDateString()} ·{" "}
+                    <span className="text-gray-200">{share.shared_with}</span>
+                    {share.location_precision === "approximate" &&
+                      " · approximate location"}
+                    {share.watermark && ` · watermark "${share.watermark}"`}
+                    {share.shared_by_email && ` · by ${share.shared_by_email}`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="flex gap-2 px-4 sm:px-6 py-3 border-t border-gray-700">
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="flex-1 px-5 py-3 text-gray-300 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 transition-colors font-medium text-sm min-h-[44px] touch-manipulation disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting || !sharedWith.trim() || tooMany}
+            className="flex-1 flex items-center justify-center gap-2 px-5 py-3 text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors font-medium text-sm min-h-[44px] touch-manipulation disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <FiDownload className="w-4 h-4" />
+            {isExporting
+              ? `Exporting ${progress + 1} of ${items.length}...`
+              : "Export"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareImageDialog;
@@ -0,0 +1,124 @@
+import React from "react";
+import { SIGNAL_TONES } from "../lib/utils";
+
+const inputClassName =
+  "w-full px-3 py-2 text-sm bg-gray-800 border border-gray-600 rounded text-white placeholder-gray-500 min-h-[44px] touch-manipulation";
+
+// Read-only row for a signal value
+const SignalValue = ({ label, value }) => (
+  <div className="flex justify-between items-center rounded-md">
+    <span className="text-sm text-gray-400">{label}</span>
+    <span className="text-sm text-white">
+      {value === null || value === undefined || value === "" ? "—" : value}
+    </span>
+  </div>
+);
+
+// Detector signal and dig metadata inputs (target ID, tone, depth, detector setup)
+const SignalFields = ({ value, onChange, readOnly = false }) => {
+  const update = (field, fieldValue) => {
+    onChange({ ...value, [field]: fieldValue });
+  };
+
+  if (readOnly) {
+    return (
+      <div className="space-y-1">
+        <SignalValue label="Target ID" value={value.target_id} />
+        <SignalValue label="Tone" value={value.tone} />
+        <SignalValue
+          label="Depth"
+          value={
+            value.depth_cm === null || value.depth_cm === undefined
+              ? null
+              : `${Number(value.depth_cm)} cm`
+          }
+        />
+        <SignalValue label="Detector" value={value.detector_model} />
+        <SignalValue label="Program" value={value.detector_program} />
+        <SignalValue label="Coil" value={value.coil} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-3 gap-2">
+        <label className="flex flex-col gap-1 text-sm text-gray-400">
+          Target ID
+          <input
+            type="number"
+            inputMode="numeric"
+            value={value.target_id ?? ""}
+            onChange={(e) => update("target_id", e.target.value)}
+            placeholder="VDI"
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-sm text-gray-400">
+          Tone
+          <input
+            type="text"
+            list="signal-tones"
+            value={value.tone ?? ""}
+            onChange={(e) => update("tone", e.target.value)}
+            placeholder="high"
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-sm text-gray-400">
+          Depth (cm)
+          <input
+            type="number"
+            inputMode="decimal"
+            min="0"
+            step="0.5"
+            value={value.depth_cm ?? ""}
+            onChange={(e) => update("depth_cm", e.target.value)}
+            placeholder="15"
+            className={inputClassName}
+          />
+        </label>
+      </div>
+      <label className="flex flex-col gap-1 text-sm text-gray-400">
+        Detector
+        <input
+          type="text"
+          value={value.detector_model ?? ""}
+          onChange={(e) => update("detector_model", e.target.value)}
+          placeholder="e.g. Minelab Equinox 800"
+          className={inputClassName}
+        />
+      </label>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="flex flex-col gap-1 text-sm text-gray-400">
+          Program
+          <input
+            type="text"
+            value={value.detector_program ?? ""}
+            onChange={(e) => update("detector_program", e.target.value)}
+            placeholder="Park 1"
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-sm text-gray-400">
+          Coil
+          <input
+            type="text"
+            value={value.coil ?? ""}
+            onChange={(e) => update("coil", e.target.value)}
+            placeholder='11" DD'
+            className={inputClassName}
+          />
+        </label>
+      </div>
+
+      <datalist id="signal-tones">
+        {SIGNAL_TONES.map((tone) => (
+          <option key={tone} value={tone} />
+        ))}
+      </datalist>
+    </div>
+  );
+};
+
+export default SignalFields;
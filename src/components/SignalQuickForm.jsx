@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from "react";
+import { updatePhotoSignal, uploadVoiceMemo } from "../photoService";
+import SignalFields from "./SignalFields";
+import VoiceMemoRecorder from "./VoiceMemoRecorder";
+
+// localStorage key for the detector setup used on the last find
+const LAST_DETECTOR_SETUP_KEY = "lastDetectorSetup";
+
+const loadLastDetectorSetup = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LAST_DETECTOR_SETUP_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Quick signal entry shown right after a photo is captured, with a voice memo
+// recorder for notes that are hard to type in the field
+const SignalQuickForm = ({ photo, user, onClose, onSaved }) => {
+  const [signal, setSignal] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [memoMessage, setMemoMessage] = useState("");
+
+  // Start each capture with the last detector setup, since it rarely changes in the field
+  useEffect(() => {
+    if (photo) {
+      const { detector_model, detector_program, coil } =
+        loadLastDetectorSetup();
+      setSignal({ detector_model, detector_program, coil });
+      setMemoMessage("");
+    }
+  }, [photo]);
+
+  if (!photo) return null;
+
+  // Memos are saved as soon as recording stops, whether or not the signal is
+  const handleMemoRecorded = async ({ blob, durationSeconds }) => {
+    setMemoMessage("Saving voice memo...");
+    const result = await uploadVoiceMemo(photo.id, blob, durationSeconds, user);
+    setMemoMessage(
+      result.success ? "Voice memo saved" : "Failed to save voice memo"
+    );
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await updatePhotoSignal(photo.id, signal, user);
+      if (result.success) {
+        localStorage.setItem(
+          LAST_DETECTOR_SETUP_KEY,
+          JSON.stringify({
+            detector_model: result.data.detector_model,
+            detector_program: result.data.detector_program,
+            coil: result.data.coil,
+          })
+        );
+        if (onSaved) onSaved(result.data);
+        onClose();
+      } else {
+        console.error("Failed to save signal:", result.error);
+      }
+    } catch (error) {
+      console.error("Error saving signal:", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[9999] flex items-end sm:items-center justify-center p-2 sm:p-4">
+      <div
+        className="fixed inset-0 bg-gray-900/60 backdrop-blur-sm"
+        onClick={onClose}
+      />
+      <div className="relative z-[10000] w-full max-w-md bg-gray-900 rounded-xl shadow-2xl border border-gray-700">
+        <div className="px-6 py-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">
+            Signal for {photo.name || `Target ${photo.id}`}
+          </h2>
+        </div>
+        <div className="px-4 sm:px-6 py-4 space-y-4">
+          <SignalFields value={signal} onChange={setSignal} />
+          <VoiceMemoRecorder onRecorded={handleMemoRecorded} />
+          {memoMessage && (
+            <p className="text-xs text-gray-400">{memoMessage}</p>
+          )}
+        </div>
+        <div className="flex gap-2 px-4 sm:px-6 py-3 border-t border-gray-700">
+          <button
+            onClick={onClose}
+            className="flex-1 px-5 py-3 text-gray-300 bg-gray-800 border border-gray-600 rounded-md hover:bg-gray-700 transition-colors font-medium text-sm min-h-[44px] touch-manipulation"
+          >
+            Skip
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="flex-1 px-5 py-3 text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors font-medium text-sm min-h-[44px] touch-manipulation"
+          >
+            {isSaving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SignalQuickForm;
@@ -0,0 +1,20 @@
+import React from "react";
+import { cn, formatStatusName, getStatusColor } from "../lib/utils";
+
+const StatusBadge = ({ status, className = "" }) => {
+  const color = getStatusColor(status);
+
+  return (
+    <span
+      className={cn(
+        "inline-flex items-center px-2 py-0.5 text-xs font-medium rounded whitespace-nowrap text-white",
+        className
+      )}
+      style={{ backgroundColor: color }}
+    >
+      {formatStatusName(status)}
+    </span>
+  );
+};
+
+export default StatusBadge;
@@ -0,0 +1,27 @@
+import React from "react";
+import { cn, FIND_STATUSES } from "../lib/utils";
+
+// Dropdown for filtering photos by lifecycle status ("all" shows every status)
+const StatusFilter = ({ value, onChange, counts = null, className = "" }) => {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={cn(
+        "px-3 py-2 text-sm bg-white border border-slate-300 rounded-md text-slate-700 min-h-[36px] touch-manipulation",
+        className
+      )}
+      title="Filter by status"
+    >
+      <option value="all">All statuses</option>
+      {FIND_STATUSES.map((findStatus) => (
+        <option key={findStatus.value} value={findStatus.value}>
+          {findStatus.label}
+          {counts ? ` (${counts[findStatus.value] || 0})` : ""}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default StatusFilter;
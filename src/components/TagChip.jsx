@@ -0,0 +1,50 @@
+import React from "react";
+import { FiX } from "react-icons/fi";
+import { cn } from "../lib/utils";
+
+// Small tag label; clickable for filtering and optionally removable
+const TagChip = ({
+  name,
+  active = false,
+  onClick,
+  onRemove,
+  className = "",
+}) => {
+  return (
+    <span
+      className={cn(
+        "inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded-full border whitespace-nowrap",
+        active
+          ? "bg-blue-600 border-blue-600 text-white"
+          : "bg-slate-100 border-slate-300 text-slate-600",
+        onClick && "cursor-pointer hover:border-blue-400",
+        className
+      )}
+      onClick={
+        onClick
+          ? (e) => {
+              e.stopPropagation();
+              onClick(name);
+            }
+          : undefined
+      }
+    >
+      #{name}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemove(name);
+          }}
+          className="opacity-70 hover:opacity-100"
+          title={`Remove ${name}`}
+        >
+          <FiX size={10} />
+        </button>
+      )}
+    </span>
+  );
+};
+
+export default TagChip;
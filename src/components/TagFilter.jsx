@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from "react";
+import { loadTags } from "../photoService";
+import { cn } from "../lib/utils";
+import TagChip from "./TagChip";
+
+// Tag filter: pick tags from a dropdown; photos must have all selected tags
+const TagFilter = ({ value, onChange, className = "" }) => {
+  const [tags, setTags] = useState([]);
+
+  useEffect(() => {
+    loadTags().then((result) => {
+      if (result.success) {
+        setTags(result.data);
+      } else {
+        console.error("Failed to load tags:", result.error);
+      }
+    });
+  }, []);
+
+  const availableTags = tags.filter(
+    (tag) =>
+      !value.some((name) => name.toLowerCase() === tag.name.toLowerCase())
+  );
+
+  return (
+    <div className={cn("flex flex-wrap items-center gap-1", className)}>
+      {value.map((name) => (
+        <TagChip
+          key={name}
+          name={name}
+          active
+          onRemove={(removed) => onChange(value.filter((n) => n !== removed))}
+        />
+      ))}
+      {availableTags.length > 0 && (
+        <select
+          value=""
+          onChange={(e) =>
+            e.target.value && onChange([...value, e.target.value])
+          }
+          className="px-3 py-2 text-sm bg-white border border-slate-300 rounded-md text-slate-700 min-h-[36px] touch-manipulation"
+          title="Filter by tag"
+        >
+          <option value="">
+            {value.length > 0 ? "Add tag..." : "All tags"}
+          </option>
+          {availableTags.map((tag) => (
+            <option key={tag.id} value={tag.name}>
+              #{tag.name} ({tag.count})
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default TagFilter;
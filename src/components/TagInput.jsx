@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from "react";
+import { addPhotoTag, removePhotoTag, loadTags } from "../photoService";
+import TagChip from "./TagChip";
+
+const DARK_CHIP_CLASS = "bg-gray-800 border-gray-600 text-gray-200";
+
+// Tag editor for a find: chips plus an autocompleting input (admins only)
+const TagInput = ({ photo, isAdmin = false, user = null, onTagsChange }) => {
+  const [tags, setTags] = useState(photo.tags || []);
+  const [allTags, setAllTags] = useState([]);
+  const [inputValue, setInputValue] = useState("");
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setTags(photo.tags || []);
+    setInputValue("");
+  }, [photo.id, photo.tags]);
+
+  // Load existing tags for autocomplete
+  useEffect(() => {
+    if (!isAdmin) return;
+    loadTags().then((result) => {
+      if (result.success) {
+        setAllTags(result.data);
+      } else {
+        console.error("Failed to load tags:", result.error);
+      }
+    });
+  }, [isAdmin]);
+
+  const updateTags = (newTags) => {
+    setTags(newTags);
+    if (onTagsChange) onTagsChange(newTags);
+  };
+
+  const handleAddTag = async (tagName) => {
+    const name = tagName.trim();
+    if (!name || isSaving) return;
+    if (tags.some((tag) => tag.name.toLowerCase() === name.toLowerCase())) {
+      setInputValue("");
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const result = await addPhotoTag(photo.id, name, user);
+      if (result.success) {
+        updateTags([...tags, result.data]);
+        setInputValue("");
+        if (!allTags.some((tag) => tag.id === result.data.id)) {
+          setAllTags([...allTags, { ...result.data, count: 1 }]);
+        }
+      } else {
+        console.error("Failed to add tag:", result.error);
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemoveTag = async (tag) => {
+    setIsSaving(true);
+    try {
+      const result = await removePhotoTag(photo.id, tag.id, user);
+      if (result.success) {
+        updateTags(tags.filter((t) => t.id !== tag.id));
+      } else {
+        console.error("Failed to remove tag:", result.error);
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      handleAddTag(inputValue);
+    } else if (e.key === "Backspace" && !inputValue && tags.length > 0) {
+      handleRemoveTag(tags[tags.length - 1]);
+    }
+  };
+
+  const query = inputValue.trim().toLowerCase();
+  const suggestions = query
+    ? allTags
+        .filter(
+          (tag) =>
+            tag.name.toLowerCase().includes(query) &&
+            !tags.some((t) => t.id === tag.id)
+        )
+        .slice(0, 8)
+    : [];
+
+  if (!isAdmin) {
+    return tags.length > 0 ? (
+      <div className="flex flex-wrap gap-1">
+        {tags.map((tag) => (
+          <TagChip key={tag.id} name={tag.name} className={DARK_CHIP_CLASS} />
+        ))}
+      </div>
+    ) : (
+      <span className="text-sm text-gray-500">No tags</span>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {tags.map((tag) => (
+            <TagChip
+              key={tag.id}
+              name={tag.name}
+              className={DARK_CHIP_CLASS}
+              onRemove={() => handleRemoveTag(tag)}
+            />
+          ))}
+        </div>
+      )}
+      <div className="relative">
+        <input
+          type="text"
+          value={inputValue}
+          onChange={(e) => {
+            setInputValue(e.target.value);
+            setShowSuggestions(true);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setShowSuggestions(true)}
+          onBlur={() => setShowSuggestions(false)}
+          disabled={isSaving}
+          placeholder="Add tag and press Enter..."
+          className="w-full px-3 py-2 text-sm bg-gray-800 border border-gray-600 rounded text-white placeholder-gray-500 min-h-[44px] touch-manipulation disabled:opacity-60"
+        />
+        {showSuggestions && suggestions.length > 0 && (
+          <ul className="absolute z-10 left-0 right-0 mt-1 max-h-48 overflow-y-auto bg-gray-800 border border-gray-600 rounded shadow-lg">
+            {suggestions.map((tag) => (
+              <li key={tag.id}>
+                <button
+                  type="button"
+                  // Keep focus on the input so onBlur doesn't hide the list first
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => handleAddTag(tag.name)}
+                  className="w-full flex justify-between px-3 py-2 text-sm text-left text-gray-200 hover:bg-gray-700 min-h-[44px] touch-manipulation"
+                >
+                  <span>#{tag.name}</span>
+                  <span className="text-gray-500">{tag.count}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { FiSave, FiTrash2 } from "react-icons/fi";
+import { useAuth } from "../hooks/useAuth";
+import { loadTags, renameTag, deleteTag } from "../photoService";
+import TagChip from "./TagChip";
+
+const inputClassName =
+  "px-2 py-1.5 text-sm bg-white border border-slate-300 rounded text-slate-700 min-h-[36px] touch-manipulation";
+
+// Admin list of all tags with usage counts, rename and delete
+const TagManager = ({ onMessage }) => {
+  const { user } = useAuth();
+  const [tags, setTags] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  const refreshTags = useCallback(async () => {
+    const result = await loadTags();
+    if (result.success) {
+      setTags(result.data);
+      const initialDrafts = {};
+      result.data.forEach((tag) => {
+        initialDrafts[tag.id] = tag.name;
+      });
+      setDrafts(initialDrafts);
+    } else {
+      console.error("Failed to load tags:", result.error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshTags();
+  }, [refreshTags]);
+
+  // Run a tag operation, then reload the tag list
+  const runOperation = async (operation, successMessage, failureMessage) => {
+    setIsSaving(true);
+    try {
+      const result = await operation();
+      if (result.success) {
+        await refreshTags();
+        onMessage(successMessage);
+      } else {
+        console.error(failureMessage, result.error);
+        onMessage(
+          `${failureMessage}: ${result.error?.message || "Unknown error"}`
+        );
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRename = (tag) => {
+    const name = drafts[tag.id]?.trim();
+    if (!name || name === tag.name) return;
+
+    runOperation(
+      () => renameTag(tag.id, name, user),
+      `Tag renamed to ${name}`,
+      "Failed to rename tag (a tag with that name may already exist)"
+    );
+  };
+
+  const handleDelete = (tag) => {
+    if (
+      !window.confirm(
+        `Delete tag "${tag.name}"? It will be removed from ${tag.count} photos.`
+      )
+    ) {
+      return;
+    }
+
+    runOperation(
+      () => deleteTag(tag.id, user),
+      "Tag deleted",
+      "Failed to delete tag"
+    );
+  };
+
+  return (
+    <div className="space-y-2">
+      <h3 className="px-1 pt-4 text-sm font-semibold text-slate-800">
+        Tags ({tags.length})
+      </h3>
+      {tags.length === 0 ? (
+        <p className="px-1 text-xs text-slate-500">
+          No tags yet. Add tags to finds from the photo details.
+        </p>
+      ) : (
+        tags.map((tag) => (
+          <div
+            key={tag.id}
+            className="bg-white rounded border border-slate-200 p-3 flex flex-wrap items-center gap-2"
+          >
+            <TagChip name={tag.name} />
+            <span className="text-xs text-slate-500 w-20">
+              {tag.count} {tag.count === 1 ? "photo" : "photos"}
+            </span>
+            <input
+              type="text"
+              value={drafts[tag.id] ?? ""}
+              onChange={(e) =>
+                setDrafts((prev) => ({ ...prev, [tag.id]: e.target.value }))
+              }
+              className={inputClassName}
+            />
+            <button
+              onClick={() => handleRename(tag)}
+              disabled={isSaving || drafts[tag.id]?.trim() === tag.name}
+              className="flex items-center gap-2 px-3 py-2 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 border border-blue-200 rounded-md transition-colors duration-200 disabled:opacity-50 min-h-[36px]"
+            >
+              <FiSave size={14} />
+              Rename
+            </button>
+            <button
+              onClick={() => handleDelete(tag)}
+              disabled={isSaving}
+              className="flex items-center gap-2 px-3 py-2 text-xs font-medium text-red-600 bg-red-50 hover:bg-red-100 border border-red-200 rounded-md transition-colors duration-200 min-h-[36px]"
+              title="Delete tag"
+            >
+              <FiTrash2 size={14} />
+            </button>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default TagManager;
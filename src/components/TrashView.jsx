@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { FiRotateCcw, FiTrash2, FiMapPin, FiClock } from "react-icons/fi";
+import { useAuth } from "../hooks/useAuth";
+import {
+  loadTrashedPhotos,
+  restorePhoto,
+  purgePhotoFromDatabase,
+  TRASH_RETENTION_DAYS,
+} from "../photoService";
+import ToastNotification from "../ToastNotification";
+import TypeBadge from "./TypeBadge";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days left before a trashed photo is purged automatically
+const getDaysUntilPurge = (deletedAt) => {
+  const purgeAt = new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS;
+  return Math.max(0, Math.ceil((purgeAt - Date.now()) / DAY_MS));
+};
+
+// Admin view of deleted photos with restore and permanent delete
+const TrashView = () => {
+  const { user, isAdmin } = useAuth();
+  const [photos, setPhotos] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [toastOpen, setToastOpen] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+
+  const showToast = (message) => {
+    setToastMessage(message);
+    setToastOpen(true);
+  };
+
+  const refreshTrash = useCallback(async () => {
+    const result = await loadTrashedPhotos();
+    if (result.success) {
+      setPhotos(result.data);
+    } else {
+      console.error("Failed to load trash:", result.error);
+      setToastMessage("Failed to load trash");
+      setToastOpen(true);
+    }
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    refreshTrash();
+  }, [refreshTrash]);
+
+  const handleRestore = async (photo) => {
+    setBusyId(photo.id);
+    try {
+      const result = await restorePhoto(photo.id, user);
+      if (result.success) {
+        setPhotos((prev) => prev.filter((p) => p.id !== photo.id));
+        showToast("Photo restored");
+      } else {
+        console.error("Failed to restore photo:", result.error);
+        showToast("Failed to restore photo");
+      }
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (photo) => {
+    if (
+      !window.confirm(
+        `Permanently delete "${photo.name || photo.filename || photo.id}"? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+
+    setBusyId(photo.id);
+    try {
+      const result = await purgePhotoFromDatabase(photo.id, user);
+      if (result.success) {
+        setPhotos((prev) => prev.filter((p) => p.id !== photo.id));
+        showToast("Photo permanently deleted");
+      } else {
+        console.error("Failed to delete photo:", result.error);
+        showToast("Failed to delete photo");
+      }
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="h-full flex items-center justify-center text-slate-500 text-sm">
+        Admin permission required to manage the trash
+      </div>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-slate-300 mx-auto mb-4"></div>
+          <p className="text-slate-400">Loading trash...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-full bg-slate-50 flex flex-col">
+      {/* Header */}
+      <div className="bg-white border-b border-slate-200 p-4 flex-shrink-0">
+        <h2 className="text-lg font-semibold text-slate-800">
+          Trash ({photos.length})
+        </h2>
+        <p className="text-xs text-slate-500">
+          Deleted finds are permanently removed after {TRASH_RETENTION_DAYS}{" "}
+          days.
+        </p>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2">
+        {photos.length === 0 ? (
+          <div className="text-center py-8">
+            <FiTrash2 className="mx-auto h-8 w-8 text-slate-400 mb-2" />
+            <h3 className="text-sm font-medium text-slate-600">
+              The trash is empty
+            </h3>
+          </div>
+        ) : (
+          <div className="space-y-1">
+            {photos.map((photo) => (
+              <div
+                key={photo.id}
+                className="bg-white rounded border border-slate-200 p-2 flex items-center gap-4"
+              >
+                <div className="w-20 h-20 bg-slate-100 rounded flex-shrink-0">
+                  {photo.thumbnailUrl && (
+                    <img
+                      src={photo.thumbnailUrl}
+                      alt="Photo thumbnail"
+                      className="w-full h-full object-cover rounded opacity-75"
+                    />
+                  )}
+                </div>
+
+                <div className="flex-1 min-w-0 space-y-1">
+                  <div className="flex items-center gap-2 min-w-0">
+                    <h3 className="text-sm font-semibold text-slate-800 truncate">
+                      {photo.name || photo.filename || `Photo ${photo.id}`}
+                    </h3>
+                    <TypeBadge type={photo.type} />
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <FiMapPin size={12} className="text-slate-400" />
+                    <span className="text-xs text-slate-500 font-mono">
+                      {photo.lat.toFixed(6)}, {photo.lng.toFixed(6)}
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <FiClock size={12} className="text-slate-400" />
+                    <span className="text-xs text-slate-500">
+                      Deleted {new Date(photo.deleted_at).toLocaleDateString()}{" "}
+                      · purged in {getDaysUntilPurge(photo.deleted_at)} days
+                    </span>
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    onClick={() => handleRestore(photo)}
+                    disabled={busyId === photo.id}
+                    className="flex items-center gap-2 px-3 py-2 text-xs font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 border border-blue-200 rounded-md transition-colors duration-200 disabled:opacity-50 min-h-[36px]"
+                  >
+                    <FiRotateCcw size={14} />
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handlePurge(photo)}
+                    disabled={busyId === photo.id}
+                    className="flex items-center gap-2 px-3 py-2 text-xs font-medium text-red-600 bg-red-50 hover:bg-red-100 border border-red-200 rounded-md transition-colors duration-200 disabled:opacity-50 min-h-[36px]"
+                    title="Delete permanently"
+                  >
+                    <FiTrash2 size={14} />
+                    Delete forever
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Toast notifications */}
+      <ToastNotification
+        toastOpen={toastOpen}
+        setToastOpen={setToastOpen}
+        toastMessage={toastMessage}
+      />
+    </div>
+  );
+};
+
+export default TrashView;
@@ -0,0 +1,35 @@
+import React from "react";
+import { cn } from "../lib/utils";
+import { useCategories } from "../hooks/useCategories";
+
+const TypeBadge = ({ type, className = "" }) => {
+  const { categories, formatTypeName, getTypeColor } = useCategories();
+  const color = getTypeColor(type);
+  const icon = categories.find((c) => c.value === type)?.icon;
+
+  return (
+    <span
+      className={cn(
+        "inline-flex items-center gap-1.5 px-2 py-0.5 text-xs font-medium rounded-full border whitespace-nowrap",
+        className
+      )}
+      style={{
+        color,
+        borderColor: color,
+        backgroundColor: `${color}1a`, // 10% opacity tint of the type color
+      }}
+    >
+      {icon ? (
+        <span className="flex-shrink-0">{icon}</span>
+      ) : (
+        <span
+          className="w-2 h-2 rounded-full flex-shrink-0"
+          style={{ backgroundColor: color }}
+        />
+      )}
+      {formatTypeName(type)}
+    </span>
+  );
+};
+
+export default TypeBadge;
@@ -0,0 +1,32 @@
+import React from "react";
+import { cn } from "../lib/utils";
+import { useCategories } from "../hooks/useCategories";
+
+// Dropdown for filtering photos by find type ("all" shows every type).
+// Subcategories are indented below their parent; choosing a parent includes them.
+const TypeFilter = ({ value, onChange, counts = null, className = "" }) => {
+  const { sortedCategories } = useCategories();
+
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={cn(
+        "px-3 py-2 text-sm bg-white border border-slate-300 rounded-md text-slate-700 min-h-[36px] touch-manipulation",
+        className
+      )}
+      title="Filter by type"
+    >
+      <option value="all">All types</option>
+      {sortedCategories.map((category) => (
+        <option key={category.value} value={category.value}>
+          {"\u00A0\u00A0".repeat(category.depth)}
+          {category.label}
+          {counts ? ` (${counts[category.value] || 0})` : ""}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default TypeFilter;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useRef } from "react";
+import { FiPlay, FiTrash2 } from "react-icons/fi";
+import {
+  loadVoiceMemos,
+  loadVoiceMemoAudio,
+  uploadVoiceMemo,
+  deleteVoiceMemo,
+} from "../photoService";
+import VoiceMemoRecorder from "./VoiceMemoRecorder";
+import { formatDuration } from "../lib/utils";
+
+// Voice memos of a find with playback; admins can record and delete memos
+const VoiceMemoList = ({ photoId, isAdmin = false, user = null }) => {
+  const [memos, setMemos] = useState([]);
+  const [audioUrls, setAudioUrls] = useState({}); // Object URLs by memo id
+  const [isBusy, setIsBusy] = useState(false);
+  const [statusMessage, setStatusMessage] = useState("");
+  const createdUrls = useRef([]);
+
+  useEffect(() => {
+    setMemos([]);
+    setAudioUrls({});
+    setStatusMessage("");
+    loadVoiceMemos(photoId).then((result) => {
+      if (result.success) {
+        setMemos(result.data);
+      } else {
+        console.error("Failed to load voice memos:", result.error);
+      }
+    });
+
+    // Release the loaded audio when another find is shown or the list closes
+    return () => {
+      createdUrls.current.forEach((url) => URL.revokeObjectURL(url));
+      createdUrls.current = [];
+    };
+  }, [photoId]);
+
+  const handlePlay = async (memo) => {
+    const result = await loadVoiceMemoAudio(memo.storage_path);
+    if (result.success) {
+      const url = URL.createObjectURL(result.data);
+      createdUrls.current.push(url);
+      setAudioUrls((prev) => ({ ...prev, [memo.id]: url }));
+    } else {
+      setStatusMessage("Failed to load voice memo");
+    }
+  };
+
+  const handleRecorded = async ({ blob, durationSeconds }) => {
+    setIsBusy(true);
+    setStatusMessage("Saving voice memo...");
+    const result = await uploadVoiceMemo(photoId, blob, durationSeconds, user);
+    setIsBusy(false);
+
+    if (result.success) {
+      setMemos((prev) => [...prev, result.data]);
+      setStatusMessage("Voice memo saved");
+    } else {
+      setStatusMessage("Failed to save voice memo");
+    }
+  };
+
+  const handleDelete = async (memo) => {
+    if (!window.confirm("Delete this voice memo?")) return;
+
+    setIsBusy(true);
+    const result = await deleteVoiceMemo(memo, user);
+    setIsBusy(false);
+
+    if (result.success) {
+      setMemos((prev) => prev.filter((m) => m.id !== memo.id));
+      setStatusMessage("Voice memo deleted");
+    } else {
+      setStatusMessage("Failed to delete voice memo");
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {memos.length === 0 && (
+        <p className="text-sm text-gray-400">No voice memos</p>
+      )}
+      <ul className="space-y-2">
+        {memos.map((memo) => (
+          <li key={memo.id} className="space-y-1">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-sm text-gray-400">
+                {new Date(memo.created_at).toLocaleString()}
+                {memo.duration_seconds != null &&
+                  ` · ${formatDuration(memo.duration_seconds)}`}
+              </span>
+              <div className="flex items-center gap-1">
+                {!audioUrls[memo.id] && (
+                  <button
+                    onClick={() => handlePlay(memo)}
+                    className="p-2 text-gray-300 hover:text-white transition-colors min-h-[44px] touch-manipulation"
+                    title="Play"
+                  >
+                    <FiPlay className="w-4 h-4" />
+                  </button>
+                )}
+                {isAdmin && (
+                  <button
+                    onClick={() => handleDelete(memo)}
+                    disabled={isBusy}
+                    className="p-2 text-gray-400 hover:text-red-400 disabled:opacity-50 transition-colors min-h-[44px] touch-manipulation"
+                    title="Delete voice memo"
+                  >
+                    <FiTrash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+            {audioUrls[memo.id] && (
+              <audio
+                src={audioUrls[memo.id]}
+                controls
+                autoPlay
+                className="w-full"
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {isAdmin && (
+        <VoiceMemoRecorder onRecorded={handleRecorded} disabled={isBusy} />
+      )}
+      {statusMessage && (
+        <p className="text-xs text-gray-400">{statusMessage}</p>
+      )}
+    </div>
+  );
+};
+
+export default VoiceMemoList;
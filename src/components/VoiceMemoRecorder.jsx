@@ -0,0 +1,49 @@
+import React from "react";
+import { FiMic, FiSquare } from "react-icons/fi";
+import {
+  useVoiceRecorder,
+  isVoiceRecordingSupported,
+  MAX_MEMO_SECONDS,
+} from "../hooks/useVoiceRecorder";
+import { cn, formatDuration } from "../lib/utils";
+
+// Record button for voice memos; a large target so it works with gloves on
+const VoiceMemoRecorder = ({ onRecorded, disabled = false }) => {
+  const { isRecording, elapsedSeconds, error, start, stop } = useVoiceRecorder({
+    onRecorded,
+  });
+
+  if (!isVoiceRecordingSupported()) return null;
+
+  return (
+    <div className="space-y-1">
+      <button
+        type="button"
+        onClick={isRecording ? stop : start}
+        disabled={disabled && !isRecording}
+        className={cn(
+          "w-full flex items-center justify-center gap-2 px-5 py-3 rounded-md font-medium text-sm transition-colors min-h-[44px] touch-manipulation disabled:opacity-50 disabled:cursor-not-allowed",
+          isRecording
+            ? "text-white bg-red-600 hover:bg-red-700 animate-pulse"
+            : "text-gray-300 bg-gray-800 border border-gray-600 hover:bg-gray-700"
+        )}
+      >
+        {isRecording ? (
+          <>
+            <FiSquare className="w-4 h-4" fill="currentColor" />
+            Stop recording {formatDuration(elapsedSeconds)} /{" "}
+            {formatDuration(MAX_MEMO_SECONDS)}
+          </>
+        ) : (
+          <>
+            <FiMic className="w-4 h-4" />
+            Record voice memo
+          </>
+        )}
+      </button>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default VoiceMemoRecorder;
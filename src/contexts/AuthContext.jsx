@@ -6,7 +6,8 @@ import React, {
   useCallback,
   useMemo,
 } from "react";
-import { supabase } from "../supabase";
+import { backend } from "../backends";
+import { clearImageCache } from "../lib/imageCache";
 
 const AuthContext = createContext({});
 
@@ -30,7 +31,7 @@ export const AuthProvider = ({ children }) => {
         const {
           data: { session },
           error,
-        } = await supabase.auth.getSession();
+        } = await backend.auth.getSession();
         if (error) {
           console.error("Error getting session:", error);
           setError(error.message);
@@ -50,7 +51,7 @@ export const AuthProvider = ({ children }) => {
     // Listen for auth changes
     const {
       data: { subscription },
-    } = supabase.auth.onAuthStateChange(async (event, session) => {
+    } = backend.auth.onAuthStateChange(async (event, session) => {
       console.log("Auth state change:", event, session?.user?.id);
 
       // Only set user if it's a valid session and not a sign out event
@@ -71,7 +72,7 @@ export const AuthProvider = ({ children }) => {
     try {
       setLoading(true);
       setError(null);
-      const { data, error } = await supabase.auth.signInWithPassword({
+      const { data, error } = await backend.auth.signInWithPassword({
         email,
         password,
       });
@@ -101,16 +102,25 @@ export const AuthProvider = ({ children }) => {
       // Clear local state immediately
       setUser(null);
 
+      // Don't leave the user's images on a shared device
+      try {
+        await clearImageCache({ releaseObjectUrls: true });
+      } catch (cacheError) {
+        console.warn("Could not clear image cache:", cacheError);
+      }
+
       // Clear any stored session data
-      localStorage.removeItem(
-        "sb-" +
-          supabase.supabaseUrl.split("//")[1].split(".")[0] +
-          "-auth-token"
-      );
+      if (backend.supabaseUrl) {
+        localStorage.removeItem(
+          "sb-" +
+            backend.supabaseUrl.split("//")[1].split(".")[0] +
+            "-auth-token"
+        );
+      }
       sessionStorage.clear();
 
       // Try to sign out from Supabase
-      const { error } = await supabase.auth.signOut();
+      const { error } = await backend.auth.signOut();
 
       if (error) {
         console.warn(
@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { loadCategories } from "../categoryService";
+import {
+  FIND_TYPES,
+  formatTypeName,
+  getTypeColor,
+  matchesTypeFilter,
+  sortTypesByHierarchy,
+} from "../lib/utils";
+import { useAuth } from "./AuthContext";
+import { CategoriesContext } from "../hooks/useCategories";
+
+export const CategoriesProvider = ({ children }) => {
+  // Start with the built-in types so badges render before categories load
+  const [categories, setCategories] = useState(FIND_TYPES);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const { user } = useAuth();
+
+  // Reload categories from the database
+  const refreshCategories = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const result = await loadCategories();
+      if (result.success && result.data.length > 0) {
+        setCategories(result.data);
+      } else if (!result.success) {
+        console.error(
+          "Failed to load categories, using defaults:",
+          result.error
+        );
+        setError(result.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Load categories once the user is signed in
+  useEffect(() => {
+    if (user) {
+      refreshCategories();
+    }
+  }, [user, refreshCategories]);
+
+  const value = useMemo(
+    () => ({
+      categories,
+      sortedCategories: sortTypesByHierarchy(categories),
+      loading,
+      error,
+      refreshCategories,
+      formatTypeName: (type) => formatTypeName(type, categories),
+      getTypeColor: (type) => getTypeColor(type, categories),
+      matchesTypeFilter: (photo, typeFilter) =>
+        matchesTypeFilter(photo, typeFilter, categories),
+    }),
+    [categories, loading, error, refreshCategories]
+  );
+
+  return (
+    <CategoriesContext.Provider value={value}>
+      {children}
+    </CategoriesContext.Provider>
+  );
+};
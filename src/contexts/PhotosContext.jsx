@@ -8,7 +8,9 @@ import {
   updatePhotoType,
   updatePhotoDetails,
   deletePhotoFromDatabase,
+  purgeExpiredTrash,
 } from "../photoService";
+import { isLocalBackend } from "../backends";
 import { useAuth } from "./AuthContext";
 
 const PhotosContext = createContext();
@@ -26,24 +28,28 @@ export const PhotosProvider = ({ children }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [hasMore, setHasMore] = useState(true);
-  const [currentOffset, setCurrentOffset] = useState(0);
-  const { user } = useAuth();
-
-  // Load photos with pagination
-  const loadPhotos = async (limit = 50, offset = 0, useThumbnails = false) => {
+  const [nextCursor, setNextCursor] = useState(null); // Opaque cursor of the next page
+  const { user, isAdmin } = useAuth();
+
+  // Load photos with pagination (no cursor loads the first page)
+  const loadPhotos = async (
+    limit = 50,
+    cursor = null,
+    useThumbnails = false
+  ) => {
     try {
       setLoading(true);
       setError(null);
 
       let result;
       if (useThumbnails) {
-        result = await loadPhotosWithThumbnails(limit, offset);
+        result = await loadPhotosWithThumbnails(limit, cursor);
       } else {
-        result = await loadPhotosFromDatabase(limit, offset);
+        result = await loadPhotosFromDatabase(limit, cursor);
       }
 
       if (result.success) {
-        if (offset === 0) {
+        if (!cursor) {
           // First load - replace photos
           setPhotos(result.data);
         } else {
@@ -52,8 +58,8 @@ export const PhotosProvider = ({ children }) => {
         }
 
         // Check if we have more photos
-        setHasMore(result.data.length === limit);
-        setCurrentOffset(offset + result.data.length);
+        setHasMore(result.nextCursor !== null);
+        setNextCursor(result.nextCursor);
       } else {
         setError(result.error);
       }
@@ -75,7 +81,7 @@ export const PhotosProvider = ({ children }) => {
       if (result.success) {
         setPhotos(result.data);
         setHasMore(false);
-        setCurrentOffset(result.data.length);
+        setNextCursor(null);
       } else {
         setError(result.error);
       }
@@ -88,8 +94,8 @@ export const PhotosProvider = ({ children }) => {
 
   // Load more photos (for pagination)
   const loadMorePhotos = async () => {
-    if (!loading && hasMore) {
-      await loadPhotos(50, currentOffset, true); // Use thumbnails for better performance
+    if (!loading && hasMore && nextCursor) {
+      await loadPhotos(50, nextCursor, true); // Use thumbnails for better performance
     }
   };
 
@@ -184,15 +190,15 @@ export const PhotosProvider = ({ children }) => {
 
   // Refresh photos (reload from database)
   const refreshPhotos = async () => {
-    setCurrentOffset(0);
+    setNextCursor(null);
     setHasMore(true);
-    await loadPhotos(50, 0, true);
+    await loadPhotos(50, null, true);
   };
 
   // Clear photos
   const clearPhotos = () => {
     setPhotos([]);
-    setCurrentOffset(0);
+    setNextCursor(null);
     setHasMore(true);
     setError(null);
   };
@@ -200,16 +206,25 @@ export const PhotosProvider = ({ children }) => {
   // Initialize photos on mount
   useEffect(() => {
     if (user) {
-      loadPhotos(50, 0, true); // Start with thumbnails for better performance
+      loadPhotos(50, null, true); // Start with thumbnails for better performance
     }
   }, [user]);
 
+  // Permanently remove photos that have been in the trash too long. Supabase
+  // purges on a schedule (migration-add-trash-purge-job.sql); the local
+  // backends have no scheduler, so they purge when an admin signs in.
+  useEffect(() => {
+    if (user && isAdmin && isLocalBackend) {
+      purgeExpiredTrash(user);
+    }
+  }, [user, isAdmin]);
+
   const value = {
     photos,
     loading,
     error,
     hasMore,
-    currentOffset,
+    nextCursor,
     loadPhotos,
     loadAllPhotos,
     loadMorePhotos,
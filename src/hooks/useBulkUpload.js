@@ -0,0 +1,247 @@
+import { useState, useRef, useEffect } from "react";
+import { savePhotoToDatabase } from "../photoService";
+import { prepareImageFile } from "../lib/imageFiles";
+import { readExifMetadata } from "../lib/exif";
+import { UploadCancelledError } from "../lib/resumableUpload";
+
+// dataTransfer type used when dragging a file from the import list onto the map
+export const BULK_ITEM_DRAG_TYPE = "application/x-bulk-upload-item";
+
+// Upload states of a file in the bulk import list
+export const BULK_STATUSES = {
+  reading: "Reading…",
+  "needs-location": "Needs location",
+  ready: "Ready",
+  uploading: "Uploading…",
+  saved: "Saved",
+  duplicate: "Possible duplicate",
+  failed: "Failed",
+};
+
+// State and actions for importing many photos at once. Files with EXIF GPS are
+// placed automatically; the rest are placed on the map (dropLocation or
+// placeItem) before upload. Files upload one at a time through the same
+// savePhotoToDatabase pipeline as single captures.
+export const useBulkUpload = ({ user, onPhotoSaved }) => {
+  const [items, setItems] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+  const [placingId, setPlacingId] = useState(null); // File waiting for a map click
+  const nextIdRef = useRef(1);
+  const itemsRef = useRef(items);
+  const controllersRef = useRef(new Map()); // AbortControllers of running uploads
+
+  useEffect(() => {
+    itemsRef.current = items;
+  }, [items]);
+
+  // Release preview URLs when the map unmounts
+  useEffect(() => {
+    return () => {
+      itemsRef.current.forEach((item) => URL.revokeObjectURL(item.previewUrl));
+    };
+  }, []);
+
+  const updateItem = (id, changes) => {
+    setItems((prev) =>
+      prev.map((item) => (item.id === id ? { ...item, ...changes } : item))
+    );
+  };
+
+  // Add image files to the list; dropLocation places files without EXIF GPS
+  const addFiles = async (files, dropLocation = null) => {
+    // Every file is listed; unsupported formats fail with a per-file error
+    const newItems = files.map((file) => ({
+      id: nextIdRef.current++,
+      file,
+      filename: file.name,
+      previewUrl: URL.createObjectURL(file),
+      status: "reading",
+      location: null,
+      altitude: null,
+      timestamp: null,
+      error: null,
+      photo: null,
+      progress: null,
+      waiting: false,
+    }));
+    setItems((prev) => [...prev, ...newItems]);
+
+    for (const item of newItems) {
+      const exif = await readExifMetadata(item.file);
+      const timestamp =
+        exif?.takenAt || new Date(item.file.lastModified).toISOString();
+
+      if (exif?.lat != null) {
+        updateItem(item.id, {
+          status: "ready",
+          location: { lat: exif.lat, lng: exif.lng, source: "exif" },
+          altitude: exif.altitude,
+          timestamp,
+        });
+      } else if (dropLocation) {
+        updateItem(item.id, {
+          status: "ready",
+          location: { ...dropLocation, source: "map" },
+          timestamp,
+        });
+      } else {
+        updateItem(item.id, { status: "needs-location", timestamp });
+      }
+    }
+  };
+
+  // Set a file's position from the map (overrides EXIF GPS)
+  const placeItem = (id, lat, lng) => {
+    const item = itemsRef.current.find((candidate) => candidate.id === id);
+    if (!item || !["needs-location", "ready"].includes(item.status)) return;
+    updateItem(id, {
+      status: "ready",
+      location: { lat, lng, source: "map" },
+      altitude: null,
+    });
+    setPlacingId(null);
+  };
+
+  const removeItem = (id) => {
+    const item = itemsRef.current.find((candidate) => candidate.id === id);
+    if (item) URL.revokeObjectURL(item.previewUrl);
+    setItems((prev) => prev.filter((candidate) => candidate.id !== id));
+    if (placingId === id) setPlacingId(null);
+  };
+
+  const clear = () => {
+    itemsRef.current.forEach((item) => URL.revokeObjectURL(item.previewUrl));
+    setItems([]);
+    setPlacingId(null);
+  };
+
+  const uploadItem = async (item, options) => {
+    const controller = new AbortController();
+    controllersRef.current.set(item.id, controller);
+    updateItem(item.id, {
+      status: "uploading",
+      error: null,
+      progress: 0,
+      waiting: false,
+    });
+    try {
+      // Same compression as single captures
+      const { imageData, filename } = await prepareImageFile(item.file);
+
+      const result = await savePhotoToDatabase(
+        {
+          lat: item.location.lat,
+          lng: item.location.lng,
+          altitude: item.altitude,
+          locationSource: item.location.source,
+          imageData,
+          timestamp: item.timestamp,
+          filename,
+          type: "target",
+        },
+        user,
+        {
+          ...options,
+          signal: controller.signal,
+          onProgress: ({ percent, waiting }) =>
+            updateItem(
+              item.id,
+              waiting ? { waiting } : { progress: percent, waiting }
+            ),
+        }
+      );
+
+      if (result.duplicates) {
+        updateItem(item.id, {
+          status: "duplicate",
+          error: `Matches ${
+            result.duplicates[0].photo.name ||
+            `Find ${result.duplicates[0].photo.id}`
+          }`,
+        });
+      } else if (result.error instanceof UploadCancelledError) {
+        updateItem(item.id, { status: "ready", error: "Upload cancelled" });
+      } else if (result.success) {
+        const photo = onPhotoSaved ? await onPhotoSaved(result.data) : null;
+        updateItem(item.id, { status: "saved", photo: photo || result.data });
+      } else {
+        updateItem(item.id, {
+          status: "failed",
+          error: result.error?.message || "Upload failed",
+        });
+      }
+    } catch (error) {
+      console.error(`Error uploading ${item.filename}:`, error);
+      updateItem(item.id, {
+        status: "failed",
+        error: error.message || "Upload failed",
+      });
+    } finally {
+      controllersRef.current.delete(item.id);
+    }
+  };
+
+  // Cancel a running upload; the file goes back to ready
+  const cancelItem = (id) => {
+    controllersRef.current.get(id)?.abort();
+  };
+
+  // Upload files with the given statuses one after another
+  const uploadQueue = async (statuses, options) => {
+    const queue = itemsRef.current.filter((item) =>
+      statuses.includes(item.status)
+    );
+    if (queue.length === 0) return;
+
+    setIsUploading(true);
+    setPlacingId(null);
+    try {
+      for (const item of queue) {
+        await uploadItem(item, options);
+      }
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const uploadAll = () => uploadQueue(["ready"]);
+
+  const retryFailed = () => uploadQueue(["failed"]);
+
+  const retryItem = async (id, options) => {
+    const item = itemsRef.current.find((candidate) => candidate.id === id);
+    if (!item || !item.location) return;
+    setIsUploading(true);
+    try {
+      await uploadItem(item, options);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  // Save a file flagged as a duplicate as a new find after all
+  const uploadDuplicateAnyway = (id) =>
+    retryItem(id, { allowDuplicates: true });
+
+  const counts = items.reduce((acc, item) => {
+    acc[item.status] = (acc[item.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    items,
+    counts,
+    isUploading,
+    placingId,
+    setPlacingId,
+    addFiles,
+    placeItem,
+    removeItem,
+    clear,
+    uploadAll,
+    retryFailed,
+    retryItem,
+    cancelItem,
+    uploadDuplicateAnyway,
+  };
+};
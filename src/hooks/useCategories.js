@@ -0,0 +1,11 @@
+import { createContext, useContext } from "react";
+
+export const CategoriesContext = createContext();
+
+export const useCategories = () => {
+  const context = useContext(CategoriesContext);
+  if (!context) {
+    throw new Error("useCategories must be used within a CategoriesProvider");
+  }
+  return context;
+};
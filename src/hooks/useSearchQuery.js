@@ -0,0 +1,14 @@
+import { useState, useCallback } from "react";
+import { readSearchQueryFromURL, writeSearchQueryToURL } from "../lib/utils";
+
+// Search query state kept in the URL so searches can be shared and reloaded
+export const useSearchQuery = () => {
+  const [searchQuery, setSearchQueryState] = useState(readSearchQueryFromURL);
+
+  const setSearchQuery = useCallback((query) => {
+    setSearchQueryState(query);
+    writeSearchQueryToURL(query);
+  }, []);
+
+  return [searchQuery, setSearchQuery];
+};
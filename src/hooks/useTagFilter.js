@@ -0,0 +1,14 @@
+import { useState, useCallback } from "react";
+import { readTagFilterFromURL, writeTagFilterToURL } from "../lib/utils";
+
+// Tag filter state kept in the URL so it carries over between list and map
+export const useTagFilter = () => {
+  const [tagFilter, setTagFilterState] = useState(readTagFilterFromURL);
+
+  const setTagFilter = useCallback((tags) => {
+    setTagFilterState(tags);
+    writeTagFilterToURL(tags);
+  }, []);
+
+  return [tagFilter, setTagFilter];
+};
@@ -0,0 +1,84 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+
+// Recordings stop automatically after this many seconds
+export const MAX_MEMO_SECONDS = 300;
+
+// Audio formats in order of preference (Safari records only audio/mp4)
+const AUDIO_TYPES = ["audio/webm;codecs=opus", "audio/webm", "audio/mp4"];
+
+export const isVoiceRecordingSupported = () =>
+  typeof window !== "undefined" &&
+  typeof window.MediaRecorder !== "undefined" &&
+  !!navigator.mediaDevices?.getUserMedia;
+
+// Record audio from the microphone with MediaRecorder. onRecorded receives
+// the recording ({ blob, durationSeconds }) when it is stopped.
+export const useVoiceRecorder = ({ onRecorded }) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsedSeconds, setElapsedSeconds] = useState(0);
+  const [error, setError] = useState(null);
+  const recorderRef = useRef(null);
+  const onRecordedRef = useRef(onRecorded);
+
+  useEffect(() => {
+    onRecordedRef.current = onRecorded;
+  }, [onRecorded]);
+
+  const stop = useCallback(() => {
+    if (recorderRef.current?.state === "recording") {
+      recorderRef.current.stop();
+    }
+  }, []);
+
+  const start = useCallback(async () => {
+    setError(null);
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (micError) {
+      console.error("Microphone access failed:", micError);
+      setError("Microphone access was denied");
+      return;
+    }
+
+    const mimeType = AUDIO_TYPES.find((type) =>
+      MediaRecorder.isTypeSupported(type)
+    );
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+    const chunks = [];
+    const startedAt = Date.now();
+    const timer = setInterval(() => {
+      const seconds = (Date.now() - startedAt) / 1000;
+      setElapsedSeconds(seconds);
+      if (seconds >= MAX_MEMO_SECONDS) stop();
+    }, 250);
+
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+      clearInterval(timer);
+      stream.getTracks().forEach((track) => track.stop());
+      recorderRef.current = null;
+      setIsRecording(false);
+
+      const blob = new Blob(chunks, { type: recorder.mimeType || mimeType });
+      if (blob.size > 0 && onRecordedRef.current) {
+        onRecordedRef.current({
+          blob,
+          durationSeconds: (Date.now() - startedAt) / 1000,
+        });
+      }
+    };
+
+    recorderRef.current = recorder;
+    recorder.start();
+    setElapsedSeconds(0);
+    setIsRecording(true);
+  }, [stop]);
+
+  // Release the microphone when the component goes away mid-recording
+  useEffect(() => stop, [stop]);
+
+  return { isRecording, elapsedSeconds, error, start, stop };
+};
@@ -0,0 +1,164 @@
+// Vector annotations drawn on find images (arrows, circles, scale bars and
+// text labels). Points are stored relative to the image size (0-1), so the
+// same annotations fit the thumbnail, the compressed image and the original.
+// Every annotation has a start point (x1, y1) and, except text, an end point:
+// - arrow: tail to head
+// - circle: center to a point on the edge
+// - scale: bar from end to end, with a text label such as "1 cm"
+// - text: label anchored at the start point
+
+export const ANNOTATION_TOOLS = [
+  { value: "arrow", label: "Arrow" },
+  { value: "circle", label: "Circle" },
+  { value: "scale", label: "Scale bar" },
+  { value: "text", label: "Text" },
+];
+
+export const ANNOTATION_COLORS = ["#ef4444", "#facc15", "#ffffff", "#22c55e"];
+
+// Line width and font size in image pixels, proportional to the image so
+// annotations look the same at every size
+export const getAnnotationMetrics = (width, height) => {
+  const base = Math.min(width, height);
+  return {
+    strokeWidth: Math.max(2, base * 0.006),
+    fontSize: Math.max(12, base * 0.045),
+  };
+};
+
+// Pointer position relative to the element under it (0-1 on both axes)
+export const getPointerPosition = (e) => {
+  const rect = e.currentTarget.getBoundingClientRect();
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+  return {
+    x: clamp((e.clientX - rect.left) / rect.width),
+    y: clamp((e.clientY - rect.top) / rect.height),
+  };
+};
+
+// Convert an annotation's relative points to image pixels
+export const toImagePoints = (annotation, width, height) => ({
+  x1: annotation.x1 * width,
+  y1: annotation.y1 * height,
+  x2: (annotation.x2 ?? annotation.x1) * width,
+  y2: (annotation.y2 ?? annotation.y1) * height,
+});
+
+// The two outer points of an arrow head at (x2, y2)
+export const getArrowHead = ({ x1, y1, x2, y2 }, size) => {
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  return [-Math.PI / 6, Math.PI / 6].map((offset) => [
+    x2 - size * Math.cos(angle + offset),
+    y2 - size * Math.sin(angle + offset),
+  ]);
+};
+
+// Unit vector perpendicular to a line, pointing up on screen
+const getNormal = ({ x1, y1, x2, y2 }) => {
+  const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+  const nx = -(y2 - y1) / length;
+  const ny = (x2 - x1) / length;
+  return ny > 0 ? [-nx, -ny] : [nx, ny];
+};
+
+// End ticks of a scale bar, as [[xa, ya, xb, yb], ...]
+export const getScaleTicks = (points, size) => {
+  const [nx, ny] = getNormal(points);
+  return [
+    [points.x1, points.y1],
+    [points.x2, points.y2],
+  ].map(([x, y]) => [
+    x + nx * size,
+    y + ny * size,
+    x - nx * size,
+    y - ny * size,
+  ]);
+};
+
+// Position of a scale bar's label, just above the middle of the bar
+export const getScaleLabelPosition = (points, offset) => {
+  const [nx, ny] = getNormal(points);
+  return [
+    (points.x1 + points.x2) / 2 + nx * offset,
+    (points.y1 + points.y2) / 2 + ny * offset,
+  ];
+};
+
+export const getCircleRadius = ({ x1, y1, x2, y2 }) =>
+  Math.hypot(x2 - x1, y2 - y1);
+
+// Draw annotations onto a canvas of the given image size (burned in on export)
+export const drawAnnotations = (ctx, annotations, width, height) => {
+  const { strokeWidth, fontSize } = getAnnotationMetrics(width, height);
+
+  const drawText = (text, x, y, color) => {
+    ctx.font = `600 ${fontSize}px sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.lineWidth = strokeWidth;
+    ctx.strokeStyle = "rgba(0, 0, 0, 0.8)";
+    ctx.strokeText(text, x, y);
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+  };
+
+  const drawLine = (xa, ya, xb, yb) => {
+    ctx.beginPath();
+    ctx.moveTo(xa, ya);
+    ctx.lineTo(xb, yb);
+    ctx.stroke();
+  };
+
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  for (const annotation of annotations) {
+    const points = toImagePoints(annotation, width, height);
+    ctx.strokeStyle = annotation.color;
+    ctx.lineWidth = strokeWidth;
+
+    switch (annotation.type) {
+      case "arrow": {
+        drawLine(points.x1, points.y1, points.x2, points.y2);
+        getArrowHead(points, strokeWidth * 5).forEach(([x, y]) =>
+          drawLine(points.x2, points.y2, x, y)
+        );
+        break;
+      }
+      case "circle":
+        ctx.beginPath();
+        ctx.arc(points.x1, points.y1, getCircleRadius(points), 0, Math.PI * 2);
+        ctx.stroke();
+        break;
+      case "scale": {
+        drawLine(points.x1, points.y1, points.x2, points.y2);
+        getScaleTicks(points, strokeWidth * 3).forEach((tick) =>
+          drawLine(...tick)
+        );
+        if (annotation.text) {
+          const [x, y] = getScaleLabelPosition(points, fontSize * 0.8);
+          drawText(annotation.text, x, y, annotation.color);
+        }
+        break;
+      }
+      case "text":
+        drawText(annotation.text, points.x1, points.y1, annotation.color);
+        break;
+      default:
+        break;
+    }
+  }
+  ctx.restore();
+};
+
+// Annotations of an image rotated 90° clockwise
+export const rotateAnnotations = (annotations) =>
+  annotations.map((annotation) => ({
+    ...annotation,
+    x1: 1 - annotation.y1,
+    y1: annotation.x1,
+    ...(annotation.x2 != null && {
+      x2: 1 - annotation.y2,
+      y2: annotation.x2,
+    }),
+  }));
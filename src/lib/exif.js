@@ -0,0 +1,338 @@
+// Minimal EXIF reader for JPEG and HEIC photos: extracts the GPS position,
+// altitude and capture time. Only the start of the file is read (plus, for
+// HEIC, the Exif item it points to).
+
+// Bytes read from the start of the file; the JPEG APP1 segment or the HEIC
+// meta box must fit in it
+const EXIF_READ_BYTES = 128 * 1024;
+
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const TAG_GPS_LATITUDE_REF = 0x0001;
+const TAG_GPS_LATITUDE = 0x0002;
+const TAG_GPS_LONGITUDE_REF = 0x0003;
+const TAG_GPS_LONGITUDE = 0x0004;
+const TAG_GPS_ALTITUDE_REF = 0x0005;
+const TAG_GPS_ALTITUDE = 0x0006;
+
+// Size in bytes of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Read the value of one IFD entry as a number, string or array of numbers
+const readTagValue = (view, tiffStart, entryOffset, littleEndian) => {
+  const type = view.getUint16(entryOffset + 2, littleEndian);
+  const count = view.getUint32(entryOffset + 4, littleEndian);
+  const size = (TYPE_SIZES[type] || 1) * count;
+  const valueOffset =
+    size > 4
+      ? tiffStart + view.getUint32(entryOffset + 8, littleEndian)
+      : entryOffset + 8;
+
+  if (valueOffset + size > view.byteLength) return null;
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    switch (type) {
+      case 1:
+      case 7:
+        values.push(view.getUint8(valueOffset + i));
+        break;
+      case 2:
+        values.push(String.fromCharCode(view.getUint8(valueOffset + i)));
+        break;
+      case 3:
+        values.push(view.getUint16(valueOffset + i * 2, littleEndian));
+        break;
+      case 4:
+        values.push(view.getUint32(valueOffset + i * 4, littleEndian));
+        break;
+      case 9:
+        values.push(view.getInt32(valueOffset + i * 4, littleEndian));
+        break;
+      case 5:
+      case 10: {
+        const read = type === 5 ? "getUint32" : "getInt32";
+        const numerator = view[read](valueOffset + i * 8, littleEndian);
+        const denominator = view[read](valueOffset + i * 8 + 4, littleEndian);
+        values.push(denominator === 0 ? 0 : numerator / denominator);
+        break;
+      }
+      default:
+        return null;
+    }
+  }
+
+  if (type === 2) return values.join("").replace(/\0+$/, "");
+  return count === 1 ? values[0] : values;
+};
+
+// Read all entries of an IFD into a { tag: value } map
+const readIFD = (view, tiffStart, ifdOffset, littleEndian) => {
+  const tags = {};
+  const start = tiffStart + ifdOffset;
+  if (start + 2 > view.byteLength) return tags;
+
+  const entryCount = view.getUint16(start, littleEndian);
+  for (let i = 0; i < entryCount; i++) {
+    const entryOffset = start + 2 + i * 12;
+    if (entryOffset + 12 > view.byteLength) break;
+    const tag = view.getUint16(entryOffset, littleEndian);
+    tags[tag] = readTagValue(view, tiffStart, entryOffset, littleEndian);
+  }
+  return tags;
+};
+
+// Find the TIFF header inside the JPEG APP1 "Exif" segment
+const findJpegTiffStart = (view) => {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return null;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    if ((marker & 0xff00) !== 0xff00) return null;
+
+    // "Exif\0\0" identifies the EXIF APP1 segment
+    if (
+      marker === 0xffe1 &&
+      offset + 10 <= view.byteLength &&
+      view.getUint32(offset + 4) === 0x45786966 &&
+      view.getUint16(offset + 8) === 0
+    ) {
+      return offset + 10;
+    }
+
+    // Start of scan: image data follows, there is no EXIF block
+    if (marker === 0xffda) return null;
+    offset += 2 + length;
+  }
+  return null;
+};
+
+const readFourCC = (view, offset) =>
+  String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+
+// Read an unsigned integer of 0, 2, 4 or 8 bytes (sizes used by the iloc box)
+const readSizedUint = (view, offset, size) => {
+  if (size === 0) return 0;
+  if (size === 2) return view.getUint16(offset);
+  if (size === 4) return view.getUint32(offset);
+  return Number(view.getBigUint64(offset));
+};
+
+// Iterate over the ISO BMFF boxes between start and end as
+// { type, start (of the payload), end }
+const readBoxes = (view, start, end) => {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+    boxes.push({
+      type: readFourCC(view, offset + 4),
+      start: offset + headerSize,
+      end: Math.min(offset + size, end),
+    });
+    offset += size;
+  }
+  return boxes;
+};
+
+// Find the item ID of the "Exif" item in a HEIF iinf box
+const findExifItemId = (view, iinf) => {
+  const version = view.getUint8(iinf.start);
+  const entriesStart = iinf.start + (version === 0 ? 6 : 8);
+
+  for (const infe of readBoxes(view, entriesStart, iinf.end)) {
+    if (infe.type !== "infe") continue;
+    const infeVersion = view.getUint8(infe.start);
+    if (infeVersion < 2) continue;
+    const idSize = infeVersion === 2 ? 2 : 4;
+    const itemId = readSizedUint(view, infe.start + 4, idSize);
+    const itemType = readFourCC(view, infe.start + 4 + idSize + 2);
+    if (itemType === "Exif") return itemId;
+  }
+  return null;
+};
+
+// Find the file offset and length of an item in a HEIF iloc box
+const findItemExtent = (view, iloc, itemId) => {
+  const version = view.getUint8(iloc.start);
+  let offset = iloc.start + 4;
+  const offsetSize = view.getUint8(offset) >> 4;
+  const lengthSize = view.getUint8(offset) & 0x0f;
+  const baseOffsetSize = view.getUint8(offset + 1) >> 4;
+  const indexSize = version > 0 ? view.getUint8(offset + 1) & 0x0f : 0;
+  offset += 2;
+
+  const itemCount =
+    version < 2 ? view.getUint16(offset) : view.getUint32(offset);
+  offset += version < 2 ? 2 : 4;
+
+  for (let i = 0; i < itemCount && offset < iloc.end; i++) {
+    const id = readSizedUint(view, offset, version < 2 ? 2 : 4);
+    offset += version < 2 ? 2 : 4;
+    let constructionMethod = 0;
+    if (version > 0) {
+      constructionMethod = view.getUint16(offset) & 0x0f;
+      offset += 2;
+    }
+    offset += 2; // data_reference_index
+    const baseOffset = readSizedUint(view, offset, baseOffsetSize);
+    offset += baseOffsetSize;
+    const extentCount = view.getUint16(offset);
+    offset += 2;
+
+    for (let j = 0; j < extentCount; j++) {
+      offset += indexSize;
+      const extentOffset = readSizedUint(view, offset, offsetSize);
+      offset += offsetSize;
+      const extentLength = readSizedUint(view, offset, lengthSize);
+      offset += lengthSize;
+
+      // Only items stored in the file itself (not in idat) are supported
+      if (id === itemId && j === 0 && constructionMethod === 0) {
+        return { offset: baseOffset + extentOffset, length: extentLength };
+      }
+    }
+  }
+  return null;
+};
+
+// Find where the Exif item of a HEIF/HEIC file is stored
+const findHeifExifExtent = (view) => {
+  if (view.byteLength < 12 || readFourCC(view, 4) !== "ftyp") return null;
+
+  const meta = readBoxes(view, 0, view.byteLength).find(
+    (box) => box.type === "meta"
+  );
+  if (!meta) return null;
+
+  // meta is a full box: skip version and flags
+  const children = readBoxes(view, meta.start + 4, meta.end);
+  const iinf = children.find((box) => box.type === "iinf");
+  const iloc = children.find((box) => box.type === "iloc");
+  if (!iinf || !iloc) return null;
+
+  const itemId = findExifItemId(view, iinf);
+  return itemId === null ? null : findItemExtent(view, iloc, itemId);
+};
+
+// Locate the EXIF TIFF header in a JPEG or HEIC file as { view, tiffStart }
+const locateExif = async (file) => {
+  const buffer = await file.slice(0, EXIF_READ_BYTES).arrayBuffer();
+  const view = new DataView(buffer);
+
+  const jpegTiffStart = findJpegTiffStart(view);
+  if (jpegTiffStart !== null) return { view, tiffStart: jpegTiffStart };
+
+  const extent = findHeifExifExtent(view);
+  if (!extent) return null;
+
+  // The Exif item starts with the offset of the TIFF header within it
+  const exifView = new DataView(
+    await file.slice(extent.offset, extent.offset + extent.length).arrayBuffer()
+  );
+  return { view: exifView, tiffStart: 4 + exifView.getUint32(0) };
+};
+
+// Convert degrees/minutes/seconds and a N/S/E/W reference to decimal degrees
+const toDecimalDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === "S" || ref === "W" ? -degrees : degrees;
+};
+
+// Convert "YYYY:MM:DD HH:MM:SS" (camera local time) to an ISO timestamp.
+// Without an offset tag the time is taken as the device's local time.
+const parseExifDate = (dateTime, offsetTime) => {
+  const match = dateTime?.match(
+    /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const date = /^[+-]\d{2}:\d{2}$/.test(offsetTime || "")
+    ? new Date(
+        `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${offsetTime}`
+      )
+    : new Date(year, month - 1, day, hours, minutes, seconds);
+
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Read GPS position, altitude and capture time from a photo file. Returns
+// { lat, lng, altitude, takenAt } with null for anything the photo lacks, or
+// null when the file has no readable EXIF data.
+export const readExifMetadata = async (file) => {
+  try {
+    const exifLocation = await locateExif(file);
+    if (!exifLocation) return null;
+    const { view, tiffStart } = exifLocation;
+
+    const byteOrder = view.getUint16(tiffStart);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) return null;
+    const littleEndian = byteOrder === 0x4949;
+
+    const ifd0 = readIFD(
+      view,
+      tiffStart,
+      view.getUint32(tiffStart + 4, littleEndian),
+      littleEndian
+    );
+    const exif = ifd0[TAG_EXIF_IFD]
+      ? readIFD(view, tiffStart, ifd0[TAG_EXIF_IFD], littleEndian)
+      : {};
+    const gps = ifd0[TAG_GPS_IFD]
+      ? readIFD(view, tiffStart, ifd0[TAG_GPS_IFD], littleEndian)
+      : {};
+
+    const lat = toDecimalDegrees(
+      gps[TAG_GPS_LATITUDE],
+      gps[TAG_GPS_LATITUDE_REF]
+    );
+    const lng = toDecimalDegrees(
+      gps[TAG_GPS_LONGITUDE],
+      gps[TAG_GPS_LONGITUDE_REF]
+    );
+    // Phones write 0/0 when they had no fix
+    const hasPosition =
+      lat !== null && lng !== null && !(lat === 0 && lng === 0);
+
+    let altitude = null;
+    if (typeof gps[TAG_GPS_ALTITUDE] === "number") {
+      // Altitude reference 1 means below sea level
+      altitude =
+        gps[TAG_GPS_ALTITUDE_REF] === 1
+          ? -gps[TAG_GPS_ALTITUDE]
+          : gps[TAG_GPS_ALTITUDE];
+    }
+
+    return {
+      lat: hasPosition ? lat : null,
+      lng: hasPosition ? lng : null,
+      altitude: hasPosition ? altitude : null,
+      takenAt: parseExifDate(
+        exif[TAG_DATE_TIME_ORIGINAL],
+        exif[TAG_OFFSET_TIME_ORIGINAL]
+      ),
+    };
+  } catch (error) {
+    console.warn("Could not read EXIF data:", error);
+    return null;
+  }
+};
@@ -0,0 +1,181 @@
+// Persistent image cache in IndexedDB, so thumbnails and full images are not
+// downloaded again every time a find is shown. Entries are keyed by storage
+// path; stored files are never overwritten (a rotated image or a regenerated
+// derivative gets a new path), so an entry never goes stale. The least
+// recently used entries are evicted when the cache grows beyond its size limit.
+// Object URLs stay valid for the session, as images may still show them after
+// their entry is evicted; they are only revoked on sign-out.
+
+const IDB_NAME = "metal-detecting-image-cache";
+const IDB_VERSION = 1;
+const IMAGES_STORE = "images";
+
+// Largest total size of the cached images, in MB
+export const IMAGE_CACHE_MAX_MB =
+  Number(import.meta.env.VITE_IMAGE_CACHE_MB) || 200;
+const MAX_CACHE_BYTES = IMAGE_CACHE_MAX_MB * 1024 * 1024;
+
+// Images larger than this share of the cache are shown but not stored
+const MAX_ENTRY_SHARE = 0.25;
+
+// Object URLs of the images shown in this session, by key
+const objectUrls = new Map();
+
+// Loads in progress by key, so simultaneous requests share one download
+const pendingLoads = new Map();
+
+let dbPromise = null;
+
+// Promisify an IndexedDB request
+const idbRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openCache = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(IMAGES_STORE, {
+          keyPath: "key",
+        });
+        store.createIndex("lastUsed", "lastUsed");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const getStore = async (mode) =>
+  (await openCache()).transaction(IMAGES_STORE, mode).objectStore(IMAGES_STORE);
+
+// One object URL per image for the whole session
+const toObjectUrl = (key, blob) => {
+  if (!objectUrls.has(key)) {
+    objectUrls.set(key, URL.createObjectURL(blob));
+  }
+  return objectUrls.get(key);
+};
+
+// Cached entry of an image, marked as just used
+const readEntry = async (key) => {
+  const store = await getStore("readwrite");
+  const entry = await idbRequest(store.get(key));
+  if (entry) {
+    store.put({ ...entry, lastUsed: Date.now() });
+  }
+  return entry || null;
+};
+
+// Remove the least recently used images that don't fit in the cache. Their
+// object URLs are kept, as they may still be on screen.
+const evictEntries = async () => {
+  const store = await getStore("readwrite");
+  const request = store.index("lastUsed").openCursor(null, "prev");
+  let totalBytes = 0;
+
+  await new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      totalBytes += cursor.value.size;
+      if (totalBytes > MAX_CACHE_BYTES) {
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const loadImage = async (key, loadUrl) => {
+  try {
+    const entry = await readEntry(key);
+    if (entry) return toObjectUrl(key, entry.blob);
+  } catch (error) {
+    console.warn("Image cache unavailable:", error);
+    return loadUrl();
+  }
+
+  const url = await loadUrl();
+  if (!url) return null;
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const blob = await response.blob();
+
+    if (blob.size <= MAX_CACHE_BYTES * MAX_ENTRY_SHARE) {
+      const store = await getStore("readwrite");
+      await idbRequest(
+        store.put({ key, blob, size: blob.size, lastUsed: Date.now() })
+      );
+      await evictEntries();
+    }
+    return toObjectUrl(key, blob);
+  } catch (error) {
+    // Show the image uncached rather than not at all
+    console.warn(`Could not cache image ${key}:`, error);
+    return url;
+  }
+};
+
+// URL of a cached image. On a miss, loadUrl is called for the image URL
+// (signed, object or data URL, or null), and the image is downloaded and
+// stored. Resolves to an object URL, or to the loaded URL when the image
+// can't be cached.
+export const getCachedImage = (key, loadUrl) => {
+  if (objectUrls.has(key)) {
+    return Promise.resolve(objectUrls.get(key));
+  }
+  if (!pendingLoads.has(key)) {
+    pendingLoads.set(
+      key,
+      loadImage(key, loadUrl).finally(() => pendingLoads.delete(key))
+    );
+  }
+  return pendingLoads.get(key);
+};
+
+// Remove the cached images of deleted files
+export const removeCachedImages = async (keys) => {
+  keys.forEach((key) => objectUrls.delete(key));
+
+  try {
+    const store = await getStore("readwrite");
+    await Promise.all(keys.map((key) => idbRequest(store.delete(key))));
+  } catch (error) {
+    console.warn("Could not remove cached images:", error);
+  }
+};
+
+// Number and total size of the cached images
+export const getImageCacheUsage = async () => {
+  const store = await getStore("readonly");
+  const entries = await idbRequest(store.getAll());
+  return {
+    count: entries.length,
+    bytes: entries.reduce((total, entry) => total + entry.size, 0),
+  };
+};
+
+// Remove all cached images, so they are downloaded again when shown. Object
+// URLs handed out are only revoked with releaseObjectUrls, e.g. on sign-out
+// when no image is shown any more.
+export const clearImageCache = async ({ releaseObjectUrls = false } = {}) => {
+  if (releaseObjectUrls) {
+    objectUrls.forEach((url) => URL.revokeObjectURL(url));
+  }
+  objectUrls.clear();
+  const store = await getStore("readwrite");
+  await idbRequest(store.clear());
+};
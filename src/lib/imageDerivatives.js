@@ -0,0 +1,32 @@
+// Smaller copies of every original image, stored next to it in the bucket.
+// Lists and the map show thumbs, the find gallery shows medium images and the
+// original is only loaded for export. Sizes are the longest side in pixels.
+export const IMAGE_DERIVATIVES = {
+  thumb: { maxSize: 400, quality: 0.8 },
+  medium: { maxSize: 1600, quality: 0.85 },
+};
+
+// Cache-Control of stored images. Stored files are never overwritten (a
+// rotated image and its regenerated derivatives are written to new paths and
+// the row's path columns updated), so browsers may keep them for a year.
+export const IMAGE_CACHE_CONTROL = "31536000";
+
+// Version segment for files written after the upload, e.g. "lz8k2q1a"
+export const createPathVersion = () => Date.now().toString(36);
+
+// Storage path of a rotated copy of the original uploaded at sourcePath
+export const getRotatedPath = (sourcePath, version) =>
+  `rotated/${version}/${sourcePath}`;
+
+// Storage path of a derivative of the original image at storagePath, with a
+// version for derivatives regenerated after the upload
+export const getDerivativePath = (storagePath, size, version = null) =>
+  version
+    ? `derivatives/${size}/${version}/${storagePath}`
+    : `derivatives/${size}/${storagePath}`;
+
+// Storage paths of the unversioned derivatives of an original image
+export const getDerivativePaths = (storagePath) =>
+  Object.keys(IMAGE_DERIVATIVES).map((size) =>
+    getDerivativePath(storagePath, size)
+  );
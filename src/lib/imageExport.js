@@ -0,0 +1,174 @@
+// Privacy-safe image export: images are re-encoded through a canvas, which
+// drops all EXIF data (GPS, camera, capture time). An approximate position can
+// be written back as a minimal GPS-only EXIF block.
+import { drawAnnotations } from "./annotations";
+
+// JPEG quality of exported images
+const EXPORT_JPEG_QUALITY = 0.92;
+
+// Decimal places kept for an approximate location (1 = about 11 km)
+const APPROXIMATE_LOCATION_DECIMALS = 1;
+
+// How the location of the find is included in an exported image
+export const EXPORT_LOCATION_OPTIONS = [
+  { value: "removed", label: "Remove location" },
+  { value: "approximate", label: "Approximate location (~10 km)" },
+];
+
+// Most images exported at once (all are held in memory while the ZIP is built)
+export const MAX_EXPORT_IMAGES = 100;
+
+// Round a position to the approximate-location precision
+export const coarsenLocation = (lat, lng) => {
+  const factor = 10 ** APPROXIMATE_LOCATION_DECIMALS;
+  return {
+    lat: Math.round(lat * factor) / factor,
+    lng: Math.round(lng * factor) / factor,
+  };
+};
+
+// Build an APP1 segment with a TIFF structure holding only a GPS IFD.
+// Coordinates are written as a single rational in degrees.
+const buildGpsExifSegment = ({ lat, lng }) => {
+  const factor = 10 ** APPROXIMATE_LOCATION_DECIMALS;
+  const gpsIfdOffset = 26; // TIFF header (8) + IFD0 with one entry (18)
+  const gpsEntryCount = 5;
+  const valuesOffset = gpsIfdOffset + 2 + gpsEntryCount * 12 + 4;
+  const tiffLength = valuesOffset + 2 * 24;
+
+  const tiff = new DataView(new ArrayBuffer(tiffLength));
+  // Little-endian TIFF header
+  tiff.setUint16(0, 0x4949);
+  tiff.setUint16(2, 42, true);
+  tiff.setUint32(4, 8, true);
+
+  // IFD0: pointer to the GPS IFD
+  tiff.setUint16(8, 1, true);
+  tiff.setUint16(10, 0x8825, true);
+  tiff.setUint16(12, 4, true); // LONG
+  tiff.setUint32(14, 1, true);
+  tiff.setUint32(18, gpsIfdOffset, true);
+  tiff.setUint32(22, 0, true);
+
+  let entryOffset = gpsIfdOffset + 2;
+  const writeEntry = (tag, type, count, writeValue) => {
+    tiff.setUint16(entryOffset, tag, true);
+    tiff.setUint16(entryOffset + 2, type, true);
+    tiff.setUint32(entryOffset + 4, count, true);
+    writeValue(entryOffset + 8);
+    entryOffset += 12;
+  };
+  const writeAscii = (char) => (offset) =>
+    tiff.setUint8(offset, char.charCodeAt(0));
+  const writeDegrees = (valueOffset, degrees) => {
+    // degrees, minutes, seconds; minutes and seconds stay 0
+    tiff.setUint32(valueOffset, Math.round(Math.abs(degrees) * factor), true);
+    tiff.setUint32(valueOffset + 4, factor, true);
+    for (let i = 1; i < 3; i++) {
+      tiff.setUint32(valueOffset + i * 8, 0, true);
+      tiff.setUint32(valueOffset + i * 8 + 4, 1, true);
+    }
+  };
+
+  tiff.setUint16(gpsIfdOffset, gpsEntryCount, true);
+  writeEntry(0x0000, 1, 4, (offset) => {
+    [2, 2, 0, 0].forEach((byte, i) => tiff.setUint8(offset + i, byte));
+  });
+  writeEntry(0x0001, 2, 2, writeAscii(lat < 0 ? "S" : "N"));
+  writeEntry(0x0002, 5, 3, (offset) =>
+    tiff.setUint32(offset, valuesOffset, true)
+  );
+  writeEntry(0x0003, 2, 2, writeAscii(lng < 0 ? "W" : "E"));
+  writeEntry(0x0004, 5, 3, (offset) =>
+    tiff.setUint32(offset, valuesOffset + 24, true)
+  );
+  tiff.setUint32(entryOffset, 0, true);
+  writeDegrees(valuesOffset, lat);
+  writeDegrees(valuesOffset + 24, lng);
+
+  const header = [0x45, 0x78, 0x69, 0x66, 0, 0]; // "Exif\0\0"
+  const segmentLength = 2 + header.length + tiffLength;
+  const segment = new Uint8Array(2 + segmentLength);
+  segment.set([0xff, 0xe1, segmentLength >> 8, segmentLength & 0xff]);
+  segment.set(header, 4);
+  segment.set(new Uint8Array(tiff.buffer), 4 + header.length);
+  return segment;
+};
+
+// Insert an APP1 segment right after the SOI marker of a JPEG
+const insertExifSegment = async (jpegBlob, segment) => {
+  const bytes = new Uint8Array(await jpegBlob.arrayBuffer());
+  return new Blob([bytes.slice(0, 2), segment, bytes.slice(2)], {
+    type: "image/jpeg",
+  });
+};
+
+// Draw the watermark text in the bottom right corner
+const drawWatermark = (ctx, text, width, height) => {
+  const fontSize = Math.max(16, Math.round(width / 40));
+  ctx.font = `600 ${fontSize}px sans-serif`;
+  ctx.textAlign = "right";
+  ctx.textBaseline = "bottom";
+  ctx.shadowColor = "rgba(0, 0, 0, 0.6)";
+  ctx.shadowBlur = fontSize / 4;
+  ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+  ctx.fillText(text, width - fontSize, height - fontSize);
+};
+
+// Re-encode an image (data URL) as a JPEG without metadata. With location,
+// the given (already coarsened) position is written as GPS EXIF; annotations
+// and watermark text are drawn on the image.
+export const exportImage = async (
+  imageData,
+  { location = null, watermark = "", annotations = [] } = {}
+) => {
+  const source = await (await fetch(imageData)).blob();
+  const bitmap = await createImageBitmap(source, {
+    imageOrientation: "from-image",
+  });
+
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  if (annotations.length > 0) {
+    drawAnnotations(ctx, annotations, canvas.width, canvas.height);
+  }
+  if (watermark.trim()) {
+    drawWatermark(ctx, watermark.trim(), canvas.width, canvas.height);
+  }
+
+  const blob = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/jpeg", EXPORT_JPEG_QUALITY)
+  );
+  return location
+    ? insertExifSegment(blob, buildGpsExifSegment(location))
+    : blob;
+};
+
+// File name of an exported find image, unique per find (and gallery position)
+export const getExportFilename = (photo, position = 0) => {
+  const slug = (photo.name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return [`find-${photo.id}`, slug, position > 0 && position + 1]
+    .filter(Boolean)
+    .join("-")
+    .concat(".jpg");
+};
+
+// Save a blob as a file through a temporary download link
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,164 @@
+import imageCompression from "browser-image-compression";
+
+// Compression settings for captured photos before they are uploaded
+const CAPTURE_COMPRESSION_OPTIONS = {
+  maxSizeMB: 2, // Maximum file size in MB
+  maxWidthOrHeight: 1920, // Maximum width or height in pixels
+  useWebWorker: true, // Use web worker for better performance
+  quality: 0.8, // Quality from 0 to 1 (0.8 = 80% quality)
+};
+
+// JPEG quality of the downscaled intermediate image before compression
+const DECODED_JPEG_QUALITY = 0.92;
+
+// ftyp brands of HEIF/HEIC files (as written by iPhones and most Android phones)
+const HEIF_BRANDS = [
+  "heic",
+  "heix",
+  "hevc",
+  "hevx",
+  "heim",
+  "heis",
+  "mif1",
+  "msf1",
+];
+
+// Thrown when a file is not an image the browser (or the HEIC decoder) can read
+export class UnsupportedImageError extends Error {
+  constructor(file) {
+    super(
+      `${file.name} is not a supported image. Use JPEG, PNG, WebP or HEIC.`
+    );
+    this.name = "UnsupportedImageError";
+  }
+}
+
+// Read a file or blob as a base64 data URL
+export const readFileAsDataURL = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+};
+
+// Detect HEIF/HEIC files by MIME type, extension or ftyp brand (some browsers
+// report an empty type for HEIC)
+export const isHeifFile = async (file) => {
+  if (/^image\/hei[cf]/.test(file.type) || /\.hei[cf]$/i.test(file.name)) {
+    return true;
+  }
+  const header = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+  const boxType = String.fromCharCode(...header.slice(4, 8));
+  const brand = String.fromCharCode(...header.slice(8, 12));
+  return boxType === "ftyp" && HEIF_BRANDS.includes(brand);
+};
+
+let libheifPromise = null;
+
+// libheif (WebAssembly), loaded and instantiated once on first use
+const loadLibheif = () => {
+  if (!libheifPromise) {
+    libheifPromise = import("libheif-js/libheif-wasm/libheif-bundle.mjs")
+      .then(({ default: createLibheif }) => createLibheif())
+      .catch((error) => {
+        // Allow another attempt, e.g. after a failed chunk download
+        libheifPromise = null;
+        throw error;
+      });
+  }
+  return libheifPromise;
+};
+
+// Decode a HEIC file with libheif. Only browsers without native HEIC support
+// get here.
+const decodeHeif = async (file) => {
+  const libheif = await loadLibheif();
+  const decoder = new libheif.HeifDecoder();
+  const [image] = decoder.decode(new Uint8Array(await file.arrayBuffer()));
+  if (!image) {
+    throw new UnsupportedImageError(file);
+  }
+
+  try {
+    const width = image.get_width();
+    const height = image.get_height();
+    const imageData = new ImageData(width, height);
+    await new Promise((resolve, reject) => {
+      image.display(imageData, (displayData) =>
+        displayData ? resolve() : reject(new UnsupportedImageError(file))
+      );
+    });
+    return imageData;
+  } finally {
+    image.free();
+  }
+};
+
+// Decode an image file into a bitmap with EXIF orientation applied
+const decodeImageFile = async (file) => {
+  try {
+    return await createImageBitmap(file, { imageOrientation: "from-image" });
+  } catch (error) {
+    if (!(await isHeifFile(file))) {
+      console.error(`Could not decode ${file.name}:`, error);
+      throw new UnsupportedImageError(file);
+    }
+  }
+
+  const imageData = await decodeHeif(file);
+  return createImageBitmap(imageData);
+};
+
+// Decode any supported image and draw it straight into a canvas no larger than
+// maxDimension, returning a JPEG file. Drawing a 20+ MP photo into a single
+// small canvas avoids the full-size canvases (and the canvas area limits on
+// mobile Safari) that make large photos fail.
+const convertToJpeg = async (file, maxDimension) => {
+  const bitmap = await decodeImageFile(file);
+  const scale = Math.min(
+    1,
+    maxDimension / Math.max(bitmap.width, bitmap.height)
+  );
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const blob = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/jpeg", DECODED_JPEG_QUALITY)
+  );
+  const filename = file.name.replace(/\.[^.]+$/, "") + ".jpg";
+  return new File([blob], filename, {
+    type: "image/jpeg",
+    lastModified: file.lastModified,
+  });
+};
+
+// Compress a selected image file and return it as a data URL ready for upload
+export const prepareImageFile = async (file) => {
+  console.log(`Original file size: ${(file.size / 1024 / 1024).toFixed(2)} MB`);
+  const jpegFile = await convertToJpeg(
+    file,
+    CAPTURE_COMPRESSION_OPTIONS.maxWidthOrHeight
+  );
+  const compressedFile = await imageCompression(
+    jpegFile,
+    CAPTURE_COMPRESSION_OPTIONS
+  );
+  console.log(
+    `Compressed file size: ${(compressedFile.size / 1024 / 1024).toFixed(2)} MB`
+  );
+
+  return {
+    imageData: await readFileAsDataURL(compressedFile),
+    filename: compressedFile.name || jpegFile.name,
+  };
+};
@@ -0,0 +1,125 @@
+// Image fingerprints used to detect duplicate uploads.
+// The difference hash (dHash) must stay in sync with
+// scripts/backfill-image-hashes.js, which computes it for existing images.
+
+// Grid the image is reduced to for the difference hash (9x8 gives 64 bits)
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+
+// Maximum number of differing bits for two images to count as near-identical
+export const PHASH_MATCH_THRESHOLD = 10;
+
+const toHex = (bytes) =>
+  Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+
+// Decode the bytes of a base64 data URL
+const dataURLToBytes = (dataURL) => {
+  const binary = atob(dataURL.split(",")[1]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+// SHA-256 of the image file as hex; equal checksums mean byte-identical files
+export const computeImageChecksum = async (dataURL) => {
+  const digest = await crypto.subtle.digest("SHA-256", dataURLToBytes(dataURL));
+  return toHex(new Uint8Array(digest));
+};
+
+// Reduce decoded pixels (RGB or RGBA, row by row) to the DHASH_WIDTH x
+// DHASH_HEIGHT grayscale grid by averaging the brightness of every pixel in
+// each cell. Canvas and sharp resample differently, so the browser and the
+// scripts both reduce full-size pixels with this box average.
+export const reduceToDHashGrid = (pixels, width, height, channels) => {
+  const cellBounds = (cell, cells, size) => {
+    const start = Math.min(Math.floor((cell * size) / cells), size - 1);
+    const end = Math.floor(((cell + 1) * size) / cells);
+    return [start, Math.max(end, start + 1)];
+  };
+
+  const grid = [];
+  for (let cellY = 0; cellY < DHASH_HEIGHT; cellY++) {
+    const [y0, y1] = cellBounds(cellY, DHASH_HEIGHT, height);
+    for (let cellX = 0; cellX < DHASH_WIDTH; cellX++) {
+      const [x0, x1] = cellBounds(cellX, DHASH_WIDTH, width);
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * channels;
+          sum +=
+            0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+        }
+      }
+      grid.push(sum / ((y1 - y0) * (x1 - x0)));
+    }
+  }
+  return grid;
+};
+
+// Build a difference hash from DHASH_WIDTH x DHASH_HEIGHT grayscale pixels:
+// each bit says whether a pixel is brighter than its right-hand neighbour
+export const buildDifferenceHash = (grayscale) => {
+  let hash = "";
+  let nibble = 0;
+  let bitCount = 0;
+  for (let y = 0; y < DHASH_HEIGHT; y++) {
+    for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+      const left = grayscale[y * DHASH_WIDTH + x];
+      const right = grayscale[y * DHASH_WIDTH + x + 1];
+      nibble = (nibble << 1) | (left > right ? 1 : 0);
+      bitCount++;
+      if (bitCount % 4 === 0) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hash;
+};
+
+// Perceptual hash of an image; resized or recompressed copies of the same
+// photo get hashes only a few bits apart
+export const computePerceptualHash = (dataURL) => {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const width = img.naturalWidth;
+      const height = img.naturalHeight;
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext("2d");
+      ctx.drawImage(img, 0, 0);
+
+      const { data } = ctx.getImageData(0, 0, width, height);
+      resolve(buildDifferenceHash(reduceToDHashGrid(data, width, height, 4)));
+    };
+    img.onerror = () => reject(new Error("Could not decode image for hashing"));
+    img.src = dataURL;
+  });
+};
+
+// Compute both fingerprints of an image
+export const computeImageHashes = async (dataURL) => {
+  const [checksum, phash] = await Promise.all([
+    computeImageChecksum(dataURL),
+    computePerceptualHash(dataURL),
+  ]);
+  return { checksum, phash };
+};
+
+// Number of differing bits between two hex hashes of equal length
+export const hammingDistance = (hashA, hashB) => {
+  if (!hashA || !hashB || hashA.length !== hashB.length) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    let diff = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+};
@@ -0,0 +1,82 @@
+// Tile grid used to remember which parts of the map already have their
+// photos loaded. Tiles follow the standard web map (slippy map) scheme.
+
+// Coarsest and finest tile zoom used for photo loading
+const MIN_TILE_ZOOM = 2;
+const MAX_TILE_ZOOM = 14;
+
+// Tiles two levels above the map zoom, so a viewport needs only a few tiles
+const getTileZoom = (zoom) =>
+  Math.min(Math.max(Math.floor(zoom) - 2, MIN_TILE_ZOOM), MAX_TILE_ZOOM);
+
+const lngToTileX = (lng, z) => Math.floor(((lng + 180) / 360) * Math.pow(2, z));
+
+const latToTileY = (lat, z) => {
+  const clampedLat = Math.min(Math.max(lat, -85.0511), 85.0511);
+  const latRad = (clampedLat * Math.PI) / 180;
+  return Math.floor(
+    ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) *
+      Math.pow(2, z)
+  );
+};
+
+const tileXToLng = (x, z) => (x / Math.pow(2, z)) * 360 - 180;
+
+const tileYToLat = (y, z) => {
+  const n = Math.PI - (2 * Math.PI * y) / Math.pow(2, z);
+  return (180 / Math.PI) * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+};
+
+export const getTileKey = (z, x, y) => `${z}/${x}/${y}`;
+
+// Check whether a tile or any tile containing it has already been loaded.
+// A truncated tile (more photos than one request returns) covers only itself,
+// so its smaller tiles are loaded when zoomed in.
+const isTileCovered = (z, x, y, loadedTiles, truncatedTiles) => {
+  for (let zoom = z; zoom >= MIN_TILE_ZOOM; zoom--) {
+    const shift = z - zoom;
+    const key = getTileKey(zoom, x >> shift, y >> shift);
+    if (loadedTiles.has(key) && (zoom === z || !truncatedTiles.has(key))) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Tiles covering the bounding box that are not loaded (or loading) yet
+export const getMissingTiles = (
+  bbox,
+  zoom,
+  loadedTiles,
+  truncatedTiles = new Set()
+) => {
+  const z = getTileZoom(zoom);
+  const maxTile = Math.pow(2, z) - 1;
+  const minX = Math.max(0, lngToTileX(bbox.west, z));
+  const maxX = Math.min(maxTile, lngToTileX(bbox.east, z));
+  const minY = Math.max(0, latToTileY(bbox.north, z));
+  const maxY = Math.min(maxTile, latToTileY(bbox.south, z));
+
+  const tiles = [];
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      if (!isTileCovered(z, x, y, loadedTiles, truncatedTiles)) {
+        tiles.push({ z, x, y, key: getTileKey(z, x, y) });
+      }
+    }
+  }
+  return tiles;
+};
+
+// Bounding box enclosing a list of tiles
+export const getTilesBounds = (tiles) => {
+  return tiles.reduce(
+    (bbox, { z, x, y }) => ({
+      west: Math.min(bbox.west, tileXToLng(x, z)),
+      east: Math.max(bbox.east, tileXToLng(x + 1, z)),
+      north: Math.max(bbox.north, tileYToLat(y, z)),
+      south: Math.min(bbox.south, tileYToLat(y + 1, z)),
+    }),
+    { west: 180, east: -180, north: -90, south: 90 }
+  );
+};
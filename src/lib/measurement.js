@@ -0,0 +1,56 @@
+// Measuring finds on a photo: a line drawn along a reference of known size
+// (a ruler segment or a standard coin) sets the scale, and every other line
+// is converted to millimeters. Lines use the relative points of annotations
+// (see annotations.js), so the image size is needed to compare lengths.
+
+// References of known size; a ruler segment has a length chosen by the user
+export const REFERENCE_OBJECTS = [
+  { value: "ruler", label: "Ruler segment", lengthMm: null },
+  { value: "euro-1", label: "1 euro coin", lengthMm: 23.25 },
+  { value: "euro-2", label: "2 euro coin", lengthMm: 25.75 },
+  { value: "cent-10", label: "10 cent coin", lengthMm: 19.75 },
+  { value: "cent-50", label: "50 cent coin", lengthMm: 24.25 },
+  { value: "gbp-1", label: "£1 coin", lengthMm: 23.43 },
+  { value: "usd-quarter", label: "US quarter", lengthMm: 24.26 },
+];
+
+// Millimeters per unit accepted in scale bar labels
+const LENGTH_UNITS = { mm: 1, cm: 10, m: 1000, in: 25.4 };
+
+// Parse a length label such as "1 cm", "25mm" or "2,5 cm" into millimeters
+export const parseLength = (text) => {
+  const match = String(text || "")
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:[.,]\d+)?)\s*(mm|cm|m|in)$/);
+  if (!match) return null;
+  const value = Number(match[1].replace(",", ".")) * LENGTH_UNITS[match[2]];
+  return value > 0 ? value : null;
+};
+
+// Length of a line in image pixels
+export const getPixelLength = ({ x1, y1, x2, y2 }, { width, height }) =>
+  Math.hypot((x2 - x1) * width, (y2 - y1) * height);
+
+// Length of a line in millimeters against a reference { line, lengthMm }
+export const measureLength = (line, reference, size) => {
+  const referencePixels = getPixelLength(reference.line, size);
+  if (!referencePixels || !reference.lengthMm) return null;
+  return (getPixelLength(line, size) / referencePixels) * reference.lengthMm;
+};
+
+export const formatLength = (lengthMm) =>
+  `${Math.round(lengthMm * 10) / 10} mm`;
+
+// The first scale bar annotation with a readable length, used as a reference
+export const findScaleReference = (annotations = []) => {
+  for (const annotation of annotations) {
+    if (annotation.type !== "scale") continue;
+    const lengthMm = parseLength(annotation.text);
+    if (lengthMm) {
+      const { x1, y1, x2, y2 } = annotation;
+      return { line: { x1, y1, x2, y2 }, lengthMm };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,135 @@
+import { Upload } from "tus-js-client";
+
+// Supabase Storage only accepts 6 MB chunks on its resumable endpoint
+const CHUNK_SIZE = 6 * 1024 * 1024;
+
+// Delays between automatic retries of a failed chunk while online
+const RETRY_DELAYS = [0, 1000, 3000, 5000, 10000, 20000];
+
+// Thrown when an upload is cancelled through its AbortSignal
+export class UploadCancelledError extends Error {
+  constructor() {
+    super("Upload cancelled");
+    this.name = "UploadCancelledError";
+  }
+}
+
+// Upload a blob with the tus protocol to the Supabase resumable upload
+// endpoint. Chunks are retried automatically; when the connection drops the
+// upload waits for the browser to come back online and resumes where it
+// stopped. onProgress receives { percent, waiting } and signal cancels the
+// upload and removes the partial file.
+const uploadWithTus = (
+  backend,
+  bucket,
+  path,
+  blob,
+  { contentType, cacheControl, onProgress, signal }
+) => {
+  return new Promise((resolve, reject) => {
+    let resumeWhenOnline = null;
+
+    const stopWaiting = () => {
+      if (resumeWhenOnline) {
+        window.removeEventListener("online", resumeWhenOnline);
+        resumeWhenOnline = null;
+      }
+    };
+
+    const handleAbort = () => {
+      stopWaiting();
+      upload.abort(true).catch((error) => {
+        console.warn("Could not remove cancelled upload:", error);
+      });
+      reject(new UploadCancelledError());
+    };
+
+    const upload = new Upload(blob, {
+      endpoint: `${backend.supabaseUrl}/storage/v1/upload/resumable`,
+      retryDelays: RETRY_DELAYS,
+      chunkSize: CHUNK_SIZE,
+      headers: {
+        apikey: backend.supabaseKey,
+        "x-upsert": "false",
+      },
+      // Uploads can outlive the access token (large files, waiting offline),
+      // so every request reads the current session, which Supabase refreshes
+      onBeforeRequest: async (req) => {
+        const {
+          data: { session },
+        } = await backend.auth.getSession();
+        req.setHeader(
+          "authorization",
+          `Bearer ${session?.access_token || backend.supabaseKey}`
+        );
+      },
+      uploadDataDuringCreation: true,
+      metadata: {
+        bucketName: bucket,
+        objectName: path,
+        contentType,
+        cacheControl,
+      },
+      onProgress: (bytesUploaded, bytesTotal) => {
+        onProgress?.({
+          percent: Math.round((bytesUploaded / bytesTotal) * 100),
+          waiting: false,
+        });
+      },
+      onSuccess: () => {
+        signal?.removeEventListener("abort", handleAbort);
+        resolve({ path });
+      },
+      onError: (error) => {
+        if (navigator.onLine) {
+          signal?.removeEventListener("abort", handleAbort);
+          reject(error);
+          return;
+        }
+
+        // Offline: keep the upload and continue from the last chunk once the
+        // connection is back
+        console.warn("Upload paused until the connection is back:", error);
+        onProgress?.({ percent: null, waiting: true });
+        resumeWhenOnline = () => {
+          resumeWhenOnline = null;
+          upload.start();
+        };
+        window.addEventListener("online", resumeWhenOnline, { once: true });
+      },
+    });
+
+    signal?.addEventListener("abort", handleAbort, { once: true });
+    upload.start();
+  });
+};
+
+// Upload a blob to a storage bucket, resumable where the backend supports it.
+// The local backend stores blobs in IndexedDB in one step.
+export const uploadResumable = async (
+  backend,
+  bucket,
+  path,
+  blob,
+  { contentType, cacheControl = "3600", onProgress, signal } = {}
+) => {
+  if (signal?.aborted) {
+    throw new UploadCancelledError();
+  }
+
+  if (!backend.supabaseUrl) {
+    const { data, error } = await backend.storage
+      .from(bucket)
+      .upload(path, blob, { contentType, cacheControl, upsert: false });
+    if (error) throw error;
+    onProgress?.({ percent: 100, waiting: false });
+    return data;
+  }
+
+  return uploadWithTus(backend, bucket, path, blob, {
+    contentType,
+    cacheControl,
+    onProgress,
+    signal,
+  });
+};
@@ -18,26 +18,351 @@ export const requireAdmin = (user) => {
   return true;
 };
 
+// Default metal detecting find types in display order. "target" is the default
+// type for new captures that have not been classified yet. The live taxonomy is
+// loaded from the categories table (see CategoriesContext); this list is the
+// fallback used before categories load or when the table is unavailable.
+export const FIND_TYPES = [
+  { value: "target", label: "Target", color: "#ef4444" },
+  { value: "coins", label: "Coins", color: "#eab308" },
+  { value: "jewelry", label: "Jewelry", color: "#ec4899" },
+  { value: "relics", label: "Relics", color: "#a855f7" },
+  {
+    value: "tools-and-hardware",
+    label: "Tools and Hardware",
+    color: "#64748b",
+  },
+  {
+    value: "tokens-and-medallions",
+    label: "Tokens and Medallions",
+    color: "#f97316",
+  },
+  {
+    value: "weapons-and-ammunition",
+    label: "Weapons and Ammunition",
+    color: "#78716c",
+  },
+  { value: "household-items", label: "Household Items", color: "#14b8a6" },
+  { value: "military-items", label: "Military Items", color: "#65a30d" },
+  {
+    value: "industrial-scrap-junk",
+    label: "Industrial Scrap / Junk",
+    color: "#57534e",
+  },
+  {
+    value: "religious-or-decorative-items",
+    label: "Religious or Decorative Items",
+    color: "#6366f1",
+  },
+  { value: "unknown", label: "Unknown", color: "#9ca3af" },
+];
+
+const DEFAULT_TYPE_COLOR = "#9ca3af";
+
+// Find the type entry for a type value
+const findTypeEntry = (type, types) => {
+  return types.find((t) => t.value === type);
+};
+
 // Format metal detecting type names for display
-export const formatTypeName = (type) => {
+export const formatTypeName = (type, types = FIND_TYPES) => {
   if (!type) return "Unknown";
 
-  const typeMap = {
-    coins: "Coins",
-    jewelry: "Jewelry",
-    relics: "Relics",
-    "tools-and-hardware": "Tools and Hardware",
-    "tokens-and-medallions": "Tokens and Medallions",
-    "weapons-and-ammunition": "Weapons and Ammunition",
-    "household-items": "Household Items",
-    "military-items": "Military Items",
-    "industrial-scrap-junk": "Industrial Scrap / Junk",
-    "religious-or-decorative-items": "Religious or Decorative Items",
-    unknown: "Unknown",
-  };
+  const findType = findTypeEntry(type, types);
 
   return (
-    typeMap[type] ||
+    findType?.label ||
     type.replace(/-/g, " ").replace(/\b\w/g, (l) => l.toUpperCase())
   );
 };
+
+// Get the marker/badge color for a find type
+export const getTypeColor = (type, types = FIND_TYPES) => {
+  const findType = findTypeEntry(type || "unknown", types);
+  return findType?.color || DEFAULT_TYPE_COLOR;
+};
+
+// Check whether a photo matches the selected type filter ("all" matches everything).
+// Filtering by a parent category also matches photos in its subcategories.
+export const matchesTypeFilter = (photo, typeFilter, types = FIND_TYPES) => {
+  if (!typeFilter || typeFilter === "all") return true;
+
+  let type = photo.type || "unknown";
+  const visited = new Set();
+  while (type && !visited.has(type)) {
+    if (type === typeFilter) return true;
+    visited.add(type);
+    type = findTypeEntry(type, types)?.parent;
+  }
+  return false;
+};
+
+// Order types so that subcategories follow their parent, with depth for indenting
+export const sortTypesByHierarchy = (types) => {
+  const byParent = {};
+  types.forEach((t) => {
+    const parent = types.some((p) => p.value === t.parent) ? t.parent : null;
+    (byParent[parent] = byParent[parent] || []).push(t);
+  });
+
+  const result = [];
+  const visit = (parent, depth) => {
+    (byParent[parent] || []).forEach((t) => {
+      result.push({ ...t, depth });
+      if (t.value !== parent) visit(t.value, depth + 1);
+    });
+  };
+  visit(null, 0);
+  return result;
+};
+
+// Find lifecycle statuses in workflow order
+export const FIND_STATUSES = [
+  { value: "target", label: "Target", color: "#ef4444" },
+  { value: "dug", label: "Dug", color: "#f97316" },
+  { value: "identified", label: "Identified", color: "#22c55e" },
+  { value: "archived", label: "Archived", color: "#6b7280" },
+];
+
+// Format find status names for display
+export const formatStatusName = (status) => {
+  const findStatus = FIND_STATUSES.find(
+    (s) => s.value === (status || "target")
+  );
+  return findStatus?.label || status;
+};
+
+// Get the badge color for a find status
+export const getStatusColor = (status) => {
+  const findStatus = FIND_STATUSES.find(
+    (s) => s.value === (status || "target")
+  );
+  return findStatus?.color || DEFAULT_TYPE_COLOR;
+};
+
+// Check whether a photo matches the selected status filter ("all" matches everything)
+export const matchesStatusFilter = (photo, statusFilter) => {
+  if (!statusFilter || statusFilter === "all") return true;
+  return (photo.status || "target") === statusFilter;
+};
+
+// Common detector signal tones (free text is also allowed)
+export const SIGNAL_TONES = ["low", "mid", "high", "iffy", "multi-tone"];
+
+// Detector signal and dig metadata fields stored on each find
+export const SIGNAL_FIELDS = [
+  "target_id",
+  "tone",
+  "depth_cm",
+  "detector_model",
+  "detector_program",
+  "coil",
+];
+
+// Convert signal form values into database values (empty strings become null)
+export const normalizeSignal = (signal) => {
+  const toNumber = (value) =>
+    value === "" || value === null || value === undefined
+      ? null
+      : Number(value);
+  const toText = (value) => (value ? String(value).trim() || null : null);
+
+  return {
+    target_id: toNumber(signal.target_id),
+    tone: toText(signal.tone),
+    depth_cm: toNumber(signal.depth_cm),
+    detector_model: toText(signal.detector_model),
+    detector_program: toText(signal.detector_program),
+    coil: toText(signal.coil),
+  };
+};
+
+// Short one-line summary of a find's signal, e.g. "ID 78 · high · 15 cm"
+export const formatSignalSummary = (photo) => {
+  const parts = [];
+  if (photo.target_id !== null && photo.target_id !== undefined) {
+    parts.push(`ID ${photo.target_id}`);
+  }
+  if (photo.tone) parts.push(photo.tone);
+  if (photo.depth_cm !== null && photo.depth_cm !== undefined) {
+    parts.push(`${Number(photo.depth_cm)} cm`);
+  }
+  return parts.join(" · ");
+};
+
+// Dimension fields stored on each find, in millimeters
+export const DIMENSION_FIELDS = [
+  { field: "length_mm", label: "Length" },
+  { field: "width_mm", label: "Width" },
+  { field: "diameter_mm", label: "Diameter" },
+];
+
+// Convert dimension form values into database values (empty strings become
+// null, measurements are rounded to 0.1 mm)
+export const normalizeDimensions = (dimensions) =>
+  Object.fromEntries(
+    DIMENSION_FIELDS.map(({ field }) => {
+      const value = dimensions[field];
+      return [
+        field,
+        value === "" || value === null || value === undefined
+          ? null
+          : Math.round(Number(value) * 10) / 10,
+      ];
+    })
+  );
+
+// Short one-line summary of a find's dimensions, e.g. "L 42 mm · Ø 23.3 mm"
+export const formatDimensionsSummary = (photo) => {
+  const prefixes = { length_mm: "L", width_mm: "W", diameter_mm: "Ø" };
+  return DIMENSION_FIELDS.filter(
+    ({ field }) => photo[field] !== null && photo[field] !== undefined
+  )
+    .map(({ field }) => `${prefixes[field]} ${Number(photo[field])} mm`)
+    .join(" · ");
+};
+
+// Format a duration in seconds as m:ss, e.g. 75 -> "1:15"
+export const formatDuration = (seconds) => {
+  const total = Math.round(Number(seconds) || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+// Format a size in bytes for display, e.g. 1536 -> "1.5 KB"
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Check whether a photo has all of the selected tags (names, case-insensitive)
+export const matchesTagFilter = (photo, tagFilter) => {
+  if (!tagFilter || tagFilter.length === 0) return true;
+  const photoTags = (photo.tags || []).map((tag) => tag.name.toLowerCase());
+  return tagFilter.every((name) => photoTags.includes(name.toLowerCase()));
+};
+
+// Read the tag filter from the URL so it is shared by the list and map views
+export const readTagFilterFromURL = () => {
+  const tags = new URLSearchParams(window.location.search).get("tags");
+  return tags ? tags.split(",").filter(Boolean) : [];
+};
+
+// Store the tag filter in the URL without reloading the page
+export const writeTagFilterToURL = (tagFilter) => {
+  const url = new URL(window.location);
+  if (tagFilter.length > 0) {
+    url.searchParams.set("tags", tagFilter.join(","));
+  } else {
+    url.searchParams.delete("tags");
+  }
+  window.history.replaceState({}, "", url);
+};
+
+// Read the list search query from the URL
+export const readSearchQueryFromURL = () =>
+  new URLSearchParams(window.location.search).get("q") || "";
+
+// Store the list search query in the URL without reloading the page
+export const writeSearchQueryToURL = (query) => {
+  const url = new URL(window.location);
+  if (query.trim()) {
+    url.searchParams.set("q", query);
+  } else {
+    url.searchParams.delete("q");
+  }
+  window.history.replaceState({}, "", url);
+};
+
+// Split a search query into lowercase words for highlighting matches
+export const getSearchTerms = (query) =>
+  query
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+// Photo fields shown in the change history, and whether they can be reverted
+export const AUDIT_FIELDS = {
+  name: { label: "Name", revertible: true },
+  description: { label: "Description", revertible: true },
+  type: { label: "Type", revertible: true },
+  status: { label: "Status", revertible: true },
+  lat: { label: "Latitude", revertible: true },
+  lng: { label: "Longitude", revertible: true },
+  altitude: { label: "Altitude", revertible: true },
+  location_source: { label: "Location source", revertible: true },
+  timestamp: { label: "Captured", revertible: true },
+  filename: { label: "Filename", revertible: true },
+  target_id: { label: "Target ID", revertible: true },
+  tone: { label: "Tone", revertible: true },
+  depth_cm: { label: "Depth (cm)", revertible: true },
+  detector_model: { label: "Detector", revertible: true },
+  detector_program: { label: "Program", revertible: true },
+  coil: { label: "Coil", revertible: true },
+  length_mm: { label: "Length (mm)", revertible: true },
+  width_mm: { label: "Width (mm)", revertible: true },
+  diameter_mm: { label: "Diameter (mm)", revertible: true },
+  cover_image_id: { label: "Cover image", revertible: false },
+  storage_path: { label: "Original image", revertible: false },
+  deleted_at: { label: "Trashed", revertible: false },
+  deleted_by: { label: "Trashed by", revertible: false },
+};
+
+export const formatAuditFieldName = (field) =>
+  AUDIT_FIELDS[field]?.label || field;
+
+export const isRevertibleField = (field) =>
+  AUDIT_FIELDS[field]?.revertible === true;
+
+// Format a logged field value for display
+export const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+// Where a find's position came from (photos.location_source)
+export const LOCATION_SOURCES = {
+  exif: "Photo GPS",
+  map: "Map point",
+  device: "Device location",
+};
+
+export const formatLocationSource = (source) =>
+  LOCATION_SOURCES[source] || "Unknown";
+
+// Roles of find images (find_images.role), in the order a find is photographed
+export const IMAGE_ROLES = [
+  { value: "in_situ", label: "In situ" },
+  { value: "as_found", label: "As found" },
+  { value: "cleaned", label: "Cleaned" },
+  { value: "reverse", label: "Reverse" },
+];
+
+export const formatImageRole = (role) =>
+  IMAGE_ROLES.find((option) => option.value === role)?.label || null;
+
+// Before and after cleaning images of a find for the comparison slider: the
+// first cleaned image against the first as-found image, or else the first
+// in-situ image or image without a role. Returns null without a cleaned image.
+export const getBeforeAfterPair = (images) => {
+  const after = images.find((image) => image.role === "cleaned");
+  const before =
+    images.find((image) => image.role === "as_found") ||
+    images.find((image) => image.role === "in_situ") ||
+    images.find((image) => !image.role);
+  return before && after ? { before, after } : null;
+};
+
+// Great-circle distance between two coordinates in meters
+export const getDistanceMeters = (lat1, lng1, lat2, lng2) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(a));
+};
@@ -1,9 +1,82 @@
-import { supabase } from "./supabase";
-import { requireAdmin } from "./lib/utils";
+import { backend } from "./backends";
+import {
+  requireAdmin,
+  normalizeSignal,
+  normalizeDimensions,
+  isRevertibleField,
+  matchesTagFilter,
+  getDistanceMeters,
+} from "./lib/utils";
+import {
+  computeImageHashes,
+  hammingDistance,
+  PHASH_MATCH_THRESHOLD,
+} from "./lib/imageHash";
+import { rotateAnnotations } from "./lib/annotations";
+import { uploadResumable, UploadCancelledError } from "./lib/resumableUpload";
+import {
+  IMAGE_DERIVATIVES,
+  IMAGE_CACHE_CONTROL,
+  getDerivativePath,
+  getDerivativePaths,
+  getRotatedPath,
+  createPathVersion,
+} from "./lib/imageDerivatives";
+import { getCachedImage, removeCachedImages } from "./lib/imageCache";
 
 // Storage bucket name for original images
 const STORAGE_BUCKET = "original-images";
 
+// Seconds a signed image URL stays valid. URLs are reused until shortly
+// before they expire, so repeat views come from the browser's HTTP cache.
+const SIGNED_URL_EXPIRES_IN = 3600;
+const SIGNED_URL_REUSE_MARGIN_MS = 5 * 60 * 1000;
+
+// Days a deleted photo stays in the trash before it is purged
+export const TRASH_RETENTION_DAYS =
+  Number(import.meta.env.VITE_TRASH_RETENTION_DAYS) || 30;
+
+// Largest image accepted for upload, in MB. Captures are compressed to about
+// 2 MB before upload; this only guards against unprocessed files.
+const MAX_IMAGE_SIZE_MB = 10;
+
+// Radius in meters within which a near-identical image counts as a duplicate
+export const DUPLICATE_RADIUS_METERS =
+  Number(import.meta.env.VITE_DUPLICATE_RADIUS_METERS) || 25;
+
+// Tags embedded into photo queries through the photo_tags join table
+const PHOTO_TAGS_COLUMNS = "tags(id, name)";
+
+// Storage paths of the images of a photos or find_images row
+const IMAGE_PATH_COLUMNS =
+  "storage_path, source_path, thumbnail_path, medium_path";
+
+// Photo columns loaded for list and map views (everything except image data)
+const PHOTO_METADATA_COLUMNS = [
+  "id, lat, lng, altitude, location_source, timestamp, filename",
+  "type, status, name, description",
+  "target_id, tone, depth_cm, detector_model, detector_program, coil",
+  "length_mm, width_mm, diameter_mm",
+  IMAGE_PATH_COLUMNS,
+  "created_at",
+  PHOTO_TAGS_COLUMNS,
+].join(", ");
+
+// Find image columns loaded for the gallery (everything except image data)
+const FIND_IMAGE_COLUMNS = `id, photo_id, ${IMAGE_PATH_COLUMNS}, filename, position, role, annotations, created_at`;
+
+// Stored files serving each image size, best first, and the base64 column
+// used for rows stored before derivatives existed
+const IMAGE_SIZE_SOURCES = {
+  thumb: { paths: ["thumbnail_path"], data: "thumbnail_data" },
+  medium: { paths: ["medium_path", "storage_path"], data: "image_data" },
+  original: { paths: ["storage_path"], data: "image_data" },
+};
+
+// Voice memo columns loaded for the memo list
+const VOICE_MEMO_COLUMNS =
+  "id, photo_id, storage_path, mime_type, duration_seconds, created_at";
+
 // Helper function to compress image data
 const compressImage = (
   base64Image,
@@ -42,51 +115,40 @@ const compressImage = (
   });
 };
 
-// Helper function to create thumbnail from base64 image
-// Matches quality settings from regenerate-thumbnails.js: 800x800, quality 85%
-const createThumbnail = (base64Image, maxWidth = 800, maxHeight = 800) => {
-  return new Promise((resolve) => {
+// Rotate an image clockwise by 90, 180 or 270 degrees. Images are stored
+// without EXIF orientation (it is applied when a photo is captured), so the
+// pixels are the only orientation.
+const rotateImage = (base64Image, rotation, quality = 0.92) => {
+  return new Promise((resolve, reject) => {
     const img = new Image();
     img.onload = () => {
+      const quarterTurn = rotation % 180 !== 0;
       const canvas = document.createElement("canvas");
-      const ctx = canvas.getContext("2d");
-
-      // Calculate thumbnail dimensions (fit inside, preserve aspect ratio, without enlargement)
-      // This matches Sharp's behavior: fit: "inside", withoutEnlargement: true
-      let { width, height } = img;
-      
-      // Only resize if image exceeds max dimensions (withoutEnlargement: true)
-      if (width > maxWidth || height > maxHeight) {
-        // Calculate scale factors for both dimensions
-        const scaleX = maxWidth / width;
-        const scaleY = maxHeight / height;
-        
-        // Use the smaller scale to ensure image fits inside bounds (preserves aspect ratio)
-        const scale = Math.min(scaleX, scaleY);
-        
-        width = Math.round(width * scale);
-        height = Math.round(height * scale);
-      }
+      canvas.width = quarterTurn ? img.height : img.width;
+      canvas.height = quarterTurn ? img.width : img.height;
 
-      canvas.width = width;
-      canvas.height = height;
-
-      // Use high-quality image rendering
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = "high";
-
-      // Draw thumbnail with high quality (0.85 = 85% quality, matching regenerate-thumbnails.js)
-      ctx.drawImage(img, 0, 0, width, height);
-      resolve(canvas.toDataURL("image/jpeg", 0.85));
+      const ctx = canvas.getContext("2d");
+      ctx.translate(canvas.width / 2, canvas.height / 2);
+      ctx.rotate((rotation * Math.PI) / 180);
+      ctx.drawImage(img, -img.width / 2, -img.height / 2);
+      resolve(canvas.toDataURL("image/jpeg", quality));
     };
+    img.onerror = reject;
     img.src = base64Image;
   });
 };
 
 // Helper function to validate image size
 const validateImageSize = (base64Image) => {
-  const sizeInBytes = (base64Image.length * 3) / 4; // Approximate size in bytes
-  const maxSizeInMB = 2; // 2MB limit
+  // Exact decoded size of the base64 payload (without prefix and padding)
+  const base64Data = base64Image.split(",")[1] || "";
+  const padding = base64Data.endsWith("==")
+    ? 2
+    : base64Data.endsWith("=")
+      ? 1
+      : 0;
+  const sizeInBytes = (base64Data.length * 3) / 4 - padding;
+  const maxSizeInMB = MAX_IMAGE_SIZE_MB;
   const maxSizeInBytes = maxSizeInMB * 1024 * 1024;
 
   if (sizeInBytes > maxSizeInBytes) {
@@ -111,8 +173,14 @@ const base64ToBlob = (base64Data, contentType = "image/jpeg") => {
   return new Blob([byteArray], { type: contentType });
 };
 
-// Upload original image to Supabase Storage
-const uploadOriginalImage = async (base64Image, filename, userId) => {
+// Upload original image to Supabase Storage (resumable, with progress and
+// cancellation through onProgress and signal)
+const uploadOriginalImage = async (
+  base64Image,
+  filename,
+  userId,
+  { onProgress, signal } = {}
+) => {
   try {
     // Convert base64 to blob
     const blob = base64ToBlob(base64Image);
@@ -122,20 +190,22 @@ const uploadOriginalImage = async (base64Image, filename, userId) => {
     const uniqueFilename = `${userId}/${timestamp}_${filename}`;
 
     // Upload to storage
-    const { data, error } = await supabase.storage
-      .from(STORAGE_BUCKET)
-      .upload(uniqueFilename, blob, {
+    const data = await uploadResumable(
+      backend,
+      STORAGE_BUCKET,
+      uniqueFilename,
+      blob,
+      {
         contentType: "image/jpeg",
-        upsert: false,
-      });
-
-    if (error) {
-      console.error("Error uploading to storage:", error);
-      throw error;
-    }
+        cacheControl: IMAGE_CACHE_CONTROL,
+        onProgress,
+        signal,
+      }
+    );
 
     return data.path;
   } catch (error) {
+    if (error instanceof UploadCancelledError) throw error;
     console.error("Error in uploadOriginalImage:", error);
     throw error;
   }
@@ -144,7 +214,7 @@ const uploadOriginalImage = async (base64Image, filename, userId) => {
 // Download original image from Supabase Storage
 const downloadOriginalImage = async (storagePath) => {
   try {
-    const { data, error } = await supabase.storage
+    const { data, error } = await backend.storage
       .from(STORAGE_BUCKET)
       .download(storagePath);
 
@@ -166,12 +236,214 @@ const downloadOriginalImage = async (storagePath) => {
   }
 };
 
-// Delete original image from Supabase Storage
-const deleteOriginalImage = async (storagePath) => {
+// Upload a rotated copy of the original at sourcePath to a new path, leaving
+// the original untouched. Returns the path of the copy.
+const uploadRotatedOriginal = async (sourcePath, base64Image) => {
+  try {
+    const storagePath = getRotatedPath(sourcePath, createPathVersion());
+    const { error } = await backend.storage
+      .from(STORAGE_BUCKET)
+      .upload(storagePath, base64ToBlob(base64Image), {
+        contentType: "image/jpeg",
+        cacheControl: IMAGE_CACHE_CONTROL,
+        upsert: false,
+      });
+
+    if (error) {
+      console.error("Error uploading rotated image to storage:", error);
+      throw error;
+    }
+
+    return storagePath;
+  } catch (error) {
+    console.error("Error in uploadRotatedOriginal:", error);
+    throw error;
+  }
+};
+
+// Create the derivatives (thumb and medium) of an original image and upload
+// them next to it. Regenerated derivatives get a version so they never reuse
+// the path of earlier ones. Returns their storage paths.
+const uploadImageDerivatives = async (
+  storagePath,
+  base64Image,
+  version = null
+) => {
+  const paths = {};
+  for (const [size, { maxSize, quality }] of Object.entries(
+    IMAGE_DERIVATIVES
+  )) {
+    const resized = await compressImage(base64Image, maxSize, maxSize, quality);
+    const path = getDerivativePath(storagePath, size, version);
+    const { error } = await backend.storage
+      .from(STORAGE_BUCKET)
+      .upload(path, base64ToBlob(resized), {
+        contentType: "image/jpeg",
+        cacheControl: IMAGE_CACHE_CONTROL,
+        upsert: false,
+      });
+
+    if (error) {
+      console.error(`Error uploading ${size} image to storage:`, error);
+      throw error;
+    }
+    paths[size] = path;
+  }
+
+  return { thumbnailPath: paths.thumb, mediumPath: paths.medium };
+};
+
+// Signed URLs by storage path: { url, expiresAt }
+const signedUrlCache = new Map();
+
+// Cached signed URL of a stored file while it stays valid long enough to use
+const getCachedSignedUrl = (storagePath) => {
+  const cached = signedUrlCache.get(storagePath);
+  return cached && cached.expiresAt - SIGNED_URL_REUSE_MARGIN_MS > Date.now()
+    ? cached.url
+    : null;
+};
+
+const cacheSignedUrl = (storagePath, url) => {
+  signedUrlCache.set(storagePath, {
+    url,
+    expiresAt: Date.now() + SIGNED_URL_EXPIRES_IN * 1000,
+  });
+};
+
+// Drop the signed URLs and cached images of deleted files
+const forgetStoredFiles = (storagePaths) => {
+  storagePaths.forEach((path) => signedUrlCache.delete(path));
+  removeCachedImages(storagePaths);
+};
+
+// Short-lived URL of a file in the private bucket
+const createSignedUrl = async (storagePath) => {
+  const cached = getCachedSignedUrl(storagePath);
+  if (cached) return cached;
+
+  const { data, error } = await backend.storage
+    .from(STORAGE_BUCKET)
+    .createSignedUrl(storagePath, SIGNED_URL_EXPIRES_IN);
+
+  if (error) {
+    console.error("Error creating signed URL:", error);
+    throw error;
+  }
+
+  cacheSignedUrl(storagePath, data.signedUrl);
+  return data.signedUrl;
+};
+
+// Signed URLs of several stored files in one request, by storage path
+const createSignedUrls = async (storagePaths) => {
+  const urls = {};
+  const unsignedPaths = [];
+  storagePaths.forEach((storagePath) => {
+    const cached = getCachedSignedUrl(storagePath);
+    if (cached) {
+      urls[storagePath] = cached;
+    } else {
+      unsignedPaths.push(storagePath);
+    }
+  });
+
+  if (unsignedPaths.length > 0) {
+    const { data, error } = await backend.storage
+      .from(STORAGE_BUCKET)
+      .createSignedUrls(unsignedPaths, SIGNED_URL_EXPIRES_IN);
+
+    if (error) {
+      console.error("Error creating signed URLs:", error);
+      throw error;
+    }
+
+    data.forEach(({ path, signedUrl, error: urlError }) => {
+      if (urlError || !signedUrl) return;
+      cacheSignedUrl(path, signedUrl);
+      urls[path] = signedUrl;
+    });
+  }
+
+  return urls;
+};
+
+// URL of an image of a photos or find_images row in the given size: the best
+// stored file through the image cache (keyed by its storage path), or the
+// base64 column for rows stored before derivatives existed. Paths are looked
+// up unless the row already has them.
+const resolveImageUrl = async (table, row, size) => {
+  const { paths, data: dataColumn } = IMAGE_SIZE_SOURCES[size];
+
+  let source = row;
+  if (paths.some((column) => source[column] === undefined)) {
+    const { data, error } = await backend
+      .from(table)
+      .select(paths.join(", "))
+      .eq("id", row.id)
+      .single();
+    if (error) throw error;
+    source = data;
+  }
+
+  const storagePath = paths.map((column) => source[column]).find(Boolean);
+  if (storagePath) {
+    try {
+      return await getCachedImage(storagePath, () =>
+        createSignedUrl(storagePath)
+      );
+    } catch (storageError) {
+      console.error(
+        "Error signing image URL, using database copy:",
+        storageError
+      );
+    }
+  }
+
+  const { data, error } = await backend
+    .from(table)
+    .select(dataColumn)
+    .eq("id", row.id)
+    .single();
+  if (error) throw error;
+  return data[dataColumn] || null;
+};
+
+// Add a displayable thumbnailUrl to photos or find_images rows: signed URLs
+// of the stored thumbnails, the base64 thumbnail for older rows
+const attachThumbnailUrls = async (table, rows) => {
+  const storagePaths = rows.map((row) => row.thumbnail_path).filter(Boolean);
+  const signedUrls =
+    storagePaths.length > 0 ? await createSignedUrls(storagePaths) : {};
+
+  const legacyIds = rows
+    .filter((row) => !signedUrls[row.thumbnail_path])
+    .map((row) => row.id);
+  const legacyThumbnails = {};
+  if (legacyIds.length > 0) {
+    const { data, error } = await backend
+      .from(table)
+      .select("id, thumbnail_data")
+      .in("id", legacyIds);
+    if (error) throw error;
+    data.forEach((row) => {
+      legacyThumbnails[row.id] = row.thumbnail_data;
+    });
+  }
+
+  return rows.map((row) => ({
+    ...row,
+    thumbnailUrl:
+      signedUrls[row.thumbnail_path] || legacyThumbnails[row.id] || null,
+  }));
+};
+
+// Delete files from Supabase Storage
+const deleteStoredFiles = async (storagePaths) => {
   try {
-    const { error } = await supabase.storage
+    const { error } = await backend.storage
       .from(STORAGE_BUCKET)
-      .remove([storagePath]);
+      .remove(storagePaths);
 
     if (error) {
       console.error("Error deleting from storage:", error);
@@ -180,102 +452,375 @@ const deleteOriginalImage = async (storagePath) => {
 
     return true;
   } catch (error) {
-    console.error("Error in deleteOriginalImage:", error);
+    console.error("Error in deleteStoredFiles:", error);
     throw error;
   }
 };
 
-// Save photo to Supabase
-export const savePhotoToDatabase = async (photoData, user) => {
+// Delete the stored files of an image (a photos or find_images row, or just
+// its storage_path): the original, the untouched upload of a rotated image
+// and the derivatives
+const deleteImageFiles = ({
+  storage_path,
+  source_path,
+  thumbnail_path,
+  medium_path,
+}) => {
+  const storagePaths = [
+    ...new Set(
+      [
+        storage_path,
+        source_path,
+        thumbnail_path,
+        medium_path,
+        ...(storage_path ? getDerivativePaths(storage_path) : []),
+      ].filter(Boolean)
+    ),
+  ];
+  forgetStoredFiles(storagePaths);
+  return deleteStoredFiles(storagePaths);
+};
+
+// Upload the original and its derivatives. New images are served from storage
+// only; image_data and thumbnail_data are left empty.
+const prepareImageForStorage = async (
+  imageData,
+  filename,
+  userId,
+  hashes = null,
+  uploadOptions = {}
+) => {
+  // Validate image size before processing
+  validateImageSize(imageData);
+
+  // Fingerprint the original for duplicate detection
+  const { checksum, phash } = hashes || (await computeImageHashes(imageData));
+
+  // Upload original image to storage
+  const storagePath = await uploadOriginalImage(
+    imageData,
+    filename,
+    userId,
+    uploadOptions
+  );
+
+  // Smaller copies served to lists, the map and the gallery
+  let derivativePaths;
   try {
-    // Check admin permission
-    requireAdmin(user);
+    derivativePaths = await uploadImageDerivatives(storagePath, imageData);
+  } catch (error) {
+    try {
+      await deleteImageFiles({ storage_path: storagePath });
+    } catch (cleanupError) {
+      console.error("Error cleaning up uploaded file:", cleanupError);
+    }
+    throw error;
+  }
 
-    // Validate image size before processing
-    validateImageSize(photoData.imageData);
+  return {
+    storagePath,
+    ...derivativePaths,
+    checksum,
+    phash,
+  };
+};
 
-    // Upload original image to storage
-    const storagePath = await uploadOriginalImage(
-      photoData.imageData,
-      photoData.filename || "photo.jpg",
-      user.id
-    );
+// Insert a find_images row for an already prepared image
+const insertFindImage = async (photoId, image, position, userId) => {
+  const { data, error } = await backend
+    .from("find_images")
+    .insert([
+      {
+        photo_id: photoId,
+        storage_path: image.storagePath,
+        thumbnail_path: image.thumbnailPath || null,
+        medium_path: image.mediumPath || null,
+        filename: image.filename,
+        checksum: image.checksum,
+        phash: image.phash,
+        position,
+        role: image.role || null,
+        user_id: userId,
+      },
+    ])
+    .select(FIND_IMAGE_COLUMNS);
+
+  if (error) {
+    throw error;
+  }
+
+  return data[0];
+};
 
-    // Compress the main image to reduce size for database storage
-    const compressedImage = await compressImage(
-      photoData.imageData,
-      800,
-      600,
-      0.8
+// Find images near the given coordinates that are identical or near-identical
+// to the given image hashes, closest match first
+export const findDuplicateImages = async (hashes, lat, lng) => {
+  try {
+    // Bounding box around the coordinates, refined by exact distance below
+    const latDelta = DUPLICATE_RADIUS_METERS / 111320;
+    const lngDelta = latDelta / Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+
+    const { data: photos, error: photosError } = await backend
+      .from("photos")
+      .select("id, name, lat, lng, type, thumbnail_path")
+      .is("deleted_at", null)
+      .gte("lat", lat - latDelta)
+      .lte("lat", lat + latDelta)
+      .gte("lng", lng - lngDelta)
+      .lte("lng", lng + lngDelta);
+
+    if (photosError) {
+      console.error("Error loading nearby photos:", photosError);
+      return { success: false, error: photosError };
+    }
+
+    const nearbyPhotos = photos
+      .map((photo) => ({
+        ...photo,
+        distance: getDistanceMeters(lat, lng, photo.lat, photo.lng),
+      }))
+      .filter((photo) => photo.distance <= DUPLICATE_RADIUS_METERS);
+
+    if (nearbyPhotos.length === 0) {
+      return { success: true, data: [] };
+    }
+
+    const { data: images, error: imagesError } = await backend
+      .from("find_images")
+      .select("id, photo_id, checksum, phash")
+      .in(
+        "photo_id",
+        nearbyPhotos.map((photo) => photo.id)
+      );
+
+    if (imagesError) {
+      console.error("Error loading nearby find images:", imagesError);
+      return { success: false, error: imagesError };
+    }
+
+    const duplicates = images
+      .map((image) => ({
+        image,
+        photo: nearbyPhotos.find((photo) => photo.id === image.photo_id),
+        exact: image.checksum === hashes.checksum,
+        hashDistance: hammingDistance(image.phash, hashes.phash),
+      }))
+      .filter(
+        (match) => match.exact || match.hashDistance <= PHASH_MATCH_THRESHOLD
+      )
+      .sort(
+        (a, b) =>
+          b.exact - a.exact ||
+          a.hashDistance - b.hashDistance ||
+          a.photo.distance - b.photo.distance
+      );
+
+    // Report each find once, by its best matching image
+    const seen = new Set();
+    const matches = duplicates.filter((match) => {
+      if (seen.has(match.photo.id)) return false;
+      seen.add(match.photo.id);
+      return true;
+    });
+
+    const matchedPhotos = await attachThumbnailUrls(
+      "photos",
+      matches.map((match) => match.photo)
     );
+    const data = matches.map((match, index) => ({
+      ...match,
+      photo: matchedPhotos[index],
+    }));
+
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error finding duplicate images:", error);
+    return { success: false, error };
+  }
+};
+
+// Save photo to Supabase. Unless allowDuplicates is set, the save is skipped
+// when a near-identical image exists nearby and the matches are returned as
+// `duplicates` so the caller can ask the user what to do.
+export const savePhotoToDatabase = async (
+  photoData,
+  user,
+  { allowDuplicates = false, onProgress, signal } = {}
+) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const hashes = await computeImageHashes(photoData.imageData);
+
+    if (!allowDuplicates) {
+      const duplicateResult = await findDuplicateImages(
+        hashes,
+        photoData.lat,
+        photoData.lng
+      );
+      if (!duplicateResult.success) {
+        // Don't block uploads in the field when the check itself fails
+        console.warn(
+          "Duplicate check failed, saving anyway:",
+          duplicateResult.error
+        );
+      } else if (duplicateResult.data.length > 0) {
+        console.log("Possible duplicate photo found:", duplicateResult.data);
+        return { success: false, duplicates: duplicateResult.data };
+      }
+    }
 
-    // Create thumbnail with high quality (800x800, 85% quality - matching regenerate-thumbnails.js)
-    const thumbnail = await createThumbnail(compressedImage);
+    // Upload original, compress and create thumbnail
+    const { storagePath, thumbnailPath, mediumPath, checksum, phash } =
+      await prepareImageForStorage(
+        photoData.imageData,
+        photoData.filename || "photo.jpg",
+        user.id,
+        hashes,
+        { onProgress, signal }
+      );
+
+    // Cancelled after the upload finished: don't create the find
+    if (signal?.aborted) {
+      await deleteImageFiles({ storage_path: storagePath });
+      return { success: false, error: new UploadCancelledError() };
+    }
 
-    const { data, error } = await supabase
+    const { data, error } = await backend
       .from("photos")
       .insert([
         {
           lat: photoData.lat,
           lng: photoData.lng,
-          image_data: compressedImage, // Store compressed image for quick access
-          thumbnail_data: thumbnail,
+          altitude: photoData.altitude ?? null,
+          location_source: photoData.locationSource || null,
           storage_path: storagePath, // Store path to original image in storage
+          thumbnail_path: thumbnailPath,
+          medium_path: mediumPath,
           timestamp: photoData.timestamp,
           filename: photoData.filename,
           type: photoData.type || null,
+          status: photoData.status || "target",
           name: photoData.name || null,
           description: photoData.description || null,
+          ...(photoData.signal ? normalizeSignal(photoData.signal) : {}),
           user_id: user.id, // Track which user uploaded the photo
           created_at: new Date().toISOString(),
         },
       ])
-      .select();
+      .select(PHOTO_METADATA_COLUMNS);
 
     if (error) {
       console.error("Error saving photo to database:", error);
       // If database insert fails, clean up the uploaded file
       try {
-        await deleteOriginalImage(storagePath);
+        await deleteImageFiles({ storage_path: storagePath });
       } catch (cleanupError) {
         console.error("Error cleaning up uploaded file:", cleanupError);
       }
       return { success: false, error };
     }
 
-    console.log("Photo saved to database and storage:", data);
-    return { success: true, data: data[0] };
+    // Register the image as the first (cover) image of the find
+    let savedPhoto = data[0];
+    try {
+      const coverImage = await insertFindImage(
+        savedPhoto.id,
+        {
+          storagePath,
+          thumbnailPath,
+          mediumPath,
+          checksum,
+          phash,
+          filename: photoData.filename,
+        },
+        0,
+        user.id
+      );
+      const { error: coverError } = await backend
+        .from("photos")
+        .update({ cover_image_id: coverImage.id })
+        .eq("id", savedPhoto.id);
+      if (coverError) throw coverError;
+      savedPhoto = { ...savedPhoto, cover_image_id: coverImage.id };
+    } catch (imageError) {
+      // The find is still usable through the photos row, so don't fail the save
+      console.error("Error registering find image (non-critical):", imageError);
+    }
+
+    console.log("Photo saved to database and storage:", savedPhoto);
+    return { success: true, data: savedPhoto };
   } catch (error) {
     console.error("Error saving photo:", error);
     return { success: false, error };
   }
 };
 
-// Load photos from Supabase with pagination
-export const loadPhotosFromDatabase = async (limit = 50, offset = 0) => {
+// Encode the position after a photo as an opaque pagination cursor
+const encodePhotoCursor = (photo) =>
+  btoa(JSON.stringify({ createdAt: photo.created_at, id: photo.id }));
+
+// Decode a pagination cursor (throws on malformed cursors)
+const decodePhotoCursor = (cursor) => {
+  const { createdAt, id } = JSON.parse(atob(cursor));
+  if (!createdAt || !Number.isInteger(id)) {
+    throw new Error("Invalid pagination cursor");
+  }
+  return { createdAt, id };
+};
+
+// Cursor for the next page, or null when this was the last page
+const getNextCursor = (data, limit) =>
+  data.length === limit ? encodePhotoCursor(data[data.length - 1]) : null;
+
+// Query one page of photos (newest first) after the given cursor.
+// Keyset pagination on (created_at, id) stays stable when photos are added or
+// deleted between pages, unlike offsets.
+const queryPhotosPage = (columns, limit, cursor) => {
+  let query = backend.from("photos").select(columns).is("deleted_at", null);
+
+  if (cursor) {
+    const { createdAt, id } = decodePhotoCursor(cursor);
+    query = query.or(
+      `created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.lt.${id})`
+    );
+  }
+
+  return query
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false })
+    .limit(limit);
+};
+
+// Load photos from Supabase, one page at a time (pass the previous nextCursor)
+export const loadPhotosFromDatabase = async (limit = 50, cursor = null) => {
   try {
-    const { data, error } = await supabase
-      .from("photos")
-      .select("*")
-      .order("created_at", { ascending: false })
-      .range(offset, offset + limit - 1);
+    const { data, error } = await queryPhotosPage(
+      PHOTO_METADATA_COLUMNS,
+      limit,
+      cursor
+    );
 
     if (error) {
       console.error("Error loading photos from database:", error);
       return { success: false, error };
     }
 
-    // Ensure both imageData and image_data fields are available for compatibility
-    const processedData = data.map((photo) => ({
-      ...photo,
-      imageData: photo.image_data, // Add imageData field for compatibility
-    }));
+    // Images are loaded from storage; imageData holds the thumbnail to display
+    const processedData = (await attachThumbnailUrls("photos", data)).map(
+      (photo) => ({ ...photo, imageData: photo.thumbnailUrl })
+    );
 
     console.log(
       `Photos loaded from database (${processedData.length} photos):`,
       processedData
     );
-    return { success: true, data: processedData };
+    return {
+      success: true,
+      data: processedData,
+      nextCursor: getNextCursor(data, limit),
+    };
   } catch (error) {
     console.error("Error loading photos:", error);
     return { success: false, error };
@@ -286,12 +831,12 @@ export const loadPhotosFromDatabase = async (limit = 50, offset = 0) => {
 export const loadAllPhotosFromDatabase = async () => {
   try {
     const allPhotos = [];
-    let offset = 0;
     const limit = 50;
+    let cursor = null;
     let hasMore = true;
 
     while (hasMore) {
-      const result = await loadPhotosFromDatabase(limit, offset);
+      const result = await loadPhotosFromDatabase(limit, cursor);
 
       if (!result.success) {
         return result;
@@ -299,9 +844,9 @@ export const loadAllPhotosFromDatabase = async () => {
 
       allPhotos.push(...result.data);
 
-      // If we got fewer photos than the limit, we've reached the end
-      hasMore = result.data.length === limit;
-      offset += limit;
+      // No cursor means we've reached the end
+      cursor = result.nextCursor;
+      hasMore = cursor !== null;
 
       // Add a small delay to prevent overwhelming the database
       if (hasMore) {
@@ -321,15 +866,13 @@ export const loadAllPhotosFromDatabase = async () => {
 };
 
 // Load photos metadata only (no image data) for fast initial load
-export const loadPhotosMetadataOnly = async (limit = 50, offset = 0) => {
+export const loadPhotosMetadataOnly = async (limit = 50, cursor = null) => {
   try {
-    const { data, error } = await supabase
-      .from("photos")
-      .select(
-        "id, lat, lng, timestamp, filename, type, name, description, created_at"
-      )
-      .order("created_at", { ascending: false })
-      .range(offset, offset + limit - 1);
+    const { data, error } = await queryPhotosPage(
+      PHOTO_METADATA_COLUMNS,
+      limit,
+      cursor
+    );
 
     if (error) {
       console.error("Error loading photos metadata:", error);
@@ -337,130 +880,176 @@ export const loadPhotosMetadataOnly = async (limit = 50, offset = 0) => {
     }
 
     console.log(`Photos metadata loaded (${data.length} photos)`);
-    return { success: true, data };
+    return { success: true, data, nextCursor: getNextCursor(data, limit) };
   } catch (error) {
     console.error("Error loading photos metadata:", error);
     return { success: false, error };
   }
 };
 
-// Load thumbnail for a single photo
-export const loadPhotoThumbnail = async (photoId) => {
+// Photos inside a map bounding box ({west, south, east, north}) with the
+// storage paths of their images.
+// Zoomed-out views return fewer rows; `truncated` tells the caller the area
+// has more photos than were returned and should be loaded again when zoomed in.
+export const loadPhotosInBounds = async (bbox, zoom) => {
   try {
-    const { data, error } = await supabase
-      .from("photos")
-      .select("thumbnail_data")
-      .eq("id", photoId)
-      .single();
+    const maxRows = zoom >= 12 ? 1000 : 500;
+    const { data, error } = await backend
+      .rpc("photos_in_bounds", {
+        min_lng: bbox.west,
+        min_lat: bbox.south,
+        max_lng: bbox.east,
+        max_lat: bbox.north,
+        max_rows: maxRows,
+      })
+      .select(PHOTO_METADATA_COLUMNS);
 
     if (error) {
-      console.error("Error loading photo thumbnail:", error);
+      console.error("Error loading photos in bounds:", error);
       return { success: false, error };
     }
 
-    return { success: true, data: data.thumbnail_data };
+    console.log(`Photos loaded in bounds (${data.length} photos)`);
+    return { success: true, data, truncated: data.length === maxRows };
   } catch (error) {
-    console.error("Error loading photo thumbnail:", error);
+    console.error("Error loading photos in bounds:", error);
     return { success: false, error };
   }
 };
 
-// Load photos with thumbnails only for better performance
-export const loadPhotosWithThumbnails = async (limit = 50, offset = 0) => {
+// Full-text search over names, descriptions, types and tags (best matches
+// first). Words match as prefixes. Optional filters: status, type (a slug or a
+// list of slugs) and tags (names the photo must all have).
+export const searchPhotos = async (query, filters = {}) => {
   try {
-    const { data, error } = await supabase
-      .from("photos")
-      .select(
-        "id, lat, lng, thumbnail_data, timestamp, filename, type, name, description, created_at"
-      )
-      .order("created_at", { ascending: false })
-      .range(offset, offset + limit - 1);
+    if (!query || !query.trim()) {
+      return { success: true, data: [] };
+    }
+
+    let request = backend
+      .rpc("search_photos", { search_query: query.trim() })
+      .select(PHOTO_METADATA_COLUMNS);
+
+    if (filters.status && filters.status !== "all") {
+      request = request.eq("status", filters.status);
+    }
+    if (Array.isArray(filters.type)) {
+      request = request.in("type", filters.type);
+    } else if (filters.type && filters.type !== "all") {
+      request = request.eq("type", filters.type);
+    }
+
+    const { data, error } = await request;
 
     if (error) {
-      console.error("Error loading photos with thumbnails:", error);
+      console.error("Error searching photos:", error);
       return { success: false, error };
     }
 
-    // Process data to use thumbnail as imageData for display
-    const processedData = data.map((photo) => ({
-      ...photo,
-      imageData: photo.thumbnail_data, // Use thumbnail for display
-      hasFullImage: !!photo.thumbnail_data, // Flag to indicate if full image is available
-    }));
-
-    console.log(
-      `Photos with thumbnails loaded (${processedData.length} photos):`,
-      processedData
+    const results = data.filter((photo) =>
+      matchesTagFilter(photo, filters.tags)
     );
-    return { success: true, data: processedData };
+
+    console.log(`Search "${query}" found ${results.length} photos`);
+    return { success: true, data: results };
   } catch (error) {
-    console.error("Error loading photos with thumbnails:", error);
+    console.error("Error searching photos:", error);
     return { success: false, error };
   }
 };
 
-// Get full image data for a specific photo (for modal view)
-export const getFullImageData = async (photoId) => {
+// Displayable URL of a photo's image in the given size ("thumb", "medium" or
+// "original"), served from the image cache when it was loaded before. Pass a
+// loaded row to skip looking up its storage paths.
+export const getPhotoImageUrl = async (photo, size = "thumb") => {
   try {
-    const { data, error } = await supabase
-      .from("photos")
-      .select("image_data, storage_path")
-      .eq("id", photoId)
-      .single();
-
-    if (error) {
-      console.error("Error loading full image data:", error);
-      return { success: false, error };
+    const url = await resolveImageUrl("photos", photo, size);
+    if (!url) {
+      return { success: false, error: { message: "No image found" } };
     }
-
-    return { success: true, data: data.image_data };
+    return { success: true, data: url };
   } catch (error) {
-    console.error("Error loading full image:", error);
+    console.error("Error loading photo image:", error);
     return { success: false, error };
   }
 };
 
-// Get original image from storage for a specific photo
-export const getOriginalImageData = async (photoId) => {
+// Load photos with thumbnails only for better performance
+export const loadPhotosWithThumbnails = async (limit = 50, cursor = null) => {
   try {
-    const { data, error } = await supabase
-      .from("photos")
-      .select("storage_path")
-      .eq("id", photoId)
-      .single();
+    const { data, error } = await queryPhotosPage(
+      PHOTO_METADATA_COLUMNS,
+      limit,
+      cursor
+    );
 
     if (error) {
-      console.error("Error loading photo storage path:", error);
+      console.error("Error loading photos with thumbnails:", error);
       return { success: false, error };
     }
 
-    if (!data.storage_path) {
-      return {
-        success: false,
-        error: { message: "No original image found in storage" },
-      };
-    }
+    // Process data to use thumbnail as imageData for display
+    const processedData = (await attachThumbnailUrls("photos", data)).map(
+      (photo) => ({
+        ...photo,
+        imageData: photo.thumbnailUrl, // Use thumbnail for display
+        hasFullImage: !!photo.thumbnailUrl, // Flag to indicate if full image is available
+      })
+    );
 
-    // Download original image from storage
-    const originalImageData = await downloadOriginalImage(data.storage_path);
-    return { success: true, data: originalImageData };
+    console.log(
+      `Photos with thumbnails loaded (${processedData.length} photos):`,
+      processedData
+    );
+    return {
+      success: true,
+      data: processedData,
+      nextCursor: getNextCursor(data, limit),
+    };
   } catch (error) {
-    console.error("Error loading original image:", error);
+    console.error("Error loading photos with thumbnails:", error);
     return { success: false, error };
   }
 };
 
+// Get the image URL of a photo for the modal view (medium size)
+export const getFullImageData = (photoId) =>
+  getPhotoImageUrl({ id: photoId }, "medium");
+
+// Get the URL of a photo's original image, falling back to the compressed image
+export const getOriginalImageData = (photoId) =>
+  getPhotoImageUrl({ id: photoId }, "original");
+
 // Update photo type in Supabase
 export const updatePhotoType = async (photoId, newType, user) => {
   try {
     // Check admin permission
     requireAdmin(user);
 
-    const { data, error } = await supabase
+    // Only allow types that exist in the categories table
+    const { data: category, error: categoryError } = await backend
+      .from("categories")
+      .select("slug")
+      .eq("slug", newType)
+      .maybeSingle();
+
+    if (categoryError) {
+      console.error("Error checking photo type category:", categoryError);
+      return { success: false, error: categoryError };
+    }
+
+    if (!category) {
+      return {
+        success: false,
+        error: { message: `Unknown category: ${newType}` },
+      };
+    }
+
+    const { data, error } = await backend
       .from("photos")
       .update({ type: newType })
       .eq("id", photoId)
-      .select();
+      .select(PHOTO_METADATA_COLUMNS);
 
     if (error) {
       console.error("Error updating photo type:", error);
@@ -481,14 +1070,14 @@ export const updatePhotoDetails = async (photoId, name, description, user) => {
     // Check admin permission
     requireAdmin(user);
 
-    const { data, error } = await supabase
+    const { data, error } = await backend
       .from("photos")
       .update({
         name: name || null,
         description: description || null,
       })
       .eq("id", photoId)
-      .select();
+      .select(PHOTO_METADATA_COLUMNS);
 
     if (error) {
       console.error("Error updating photo details:", error);
@@ -503,37 +1092,1209 @@ export const updatePhotoDetails = async (photoId, name, description, user) => {
   }
 };
 
-// Delete photo from Supabase
-export const deletePhotoFromDatabase = async (photoId, user) => {
+// Update detector signal and dig metadata (target ID, tone, depth, detector setup)
+export const updatePhotoSignal = async (photoId, signal, user) => {
   try {
     // Check admin permission
     requireAdmin(user);
 
-    // First, get the storage path before deleting from database
-    const { data: photoData, error: fetchError } = await supabase
+    const { data, error } = await backend
       .from("photos")
-      .select("storage_path")
+      .update(normalizeSignal(signal))
       .eq("id", photoId)
-      .single();
+      .select(
+        "id, target_id, tone, depth_cm, detector_model, detector_program, coil"
+      );
 
-    if (fetchError) {
-      console.error("Error fetching photo storage path:", fetchError);
-      // Continue with database deletion even if we can't get storage path
+    if (error) {
+      console.error("Error updating photo signal:", error);
+      return { success: false, error };
     }
 
-    // Delete from database
-    const { error } = await supabase.from("photos").delete().eq("id", photoId);
+    console.log("Photo signal updated in database:", data);
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error("Error updating photo signal:", error);
+    return { success: false, error };
+  }
+};
+
+// Update the measured dimensions of a find (length, width, diameter in mm)
+export const updatePhotoDimensions = async (photoId, dimensions, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { data, error } = await backend
+      .from("photos")
+      .update(normalizeDimensions(dimensions))
+      .eq("id", photoId)
+      .select("id, length_mm, width_mm, diameter_mm");
 
     if (error) {
-      console.error("Error deleting photo from database:", error);
+      console.error("Error updating photo dimensions:", error);
       return { success: false, error };
     }
 
-    // Delete from storage if storage path exists
-    if (photoData && photoData.storage_path) {
+    console.log("Photo dimensions updated in database:", data);
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error("Error updating photo dimensions:", error);
+    return { success: false, error };
+  }
+};
+
+// Update photo lifecycle status in Supabase.
+// The transition (who/when) is recorded by a database trigger.
+export const updatePhotoStatus = async (photoId, newStatus, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { data, error } = await backend
+      .from("photos")
+      .update({ status: newStatus })
+      .eq("id", photoId)
+      .select("id, status");
+
+    if (error) {
+      console.error("Error updating photo status:", error);
+      return { success: false, error };
+    }
+
+    console.log("Photo status updated in database:", data);
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error("Error updating photo status:", error);
+    return { success: false, error };
+  }
+};
+
+// Load the status transition history of a photo (newest first)
+export const loadPhotoStatusHistory = async (photoId) => {
+  try {
+    const { data, error } = await backend
+      .from("photo_status_history")
+      .select(
+        "id, from_status, to_status, changed_by, changed_by_email, changed_at"
+      )
+      .eq("photo_id", photoId)
+      .order("changed_at", { ascending: false });
+
+    if (error) {
+      console.error("Error loading photo status history:", error);
+      return { success: false, error };
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error loading photo status history:", error);
+    return { success: false, error };
+  }
+};
+
+// Load the change history of a photo (newest first)
+export const loadPhotoAuditLog = async (photoId) => {
+  try {
+    const { data, error } = await backend
+      .from("photo_audit_log")
+      .select(
+        "id, action, field, old_value, new_value, changed_by, changed_by_email, changed_at"
+      )
+      .eq("photo_id", photoId)
+      .order("changed_at", { ascending: false })
+      .order("id", { ascending: false });
+
+    if (error) {
+      console.error("Error loading photo audit log:", error);
+      return { success: false, error };
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error loading photo audit log:", error);
+    return { success: false, error };
+  }
+};
+
+// Set a single field of a photo back to a previous value from the audit log
+export const revertPhotoField = async (photoId, field, value, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    if (!isRevertibleField(field)) {
+      return {
+        success: false,
+        error: { message: `Field cannot be reverted: ${field}` },
+      };
+    }
+
+    const { data, error } = await backend
+      .from("photos")
+      .update({ [field]: value })
+      .eq("id", photoId)
+      .select(`id, ${field}`);
+
+    if (error) {
+      console.error("Error reverting photo field:", error);
+      return { success: false, error };
+    }
+
+    console.log(`Photo ${photoId} field ${field} reverted:`, data);
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error("Error reverting photo field:", error);
+    return { success: false, error };
+  }
+};
+
+// Normalize a tag name: trim and collapse whitespace. Commas are not allowed
+// because the tag filter is stored comma-separated in the URL.
+const normalizeTagName = (name) =>
+  name.replace(/,/g, " ").trim().replace(/\s+/g, " ");
+
+// Load all tags with how many photos use them (for autocomplete and filters)
+export const loadTags = async () => {
+  try {
+    const { data, error } = await backend
+      .from("tags")
+      .select("id, name, photo_tags(count)")
+      .order("name", { ascending: true });
+
+    if (error) {
+      console.error("Error loading tags:", error);
+      return { success: false, error };
+    }
+
+    const tags = data.map((tag) => ({
+      id: tag.id,
+      name: tag.name,
+      count: tag.photo_tags?.[0]?.count || 0,
+    }));
+
+    return { success: true, data: tags };
+  } catch (error) {
+    console.error("Error loading tags:", error);
+    return { success: false, error };
+  }
+};
+
+// Add a tag to a photo, creating the tag if it doesn't exist yet
+export const addPhotoTag = async (photoId, tagName, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const name = normalizeTagName(tagName);
+    if (!name) {
+      return { success: false, error: { message: "Tag name is required" } };
+    }
+
+    // Reuse an existing tag with the same name (case-insensitive)
+    const { data: existingTag, error: findError } = await backend
+      .from("tags")
+      .select("id, name")
+      .ilike("name", name.replace(/[\\%_]/g, "\\$&"))
+      .maybeSingle();
+
+    if (findError) {
+      console.error("Error finding tag:", findError);
+      return { success: false, error: findError };
+    }
+
+    let tag = existingTag;
+    if (!tag) {
+      const { data: newTag, error: createError } = await backend
+        .from("tags")
+        .insert([{ name }])
+        .select("id, name")
+        .single();
+
+      if (createError) {
+        console.error("Error creating tag:", createError);
+        return { success: false, error: createError };
+      }
+      tag = newTag;
+    }
+
+    const { error } = await backend
+      .from("photo_tags")
+      .upsert([{ photo_id: photoId, tag_id: tag.id }], {
+        onConflict: "photo_id,tag_id",
+        ignoreDuplicates: true,
+      });
+
+    if (error) {
+      console.error("Error adding tag to photo:", error);
+      return { success: false, error };
+    }
+
+    console.log(`Tag "${tag.name}" added to photo ${photoId}`);
+    return { success: true, data: tag };
+  } catch (error) {
+    console.error("Error adding tag to photo:", error);
+    return { success: false, error };
+  }
+};
+
+// Remove a tag from a photo (the tag itself is kept)
+export const removePhotoTag = async (photoId, tagId, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { error } = await backend
+      .from("photo_tags")
+      .delete()
+      .eq("photo_id", photoId)
+      .eq("tag_id", tagId);
+
+    if (error) {
+      console.error("Error removing tag from photo:", error);
+      return { success: false, error };
+    }
+
+    console.log(`Tag ${tagId} removed from photo ${photoId}`);
+    return { success: true };
+  } catch (error) {
+    console.error("Error removing tag from photo:", error);
+    return { success: false, error };
+  }
+};
+
+// Rename a tag everywhere it is used
+export const renameTag = async (tagId, newName, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const name = normalizeTagName(newName);
+    if (!name) {
+      return { success: false, error: { message: "Tag name is required" } };
+    }
+
+    const { data, error } = await backend
+      .from("tags")
+      .update({ name })
+      .eq("id", tagId)
+      .select("id, name");
+
+    if (error) {
+      console.error("Error renaming tag:", error);
+      return { success: false, error };
+    }
+
+    console.log("Tag renamed in database:", data);
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error("Error renaming tag:", error);
+    return { success: false, error };
+  }
+};
+
+// Delete a tag and remove it from all photos
+export const deleteTag = async (tagId, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { error } = await backend.from("tags").delete().eq("id", tagId);
+
+    if (error) {
+      console.error("Error deleting tag:", error);
+      return { success: false, error };
+    }
+
+    console.log("Tag deleted from database");
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting tag:", error);
+    return { success: false, error };
+  }
+};
+
+// Load the gallery images of a find (thumbnails only), in gallery order
+export const loadFindImages = async (photoId) => {
+  try {
+    const [imagesResult, photoResult] = await Promise.all([
+      backend
+        .from("find_images")
+        .select(FIND_IMAGE_COLUMNS)
+        .eq("photo_id", photoId)
+        .order("position", { ascending: true })
+        .order("id", { ascending: true }),
+      backend
+        .from("photos")
+        .select("cover_image_id")
+        .eq("id", photoId)
+        .single(),
+    ]);
+
+    const error = imagesResult.error || photoResult.error;
+    if (error) {
+      console.error("Error loading find images:", error);
+      return { success: false, error };
+    }
+
+    const images = imagesResult.data.map((image) => ({
+      ...image,
+      annotations: image.annotations || [],
+      isCover: image.id === photoResult.data.cover_image_id,
+    }));
+
+    return {
+      success: true,
+      data: await attachThumbnailUrls("find_images", images),
+    };
+  } catch (error) {
+    console.error("Error loading find images:", error);
+    return { success: false, error };
+  }
+};
+
+// Get the URL of a gallery image in the given size ("thumb", "medium" or
+// "original") through the image cache, falling back to the compressed copy
+// in the database
+export const getFindImageData = async (imageId, size = "original") => {
+  try {
+    const url = await resolveImageUrl("find_images", { id: imageId }, size);
+    if (!url) {
+      return { success: false, error: { message: "No image data found" } };
+    }
+
+    return { success: true, data: url };
+  } catch (error) {
+    console.error("Error loading find image:", error);
+    return { success: false, error };
+  }
+};
+
+// Set which gallery image is the cover of a find. The cover is copied onto
+// the photos row so list, map and thumbnail loading keep working unchanged.
+export const setFindImageCover = async (photoId, imageId, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { data: image, error: imageError } = await backend
+      .from("find_images")
+      .select(`id, ${IMAGE_PATH_COLUMNS}, rotation, filename`)
+      .eq("id", imageId)
+      .eq("photo_id", photoId)
+      .single();
+
+    if (imageError) {
+      console.error("Error loading cover image:", imageError);
+      return { success: false, error: imageError };
+    }
+
+    // Only images without derivatives need their base64 copies on the photos row
+    let imageDataColumns = { image_data: null, thumbnail_data: null };
+    if (!image.thumbnail_path) {
+      const { data: legacyImage, error: legacyError } = await backend
+        .from("find_images")
+        .select("image_data, thumbnail_data")
+        .eq("id", imageId)
+        .single();
+
+      if (legacyError) {
+        console.error("Error loading cover image data:", legacyError);
+        return { success: false, error: legacyError };
+      }
+      imageDataColumns = legacyImage;
+    }
+
+    const { data, error } = await backend
+      .from("photos")
+      .update({
+        cover_image_id: image.id,
+        ...imageDataColumns,
+        storage_path: image.storage_path,
+        source_path: image.source_path,
+        thumbnail_path: image.thumbnail_path,
+        medium_path: image.medium_path,
+        rotation: image.rotation ?? 0,
+        filename: image.filename,
+      })
+      .eq("id", photoId)
+      .select(`id, cover_image_id, ${IMAGE_PATH_COLUMNS}, filename`);
+
+    if (error) {
+      console.error("Error setting find cover image:", error);
+      return { success: false, error };
+    }
+
+    console.log("Find cover image updated in database:", data);
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error("Error setting find cover image:", error);
+    return { success: false, error };
+  }
+};
+
+// Save the vector annotations drawn on a find image
+export const updateFindImageAnnotations = async (
+  imageId,
+  annotations,
+  user
+) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { data, error } = await backend
+      .from("find_images")
+      .update({ annotations })
+      .eq("id", imageId)
+      .select("id, annotations");
+
+    if (error) {
+      console.error("Error saving image annotations:", error);
+      return { success: false, error };
+    }
+
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error("Error saving image annotations:", error);
+    return { success: false, error };
+  }
+};
+
+// Set the role of a find image (see IMAGE_ROLES), or clear it with null
+export const updateFindImageRole = async (imageId, role, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { data, error } = await backend
+      .from("find_images")
+      .update({ role })
+      .eq("id", imageId)
+      .select("id, role");
+
+    if (error) {
+      console.error("Error updating image role:", error);
+      return { success: false, error };
+    }
+
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error("Error updating image role:", error);
+    return { success: false, error };
+  }
+};
+
+// Load the annotations of a find image, or of the find's cover image when
+// imageId is null
+export const loadImageAnnotations = async (photoId, imageId = null) => {
+  try {
+    let annotatedImageId = imageId;
+    if (!annotatedImageId) {
+      const { data, error } = await backend
+        .from("photos")
+        .select("cover_image_id")
+        .eq("id", photoId)
+        .single();
+
+      if (error) {
+        console.error("Error loading cover image id:", error);
+        return { success: false, error };
+      }
+      annotatedImageId = data.cover_image_id;
+    }
+
+    if (!annotatedImageId) {
+      return { success: true, data: [] };
+    }
+
+    const { data, error } = await backend
+      .from("find_images")
+      .select("annotations")
+      .eq("id", annotatedImageId)
+      .single();
+
+    if (error) {
+      console.error("Error loading image annotations:", error);
+      return { success: false, error };
+    }
+
+    return { success: true, data: data.annotations || [] };
+  } catch (error) {
+    console.error("Error loading image annotations:", error);
+    return { success: false, error };
+  }
+};
+
+// Rotate a find image 90° clockwise. The uploaded original stays untouched
+// (source_path) and the total rotation is rendered from it into a new
+// original, so rotating again loses no quality; the derivatives are
+// regenerated from that at new paths. An image stored only in the
+// database is uploaded first to become the untouched original. imageId null
+// rotates the image of a find without find_images rows. Returns the rotated
+// full image, a thumbnail URL and the new storage paths.
+export const rotateFindImage = async (photoId, imageId, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { data: source, error: sourceError } = imageId
+      ? await backend
+          .from("find_images")
+          .select(`id, ${IMAGE_PATH_COLUMNS}, rotation, filename, annotations`)
+          .eq("id", imageId)
+          .eq("photo_id", photoId)
+          .single()
+      : await backend
+          .from("photos")
+          .select(`id, ${IMAGE_PATH_COLUMNS}, rotation, filename`)
+          .eq("id", photoId)
+          .single();
+
+    if (sourceError) {
+      console.error("Error loading image to rotate:", sourceError);
+      return { success: false, error: sourceError };
+    }
+
+    const rotation = ((source.rotation || 0) + 90) % 360;
+    let sourcePath = source.source_path || source.storage_path;
+    let original;
+    // Files written here, removed again if the rotation can't be saved
+    const uploadedPaths = [];
+
+    try {
+      if (sourcePath) {
+        original = await downloadOriginalImage(sourcePath);
+      } else {
+        const { data: legacyImage, error: legacyError } = await backend
+          .from(imageId ? "find_images" : "photos")
+          .select("image_data")
+          .eq("id", source.id)
+          .single();
+        if (legacyError) throw legacyError;
+
+        original = legacyImage.image_data;
+        sourcePath = await uploadOriginalImage(
+          original,
+          source.filename || "photo.jpg",
+          user.id
+        );
+        uploadedPaths.push(sourcePath);
+      }
+
+      // Back at 0° the upload itself is the original again
+      let storagePath = sourcePath;
+      let rotatedOriginal = original;
+      if (rotation !== 0) {
+        rotatedOriginal = await rotateImage(original, rotation);
+        storagePath = await uploadRotatedOriginal(sourcePath, rotatedOriginal);
+        uploadedPaths.push(storagePath);
+      }
+
+      const { thumbnailPath, mediumPath } = await uploadImageDerivatives(
+        storagePath,
+        rotatedOriginal,
+        createPathVersion()
+      );
+      uploadedPaths.push(thumbnailPath, mediumPath);
+
+      // Served from storage now, so older base64 copies are dropped
+      const imageColumns = {
+        image_data: null,
+        thumbnail_data: null,
+        storage_path: storagePath,
+        source_path: storagePath === sourcePath ? null : sourcePath,
+        thumbnail_path: thumbnailPath,
+        medium_path: mediumPath,
+        rotation,
+      };
+
+      // Annotations are relative to the image, so they turn with it
+      const annotations = rotateAnnotations(source.annotations || []);
+
+      if (imageId) {
+        const hashes = await computeImageHashes(rotatedOriginal);
+        const { error } = await backend
+          .from("find_images")
+          .update({ ...imageColumns, ...hashes, annotations })
+          .eq("id", imageId);
+
+        if (error) {
+          console.error("Error saving rotated find image:", error);
+          throw error;
+        }
+      }
+
+      // The find's own image columns mirror its cover image
+      let photoQuery = backend
+        .from("photos")
+        .update(imageColumns)
+        .eq("id", photoId);
+      if (imageId) {
+        photoQuery = photoQuery.eq("cover_image_id", imageId);
+      }
+      const { data: updatedPhotos, error: photoError } =
+        await photoQuery.select("id");
+
+      if (photoError) {
+        console.error("Error saving rotated cover image:", photoError);
+        throw photoError;
+      }
+
+      // Remove the previous rotated copy and derivatives (never the upload)
+      const stalePaths = [
+        source.storage_path !== sourcePath && source.storage_path,
+        source.thumbnail_path,
+        source.medium_path,
+      ].filter((path) => path && !uploadedPaths.includes(path));
+      if (stalePaths.length > 0) {
+        try {
+          forgetStoredFiles(stalePaths);
+          await deleteStoredFiles(stalePaths);
+        } catch (storageError) {
+          console.error(
+            "Error deleting previous rotation from storage (non-critical):",
+            storageError
+          );
+        }
+      }
+
+      console.log("Find image rotated:", imageId || `find ${photoId}`);
+      return {
+        success: true,
+        data: {
+          image_data: rotatedOriginal,
+          thumbnailUrl: await createSignedUrl(thumbnailPath),
+          paths: {
+            storage_path: imageColumns.storage_path,
+            source_path: imageColumns.source_path,
+            thumbnail_path: imageColumns.thumbnail_path,
+            medium_path: imageColumns.medium_path,
+          },
+          annotations,
+          isCover: updatedPhotos.length > 0,
+        },
+      };
+    } catch (error) {
+      if (uploadedPaths.length > 0) {
+        try {
+          await deleteStoredFiles(uploadedPaths);
+        } catch (cleanupError) {
+          console.error("Error cleaning up uploaded files:", cleanupError);
+        }
+      }
+      throw error;
+    }
+  } catch (error) {
+    console.error("Error rotating find image:", error);
+    return { success: false, error };
+  }
+};
+
+// Add an image to an existing find, optionally with its role (e.g. "cleaned")
+export const uploadFindImage = async (
+  photoId,
+  imageData,
+  filename,
+  user,
+  { onProgress, signal, role = null } = {}
+) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { data: lastImage, error: positionError } = await backend
+      .from("find_images")
+      .select("position")
+      .eq("photo_id", photoId)
+      .order("position", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (positionError) {
+      console.error("Error loading find image positions:", positionError);
+      return { success: false, error: positionError };
+    }
+
+    const prepared = await prepareImageForStorage(
+      imageData,
+      filename || "photo.jpg",
+      user.id,
+      null,
+      { onProgress, signal }
+    );
+
+    let image;
+    try {
+      image = await insertFindImage(
+        photoId,
+        { ...prepared, filename, role },
+        lastImage ? lastImage.position + 1 : 0,
+        user.id
+      );
+    } catch (insertError) {
+      console.error("Error saving find image to database:", insertError);
+      // If database insert fails, clean up the uploaded file
+      try {
+        await deleteImageFiles({ storage_path: prepared.storagePath });
+      } catch (cleanupError) {
+        console.error("Error cleaning up uploaded file:", cleanupError);
+      }
+      return { success: false, error: insertError };
+    }
+
+    // The first image of a find becomes its cover
+    if (!lastImage) {
+      await setFindImageCover(photoId, image.id, user);
+    }
+
+    console.log("Find image saved to database and storage:", image);
+    return {
+      success: true,
+      data: {
+        ...(await attachThumbnailUrls("find_images", [image]))[0],
+        isCover: !lastImage,
+      },
+    };
+  } catch (error) {
+    console.error("Error uploading find image:", error);
+    return { success: false, error };
+  }
+};
+
+// Reorder the gallery images of a find
+export const reorderFindImages = async (photoId, orderedImageIds, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const results = await Promise.all(
+      orderedImageIds.map((imageId, position) =>
+        backend
+          .from("find_images")
+          .update({ position })
+          .eq("id", imageId)
+          .eq("photo_id", photoId)
+      )
+    );
+
+    const failed = results.find((result) => result.error);
+    if (failed) {
+      console.error("Error reordering find images:", failed.error);
+      return { success: false, error: failed.error };
+    }
+
+    console.log("Find images reordered in database");
+    return { success: true };
+  } catch (error) {
+    console.error("Error reordering find images:", error);
+    return { success: false, error };
+  }
+};
+
+// Delete a gallery image. A find always keeps at least one image; deleting
+// the cover promotes the next image in the gallery.
+export const deleteFindImage = async (imageId, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { data: image, error: fetchError } = await backend
+      .from("find_images")
+      .select(`id, photo_id, ${IMAGE_PATH_COLUMNS}`)
+      .eq("id", imageId)
+      .single();
+
+    if (fetchError) {
+      console.error("Error fetching find image:", fetchError);
+      return { success: false, error: fetchError };
+    }
+
+    const imagesResult = await loadFindImages(image.photo_id);
+    if (!imagesResult.success) {
+      return imagesResult;
+    }
+
+    const remainingImages = imagesResult.data.filter((i) => i.id !== imageId);
+    if (remainingImages.length === 0) {
+      return {
+        success: false,
+        error: { message: "A find must keep at least one image" },
+      };
+    }
+
+    const wasCover = imagesResult.data.find((i) => i.id === imageId)?.isCover;
+    if (wasCover) {
+      const coverResult = await setFindImageCover(
+        image.photo_id,
+        remainingImages[0].id,
+        user
+      );
+      if (!coverResult.success) {
+        return coverResult;
+      }
+    }
+
+    const { error } = await backend
+      .from("find_images")
+      .delete()
+      .eq("id", imageId);
+
+    if (error) {
+      console.error("Error deleting find image from database:", error);
+      return { success: false, error };
+    }
+
+    // Delete from storage if storage path exists
+    if (image.storage_path) {
+      try {
+        await deleteImageFiles(image);
+        console.log("Find image deleted from storage");
+      } catch (storageError) {
+        console.error(
+          "Error deleting from storage (non-critical):",
+          storageError
+        );
+      }
+    }
+
+    console.log("Find image deleted from database and storage");
+    return {
+      success: true,
+      data: { newCoverImageId: wasCover ? remainingImages[0].id : null },
+    };
+  } catch (error) {
+    console.error("Error deleting find image:", error);
+    return { success: false, error };
+  }
+};
+
+// Load the full-size image of a find for export: a gallery image, or the
+// find's own image (original from storage, falling back to the compressed image)
+export const loadExportImageData = (photoId, imageId = null) =>
+  imageId
+    ? getFindImageData(imageId, "original")
+    : getOriginalImageData(photoId);
+
+// Record exported images in the share log
+export const recordImageShares = async (shares, user) => {
+  try {
+    if (!user) {
+      throw new Error("Authentication required");
+    }
+
+    const { data, error } = await backend
+      .from("image_shares")
+      .insert(
+        shares.map((share) => ({
+          photo_id: share.photoId,
+          image_id: share.imageId || null,
+          shared_with: share.sharedWith.trim(),
+          location_precision: share.locationPrecision,
+          watermark: share.watermark?.trim() || null,
+          user_id: user.id,
+          shared_by_email: user.email,
+        }))
+      )
+      .select();
+
+    if (error) {
+      console.error("Error recording image shares:", error);
+      return { success: false, error };
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error recording image shares:", error);
+    return { success: false, error };
+  }
+};
+
+// Load the share log of a find (newest first)
+export const loadImageShares = async (photoId) => {
+  try {
+    const { data, error } = await backend
+      .from("image_shares")
+      .select(
+        "id, image_id, shared_with, location_precision, watermark, shared_by_email, created_at"
+      )
+      .eq("photo_id", photoId)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      console.error("Error loading image shares:", error);
+      return { success: false, error };
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error loading image shares:", error);
+    return { success: false, error };
+  }
+};
+
+// File extension of a recorded audio type, e.g. "audio/webm;codecs=opus" -> "webm"
+const getAudioExtension = (mimeType) =>
+  ({ "audio/mp4": "m4a", "audio/ogg": "ogg" })[mimeType.split(";")[0]] ||
+  "webm";
+
+// Upload a voice memo recorded for a find and save it to the find
+export const uploadVoiceMemo = async (
+  photoId,
+  audioBlob,
+  durationSeconds,
+  user
+) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const mimeType = audioBlob.type || "audio/webm";
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const storagePath = `${user.id}/memos/${timestamp}_find-${photoId}.${getAudioExtension(mimeType)}`;
+
+    const { error: uploadError } = await backend.storage
+      .from(STORAGE_BUCKET)
+      .upload(storagePath, audioBlob, { contentType: mimeType });
+
+    if (uploadError) {
+      console.error("Error uploading voice memo:", uploadError);
+      return { success: false, error: uploadError };
+    }
+
+    const { data, error } = await backend
+      .from("voice_memos")
+      .insert([
+        {
+          photo_id: photoId,
+          storage_path: storagePath,
+          mime_type: mimeType,
+          duration_seconds: Math.round(durationSeconds * 10) / 10,
+          user_id: user.id,
+        },
+      ])
+      .select(VOICE_MEMO_COLUMNS);
+
+    if (error) {
+      console.error("Error saving voice memo:", error);
+      // If database insert fails, clean up the uploaded file
+      try {
+        await deleteStoredFiles([storagePath]);
+      } catch (cleanupError) {
+        console.error("Error cleaning up uploaded file:", cleanupError);
+      }
+      return { success: false, error };
+    }
+
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error("Error uploading voice memo:", error);
+    return { success: false, error };
+  }
+};
+
+// Load the voice memos of a find (oldest first)
+export const loadVoiceMemos = async (photoId) => {
+  try {
+    const { data, error } = await backend
+      .from("voice_memos")
+      .select(VOICE_MEMO_COLUMNS)
+      .eq("photo_id", photoId)
+      .order("created_at", { ascending: true });
+
+    if (error) {
+      console.error("Error loading voice memos:", error);
+      return { success: false, error };
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error loading voice memos:", error);
+    return { success: false, error };
+  }
+};
+
+// Download the audio of a voice memo as a Blob for playback
+export const loadVoiceMemoAudio = async (storagePath) => {
+  try {
+    const { data, error } = await backend.storage
+      .from(STORAGE_BUCKET)
+      .download(storagePath);
+
+    if (error) {
+      console.error("Error downloading voice memo:", error);
+      return { success: false, error };
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    console.error("Error downloading voice memo:", error);
+    return { success: false, error };
+  }
+};
+
+// Delete a voice memo and its stored audio
+export const deleteVoiceMemo = async (memo, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { error } = await backend
+      .from("voice_memos")
+      .delete()
+      .eq("id", memo.id);
+
+    if (error) {
+      console.error("Error deleting voice memo:", error);
+      return { success: false, error };
+    }
+
+    try {
+      await deleteStoredFiles([memo.storage_path]);
+    } catch (storageError) {
+      console.error(
+        "Error deleting voice memo from storage (non-critical):",
+        storageError
+      );
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting voice memo:", error);
+    return { success: false, error };
+  }
+};
+
+// Move a photo to the trash (the row, its voice memos and the stored images
+// and audio are kept until it is purged)
+export const deletePhotoFromDatabase = async (photoId, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { data, error } = await backend
+      .from("photos")
+      .update({ deleted_at: new Date().toISOString(), deleted_by: user.id })
+      .eq("id", photoId)
+      .select("id, deleted_at");
+
+    if (error) {
+      console.error("Error moving photo to trash:", error);
+      return { success: false, error };
+    }
+
+    console.log("Photo moved to trash:", data);
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error("Error moving photo to trash:", error);
+    return { success: false, error };
+  }
+};
+
+// Load photos in the trash (newest deletions first)
+export const loadTrashedPhotos = async () => {
+  try {
+    const { data, error } = await backend
+      .from("photos")
+      .select(`${PHOTO_METADATA_COLUMNS}, deleted_at`)
+      .not("deleted_at", "is", null)
+      .order("deleted_at", { ascending: false });
+
+    if (error) {
+      console.error("Error loading trashed photos:", error);
+      return { success: false, error };
+    }
+
+    return { success: true, data: await attachThumbnailUrls("photos", data) };
+  } catch (error) {
+    console.error("Error loading trashed photos:", error);
+    return { success: false, error };
+  }
+};
+
+// Restore a photo from the trash
+export const restorePhoto = async (photoId, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const { data, error } = await backend
+      .from("photos")
+      .update({ deleted_at: null, deleted_by: null })
+      .eq("id", photoId)
+      .select("id");
+
+    if (error) {
+      console.error("Error restoring photo:", error);
+      return { success: false, error };
+    }
+
+    console.log("Photo restored from trash:", data);
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error("Error restoring photo:", error);
+    return { success: false, error };
+  }
+};
+
+// Permanently delete a photo and its stored images and voice memos from Supabase
+export const purgePhotoFromDatabase = async (photoId, user) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    // First, get the storage path before deleting from database
+    const { data: photoData, error: fetchError } = await backend
+      .from("photos")
+      .select(IMAGE_PATH_COLUMNS)
+      .eq("id", photoId)
+      .single();
+
+    if (fetchError) {
+      console.error("Error fetching photo storage path:", fetchError);
+      // Continue with database deletion even if we can't get storage path
+    }
+
+    // Get the storage paths of all gallery images of the find
+    const { data: imagesData, error: imagesError } = await backend
+      .from("find_images")
+      .select(`id, ${IMAGE_PATH_COLUMNS}`)
+      .eq("photo_id", photoId);
+
+    if (imagesError) {
+      console.error("Error fetching find image storage paths:", imagesError);
+    }
+
+    // Get the storage paths of the find's voice memos
+    const { data: memosData, error: memosError } = await backend
+      .from("voice_memos")
+      .select("storage_path")
+      .eq("photo_id", photoId);
+
+    if (memosError) {
+      console.error("Error fetching voice memo storage paths:", memosError);
+    }
+
+    // Delete from database (find_images and voice_memos rows are removed by
+    // ON DELETE CASCADE)
+    const { error } = await backend.from("photos").delete().eq("id", photoId);
+
+    if (error) {
+      console.error("Error deleting photo from database:", error);
+      return { success: false, error };
+    }
+
+    // Delete from storage if storage paths exist (the photos row repeats the
+    // paths of its cover image)
+    const storedImages = new Map(
+      [photoData, ...(imagesData || [])]
+        .filter((image) => image?.storage_path)
+        .map((image) => [image.storage_path, image])
+    );
+    for (const image of storedImages.values()) {
       try {
-        await deleteOriginalImage(photoData.storage_path);
-        console.log("Original image deleted from storage");
+        await deleteImageFiles(image);
+        console.log("Image deleted from storage");
       } catch (storageError) {
         console.error(
           "Error deleting from storage (non-critical):",
@@ -542,6 +2303,18 @@ export const deletePhotoFromDatabase = async (photoId, user) => {
         // Don't fail the entire operation if storage deletion fails
       }
     }
+    const memoPaths = (memosData || []).map((m) => m.storage_path);
+    if (memoPaths.length > 0) {
+      try {
+        await deleteStoredFiles(memoPaths);
+        console.log("Voice memos deleted from storage");
+      } catch (storageError) {
+        console.error(
+          "Error deleting voice memos from storage (non-critical):",
+          storageError
+        );
+      }
+    }
 
     console.log("Photo deleted from database and storage");
     return { success: true };
@@ -550,3 +2323,43 @@ export const deletePhotoFromDatabase = async (photoId, user) => {
     return { success: false, error };
   }
 };
+
+// Permanently delete trashed photos older than the retention period (used by
+// the local backends; Supabase runs the purge-expired-trash job instead)
+export const purgeExpiredTrash = async (
+  user,
+  retentionDays = TRASH_RETENTION_DAYS
+) => {
+  try {
+    // Check admin permission
+    requireAdmin(user);
+
+    const cutoff = new Date(
+      Date.now() - retentionDays * 24 * 60 * 60 * 1000
+    ).toISOString();
+
+    const { data, error } = await backend
+      .from("photos")
+      .select("id")
+      .lt("deleted_at", cutoff);
+
+    if (error) {
+      console.error("Error finding expired trash:", error);
+      return { success: false, error };
+    }
+
+    let purgedCount = 0;
+    for (const photo of data) {
+      const result = await purgePhotoFromDatabase(photo.id, user);
+      if (result.success) purgedCount++;
+    }
+
+    if (purgedCount > 0) {
+      console.log(`Purged ${purgedCount} photos from trash`);
+    }
+    return { success: true, data: { purgedCount } };
+  } catch (error) {
+    console.error("Error purging expired trash:", error);
+    return { success: false, error };
+  }
+};
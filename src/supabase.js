@@ -1,66 +1,17 @@
 import { createClient } from "@supabase/supabase-js";
 
-// Get Supabase configuration from environment variables
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
-
-// Validate that environment variables are set
-if (!supabaseUrl || !supabaseKey) {
-  throw new Error(
-    "Missing Supabase environment variables. Please check your .env file and ensure VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY are set."
-  );
-}
-
-export const supabase = createClient(supabaseUrl, supabaseKey);
-
-// Authentication helper functions
-export const authHelpers = {
-  // Get current user
-  getCurrentUser: async () => {
-    const {
-      data: { user },
-      error,
-    } = await supabase.auth.getUser();
-    if (error) throw error;
-    return user;
-  },
-
-  // Get current session
-  getCurrentSession: async () => {
-    const {
-      data: { session },
-      error,
-    } = await supabase.auth.getSession();
-    if (error) throw error;
-    return session;
-  },
-
-  // Check if user is authenticated
-  isAuthenticated: async () => {
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
-    return !!user;
-  },
-
-  // Sign in with email and password
-  signIn: async (email, password) => {
-    const { data, error } = await supabase.auth.signInWithPassword({
-      email,
-      password,
-    });
-    if (error) throw error;
-    return data;
-  },
-
-  // Sign out
-  signOut: async () => {
-    const { error } = await supabase.auth.signOut();
-    if (error) throw error;
-  },
-
-  // Listen to auth state changes
-  onAuthStateChange: (callback) => {
-    return supabase.auth.onAuthStateChange(callback);
-  },
+// Create the Supabase client used as the default data backend
+export const createSupabaseBackend = () => {
+  // Get Supabase configuration from environment variables
+  const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
+  const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
+
+  // Validate that environment variables are set
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error(
+      "Missing Supabase environment variables. Please check your .env file and ensure VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY are set (or set VITE_DATA_BACKEND=local to run without Supabase)."
+    );
+  }
+
+  return createClient(supabaseUrl, supabaseKey);
 };
@@ -0,0 +1,65 @@
+// Edge Function run nightly by the pg_cron job in
+// migrations/migration-add-trash-purge-job.sql. Permanently deletes finds
+// that have been in the trash longer than the retention period, then removes
+// their images, derivatives and voice memos from storage. Only callers holding
+// the service role key may run it; the retention period comes from the
+// TRASH_RETENTION_DAYS secret, never from the request.
+import { createClient } from "npm:@supabase/supabase-js@2";
+
+const STORAGE_BUCKET = "original-images";
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Days a find stays in the trash, at least one so a purge never empties it
+const RETENTION_DAYS = Math.max(
+  1,
+  Math.floor(Number(Deno.env.get("TRASH_RETENTION_DAYS"))) ||
+    DEFAULT_RETENTION_DAYS
+);
+
+// Storage API limit on paths per remove request
+const REMOVE_BATCH_SIZE = 1000;
+
+const jsonResponse = (body, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+Deno.serve(async (req) => {
+  const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+
+  // The anon key and user tokens also pass the gateway; only the cron job
+  // sends the service role key
+  if (req.headers.get("Authorization") !== `Bearer ${serviceRoleKey}`) {
+    return jsonResponse({ error: "Unauthorized" }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get("SUPABASE_URL"), serviceRoleKey);
+
+  const { data: paths, error } = await supabase.rpc("purge_expired_trash", {
+    retention_days: RETENTION_DAYS,
+  });
+
+  if (error) {
+    console.error("Error purging expired trash:", error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+
+  // The rows are gone at this point; files that fail to delete are only logged
+  let removedCount = 0;
+  for (let i = 0; i < paths.length; i += REMOVE_BATCH_SIZE) {
+    const batch = paths.slice(i, i + REMOVE_BATCH_SIZE);
+    const { error: storageError } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .remove(batch);
+
+    if (storageError) {
+      console.error("Error deleting from storage:", storageError);
+    } else {
+      removedCount += batch.length;
+    }
+  }
+
+  console.log(`Purged expired trash, removed ${removedCount} stored files`);
+  return jsonResponse({ removedCount });
+});